@@ -0,0 +1,147 @@
+import { sql } from './db.js';
+import { fetchPendleMarkets } from './markets.js';
+import { getSyncState, refreshHistory } from './history.js';
+
+// Time frames kept for the full lifetime of a matured market
+const ARCHIVE_TIME_FRAMES = ['day', 'week'];
+
+// The expired list only grows when a maturity passes
+export const EXPIRED_LIST_TTL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Ensure table exists (runs once on cold start)
+// Rows are never deleted, even once Pendle stops listing the market
+let tableInitialized = false;
+export async function ensureExpiredMarketsTable() {
+    if (tableInitialized) return;
+    try {
+        await sql`
+            CREATE TABLE IF NOT EXISTS expired_markets (
+                chain_id INTEGER NOT NULL,
+                market_address TEXT NOT NULL,
+                expiry TIMESTAMPTZ,
+                data JSONB NOT NULL,
+                history_archived BOOLEAN NOT NULL DEFAULT FALSE,
+                archive_attempts INTEGER NOT NULL DEFAULT 0,
+                first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (chain_id, market_address)
+            )
+        `;
+        await sql`
+            CREATE INDEX IF NOT EXISTS idx_expired_markets_expiry
+            ON expired_markets(chain_id, expiry DESC)
+        `;
+        tableInitialized = true;
+    } catch (e) {
+        console.error('Expired markets table init error:', e.message);
+    }
+}
+
+// Fetch matured markets for a chain from Pendle (null on failure)
+export async function fetchExpiredMarkets(chainId) {
+    const list = await fetchPendleMarkets(chainId, { active: false });
+    if (!list) return null;
+
+    const now = Date.now();
+    return list.filter(m => m.address && m.expiry && new Date(m.expiry).getTime() <= now);
+}
+
+// Upsert matured markets (keeps the archive state of known ones)
+export async function saveExpiredMarkets(chainId, marketList) {
+    if (marketList.length === 0) return;
+
+    const records = JSON.stringify(marketList.map(m => ({
+        address: m.address.toLowerCase(),
+        expiry: m.expiry,
+        data: m
+    })));
+    await sql`
+        INSERT INTO expired_markets (chain_id, market_address, expiry, data, updated_at)
+        SELECT ${chainId}, r.address, r.expiry, r.data, NOW()
+        FROM jsonb_to_recordset(${records}::jsonb) AS r(address TEXT, expiry TIMESTAMPTZ, data JSONB)
+        ON CONFLICT (chain_id, market_address)
+        DO UPDATE SET
+            expiry = EXCLUDED.expiry,
+            data = EXCLUDED.data,
+            updated_at = NOW()
+    `;
+}
+
+// Read the archived list for a chain, most recent maturity first
+async function readExpiredMarkets(chainId) {
+    const rows = await sql`
+        SELECT data, history_archived, updated_at
+        FROM expired_markets
+        WHERE chain_id = ${chainId}
+        ORDER BY expiry DESC
+    `;
+    const lastUpdated = rows.reduce((latest, row) =>
+        (!latest || new Date(row.updated_at) > new Date(latest)) ? row.updated_at : latest, null);
+
+    return {
+        markets: rows.map(row => ({ ...row.data, historyArchived: row.history_archived })),
+        lastUpdated
+    };
+}
+
+// Get matured markets for a chain, syncing from Pendle when the list is older than the TTL
+// Serves the archived list if Pendle is unavailable
+export async function getExpiredMarkets(chainId, { forceRefresh = false } = {}) {
+    const cached = await readExpiredMarkets(chainId);
+    const cacheAge = cached.lastUpdated ? (Date.now() - new Date(cached.lastUpdated).getTime()) : Infinity;
+
+    if (!forceRefresh && cached.markets.length > 0 && cacheAge < EXPIRED_LIST_TTL) {
+        return { ...cached, cached: true };
+    }
+
+    const fresh = await fetchExpiredMarkets(chainId);
+    if (fresh) {
+        await saveExpiredMarkets(chainId, fresh);
+        return { ...(await readExpiredMarkets(chainId)), cached: false };
+    }
+
+    if (cached.markets.length > 0) {
+        return { ...cached, cached: true, stale: true };
+    }
+    return null;
+}
+
+// Matured markets whose history still needs archiving (fewest failed attempts first)
+export async function pendingArchives(chainId, limit) {
+    const rows = await sql`
+        SELECT market_address
+        FROM expired_markets
+        WHERE chain_id = ${chainId}
+          AND NOT history_archived
+        ORDER BY archive_attempts ASC, expiry DESC
+        LIMIT ${limit}
+    `;
+    return rows.map(row => row.market_address);
+}
+
+// Store the full-lifetime history of a matured market and mark it complete
+// Returns false if Pendle had no data (retried on a later run)
+export async function archiveMarketHistory(chainId, address) {
+    for (const timeFrame of ARCHIVE_TIME_FRAMES) {
+        // Only the sync state is needed, not the stored points
+        const cached = await getSyncState(chainId, address, timeFrame);
+        if (cached?.complete) continue;
+
+        const { updated } = await refreshHistory(chainId, address, timeFrame, cached, null, { complete: true });
+        if (!updated) {
+            await sql`
+                UPDATE expired_markets
+                SET archive_attempts = archive_attempts + 1
+                WHERE chain_id = ${chainId} AND market_address = ${address}
+            `;
+            return false;
+        }
+    }
+
+    await sql`
+        UPDATE expired_markets
+        SET history_archived = TRUE
+        WHERE chain_id = ${chainId} AND market_address = ${address}
+    `;
+    return true;
+}
@@ -0,0 +1,15 @@
+// RPC endpoints for supported chains (mirrors RPC_ENDPOINTS in app.js)
+export const RPC_ENDPOINTS = {
+    1: 'https://eth.llamarpc.com',
+    42161: 'https://arb1.arbitrum.io/rpc',
+    8453: 'https://mainnet.base.org',
+    56: 'https://bsc-dataseed.binance.org',
+    146: 'https://rpc.soniclabs.com',
+    999: 'https://rpc.hyperliquid.xyz/evm',
+    9745: 'https://rpc.plasma.to',
+    5000: 'https://rpc.mantle.xyz',
+    10: 'https://mainnet.optimism.io',
+    80094: 'https://rpc.berachain.com',
+};
+
+export const CHAIN_IDS = Object.keys(RPC_ENDPOINTS).map(Number);
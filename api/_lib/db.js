@@ -0,0 +1,4 @@
+import { neon } from '@neondatabase/serverless';
+
+// Shared database connection for all API routes
+export const sql = neon(process.env.DATABASE_URL);
@@ -0,0 +1,391 @@
+import { sql } from './db.js';
+import { runMigrations } from './migrations.js';
+
+export const PENDLE_API = 'https://api-v2.pendle.finance/core/v2';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Truncate a timestamp to the start of its UTC hour / day / week (Monday)
+function hourStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setUTCMinutes(0, 0, 0);
+    return date.toISOString();
+}
+
+function dayStart(timestamp) {
+    const date = new Date(timestamp);
+    date.setUTCHours(0, 0, 0, 0);
+    return date.toISOString();
+}
+
+function weekStart(timestamp) {
+    const date = new Date(dayStart(timestamp));
+    const offset = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - offset);
+    return date.toISOString();
+}
+
+// Supported time frames: cache freshness, bucket start and default select window
+export const TIME_FRAMES = {
+    hour: {
+        maxAge: 15 * 60 * 1000,         // 15 minutes
+        defaultDays: 30,
+        bucket: hourStart
+    },
+    day: {
+        maxAge: 60 * 60 * 1000,         // 1 hour
+        defaultDays: 180,
+        bucket: dayStart
+    },
+    week: {
+        maxAge: 6 * 60 * 60 * 1000,     // 6 hours
+        defaultDays: 3 * 365,
+        bucket: weekStart
+    }
+};
+
+// Look up a time frame by name (null if unsupported)
+export function getTimeFrame(timeFrame) {
+    return Object.hasOwn(TIME_FRAMES, timeFrame) ? TIME_FRAMES[timeFrame] : null;
+}
+
+// Typed point fields: [API field, column]. Anything else is kept in `extra`.
+const POINT_COLUMNS = [
+    ['impliedApy', 'implied_apy'],
+    ['underlyingApy', 'underlying_apy'],
+    ['ptPrice', 'pt_price'],
+    ['ytPrice', 'yt_price'],
+    ['lpPrice', 'lp_price'],
+    ['tvl', 'tvl'],
+    ['totalPt', 'total_pt'],
+    ['totalSy', 'total_sy'],
+    ['swapFeeApy', 'swap_fee_apy'],
+    ['pendleApy', 'pendle_apy'],
+    ['lpRewardApy', 'lp_reward_apy']
+];
+
+// Parse a from/to value: unix seconds, unix ms or an ISO date (null if absent, NaN if invalid)
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+$/.test(String(value))) {
+        const num = Number(value);
+        return num < 1e12 ? num * 1000 : num;
+    }
+    return Date.parse(value);
+}
+
+// Resolve the requested window (defaults to the time frame's window ending now)
+export function resolveRange(frame, { from, to } = {}) {
+    const toMs = parseTime(to);
+    const fromMs = parseTime(from);
+    if (Number.isNaN(toMs) || Number.isNaN(fromMs)) return null;
+
+    const end = toMs ?? Date.now();
+    const start = fromMs ?? (end - frame.defaultDays * DAY_MS);
+    if (start > end) return null;
+
+    return {
+        from: new Date(start).toISOString(),
+        to: toMs === null ? null : new Date(toMs).toISOString()
+    };
+}
+
+function inRange(timestamp, range) {
+    return timestamp >= range.from && (range.to === null || timestamp <= range.to);
+}
+
+// Ensure tables exist and legacy data is migrated (runs once on cold start)
+let tableInitialized = false;
+export async function ensureHistoryTable() {
+    if (tableInitialized) return;
+    try {
+        await sql`
+            CREATE TABLE IF NOT EXISTS market_history_points (
+                chain_id INTEGER NOT NULL,
+                market_address TEXT NOT NULL,
+                time_frame TEXT NOT NULL,
+                ts TIMESTAMPTZ NOT NULL,
+                implied_apy DOUBLE PRECISION,
+                underlying_apy DOUBLE PRECISION,
+                pt_price DOUBLE PRECISION,
+                yt_price DOUBLE PRECISION,
+                lp_price DOUBLE PRECISION,
+                tvl DOUBLE PRECISION,
+                total_pt DOUBLE PRECISION,
+                total_sy DOUBLE PRECISION,
+                swap_fee_apy DOUBLE PRECISION,
+                pendle_apy DOUBLE PRECISION,
+                lp_reward_apy DOUBLE PRECISION,
+                extra JSONB,
+                PRIMARY KEY (chain_id, market_address, time_frame, ts)
+            )
+        `;
+        // Last successful refresh per market, used for freshness and incremental inserts
+        await sql`
+            CREATE TABLE IF NOT EXISTS market_history_sync (
+                chain_id INTEGER NOT NULL,
+                market_address TEXT NOT NULL,
+                time_frame TEXT NOT NULL,
+                last_ts TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ DEFAULT NOW(),
+                complete BOOLEAN NOT NULL DEFAULT FALSE,
+                PRIMARY KEY (chain_id, market_address, time_frame)
+            )
+        `;
+        // Matured markets are marked complete once their full history is stored
+        await sql`
+            ALTER TABLE market_history_sync
+            ADD COLUMN IF NOT EXISTS complete BOOLEAN NOT NULL DEFAULT FALSE
+        `;
+        await runMigrations();
+        tableInitialized = true;
+    } catch (e) {
+        console.error('Table init error:', e.message);
+    }
+}
+
+// Key used for batch lookups and responses
+export function historyKey(chainId, address) {
+    return `${chainId}-${address.toLowerCase()}`;
+}
+
+// Database row -> API point (same shape Pendle returns)
+function rowToPoint(row) {
+    const point = { timestamp: new Date(row.ts).toISOString(), ...(row.extra || {}) };
+    for (const [field, column] of POINT_COLUMNS) {
+        if (row[column] !== null && row[column] !== undefined) {
+            point[field] = Number(row[column]);
+        }
+    }
+    return point;
+}
+
+// API point -> record for jsonb_to_recordset (non-numeric values go to extra)
+function pointToRecord(point) {
+    const record = { ts: point.timestamp };
+    const extra = { ...point };
+    delete extra.timestamp;
+    for (const [field, column] of POINT_COLUMNS) {
+        const value = point[field];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            record[column] = value;
+            delete extra[field];
+        } else {
+            record[column] = null;
+        }
+    }
+    record.extra = Object.keys(extra).length > 0 ? extra : null;
+    return record;
+}
+
+// Group joined sync/point rows into cache entries keyed by historyKey()
+// Point columns are selected by name: a p.* would repeat chain_id / market_address, and the NULLs
+// of a sync row without points in range would overwrite the keys
+function groupCachedRows(rows) {
+    const cached = new Map();
+    for (const row of rows) {
+        const key = historyKey(row.chain_id, row.market_address);
+        if (!cached.has(key)) {
+            cached.set(key, {
+                data: [],
+                updatedAt: row.updated_at,
+                lastTs: row.last_ts ? new Date(row.last_ts).toISOString() : null,
+                complete: row.complete === true
+            });
+        }
+        if (row.ts) {
+            cached.get(key).data.push(rowToPoint(row));
+        }
+    }
+    return cached;
+}
+
+// Get cached points for one market within the range
+export async function getCachedHistory(chainId, address, timeFrame, range) {
+    const rows = await sql`
+        SELECT s.chain_id, s.market_address, s.last_ts, s.updated_at, s.complete,
+               p.ts, p.implied_apy, p.underlying_apy, p.pt_price, p.yt_price, p.lp_price,
+               p.tvl, p.total_pt, p.total_sy, p.swap_fee_apy, p.pendle_apy, p.lp_reward_apy, p.extra
+        FROM market_history_sync s
+        LEFT JOIN market_history_points p
+          ON p.chain_id = s.chain_id
+         AND p.market_address = s.market_address
+         AND p.time_frame = s.time_frame
+         AND p.ts >= ${range.from}
+         AND (${range.to}::timestamptz IS NULL OR p.ts <= ${range.to})
+        WHERE s.chain_id = ${chainId}
+          AND s.market_address = ${address}
+          AND s.time_frame = ${timeFrame}
+        ORDER BY p.ts
+    `;
+    return groupCachedRows(rows).get(historyKey(chainId, address)) || null;
+}
+
+// Sync state of one market without its points ({ data: [], updatedAt, lastTs, complete }, null if never stored)
+export async function getSyncState(chainId, address, timeFrame) {
+    const [row] = await sql`
+        SELECT last_ts, updated_at, complete
+        FROM market_history_sync
+        WHERE chain_id = ${chainId}
+          AND market_address = ${address}
+          AND time_frame = ${timeFrame}
+    `;
+    if (!row) return null;
+    return {
+        data: [],
+        updatedAt: row.updated_at,
+        lastTs: row.last_ts ? new Date(row.last_ts).toISOString() : null,
+        complete: row.complete === true
+    };
+}
+
+// Get cached points for many markets in a single query, keyed by historyKey()
+export async function getCachedHistoryBatch(pairs, timeFrame, range) {
+    const chainIds = pairs.map(p => p.chainId);
+    const addresses = pairs.map(p => p.address);
+    const rows = await sql`
+        SELECT s.chain_id, s.market_address, s.last_ts, s.updated_at, s.complete,
+               p.ts, p.implied_apy, p.underlying_apy, p.pt_price, p.yt_price, p.lp_price,
+               p.tvl, p.total_pt, p.total_sy, p.swap_fee_apy, p.pendle_apy, p.lp_reward_apy, p.extra
+        FROM market_history_sync s
+        JOIN UNNEST(${chainIds}::int[], ${addresses}::text[]) AS k(chain_id, market_address)
+          ON s.chain_id = k.chain_id AND s.market_address = k.market_address
+        LEFT JOIN market_history_points p
+          ON p.chain_id = s.chain_id
+         AND p.market_address = s.market_address
+         AND p.time_frame = s.time_frame
+         AND p.ts >= ${range.from}
+         AND (${range.to}::timestamptz IS NULL OR p.ts <= ${range.to})
+        WHERE s.time_frame = ${timeFrame}
+        ORDER BY s.chain_id, s.market_address, p.ts
+    `;
+    return groupCachedRows(rows);
+}
+
+// Age of a cache entry in ms (Infinity if never stored)
+export function cacheAgeOf(entry) {
+    return entry?.updatedAt ? (Date.now() - new Date(entry.updatedAt).getTime()) : Infinity;
+}
+
+// Fresh cache entries can be served without asking Pendle (complete ones never change)
+export function isCacheFresh(entry, frame) {
+    if (entry?.complete) return true;
+    return !!entry && entry.lastTs !== null && cacheAgeOf(entry) < frame.maxAge;
+}
+
+export function pendleHistoryUrl(chainId, address, timeFrame) {
+    return `${PENDLE_API}/${chainId}/markets/${address}/historical-data?time_frame=${timeFrame}`;
+}
+
+// Fetch new data from Pendle API (empty array on failure)
+export async function fetchPendleHistory(chainId, address, timeFrame) {
+    try {
+        const response = await fetch(pendleHistoryUrl(chainId, address, timeFrame));
+        if (response.ok) {
+            const json = await response.json();
+            return json.results || [];
+        }
+    } catch (e) {
+        console.error('Pendle API fetch failed:', e.message);
+    }
+    return [];
+}
+
+// Snap points to their bucket start, one point per bucket (later points win), sorted
+function normalizePoints(points, frame) {
+    const byBucket = new Map();
+    for (const point of points) {
+        if (!point?.timestamp || Number.isNaN(Date.parse(point.timestamp))) continue;
+        const timestamp = frame.bucket(point.timestamp);
+        byBucket.set(timestamp, { ...point, timestamp });
+    }
+    return Array.from(byBucket.values()).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Upsert points in one statement
+async function insertPoints(chainId, address, timeFrame, points) {
+    const records = JSON.stringify(points.map(pointToRecord));
+    await sql`
+        INSERT INTO market_history_points (
+            chain_id, market_address, time_frame, ts,
+            implied_apy, underlying_apy, pt_price, yt_price, lp_price,
+            tvl, total_pt, total_sy, swap_fee_apy, pendle_apy, lp_reward_apy, extra
+        )
+        SELECT
+            ${chainId}, ${address}, ${timeFrame}, r.ts,
+            r.implied_apy, r.underlying_apy, r.pt_price, r.yt_price, r.lp_price,
+            r.tvl, r.total_pt, r.total_sy, r.swap_fee_apy, r.pendle_apy, r.lp_reward_apy, r.extra
+        FROM jsonb_to_recordset(${records}::jsonb) AS r(
+            ts TIMESTAMPTZ,
+            implied_apy DOUBLE PRECISION,
+            underlying_apy DOUBLE PRECISION,
+            pt_price DOUBLE PRECISION,
+            yt_price DOUBLE PRECISION,
+            lp_price DOUBLE PRECISION,
+            tvl DOUBLE PRECISION,
+            total_pt DOUBLE PRECISION,
+            total_sy DOUBLE PRECISION,
+            swap_fee_apy DOUBLE PRECISION,
+            pendle_apy DOUBLE PRECISION,
+            lp_reward_apy DOUBLE PRECISION,
+            extra JSONB
+        )
+        ON CONFLICT (chain_id, market_address, time_frame, ts)
+        DO UPDATE SET
+            implied_apy = EXCLUDED.implied_apy,
+            underlying_apy = EXCLUDED.underlying_apy,
+            pt_price = EXCLUDED.pt_price,
+            yt_price = EXCLUDED.yt_price,
+            lp_price = EXCLUDED.lp_price,
+            tvl = EXCLUDED.tvl,
+            total_pt = EXCLUDED.total_pt,
+            total_sy = EXCLUDED.total_sy,
+            swap_fee_apy = EXCLUDED.swap_fee_apy,
+            pendle_apy = EXCLUDED.pendle_apy,
+            lp_reward_apy = EXCLUDED.lp_reward_apy,
+            extra = EXCLUDED.extra
+    `;
+}
+
+// Fetch from Pendle and insert only the points at or after the last stored one
+// (the latest bucket is re-written since it may still have been open).
+// Returns the cached points merged with the new ones, limited to the range.
+// Pass `complete` for matured markets so their history is never fetched again.
+export async function refreshHistory(chainId, address, timeFrame, cached = null, range = null, { complete = false } = {}) {
+    const frame = TIME_FRAMES[timeFrame];
+    const window = range || resolveRange(frame);
+    const newData = normalizePoints(await fetchPendleHistory(chainId, address, timeFrame), frame);
+    const cachedData = cached?.data || [];
+
+    if (newData.length === 0) {
+        return { results: cachedData, updated: false };
+    }
+
+    const lastTs = cached?.lastTs || null;
+    const incremental = lastTs ? newData.filter(point => point.timestamp >= lastTs) : newData;
+    const latestTimestamp = newData[newData.length - 1].timestamp;
+
+    if (incremental.length > 0) {
+        await insertPoints(chainId, address, timeFrame, incremental);
+    }
+    await sql`
+        INSERT INTO market_history_sync (chain_id, market_address, time_frame, last_ts, updated_at, complete)
+        VALUES (${chainId}, ${address}, ${timeFrame}, ${latestTimestamp}, NOW(), ${complete})
+        ON CONFLICT (chain_id, market_address, time_frame)
+        DO UPDATE SET
+            last_ts = GREATEST(market_history_sync.last_ts, EXCLUDED.last_ts),
+            updated_at = NOW(),
+            complete = market_history_sync.complete OR EXCLUDED.complete
+    `;
+
+    // Older cached points stay as stored, anything Pendle returned from lastTs on replaces them
+    const byTimestamp = new Map(cachedData.map(point => [point.timestamp, point]));
+    for (const point of incremental) {
+        byTimestamp.set(point.timestamp, point);
+    }
+    const results = Array.from(byTimestamp.values())
+        .filter(point => inRange(point.timestamp, window))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    return { results, updated: true };
+}
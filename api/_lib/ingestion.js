@@ -0,0 +1,83 @@
+import { sql } from './db.js';
+
+// Keep the stored error list readable
+const MAX_LOGGED_ERRORS = 50;
+
+// Ensure table exists (runs once on cold start)
+let tableInitialized = false;
+export async function ensureIngestionTable() {
+    if (tableInitialized) return;
+    try {
+        await sql`
+            CREATE TABLE IF NOT EXISTS ingestion_runs (
+                id SERIAL PRIMARY KEY,
+                job TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'running',
+                started_at TIMESTAMPTZ DEFAULT NOW(),
+                finished_at TIMESTAMPTZ,
+                chains_processed INTEGER DEFAULT 0,
+                markets_seen INTEGER DEFAULT 0,
+                history_updated INTEGER DEFAULT 0,
+                history_skipped INTEGER DEFAULT 0,
+                history_failed INTEGER DEFAULT 0,
+                errors JSONB DEFAULT '[]'
+            )
+        `;
+        await sql`
+            ALTER TABLE ingestion_runs
+            ADD COLUMN IF NOT EXISTS markets_archived INTEGER DEFAULT 0
+        `;
+        await sql`
+            CREATE INDEX IF NOT EXISTS idx_ingestion_runs_job
+            ON ingestion_runs(job, started_at DESC)
+        `;
+        tableInitialized = true;
+    } catch (e) {
+        console.error('Ingestion table init error:', e.message);
+    }
+}
+
+// Record the start of a run and return its id
+export async function startRun(job) {
+    const rows = await sql`
+        INSERT INTO ingestion_runs (job) VALUES (${job})
+        RETURNING id
+    `;
+    return rows[0].id;
+}
+
+// Record the final stats of a run
+export async function finishRun(runId, status, stats) {
+    await sql`
+        UPDATE ingestion_runs SET
+            status = ${status},
+            finished_at = NOW(),
+            chains_processed = ${stats.chainsProcessed},
+            markets_seen = ${stats.marketsSeen},
+            history_updated = ${stats.historyUpdated},
+            history_skipped = ${stats.historySkipped},
+            history_failed = ${stats.historyFailed},
+            markets_archived = ${stats.marketsArchived},
+            errors = ${JSON.stringify(stats.errors.slice(0, MAX_LOGGED_ERRORS))}
+        WHERE id = ${runId}
+    `;
+}
+
+// Empty stats object shared by ingestion jobs
+export function createRunStats() {
+    return {
+        chainsProcessed: 0,
+        marketsSeen: 0,
+        historyUpdated: 0,
+        historySkipped: 0,
+        historyFailed: 0,
+        marketsArchived: 0,
+        errors: []
+    };
+}
+
+// success: no errors, partial: some work done despite errors, failed: nothing done
+export function runStatus(stats) {
+    if (stats.errors.length === 0) return 'success';
+    return stats.chainsProcessed > 0 ? 'partial' : 'failed';
+}
@@ -0,0 +1,78 @@
+import { sql } from './db.js';
+
+const PENDLE_CORE_API = 'https://api-v2.pendle.finance/core';
+
+// Markets change slowly - matches the client-side localStorage TTL
+export const MARKETS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Ensure table exists (runs once on cold start)
+let tableInitialized = false;
+export async function ensureMarketsTable() {
+    if (tableInitialized) return;
+    try {
+        await sql`
+            CREATE TABLE IF NOT EXISTS markets_cache (
+                chain_id INTEGER PRIMARY KEY,
+                data JSONB NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `;
+        tableInitialized = true;
+    } catch (e) {
+        console.error('Markets table init error:', e.message);
+    }
+}
+
+// Fetch active (or inactive) markets for a chain from Pendle (null on failure)
+export async function fetchPendleMarkets(chainId, { active = true } = {}) {
+    try {
+        const response = await fetch(`${PENDLE_CORE_API}/v1/markets/all?isActive=${active}&chainId=${chainId}`);
+        if (response.ok) {
+            const json = await response.json();
+            return json.markets || json.results || (Array.isArray(json) ? json : []);
+        }
+        console.error(`Pendle markets fetch failed for chain ${chainId}: HTTP ${response.status}`);
+    } catch (e) {
+        console.error('Pendle markets fetch failed:', e.message);
+    }
+    return null;
+}
+
+// Persist a markets snapshot for a chain
+export async function saveMarkets(chainId, marketList) {
+    await sql`
+        INSERT INTO markets_cache (chain_id, data, updated_at)
+        VALUES (${chainId}, ${JSON.stringify(marketList)}, NOW())
+        ON CONFLICT (chain_id)
+        DO UPDATE SET
+            data = ${JSON.stringify(marketList)},
+            updated_at = NOW()
+    `;
+}
+
+// Get markets for a chain, refreshing from Pendle when the cache is older than the TTL
+// Serves the stale snapshot if Pendle is unavailable
+export async function getMarkets(chainId, { forceRefresh = false } = {}) {
+    const rows = await sql`
+        SELECT data, updated_at
+        FROM markets_cache
+        WHERE chain_id = ${chainId}
+    `;
+    const cached = rows[0] || null;
+    const cacheAge = cached?.updated_at ? (Date.now() - new Date(cached.updated_at).getTime()) : Infinity;
+
+    if (!forceRefresh && cached && cacheAge < MARKETS_CACHE_TTL) {
+        return { markets: cached.data, cached: true, lastUpdated: cached.updated_at };
+    }
+
+    const fresh = await fetchPendleMarkets(chainId);
+    if (fresh) {
+        await saveMarkets(chainId, fresh);
+        return { markets: fresh, cached: false, lastUpdated: new Date().toISOString() };
+    }
+
+    if (cached) {
+        return { markets: cached.data, cached: true, stale: true, lastUpdated: cached.updated_at };
+    }
+    return null;
+}
@@ -0,0 +1,76 @@
+import { sql } from './db.js';
+
+// One-off data migrations, applied in order and recorded in schema_migrations
+const MIGRATIONS = [
+    {
+        // Explode the legacy per-market JSONB blobs into one row per point
+        name: '001-explode-historical-data',
+        async up() {
+            const [{ legacy }] = await sql`SELECT to_regclass('public.historical_data') AS legacy`;
+            if (!legacy) return [];
+
+            // Tables from before time frames existed have no time_frame column: every blob there is daily.
+            // to_jsonb(h) reads the column when it exists without failing when it doesn't.
+            return [
+                sql`
+                    INSERT INTO market_history_points (
+                        chain_id, market_address, time_frame, ts,
+                        implied_apy, underlying_apy, pt_price, yt_price, lp_price,
+                        tvl, total_pt, total_sy, swap_fee_apy, pendle_apy, lp_reward_apy, extra
+                    )
+                    SELECT
+                        h.chain_id,
+                        h.market_address,
+                        COALESCE(to_jsonb(h)->>'time_frame', 'day'),
+                        (p->>'timestamp')::timestamptz,
+                        CASE WHEN jsonb_typeof(p->'impliedApy') = 'number' THEN (p->>'impliedApy')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'underlyingApy') = 'number' THEN (p->>'underlyingApy')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'ptPrice') = 'number' THEN (p->>'ptPrice')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'ytPrice') = 'number' THEN (p->>'ytPrice')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'lpPrice') = 'number' THEN (p->>'lpPrice')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'tvl') = 'number' THEN (p->>'tvl')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'totalPt') = 'number' THEN (p->>'totalPt')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'totalSy') = 'number' THEN (p->>'totalSy')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'swapFeeApy') = 'number' THEN (p->>'swapFeeApy')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'pendleApy') = 'number' THEN (p->>'pendleApy')::float8 END,
+                        CASE WHEN jsonb_typeof(p->'lpRewardApy') = 'number' THEN (p->>'lpRewardApy')::float8 END,
+                        p - 'timestamp' - 'impliedApy' - 'underlyingApy' - 'ptPrice' - 'ytPrice' - 'lpPrice'
+                          - 'tvl' - 'totalPt' - 'totalSy' - 'swapFeeApy' - 'pendleApy' - 'lpRewardApy'
+                    FROM historical_data h
+                    CROSS JOIN LATERAL jsonb_array_elements(h.data) AS p
+                    WHERE p ? 'timestamp'
+                    ON CONFLICT DO NOTHING
+                `,
+                sql`
+                    INSERT INTO market_history_sync (chain_id, market_address, time_frame, last_ts, updated_at)
+                    SELECT h.chain_id, h.market_address, COALESCE(to_jsonb(h)->>'time_frame', 'day'), h.last_timestamp, h.updated_at
+                    FROM historical_data h
+                    ON CONFLICT DO NOTHING
+                `
+            ];
+        }
+    }
+];
+
+// Apply pending migrations (each one in its own transaction)
+export async function runMigrations() {
+    await sql`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `;
+
+    const applied = new Set((await sql`SELECT name FROM schema_migrations`).map(row => row.name));
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.name)) continue;
+
+        const queries = await migration.up();
+        await sql.transaction([
+            ...queries,
+            sql`INSERT INTO schema_migrations (name) VALUES (${migration.name}) ON CONFLICT DO NOTHING`
+        ]);
+        console.log(`Applied migration ${migration.name}`);
+    }
+}
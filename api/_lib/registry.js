@@ -0,0 +1,140 @@
+import { readFile } from 'node:fs/promises';
+
+// Registry files live in /registry (bundled via includeFiles in vercel.json)
+const REGISTRY_DIR = new URL('../../registry/', import.meta.url);
+
+// Registry name -> file and its definition in schema.json
+export const REGISTRIES = {
+    'lending-pairs': { file: 'lending-pairs.json', schema: 'lendingPairsFile' },
+    'watermark-events': { file: 'watermark-events.json', schema: 'watermarkEventsFile' }
+};
+
+// Entries not re-checked against their source for this long are flagged as stale
+export const REGISTRY_STALE_DAYS = 90;
+
+// Parsed and validated registries (loaded once per cold start)
+const registryCache = new Map();
+let schemaPromise = null;
+
+function loadJson(fileName) {
+    return readFile(new URL(fileName, REGISTRY_DIR), 'utf8').then(JSON.parse);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Validate a value against the subset of JSON Schema used by registry/schema.json
+// Returns a list of "path: problem" strings (empty when valid)
+export function validateSchema(value, schema, root = schema, path = '$') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+        if (!target) return [`${path}: unknown $ref ${schema.$ref}`];
+        return validateSchema(value, target, root, path);
+    }
+
+    if (schema.oneOf) {
+        const results = schema.oneOf.map(option => validateSchema(value, option, root, path));
+        const matches = results.filter(errors => errors.length === 0).length;
+        if (matches === 1) return [];
+        if (matches > 1) return [`${path}: matches more than one schema`];
+        // Report the closest option rather than every alternative
+        return results.reduce((best, errors) => errors.length < best.length ? errors : best);
+    }
+
+    const errors = [];
+    const type = typeOf(value);
+
+    if (schema.const !== undefined && value !== schema.const) {
+        return [`${path}: expected ${JSON.stringify(schema.const)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: expected one of ${schema.enum.join(', ')}`];
+    }
+    if (schema.type) {
+        const matchesType = schema.type === type || (schema.type === 'number' && type === 'integer');
+        if (!matchesType) return [`${path}: expected ${schema.type}, got ${type}`];
+    }
+
+    if (type === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below minimum ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above maximum ${schema.maximum}`);
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${path}[${i}]`)));
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing ${key}`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = `${path}.${key}`;
+            if (schema.propertyNames) {
+                errors.push(...validateSchema(key, schema.propertyNames, root, `${itemPath} (name)`));
+            }
+            if (properties[key]) {
+                errors.push(...validateSchema(item, properties[key], root, itemPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${itemPath}: unexpected property`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(item, schema.additionalProperties, root, itemPath));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Cross-field rules JSON Schema can't express here
+function checkListings(data) {
+    const errors = [];
+    for (const [assetName, pair] of Object.entries(data.pairs || {})) {
+        (pair.listings || []).forEach((listing, i) => {
+            const path = `$.pairs.${assetName}.listings[${i}]`;
+            if (!pair.chains.includes(listing.chainId)) errors.push(`${path}: chain ${listing.chainId} not in chains`);
+            if (listing.platform === 'morpho' && !listing.morphoMarketId) errors.push(`${path}: Morpho listings need morphoMarketId`);
+            if (listing.platform === 'euler' && !(listing.collateralVault && listing.borrowVault)) {
+                errors.push(`${path}: Euler listings need collateralVault and borrowVault`);
+            }
+        });
+    }
+    return errors;
+}
+
+// Load and validate a registry by name
+// Throws with every schema violation so a bad edit fails loudly instead of serving partial data
+export async function loadRegistry(name) {
+    if (registryCache.has(name)) return registryCache.get(name);
+
+    const registry = REGISTRIES[name];
+    if (!registry) throw new Error(`Unknown registry: ${name}`);
+
+    if (!schemaPromise) schemaPromise = loadJson('schema.json');
+    const [schema, data] = await Promise.all([schemaPromise, loadJson(registry.file)]);
+
+    // Validate against this registry's definition (clearer errors than the top-level oneOf)
+    const errors = validateSchema(data, { $ref: `#/$defs/${registry.schema}` }, schema);
+    if (errors.length === 0 && name === 'lending-pairs') errors.push(...checkListings(data));
+    if (errors.length > 0) {
+        const error = new Error(`Invalid registry ${registry.file}`);
+        error.details = errors;
+        throw error;
+    }
+
+    registryCache.set(name, data);
+    return data;
+}
@@ -0,0 +1,64 @@
+// Historical reads need archive state, so they only go to ARCHIVE_RPC_<chainId>
+// The public endpoints in chains.js are pruned and would fail every old block with "missing trie node"
+export function archiveRpcUrl(chainId) {
+    return process.env[`ARCHIVE_RPC_${chainId}`] || null;
+}
+
+// Raw JSON-RPC call (the API has no ethers dependency)
+export async function rpcCall(chainId, method, params) {
+    const url = archiveRpcUrl(chainId);
+    if (!url) throw new Error(`ARCHIVE_RPC_${chainId} not configured`);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    if (!response.ok) throw new Error(`RPC HTTP ${response.status}`);
+
+    const json = await response.json();
+    if (json.error) throw new Error(json.error.message || 'RPC error');
+    return json.result;
+}
+
+const toHex = (n) => '0x' + n.toString(16);
+
+// Call a view function without arguments at a block, returning the uint256 result as a BigInt
+// Returns null when the call reverts or returns nothing (e.g. before the contract was deployed)
+export async function callUint(chainId, to, selector, blockNumber) {
+    try {
+        const result = await rpcCall(chainId, 'eth_call', [{ to, data: selector }, toHex(blockNumber)]);
+        return result && result !== '0x' ? BigInt(result.slice(0, 66)) : null;
+    } catch (e) {
+        if (/revert/i.test(e.message)) return null;
+        throw e;
+    }
+}
+
+export async function getBlock(chainId, blockNumber = 'latest') {
+    const tag = blockNumber === 'latest' ? 'latest' : toHex(blockNumber);
+    const block = await rpcCall(chainId, 'eth_getBlockByNumber', [tag, false]);
+    if (!block) throw new Error(`Block ${blockNumber} not found on chain ${chainId}`);
+    return { number: parseInt(block.number, 16), timestamp: parseInt(block.timestamp, 16) };
+}
+
+// Last block at or before a unix timestamp, searched between two known blocks
+// Interpolation converges fast on steady block times; alternating with bisection bounds the worst case
+export async function findBlockAtTime(chainId, timestamp, low, high) {
+    if (timestamp >= high.timestamp) return high;
+
+    for (let i = 0; i < 64 && high.number - low.number > 1; i++) {
+        const estimate = i % 2 === 0
+            ? low.number + Math.round((timestamp - low.timestamp) / (high.timestamp - low.timestamp) * (high.number - low.number))
+            : Math.floor((low.number + high.number) / 2);
+        const number = Math.min(high.number - 1, Math.max(low.number + 1, estimate));
+        const block = await getBlock(chainId, number);
+
+        if (block.timestamp <= timestamp) {
+            low = block;
+        } else {
+            high = block;
+        }
+    }
+    return low;
+}
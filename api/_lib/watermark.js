@@ -0,0 +1,210 @@
+import { sql } from './db.js';
+import { callUint, getBlock, findBlockAtTime } from './rpc.js';
+
+// Function selectors (no arguments)
+const EXCHANGE_RATE = '0x3ba0b9a9';     // SY.exchangeRate()
+const PY_INDEX_STORED = '0xd2a3584e';   // YT.pyIndexStored()
+
+// How far back to reconstruct a market's watermark history
+export const WATERMARK_BACKFILL_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ensure table exists (runs once on cold start)
+// One row per market and UTC day, read at the day's last block (the last one before the next 00:00 UTC).
+// Null rates mean the contracts didn't exist yet, so those days aren't retried.
+let tableInitialized = false;
+export async function ensureWatermarkTable() {
+    if (tableInitialized) return;
+    try {
+        await sql`
+            CREATE TABLE IF NOT EXISTS watermark_samples (
+                chain_id INTEGER NOT NULL,
+                market_address TEXT NOT NULL,
+                sample_date DATE NOT NULL,
+                block_number BIGINT NOT NULL,
+                block_time TIMESTAMPTZ NOT NULL,
+                exchange_rate NUMERIC,
+                py_index_stored NUMERIC,
+                sampled_at TIMESTAMPTZ DEFAULT NOW(),
+                PRIMARY KEY (chain_id, market_address, sample_date)
+            )
+        `;
+        // Rows written before the day's end was sampled were read at the last block before their own date,
+        // i.e. at the end of the previous day - move them to that day (overwriting the row there, which
+        // is either moving too or holds the same block)
+        await sql.transaction([
+            sql`
+                INSERT INTO watermark_samples (
+                    chain_id, market_address, sample_date, block_number, block_time, exchange_rate, py_index_stored, sampled_at
+                )
+                SELECT chain_id, market_address, sample_date - 1, block_number, block_time, exchange_rate, py_index_stored, sampled_at
+                FROM watermark_samples
+                WHERE block_time <= sample_date::timestamp AT TIME ZONE 'UTC'
+                ON CONFLICT (chain_id, market_address, sample_date)
+                DO UPDATE SET
+                    block_number = EXCLUDED.block_number,
+                    block_time = EXCLUDED.block_time,
+                    exchange_rate = EXCLUDED.exchange_rate,
+                    py_index_stored = EXCLUDED.py_index_stored,
+                    sampled_at = EXCLUDED.sampled_at
+            `,
+            sql`
+                DELETE FROM watermark_samples
+                WHERE block_time <= sample_date::timestamp AT TIME ZONE 'UTC'
+            `
+        ]);
+        tableInitialized = true;
+    } catch (e) {
+        console.error('Watermark table init error:', e.message);
+    }
+}
+
+// Extract an address from Pendle's "chainId-address" identifiers
+export function tokenAddress(token) {
+    const value = typeof token === 'string' ? token : token?.address;
+    if (typeof value !== 'string') return null;
+    return (value.includes('-') ? value.split('-')[1] : value).toLowerCase();
+}
+
+function dateKey(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Days still to sample for a market, newest first
+// Only finished days (today's last block isn't known yet); stops at the first day recorded as
+// "not deployed" and never goes past maturity
+export async function pendingSampleDates(chainId, address, { expiry = null, days = WATERMARK_BACKFILL_DAYS } = {}) {
+    const rows = await sql`
+        SELECT sample_date::text AS sample_date, exchange_rate IS NULL AS empty
+        FROM watermark_samples
+        WHERE chain_id = ${chainId}
+          AND market_address = ${address}
+          AND sample_date >= CURRENT_DATE - ${days}::int
+    `;
+    const sampled = new Set(rows.map(row => row.sample_date));
+    const floor = rows.filter(row => row.empty).map(row => row.sample_date).sort().pop() || null;
+
+    const todayStart = new Date(dateKey(Date.now())).getTime();
+    const yesterday = todayStart - DAY_MS;
+    const lastDay = expiry ? Math.min(yesterday, new Date(dateKey(expiry)).getTime()) : yesterday;
+
+    const pending = [];
+    for (let day = lastDay; day >= todayStart - days * DAY_MS; day -= DAY_MS) {
+        const date = dateKey(day);
+        if (floor && date <= floor) break;
+        if (!sampled.has(date)) pending.push(date);
+    }
+    return pending;
+}
+
+// Resolves sample dates to their last block for one chain, reusing blocks already found as search bounds
+export function createBlockLocator(chainId) {
+    const known = [];
+    let latestPromise = null;
+
+    return async function blockForDate(date) {
+        if (!latestPromise) {
+            latestPromise = getBlock(chainId).then(latest => {
+                known.push(latest);
+                return latest;
+            });
+        }
+        const latest = await latestPromise;
+        // Last second of the day
+        const timestamp = Math.floor((new Date(date).getTime() + DAY_MS) / 1000) - 1;
+
+        // Tightest bracket from earlier lookups
+        const low = known.filter(b => b.timestamp <= timestamp).reduce((best, b) => b.number > best.number ? b : best, { number: 0, timestamp: 0 });
+        const high = known.filter(b => b.timestamp > timestamp).reduce((best, b) => b.number < best.number ? b : best, latest);
+
+        const block = await findBlockAtTime(chainId, timestamp, low, high);
+        known.push(block);
+        return block;
+    };
+}
+
+// Read exchangeRate() and pyIndexStored() at each date's block and store them
+// Returns the number of days stored
+export async function sampleWatermark(chainId, market, dates, blockForDate) {
+    let stored = 0;
+    for (const date of dates) {
+        const block = await blockForDate(date);
+        const [exchangeRate, pyIndexStored] = await Promise.all([
+            callUint(chainId, market.sy, EXCHANGE_RATE, block.number),
+            callUint(chainId, market.yt, PY_INDEX_STORED, block.number)
+        ]);
+        const deployed = exchangeRate !== null && pyIndexStored !== null;
+
+        await sql`
+            INSERT INTO watermark_samples (
+                chain_id, market_address, sample_date, block_number, block_time, exchange_rate, py_index_stored
+            )
+            VALUES (
+                ${chainId}, ${market.address}, ${date}, ${block.number}, ${new Date(block.timestamp * 1000).toISOString()},
+                ${deployed ? exchangeRate.toString() : null}, ${deployed ? pyIndexStored.toString() : null}
+            )
+            ON CONFLICT (chain_id, market_address, sample_date)
+            DO UPDATE SET
+                block_number = EXCLUDED.block_number,
+                block_time = EXCLUDED.block_time,
+                exchange_rate = EXCLUDED.exchange_rate,
+                py_index_stored = EXCLUDED.py_index_stored,
+                sampled_at = NOW()
+        `;
+        stored++;
+
+        // Older days predate the contracts too
+        if (!deployed) break;
+    }
+    return stored;
+}
+
+// Stored samples for a market, oldest first (1e18-scaled values converted to floats)
+export async function getWatermarkSamples(chainId, address, days = WATERMARK_BACKFILL_DAYS) {
+    const rows = await sql`
+        SELECT sample_date::text AS sample_date, block_number, exchange_rate::text AS exchange_rate,
+               py_index_stored::text AS py_index_stored
+        FROM watermark_samples
+        WHERE chain_id = ${chainId}
+          AND market_address = ${address}
+          AND sample_date >= CURRENT_DATE - ${days}::int
+          AND exchange_rate IS NOT NULL
+        ORDER BY sample_date
+    `;
+    return rows.map(row => {
+        const exchangeRate = Number(row.exchange_rate) / 1e18;
+        const pyIndexStored = Number(row.py_index_stored) / 1e18;
+        return {
+            date: row.sample_date,
+            block: Number(row.block_number),
+            exchangeRate,
+            pyIndexStored,
+            // No watermark until the YT first updates its index
+            ratio: pyIndexStored > 0 ? exchangeRate / pyIndexStored : null
+        };
+    });
+}
+
+// Consecutive days where exchangeRate < pyIndexStored (YT accrues nothing until it recovers)
+// end is the first day back at the watermark, null while the interval is still open
+export function belowWatermarkIntervals(samples) {
+    const intervals = [];
+    let current = null;
+
+    for (const sample of samples) {
+        if (sample.ratio !== null && sample.ratio < 1) {
+            if (!current) {
+                current = { start: sample.date, end: null, days: 0, minRatio: sample.ratio };
+                intervals.push(current);
+            }
+            current.days++;
+            current.minRatio = Math.min(current.minRatio, sample.ratio);
+        } else if (current) {
+            current.end = sample.date;
+            current = null;
+        }
+    }
+
+    return intervals.map(interval => ({ ...interval, maxDeficit: (1 - interval.minRatio) * 100 }));
+}
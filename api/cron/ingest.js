@@ -0,0 +1,166 @@
+import { CHAIN_IDS } from '../_lib/chains.js';
+import { ensureMarketsTable, fetchPendleMarkets, saveMarkets } from '../_lib/markets.js';
+import {
+    TIME_FRAMES,
+    resolveRange,
+    ensureHistoryTable,
+    getCachedHistoryBatch,
+    historyKey,
+    isCacheFresh,
+    refreshHistory
+} from '../_lib/history.js';
+import {
+    ensureExpiredMarketsTable,
+    fetchExpiredMarkets,
+    saveExpiredMarkets,
+    pendingArchives,
+    archiveMarketHistory
+} from '../_lib/archive.js';
+import { ensureIngestionTable, startRun, finishRun, createRunStats, runStatus } from '../_lib/ingestion.js';
+import { mapWithConcurrency } from '../_lib/concurrency.js';
+
+const JOB_NAME = 'daily-snapshot';
+const REFRESH_CONCURRENCY = 4;
+
+// Backfill matured markets gradually so one run stays within its time budget
+const ARCHIVES_PER_CHAIN = 20;
+
+// Stop starting new refreshes before the function's maxDuration (see vercel.json)
+const TIME_BUDGET_MS = 250 * 1000;
+
+// Snapshot markets and daily history for one chain
+async function ingestChain(chainId, stats, deadline) {
+    const marketList = await fetchPendleMarkets(chainId);
+    if (!marketList) {
+        stats.errors.push({ chainId, error: 'Markets fetch failed' });
+        return;
+    }
+
+    await saveMarkets(chainId, marketList);
+    stats.chainsProcessed++;
+
+    const now = Date.now();
+    const pairs = marketList
+        .filter(m => m.address && new Date(m.expiry).getTime() > now)
+        .map(m => ({ chainId, address: m.address.toLowerCase() }));
+    stats.marketsSeen += pairs.length;
+    if (pairs.length === 0) return;
+
+    // Only the sync state matters here, so keep the point window small
+    const range = resolveRange(TIME_FRAMES.day, { from: now - 24 * 60 * 60 * 1000 });
+    const cached = await getCachedHistoryBatch(pairs, 'day', range);
+
+    await mapWithConcurrency(pairs, REFRESH_CONCURRENCY, async (pair) => {
+        const entry = cached.get(historyKey(pair.chainId, pair.address));
+
+        // Someone opened this market recently - nothing to do
+        if (isCacheFresh(entry, TIME_FRAMES.day)) {
+            stats.historySkipped++;
+            return;
+        }
+        if (Date.now() > deadline) {
+            stats.historySkipped++;
+            stats.errors.push({ chainId, market: pair.address, error: 'Time budget exhausted' });
+            return;
+        }
+
+        try {
+            const { updated } = await refreshHistory(pair.chainId, pair.address, 'day', entry, range);
+            if (updated) {
+                stats.historyUpdated++;
+            } else {
+                stats.historyFailed++;
+                stats.errors.push({ chainId, market: pair.address, error: 'No data from Pendle' });
+            }
+        } catch (e) {
+            stats.historyFailed++;
+            stats.errors.push({ chainId, market: pair.address, error: e.message });
+        }
+    });
+}
+
+// Archive matured markets and their full-lifetime history for one chain
+async function archiveChain(chainId, stats, deadline) {
+    const expired = await fetchExpiredMarkets(chainId);
+    if (!expired) {
+        stats.errors.push({ chainId, error: 'Expired markets fetch failed' });
+        return;
+    }
+
+    await saveExpiredMarkets(chainId, expired);
+
+    const pending = await pendingArchives(chainId, ARCHIVES_PER_CHAIN);
+    await mapWithConcurrency(pending, REFRESH_CONCURRENCY, async (address) => {
+        if (Date.now() > deadline) return;
+
+        try {
+            if (await archiveMarketHistory(chainId, address)) {
+                stats.marketsArchived++;
+            } else {
+                stats.errors.push({ chainId, market: address, error: 'No archive data from Pendle' });
+            }
+        } catch (e) {
+            stats.errors.push({ chainId, market: address, error: e.message });
+        }
+    });
+}
+
+export default async function handler(req, res) {
+    // Vercel cron sends CRON_SECRET as a bearer token
+    // Without one configured, anyone could start a full run, so refuse instead
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        console.error('CRON_SECRET is not configured - refusing to run ingestion');
+        return res.status(500).json({ error: 'CRON_SECRET not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const deadline = Date.now() + TIME_BUDGET_MS;
+    const stats = createRunStats();
+    let runId = null;
+
+    try {
+        await Promise.all([
+            ensureHistoryTable(),
+            ensureMarketsTable(),
+            ensureExpiredMarketsTable(),
+            ensureIngestionTable()
+        ]);
+        runId = await startRun(JOB_NAME);
+
+        for (const chainId of CHAIN_IDS) {
+            try {
+                await ingestChain(chainId, stats, deadline);
+            } catch (e) {
+                console.error(`Ingestion failed for chain ${chainId}:`, e);
+                stats.errors.push({ chainId, error: e.message });
+            }
+            try {
+                await archiveChain(chainId, stats, deadline);
+            } catch (e) {
+                console.error(`Archiving failed for chain ${chainId}:`, e);
+                stats.errors.push({ chainId, error: e.message });
+            }
+        }
+
+        const status = runStatus(stats);
+        await finishRun(runId, status, stats);
+        console.log(`Ingestion run ${runId} ${status}:`, JSON.stringify({ ...stats, errors: stats.errors.length }));
+
+        return res.status(200).json({ runId, status, ...stats });
+
+    } catch (error) {
+        console.error('Ingestion job error:', error);
+        stats.errors.push({ error: error.message });
+        if (runId) {
+            try {
+                await finishRun(runId, 'failed', stats);
+            } catch (e) {
+                console.error('Failed to record ingestion run:', e.message);
+            }
+        }
+        return res.status(500).json({ error: 'Ingestion failed', runId });
+    }
+}
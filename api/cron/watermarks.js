@@ -0,0 +1,128 @@
+import { CHAIN_IDS } from '../_lib/chains.js';
+import { ensureMarketsTable, getMarkets } from '../_lib/markets.js';
+import {
+    ensureWatermarkTable,
+    tokenAddress,
+    pendingSampleDates,
+    createBlockLocator,
+    sampleWatermark
+} from '../_lib/watermark.js';
+import { ensureIngestionTable, startRun, finishRun, createRunStats, runStatus } from '../_lib/ingestion.js';
+import { mapWithConcurrency } from '../_lib/concurrency.js';
+import { archiveRpcUrl } from '../_lib/rpc.js';
+
+const JOB_NAME = 'watermark-samples';
+
+// Archive RPCs rate-limit aggressively, so keep few markets in flight
+const SAMPLE_CONCURRENCY = 2;
+
+// Backfill gradually: the newest missing days come first, older ones on later runs
+const SAMPLES_PER_MARKET = 30;
+
+// Stop starting new markets before the function's maxDuration (see vercel.json)
+const TIME_BUDGET_MS = 250 * 1000;
+
+// Sample exchangeRate / pyIndexStored for every active market on one chain
+async function sampleChain(chainId, stats, deadline) {
+    const result = await getMarkets(chainId);
+    if (!result) {
+        stats.errors.push({ chainId, error: 'Markets fetch failed' });
+        return;
+    }
+    stats.chainsProcessed++;
+
+    const markets = result.markets
+        .map(m => ({
+            address: m.address?.toLowerCase(),
+            sy: tokenAddress(m.sy),
+            yt: tokenAddress(m.yt),
+            expiry: m.expiry
+        }))
+        .filter(m => m.address && m.sy && m.yt);
+    stats.marketsSeen += markets.length;
+
+    // Blocks found for one market bound the search for the next
+    const blockForDate = createBlockLocator(chainId);
+
+    await mapWithConcurrency(markets, SAMPLE_CONCURRENCY, async (market) => {
+        if (Date.now() > deadline) {
+            stats.historySkipped++;
+            stats.errors.push({ chainId, market: market.address, error: 'Time budget exhausted' });
+            return;
+        }
+
+        try {
+            const dates = await pendingSampleDates(chainId, market.address, { expiry: market.expiry });
+            if (dates.length === 0) {
+                stats.historySkipped++;
+                return;
+            }
+
+            await sampleWatermark(chainId, market, dates.slice(0, SAMPLES_PER_MARKET), blockForDate);
+            stats.historyUpdated++;
+        } catch (e) {
+            stats.historyFailed++;
+            stats.errors.push({ chainId, market: market.address, error: e.message });
+        }
+    });
+}
+
+export default async function handler(req, res) {
+    // Vercel cron sends CRON_SECRET as a bearer token
+    // Without one configured, anyone could start a run against the archive RPCs, so refuse instead
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        console.error('CRON_SECRET is not configured - refusing to run watermark sampling');
+        return res.status(500).json({ error: 'CRON_SECRET not configured' });
+    }
+    if (req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const deadline = Date.now() + TIME_BUDGET_MS;
+    const stats = createRunStats();
+    let runId = null;
+
+    try {
+        await Promise.all([
+            ensureMarketsTable(),
+            ensureWatermarkTable(),
+            ensureIngestionTable()
+        ]);
+        runId = await startRun(JOB_NAME);
+
+        // Chains without an archive endpoint are reported once instead of failing every market
+        const unconfigured = CHAIN_IDS.filter(chainId => !archiveRpcUrl(chainId));
+        if (unconfigured.length > 0) {
+            console.warn(`Watermark sampling skips chains without an archive RPC: ${unconfigured.map(chainId => `ARCHIVE_RPC_${chainId}`).join(', ')} not configured`);
+            stats.errors.push(...unconfigured.map(chainId => ({ chainId, error: `ARCHIVE_RPC_${chainId} not configured` })));
+        }
+
+        for (const chainId of CHAIN_IDS.filter(chainId => !unconfigured.includes(chainId))) {
+            try {
+                await sampleChain(chainId, stats, deadline);
+            } catch (e) {
+                console.error(`Watermark sampling failed for chain ${chainId}:`, e);
+                stats.errors.push({ chainId, error: e.message });
+            }
+        }
+
+        const status = runStatus(stats);
+        await finishRun(runId, status, stats);
+        console.log(`Watermark run ${runId} ${status}:`, JSON.stringify({ ...stats, errors: stats.errors.length }));
+
+        return res.status(200).json({ runId, status, ...stats });
+
+    } catch (error) {
+        console.error('Watermark job error:', error);
+        stats.errors.push({ error: error.message });
+        if (runId) {
+            try {
+                await finishRun(runId, 'failed', stats);
+            } catch (e) {
+                console.error('Failed to record watermark run:', e.message);
+            }
+        }
+        return res.status(500).json({ error: 'Watermark sampling failed', runId });
+    }
+}
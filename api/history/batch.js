@@ -0,0 +1,124 @@
+import {
+    getTimeFrame,
+    resolveRange,
+    ensureHistoryTable,
+    getCachedHistoryBatch,
+    historyKey,
+    cacheAgeOf,
+    isCacheFresh,
+    refreshHistory
+} from '../_lib/history.js';
+import { mapWithConcurrency } from '../_lib/concurrency.js';
+
+const MAX_MARKETS_PER_REQUEST = 100;
+const REFRESH_CONCURRENCY = 4;
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { markets, timeFrame = 'day', from, to } = req.body || {};
+
+    if (!Array.isArray(markets) || markets.length === 0) {
+        return res.status(400).json({ error: 'Missing markets (expected [{ chainId, address }])' });
+    }
+    if (markets.length > MAX_MARKETS_PER_REQUEST) {
+        return res.status(400).json({ error: `Too many markets (max ${MAX_MARKETS_PER_REQUEST})` });
+    }
+
+    const frame = getTimeFrame(timeFrame);
+    if (!frame) {
+        return res.status(400).json({ error: 'Invalid timeFrame (expected hour, day or week)' });
+    }
+
+    const range = resolveRange(frame, { from, to });
+    if (!range) {
+        return res.status(400).json({ error: 'Invalid from/to (expected unix time or ISO date, from <= to)' });
+    }
+
+    // Normalize and de-duplicate requested pairs
+    const pairs = [];
+    const seen = new Set();
+    for (const market of markets) {
+        const chainId = parseInt(market?.chainId);
+        const address = typeof market?.address === 'string' ? market.address.toLowerCase() : null;
+        if (!chainId || !address) {
+            return res.status(400).json({ error: 'Each market needs a chainId and address' });
+        }
+        const key = historyKey(chainId, address);
+        if (!seen.has(key)) {
+            seen.add(key);
+            pairs.push({ chainId, address, key });
+        }
+    }
+
+    try {
+        await ensureHistoryTable();
+
+        // Read every cached point in the range in one query
+        const cached = await getCachedHistoryBatch(pairs, timeFrame, range);
+        const response = {};
+
+        // Serve fresh entries from cache, collect the stale ones
+        const stale = [];
+        for (const pair of pairs) {
+            const entry = cached.get(pair.key);
+            if (isCacheFresh(entry, frame)) {
+                response[pair.key] = {
+                    results: entry.data,
+                    cached: true,
+                    dataPoints: entry.data.length,
+                    lastUpdated: entry.updatedAt,
+                    cacheAge: Math.round(cacheAgeOf(entry) / 1000 / 60) + ' minutes'
+                };
+            } else {
+                stale.push(pair);
+            }
+        }
+
+        // Refresh stale entries upstream with bounded concurrency
+        await mapWithConcurrency(stale, REFRESH_CONCURRENCY, async (pair) => {
+            const entry = cached.get(pair.key);
+            const cachedData = entry?.data || [];
+            try {
+                const { results } = await refreshHistory(pair.chainId, pair.address, timeFrame, entry, range);
+                response[pair.key] = {
+                    results,
+                    cached: cachedData.length > 0,
+                    dataPoints: results.length,
+                    lastUpdated: new Date().toISOString()
+                };
+            } catch (e) {
+                console.error(`Batch refresh failed for ${pair.key}:`, e.message);
+                response[pair.key] = {
+                    results: cachedData,
+                    cached: cachedData.length > 0,
+                    dataPoints: cachedData.length,
+                    error: 'Refresh failed'
+                };
+            }
+        });
+
+        return res.status(200).json({
+            timeFrame,
+            from: range.from,
+            to: range.to,
+            markets: response,
+            refreshed: stale.length
+        });
+
+    } catch (error) {
+        console.error('History batch API error:', error);
+        return res.status(500).json({ error: 'Failed to fetch historical data' });
+    }
+}
@@ -0,0 +1,56 @@
+import { ensureExpiredMarketsTable, getExpiredMarkets, fetchExpiredMarkets } from '../_lib/archive.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const { chainId } = req.query;
+
+    if (!chainId) {
+        return res.status(400).json({ error: 'Missing chainId' });
+    }
+
+    const chainIdNum = parseInt(chainId);
+    if (!chainIdNum) {
+        return res.status(400).json({ error: 'Invalid chainId' });
+    }
+
+    try {
+        await ensureExpiredMarketsTable();
+
+        const result = await getExpiredMarkets(chainIdNum);
+        if (!result) {
+            return res.status(502).json({ error: 'Failed to fetch expired markets from Pendle' });
+        }
+
+        return res.status(200).json({
+            markets: result.markets,
+            cached: result.cached,
+            stale: result.stale || false,
+            count: result.markets.length,
+            lastUpdated: result.lastUpdated
+        });
+
+    } catch (error) {
+        console.error('Expired markets API error:', error);
+
+        // Fallback: try to fetch directly from Pendle
+        const markets = await fetchExpiredMarkets(chainIdNum);
+        if (markets) {
+            return res.status(200).json({
+                markets,
+                cached: false,
+                fallback: true,
+                count: markets.length
+            });
+        }
+
+        return res.status(500).json({ error: 'Failed to fetch expired markets' });
+    }
+}
@@ -0,0 +1,34 @@
+import { REGISTRIES, REGISTRY_STALE_DAYS, loadRegistry } from './_lib/registry.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // ?name=lending-pairs returns one registry, no name returns all of them
+    const { name } = req.query;
+    if (name && !REGISTRIES[name]) {
+        return res.status(400).json({ error: 'Unknown registry', available: Object.keys(REGISTRIES) });
+    }
+
+    try {
+        const names = name ? [name] : Object.keys(REGISTRIES);
+        const registries = await Promise.all(names.map(loadRegistry));
+
+        // Registries only change on deploy
+        res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+        return res.status(200).json({
+            staleAfterDays: REGISTRY_STALE_DAYS,
+            registries: Object.fromEntries(names.map((registryName, i) => [registryName, registries[i]]))
+        });
+
+    } catch (error) {
+        console.error('Registry API error:', error.message, error.details || '');
+        return res.status(500).json({ error: error.message, details: error.details || [] });
+    }
+}
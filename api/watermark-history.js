@@ -0,0 +1,48 @@
+import {
+    WATERMARK_BACKFILL_DAYS,
+    ensureWatermarkTable,
+    getWatermarkSamples,
+    belowWatermarkIntervals
+} from './_lib/watermark.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const { chainId, address, days } = req.query;
+
+    if (!chainId || !address) {
+        return res.status(400).json({ error: 'Missing chainId or address' });
+    }
+
+    const dayCount = days === undefined ? WATERMARK_BACKFILL_DAYS : parseInt(days);
+    if (!(dayCount > 0 && dayCount <= WATERMARK_BACKFILL_DAYS)) {
+        return res.status(400).json({ error: `Invalid days (expected 1-${WATERMARK_BACKFILL_DAYS})` });
+    }
+
+    try {
+        await ensureWatermarkTable();
+
+        const samples = await getWatermarkSamples(parseInt(chainId), address.toLowerCase(), dayCount);
+
+        // Samples are written once a day by /api/cron/watermarks
+        res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+        return res.status(200).json({
+            samples,
+            intervals: belowWatermarkIntervals(samples),
+            from: samples[0]?.date || null,
+            to: samples[samples.length - 1]?.date || null,
+            dataPoints: samples.length
+        });
+
+    } catch (error) {
+        console.error('Watermark history API error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+}
@@ -3,17 +3,15 @@
 const PENDLE_FEE = 0.05; // 5% fee on YT yield
 const API_BASE = 'https://api-v2.pendle.finance/core';
 
-// CORS proxy for API fallback (used for historical data)
-const CORS_PROXIES = [
-    (url) => `https://api.allorigins.win/raw?url=${encodeURIComponent(url)}`,
-    (url) => `https://corsproxy.io/?${encodeURIComponent(url)}`,
-];
-
 // LocalStorage caching configuration
 const CACHE_CONFIG = {
     markets: { key: 'pendash_markets', ttl: 5 * 60 * 1000 },      // 5 minutes
+    matured: { key: 'pendash_matured', ttl: 60 * 60 * 1000 },     // 1 hour
     history: { key: 'pendash_history', ttl: 60 * 60 * 1000 },     // 1 hour
-    harmonized: { key: 'pendash_harmonized', ttl: 60 * 60 * 1000 } // 1 hour
+    harmonized: { key: 'pendash_harmonized', ttl: 60 * 60 * 1000 }, // 1 hour
+    lending: { key: 'pendash_lending', ttl: 10 * 60 * 1000 },    // 10 minutes
+    registry: { key: 'pendash_registry', ttl: 60 * 60 * 1000 },   // 1 hour
+    watermark: { key: 'pendash_watermark', ttl: 60 * 60 * 1000 }  // 1 hour
 };
 
 // LocalStorage cache utilities
@@ -64,10 +62,12 @@ const storage = {
         historyCache.clear();
         harmonizedHistoryCache.clear();
         watermarkCache.clear();
+        lendingRateCache.clear();
+        realizedApyCache.clear();
     }
 };
 
-// RPC endpoints for different chains
+// RPC endpoints for different chains (keep in sync with api/_lib/chains.js)
 const RPC_ENDPOINTS = {
     1: 'https://eth.llamarpc.com',
     42161: 'https://arb1.arbitrum.io/rpc',
@@ -81,10 +81,342 @@ const RPC_ENDPOINTS = {
     80094: 'https://rpc.berachain.com',
 };
 
+// Extra public endpoints tried when the primary one fails or rate-limits
+const RPC_FALLBACK_ENDPOINTS = {
+    1: ['https://ethereum-rpc.publicnode.com', 'https://1rpc.io/eth'],
+    42161: ['https://arbitrum-one-rpc.publicnode.com', 'https://1rpc.io/arb'],
+    8453: ['https://base-rpc.publicnode.com', 'https://1rpc.io/base'],
+    56: ['https://bsc-rpc.publicnode.com'],
+    5000: ['https://mantle-rpc.publicnode.com'],
+    10: ['https://optimism-rpc.publicnode.com', 'https://1rpc.io/op']
+};
+
+// RPC failover tuning
+const RPC_CONFIG = {
+    timeout: 10 * 1000,             // Per request
+    maxRounds: 3,                   // Passes over the endpoint list before giving up
+    backoffBase: 500,               // Delay before the next pass (doubles each pass)
+    cooldownBase: 5 * 1000,         // Skip a failing endpoint this long (doubles per consecutive failure)
+    cooldownMax: 5 * 60 * 1000
+};
+
+// User-added endpoints ({ chainId: [url] }), kept outside the pendash_ cache keys so clearing the cache keeps them
+const RPC_SETTINGS_KEY = 'pendash-rpc-endpoints';
+
+// JSON-RPC error codes / messages that mean "this endpoint is struggling", not "this call is wrong"
+const RPC_ENDPOINT_ERROR_CODES = [-32005, -32016, -32090, 429];
+const RPC_ENDPOINT_ERROR_PATTERN = /rate limit|too many requests|capacity|timeout|timed out/i;
+// Pruned (non-archive) endpoints can't serve old blocks - try another endpoint, but it's not a health problem
+const RPC_STATE_UNAVAILABLE_PATTERN = /missing trie node|header not found|historical state|archive/i;
+
+// Routes every ethers call through a ranked list of endpoints per chain:
+// user endpoints first, then the defaults, ordered by success rate and latency.
+// Endpoint failures put it on a cooldown and fail over; reverts are returned as-is.
+const rpcManager = {
+    health: new Map(),      // url -> { ok, fail, consecutiveFails, latency, cooldownUntil, lastError }
+    providers: new Map(),   // chainId -> provider
+
+    customEndpoints() {
+        try {
+            return JSON.parse(localStorage.getItem(RPC_SETTINGS_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    saveCustomEndpoints(custom) {
+        try {
+            localStorage.setItem(RPC_SETTINGS_KEY, JSON.stringify(custom));
+        } catch (e) {
+            console.log('Could not save RPC settings:', e.message);
+        }
+        this.providers.clear();
+    },
+
+    addCustomEndpoint(chainId, url) {
+        const custom = this.customEndpoints();
+        custom[chainId] = [...new Set([...(custom[chainId] || []), url])];
+        this.saveCustomEndpoints(custom);
+    },
+
+    removeCustomEndpoint(chainId, url) {
+        const custom = this.customEndpoints();
+        custom[chainId] = (custom[chainId] || []).filter(u => u !== url);
+        if (custom[chainId].length === 0) delete custom[chainId];
+        this.saveCustomEndpoints(custom);
+    },
+
+    // All endpoints for a chain: [{ url, custom }]
+    endpoints(chainId) {
+        const custom = this.customEndpoints()[chainId] || [];
+        const defaults = [RPC_ENDPOINTS[chainId], ...(RPC_FALLBACK_ENDPOINTS[chainId] || [])].filter(Boolean);
+        return [
+            ...custom.map(url => ({ url, custom: true })),
+            ...defaults.filter(url => !custom.includes(url)).map(url => ({ url, custom: false }))
+        ];
+    },
+
+    healthOf(url) {
+        if (!this.health.has(url)) {
+            this.health.set(url, { ok: 0, fail: 0, consecutiveFails: 0, latency: null, cooldownUntil: 0, lastError: null });
+        }
+        return this.health.get(url);
+    },
+
+    isCooling(url) {
+        return this.healthOf(url).cooldownUntil > Date.now();
+    },
+
+    // Smoothed success rate, minus up to 0.5 for slow endpoints
+    score(url) {
+        const h = this.healthOf(url);
+        return (h.ok + 1) / (h.ok + h.fail + 2) - Math.min(h.latency || 0, 5000) / 10000;
+    },
+
+    ranked(chainId) {
+        return this.endpoints(chainId).sort((a, b) =>
+            (this.isCooling(a.url) - this.isCooling(b.url)) ||
+            (b.custom - a.custom) ||
+            (this.score(b.url) - this.score(a.url))
+        );
+    },
+
+    recordSuccess(url, latency) {
+        const h = this.healthOf(url);
+        h.ok++;
+        h.consecutiveFails = 0;
+        h.cooldownUntil = 0;
+        h.latency = h.latency === null ? latency : Math.round(h.latency * 0.7 + latency * 0.3);
+    },
+
+    recordFailure(url, error) {
+        const h = this.healthOf(url);
+        h.fail++;
+        h.consecutiveFails++;
+        h.lastError = error.message;
+        h.cooldownUntil = Date.now() + Math.min(RPC_CONFIG.cooldownBase * 2 ** (h.consecutiveFails - 1), RPC_CONFIG.cooldownMax);
+    },
+
+    // One JSON-RPC request to one endpoint; errors are shaped like ethers' own so reverts decode normally
+    async post(url, method, params) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), RPC_CONFIG.timeout);
+        let json;
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.endpointError = true;
+                throw error;
+            }
+            json = await response.json();
+        } catch (e) {
+            if (e.endpointError) throw e;
+            const error = new Error(e.name === 'AbortError' ? 'Request timed out' : e.message);
+            error.endpointError = true;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (json.error) {
+            const error = new Error(json.error.message);
+            error.code = json.error.code;
+            error.data = json.error.data;
+            error.endpointError = RPC_ENDPOINT_ERROR_CODES.includes(json.error.code) ||
+                RPC_ENDPOINT_ERROR_PATTERN.test(json.error.message || '');
+            error.stateUnavailable = RPC_STATE_UNAVAILABLE_PATTERN.test(json.error.message || '');
+            throw error;
+        }
+        return json.result;
+    },
+
+    // Try endpoints in rank order, retrying the whole list with backoff
+    async request(chainId, method, params) {
+        let lastError = new Error(`No RPC endpoint for chain ${chainId}`);
+
+        for (let round = 0; round < RPC_CONFIG.maxRounds; round++) {
+            if (round > 0) {
+                await new Promise(resolve => setTimeout(resolve, RPC_CONFIG.backoffBase * 2 ** (round - 1)));
+            }
+
+            // Endpoints on cooldown are only tried when nothing else is left
+            const ranked = this.ranked(chainId);
+            const available = ranked.filter(endpoint => !this.isCooling(endpoint.url));
+            let retryable = false;
+            for (const { url } of available.length > 0 ? available : ranked) {
+                const started = Date.now();
+                try {
+                    const result = await this.post(url, method, params);
+                    this.recordSuccess(url, Date.now() - started);
+                    return result;
+                } catch (e) {
+                    lastError = e;
+                    if (e.stateUnavailable) continue;
+
+                    // A revert or bad params would fail the same way anywhere
+                    if (!e.endpointError) {
+                        this.recordSuccess(url, Date.now() - started);
+                        throw e;
+                    }
+                    this.recordFailure(url, e);
+                    retryable = true;
+                }
+            }
+
+            // Waiting won't give a pruned endpoint old state
+            if (!retryable) break;
+        }
+
+        throw lastError;
+    },
+
+    // Shared ethers provider for a chain (null without endpoints or ethers)
+    getProvider(chainId) {
+        chainId = parseInt(chainId);
+        if (typeof ethers === 'undefined' || this.endpoints(chainId).length === 0) return null;
+
+        if (!this.providers.has(chainId)) {
+            const provider = new ethers.providers.StaticJsonRpcProvider(this.endpoints(chainId)[0].url, chainId);
+            // ethers sends every request through send(), so this gives all call sites failover
+            provider.send = (method, params) => this.request(chainId, method, params);
+            this.providers.set(chainId, provider);
+        }
+        return this.providers.get(chainId);
+    }
+};
+
+// Show or hide the RPC settings panel
+function toggleRpcSettings() {
+    const panel = document.getElementById('rpc-settings');
+    if (!panel) return;
+
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? '' : 'none';
+    if (!open) return;
+
+    // Chains come from the market chain filter so the two lists can't drift
+    const chainSelect = document.getElementById('rpc-chain');
+    if (chainSelect && chainSelect.options.length === 0) {
+        document.querySelectorAll('#chain-filter option').forEach(option => {
+            chainSelect.add(new Option(option.textContent, option.value));
+        });
+        chainSelect.value = document.getElementById('chain-filter')?.value || '1';
+    }
+    renderRpcSettings();
+}
+
+// List the selected chain's endpoints in failover order with their health
+function renderRpcSettings() {
+    const list = document.getElementById('rpc-endpoint-list');
+    const chainId = parseInt(document.getElementById('rpc-chain')?.value);
+    if (!list || !chainId) return;
+
+    list.innerHTML = rpcManager.ranked(chainId).map(({ url, custom }) => {
+        const h = rpcManager.healthOf(url);
+        const state = rpcManager.isCooling(url) ? 'cooling' : h.ok > 0 ? 'healthy' : 'unknown';
+        const stats = [
+            h.latency !== null ? `${h.latency}ms` : null,
+            h.ok + h.fail > 0 ? `${h.ok}/${h.ok + h.fail} ok` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="rpc-endpoint" title="${state === 'cooling' ? `Cooling down: ${h.lastError}` : ''}">
+                <span class="signal-dot ${state}"></span>
+                <span class="rpc-endpoint-url">${url}</span>
+                ${custom ? '<span class="live-badge">yours</span>' : ''}
+                <span class="rpc-endpoint-stats">${stats || 'unused'}</span>
+                ${custom ? `<button class="rpc-endpoint-remove" data-url="${url}" title="Remove">✕</button>` : ''}
+            </div>
+        `;
+    }).join('') || '<div class="input-hint">No endpoints for this chain</div>';
+}
+
+// Validate and save a user endpoint - it must answer eth_chainId with the selected chain
+async function addRpcEndpoint() {
+    const input = document.getElementById('rpc-url');
+    const errorEl = document.getElementById('rpc-settings-error');
+    const chainId = parseInt(document.getElementById('rpc-chain')?.value);
+    if (!input || !chainId) return;
+
+    const showError = (message) => {
+        if (errorEl) errorEl.textContent = message;
+    };
+
+    // Normalizing through URL also percent-encodes anything unsafe to render
+    let url;
+    try {
+        const parsed = new URL(input.value.trim());
+        const local = ['localhost', '127.0.0.1'].includes(parsed.hostname);
+        if (parsed.protocol !== 'https:' && !(local && parsed.protocol === 'http:')) {
+            return showError('Use an https:// URL (http:// only for localhost)');
+        }
+        url = parsed.href;
+    } catch (e) {
+        return showError('Not a valid URL');
+    }
+
+    showError('');
+    const started = Date.now();
+    try {
+        const endpointChainId = parseInt(await rpcManager.post(url, 'eth_chainId', []), 16);
+        if (endpointChainId !== chainId) {
+            return showError(`That endpoint is on chain ${endpointChainId}, not ${chainId}`);
+        }
+    } catch (e) {
+        return showError(`Endpoint check failed: ${e.message}`);
+    }
+
+    rpcManager.recordSuccess(url, Date.now() - started);
+    rpcManager.addCustomEndpoint(chainId, url);
+    input.value = '';
+    renderRpcSettings();
+}
+
 // Minimal ABIs for watermark checking
 const SY_ABI = ['function exchangeRate() view returns (uint256)'];
 const YT_ABI = ['function pyIndexStored() view returns (uint256)', 'function SY() view returns (address)'];
 
+// Multicall3 (same address on every supported chain) batches the watermark, yield and portfolio scans
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) view returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+// Items (YTs, SYs, token reads) per aggregated call - keeps each eth_call well under RPC gas and payload limits
+const MULTICALL_BATCH = 100;
+
+// Portfolio: wallets and cost basis stay in this browser; balances are read with eth_call only
+const PORTFOLIO_SETTINGS_KEY = 'pendash-portfolio';
+const PORTFOLIO_TOKEN_TYPES = ['pt', 'yt', 'lp'];
+const ERC20_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function totalSupply() view returns (uint256)'
+];
+// YT claim state: redeemDueInterestAndRewards is simulated with eth_call (anyone may trigger it for any user),
+// userInterest / userReward are the stored fallback
+const YT_CLAIM_ABI = [
+    'function redeemDueInterestAndRewards(address user, bool redeemInterest, bool redeemRewards) returns (uint256 interestOut, uint256[] rewardsOut)',
+    'function userInterest(address user) view returns (uint128 index, uint128 accrued)',
+    'function userReward(address token, address user) view returns (uint128 index, uint128 accrued)',
+    'function getRewardTokens() view returns (address[])',
+    'function pyIndexStored() view returns (uint256)'
+];
+
+// Realized underlying APY from SY exchangeRate() growth over these windows (days)
+const REALIZED_APY_WINDOWS = [1, 7, 30];
+// Window compared against Pendle's reported underlyingApy
+const REALIZED_APY_CHECK_WINDOW = 7;
+// Flag a market when the two differ by more than max(absolute points, relative share of the reported APY)
+const REALIZED_APY_TOLERANCE = { absolute: 1, relative: 0.25 };
+const REALIZED_APY_TTL = 30 * 60 * 1000; // 30 minutes
+
 // Extended ABIs for detailed watermark info
 const YT_EXTENDED_ABI = [
     'function pyIndexStored() view returns (uint256)',
@@ -93,52 +425,93 @@ const YT_EXTENDED_ABI = [
     'function expiry() view returns (uint256)'
 ];
 
+// Pendle v2 Router (same address on every chain) - market state is read through it
+const PENDLE_ROUTER = '0x888888888889758F76e7103c6CbF23ABbF58F946';
+const MARKET_ABI = [
+    'function readState(address router) view returns (tuple(int256 totalPt, int256 totalSy, int256 totalLp, address treasury, int256 scalarRoot, uint256 expiry, uint256 lnFeeRateRoot, uint256 reserveFeePercent, uint256 lastLnImpliedRate) market)'
+];
+
+// Pendle PT/YT/LP oracle - the TWAP price lending markets use for PT collateral
+const PT_ORACLE_ADDRESSES = {
+    1: '0x9a9Fa8338dd5E5B2188006f1Cd2Ef26d921650C2',
+    42161: '0x9a9Fa8338dd5E5B2188006f1Cd2Ef26d921650C2'
+};
+const PT_ORACLE_ABI = [
+    'function getPtToAssetRate(address market, uint32 duration) view returns (uint256)',
+    'function getPtToSyRate(address market, uint32 duration) view returns (uint256)',
+    'function getOracleState(address market, uint32 duration) view returns (bool increaseCardinalityRequired, uint16 cardinalityRequired, bool oldestObservationSatisfied)'
+];
+const PT_ORACLE_DEFAULT_TWAP = 900; // 15 minutes, used when the registry has no window
+const PT_ORACLE_SAMPLES = 30;       // Historical blocks sampled across the chart range
+
+// Lending protocols that accept PT collateral - read by the lending rate adapters
+const AAVE_ADDRESSES_PROVIDER_ABI = [
+    'function getPool() view returns (address)',
+    'function getPoolDataProvider() view returns (address)'
+];
+const AAVE_DATA_PROVIDER_ABI = [
+    'function getReserveConfigurationData(address asset) view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+    'function getReserveData(address asset) view returns (uint256 unbacked, uint256 accruedToTreasuryScaled, uint256 totalAToken, uint256 totalStableDebt, uint256 totalVariableDebt, uint256 liquidityRate, uint256 variableBorrowRate, uint256 stableBorrowRate, uint256 averageStableBorrowRate, uint256 liquidityIndex, uint256 variableBorrowIndex, uint40 lastUpdateTimestamp)',
+    'function getReserveEModeCategory(address asset) view returns (uint256)'
+];
+const AAVE_POOL_ABI = [
+    'function getEModeCategoryCollateralConfig(uint8 id) view returns (tuple(uint16 ltv, uint16 liquidationThreshold, uint16 liquidationBonus))'
+];
+const MORPHO_BLUE_ABI = [
+    'function idToMarketParams(bytes32 id) view returns (address loanToken, address collateralToken, address oracle, address irm, uint256 lltv)',
+    'function market(bytes32 id) view returns (uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee)'
+];
+const MORPHO_IRM_ABI = [
+    'function borrowRateView(tuple(address loanToken, address collateralToken, address oracle, address irm, uint256 lltv) marketParams, tuple(uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee) market) view returns (uint256)'
+];
+const EULER_VAULT_ABI = [
+    'function LTVBorrow(address collateral) view returns (uint16)',
+    'function LTVLiquidation(address collateral) view returns (uint16)',
+    'function interestRate() view returns (uint256)'
+];
+
+// Protocol deployments per chain
+// Aave lists PTs as reserves, so any PT is found from its address. Morpho market ids come from
+// the registry listings or Morpho's API (by collateral address); Euler vaults only from the listings
+const LENDING_DEPLOYMENTS = {
+    aave: {
+        1: '0x2f39d218133AFaB8F2B819B1066c7E434Ad94E9e',
+        42161: '0xa97684ead0e402dC232d5A977953DF7ECBaB3CDb',
+        8453: '0xe20fCBdBfFC4Dd138cE8b2E6FBb6CB49777ad64D'
+    },
+    morpho: {
+        1: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb',
+        8453: '0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb'
+    }
+};
+
+// Morpho's public API - finds the Blue markets that accept a PT before they're read on-chain
+const MORPHO_API_URL = 'https://blue-api.morpho.org/graphql';
+
+// Borrow assets the Aave adapter looks up by symbol
+const LENDING_BORROW_TOKENS = {
+    1: {
+        USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        USDT: '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+    },
+    42161: { USDC: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831' },
+    8453: { USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' }
+};
+
+// Cache for on-chain lending rates
+const lendingRateCache = new Map();
+
 // Cache for watermark status
 const watermarkCache = new Map();
 
 // Cache for watermark history
 const watermarkHistoryCache = new Map();
 
-// Known historical watermark events (documented incidents)
-const KNOWN_WATERMARK_EVENTS = [
-    {
-        date: '2025-03-12',
-        asset: 'HLP',
-        event: 'Whale liquidation caused $4M loss to HLP vault',
-        impact: 'Exchange rate dropped, potential below-watermark period',
-        source: 'https://www.coindesk.com/markets/2025/03/12/hyperliquid-loses-usd4m-after-whale-s-over-usd200m-ether-trade-unwinds'
-    },
-    {
-        date: '2025-12-31',
-        asset: 'HLPe',
-        chain: 999,
-        event: 'HLPe yield dropped to 0% - 100% yield reduction',
-        impact: 'Near-zero yield period detected, likely below watermark',
-        yieldBefore: 0.60,
-        yieldAfter: 0.00,
-        source: 'Pendle historical data analysis'
-    },
-    {
-        date: '2026-01-26',
-        asset: 'hwHLP',
-        chain: 999,
-        event: 'hwHLP yield crashed 96% in single day',
-        impact: 'Yield dropped from 13.39% to 0.54%, significant exchange rate impact',
-        yieldBefore: 13.39,
-        yieldAfter: 0.54,
-        source: 'Pendle historical data analysis'
-    },
-    {
-        date: '2026-01-28',
-        asset: 'WHLP',
-        chain: 999,
-        event: 'WHLP yield crashed 75.7% followed by near-zero period',
-        impact: 'Near-zero yield period Jan 28-30, 2026. Multiple days below watermark threshold',
-        yieldBefore: 4.89,
-        yieldAfter: 1.19,
-        source: 'Pendle historical data analysis'
-    }
-];
+// Cache for realized underlying APY per SY ({ windows, timestamp })
+const realizedApyCache = new Map();
+
+// Known historical watermark events (documented incidents) - loaded from registry/watermark-events.json
+let KNOWN_WATERMARK_EVENTS = [];
 
 // Cache for historical data
 const historyCache = new Map();
@@ -153,231 +526,55 @@ const LOOP_PLATFORM_URLS = {
     euler: 'https://app.euler.finance/'
 };
 
-// Known PT-Lending pairs with real market data
+// Known PT-Lending pairs with real market data - loaded from registry/lending-pairs.json
 // These are VERIFIED PT (Pendle Principal Token) collateral integrations on lending protocols
 // Only includes markets where PT-<asset> is accepted as collateral, NOT the underlying asset
-const KNOWN_PT_LENDING_PAIRS = {
-    // ===== ETHENA / USD STABLECOINS (VERIFIED) =====
-    // Source: https://governance.aave.com/t/arfc-onboard-susde-july-expiry-pt-tokens-on-aave-v3-core-instance/21878
-    'sUSDe': {
-        platform: 'Aave V3 / Morpho / Euler',
-        platforms: ['aave', 'morpho', 'euler'],
-        ltv: 0.91,
-        borrowRate: 5.5,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle with TWAP pricing. Price converges to 1 at maturity. Verified on Aave V3 Core.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://governance.aave.com/t/arfc-onboard-eusde-pt-tokens-to-aave-v3-core-instance/21767
-    'eUSDe': {
-        platform: 'Aave V3 / Morpho',
-        platforms: ['aave', 'morpho'],
-        ltv: 0.86,
-        borrowRate: 5.2,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle with TWAP pricing. Verified on Aave V3 Core.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://x.com/eulerfinance/status/1876699048859623594
-    'USDe': {
-        platform: 'Morpho / Euler',
-        platforms: ['morpho', 'euler'],
-        ltv: 0.77,
-        borrowRate: 5.0,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle with TWAP pricing. Verified on Euler Yield.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://forum.euler.finance/t/integrate-pt-tusde-25sep2025-on-euler-yield/1548
-    'tUSDe': {
-        platform: 'Euler',
-        platforms: ['euler'],
-        ltv: 0.88,
-        borrowRate: 5.0,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for tUSDe (Treehouse USDe). Verified on Euler.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://x.com/eulerfinance/status/1876699048859623594
-    'USD0++': {
-        platform: 'Morpho / Euler',
-        platforms: ['morpho', 'euler'],
-        ltv: 0.86,
-        borrowRate: 5.5,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for USD0++ (Usual Protocol). Verified on Euler Yield.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://dune.com/queries/4366361 (Morpho vaults with Pendle PT)
-    'lvlUSD': {
-        platform: 'Morpho',
-        platforms: ['morpho'],
-        ltv: 0.80,
-        borrowRate: 5.0,
-        borrowAsset: 'USDC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for lvlUSD. TWAP pricing.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // ===== BTC LSTs (VERIFIED) =====
-    // Source: https://app.morpho.org/ethereum/market/.../pt-lbtc-27mar2025-lbtc
-    'LBTC': {
-        platform: 'Morpho',
-        platforms: ['morpho'],
-        ltv: 0.915,
-        borrowRate: 3.0,
-        borrowAsset: 'LBTC/tBTC/cbBTC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for PT-LBTC (Lombard BTC). Multiple Morpho markets verified.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://www.eblockmedia.com/news/articleView.html?idxno=13014
-    'SolvBTC': {
-        platform: 'Morpho',
-        platforms: ['morpho'],
-        ltv: 0.915,
-        borrowRate: 3.5,
-        borrowAsset: 'SolvBTC',
-        chains: [1],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for PT-SolvBTC.BBN. Morpho Babylon Vault.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // ===== SONIC CHAIN (VERIFIED) =====
-    // Source: https://outposts.io/article/pendle-principal-tokens-now-available-as-collateral-on-euler
-    'wstkscUSD': {
-        platform: 'Euler',
-        platforms: ['euler'],
-        ltv: 0.88,
-        borrowRate: 5.0,
-        borrowAsset: 'scUSD',
-        chains: [146],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for PT-wstkscUSD (Rings staked scUSD). Verified on Euler Sonic.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://outposts.io/article/pendle-principal-tokens-now-available-as-collateral-on-euler
-    'wstkscETH': {
-        platform: 'Euler',
-        platforms: ['euler'],
-        ltv: 0.80,
-        borrowRate: 3.0,
-        borrowAsset: 'scETH',
-        chains: [146],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for PT-wstkscETH (Rings staked scETH). Verified on Euler Sonic.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
-        }
-    },
-    // Source: https://yielddev.io/deep-delta-neutral-fixed-pt-yield-on-sonic-with-euler
-    'stS': {
-        platform: 'Euler',
-        platforms: ['euler'],
-        ltv: 0.915,
-        borrowRate: 4.0,
-        borrowAsset: 'S',
-        chains: [146],
-        oracle: {
-            type: 'PT-TWAP',
-            provider: 'Pendle',
-            description: 'Uses Pendle PT oracle for PT-stS (Beets staked Sonic). Verified on Euler Sonic.',
-            stability: 'high',
-            hardcoded: false,
-            twapWindow: '30 min',
-            riskLevel: 'low'
+let KNOWN_PT_LENDING_PAIRS = {};
+
+// Registry entries whose lastVerified is older than this get a warning (the API sends its own value)
+let registryStaleDays = 90;
+
+// Load the lending pair and watermark event registries
+// Only from /api/registry, which validates them against registry/schema.json - an unchecked
+// copy could feed bad LTVs into the loop math, so without the API these features stay off
+async function loadRegistries() {
+    const cacheKey = CACHE_CONFIG.registry.key;
+    let registry = storage.get(cacheKey);
+
+    if (!registry) {
+        try {
+            const response = await fetch('/api/registry');
+            if (response.ok) {
+                const data = await response.json();
+                registry = {
+                    staleAfterDays: data.staleAfterDays,
+                    lendingPairs: data.registries['lending-pairs'],
+                    watermarkEvents: data.registries['watermark-events']
+                };
+            }
+        } catch (e) {
+            console.log('Registry API failed:', e.message);
         }
-    },
-    // ===== BERACHAIN (VERIFIED) =====
-    // Source: https://infrared.finance/blog/ibgt-and-ibera-live-on-pendle
-    'iBGT': {
-        platform: 'Dolomite',
-        platforms: [],
-        ltv: 0.75,
-        borrowRate: 8.0,
-        borrowAsset: 'HONEY',
-        chains: [9745],
-        oracle: {
-            type: 'Custom',
-            provider: 'Infrared',
-            description: 'Uses Infrared oracle for PT-iBGT. Verified on Pendle Berachain.',
-            stability: 'medium',
-            hardcoded: false,
-            twapWindow: 'N/A',
-            riskLevel: 'medium'
+
+        if (!registry) {
+            console.error('Registries unavailable - loop and watermark event data disabled');
+            return false;
         }
-    },
-};
+        storage.set(cacheKey, registry, CACHE_CONFIG.registry.ttl);
+    }
+
+    KNOWN_PT_LENDING_PAIRS = registry.lendingPairs.pairs || {};
+    KNOWN_WATERMARK_EVENTS = registry.watermarkEvents.events || [];
+    registryStaleDays = registry.staleAfterDays || registryStaleDays;
+    return true;
+}
+
+// Days since a registry entry was last verified, or null if it's within the threshold
+function getRegistryStaleness(entry) {
+    if (!entry?.lastVerified) return null;
+    const ageDays = Math.floor((Date.now() - new Date(entry.lastVerified).getTime()) / (1000 * 60 * 60 * 24));
+    return ageDays > registryStaleDays ? ageDays : null;
+}
 
 // Oracle stability ratings explanation
 const ORACLE_STABILITY_INFO = {
@@ -388,24 +585,28 @@ const ORACLE_STABILITY_INFO = {
 };
 
 // Calculate loop strategy metrics
-function calculateLoopMetrics(ptFixedApy, ltv, borrowRate) {
+// `leverage` overrides the default of 90% of max (clamped below max)
+function calculateLoopMetrics(ptFixedApy, ltv, borrowRate, leverage = null) {
     // Max leverage = 1 / (1 - LTV)
     const maxLeverage = 1 / (1 - ltv);
     // Safe leverage = 90% of max to avoid liquidation
     const safeLeverage = 1 + (maxLeverage - 1) * 0.9;
+    const loopLeverage = leverage ? Math.min(Math.max(leverage, 1), maxLeverage * 0.99) : safeLeverage;
 
     // Effective APY = (PT_Fixed_APY × leverage) - (Borrow_Rate × (leverage - 1))
-    const effectiveApy = (ptFixedApy * safeLeverage) - (borrowRate * (safeLeverage - 1));
+    const effectiveApy = (ptFixedApy * loopLeverage) - (borrowRate * (loopLeverage - 1));
 
     // APY boost vs regular PT
     const apyBoost = effectiveApy - ptFixedApy;
 
-    // Liquidation buffer (how much PT can drop before liquidation)
-    const liquidationBuffer = (1 - ltv) * 100;
+    // Liquidation buffer (how much PT can drop before liquidation at this leverage)
+    // Debt / collateral = (L - 1) / L, liquidated once that exceeds the LTV
+    const liquidationBuffer = (1 - (loopLeverage - 1) / (loopLeverage * ltv)) * 100;
 
     return {
         maxLeverage,
         safeLeverage,
+        leverage: loopLeverage,
         effectiveApy,
         apyBoost,
         liquidationBuffer,
@@ -416,8 +617,6 @@ function calculateLoopMetrics(ptFixedApy, ltv, borrowRate) {
 
 // Find loop opportunity for a market using verified PT lending pairs
 function findLoopOpportunity(market, chainId) {
-    const marketName = (market.name || market.proName || '').toUpperCase();
-
     // Get PT fixed APY
     const ptFixedApy = calculateFixedAPY(market.ptPrice, market.days);
 
@@ -425,36 +624,276 @@ function findLoopOpportunity(market, chainId) {
     if (ptFixedApy < 3) return null;
 
     // Check known verified PT lending pairs
-    for (const [assetName, pairData] of Object.entries(KNOWN_PT_LENDING_PAIRS)) {
-        if (marketName.includes(assetName.toUpperCase()) && pairData.chains.includes(chainId)) {
-            const metrics = calculateLoopMetrics(ptFixedApy, pairData.ltv, pairData.borrowRate);
+    const resolved = resolveLendingListings(market, chainId);
+    if (!resolved) return null;
+    const { assetName, pairData, listings, matchedBy } = resolved;
+
+    // Candidate terms: live on-chain quotes, else the listings' own values, else the pair defaults
+    const live = getCachedLendingRates(market, chainId);
+    const candidates = live?.quotes.length > 0
+        ? live.quotes
+        : listings.length > 0
+            ? listings.map(listing => ({
+                platform: LENDING_RATE_ADAPTERS[listing.platform]?.platform || listing.platform,
+                ltv: listing.ltv ?? pairData.ltv,
+                borrowRate: listing.borrowRate ?? pairData.borrowRate,
+                maturity: listing.maturity
+            }))
+            : [{ platform: pairData.platform, ltv: pairData.ltv, borrowRate: pairData.borrowRate }];
 
-            // Only return if APY boost is meaningful (>= 1.5%)
-            if (metrics.apyBoost >= 1.5) {
-                return {
-                    platform: pairData.platform,
-                    collateralSymbol: `PT-${assetName}`,
-                    borrowSymbol: pairData.borrowAsset,
-                    ...metrics,
-                    isKnownPair: true
-                };
+    // Best terms across platforms
+    const best = candidates.reduce((top, candidate) => (
+        !top || calculateLoopMetrics(ptFixedApy, candidate.ltv, candidate.borrowRate).effectiveApy > calculateLoopMetrics(ptFixedApy, top.ltv, top.borrowRate).effectiveApy ? candidate : top
+    ), null);
+    const metrics = calculateLoopMetrics(ptFixedApy, best.ltv, best.borrowRate);
+
+    // Only return if APY boost is meaningful (>= 1.5%)
+    if (metrics.apyBoost < 1.5) return null;
+
+    return {
+        platform: best.platform,
+        collateralSymbol: `PT-${assetName}`,
+        borrowSymbol: pairData.borrowAsset,
+        ...metrics,
+        isKnownPair: true,
+        matchedBy,
+        maturity: best.maturity || null,
+        stale: !(live?.quotes.length > 0),
+        ratesUpdatedAt: live?.quotes.length > 0 ? live.timestamp : null
+    };
+}
+
+// Resolve a market to its lending pair and exact collateral listings on a chain
+// Maturity-specific listings match on PT address; without one, the exact underlying symbol
+// (or an alias) selects the pair defaults. Names are never substring-matched
+function resolveLendingListings(market, chainId) {
+    const pt = parseTokenAddress(market.pt)?.toLowerCase();
+    const entries = Object.entries(KNOWN_PT_LENDING_PAIRS).filter(([, pairData]) => pairData.chains.includes(chainId));
+
+    if (pt) {
+        for (const [assetName, pairData] of entries) {
+            const listings = (pairData.listings || []).filter(listing => listing.chainId === chainId && listing.pt.toLowerCase() === pt);
+            if (listings.length > 0) return { assetName, pairData, listings, matchedBy: 'address' };
+        }
+    }
+
+    const symbols = [market.name, market.proName].filter(Boolean).map(name => name.toUpperCase());
+    const match = entries.find(([assetName, pairData]) =>
+        [assetName, ...(pairData.aliases || [])].some(name => symbols.includes(name.toUpperCase())));
+    if (!match) return null;
+
+    // Once maturities are listed individually on this chain, an unlisted PT isn't accepted
+    if ((match[1].listings || []).some(listing => listing.chainId === chainId)) return null;
+
+    return { assetName: match[0], pairData: match[1], listings: [], matchedBy: 'asset' };
+}
+
+// Morpho Blue market ids that take a PT as collateral and lend borrowSymbol
+// Only ids come from the API; LLTV and rates are read on-chain like registry listings
+async function findMorphoMarkets(chainId, pt, borrowSymbol) {
+    try {
+        const response = await fetch(MORPHO_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                query: `query($chainId: Int!, $pt: String!) {
+                    markets(first: 20, where: { chainId_in: [$chainId], collateralAssetAddress_in: [$pt] }) {
+                        items { uniqueKey loanAsset { symbol } }
+                    }
+                }`,
+                variables: { chainId, pt }
+            })
+        });
+        if (!response.ok) return [];
+
+        const data = await response.json();
+        return (data.data?.markets?.items || [])
+            .filter(item => item.loanAsset?.symbol === borrowSymbol)
+            .map(item => item.uniqueKey);
+    } catch (e) {
+        console.log('Morpho market lookup failed:', e.message);
+        return [];
+    }
+}
+
+// Convert a per-second rate to an APY in percent (Morpho, Euler and Aave compound per second)
+function perSecondRateToApy(ratePerSecond) {
+    return (Math.exp(ratePerSecond * 365 * 24 * 60 * 60) - 1) * 100;
+}
+
+// Lending rate adapters: read a PT's collateral parameters and the borrow APY on-chain
+// `listing` is the registry listing being read ({ platform } alone when there is none)
+// Each returns { ltv, lltv, borrowRate } (fractions / percent) or null if the PT isn't listed
+const LENDING_RATE_ADAPTERS = {
+    aave: {
+        platform: 'Aave V3',
+        async read(provider, { chainId, pt, borrowSymbol }) {
+            const providerAddress = LENDING_DEPLOYMENTS.aave[chainId];
+            const borrowToken = LENDING_BORROW_TOKENS[chainId]?.[borrowSymbol];
+            if (!providerAddress || !borrowToken) return null;
+
+            const addressesProvider = new ethers.Contract(providerAddress, AAVE_ADDRESSES_PROVIDER_ABI, provider);
+            const dataProvider = new ethers.Contract(await addressesProvider.getPoolDataProvider(), AAVE_DATA_PROVIDER_ABI, provider);
+
+            const config = await dataProvider.getReserveConfigurationData(pt);
+            if (!config.isActive || config.isFrozen) return null;
+            let ltv = config.ltv.toNumber() / 10000;
+            let lltv = config.liquidationThreshold.toNumber() / 10000;
+
+            // PTs are usually only borrowable against inside their E-Mode category
+            if (ltv === 0) {
+                const category = (await dataProvider.getReserveEModeCategory(pt)).toNumber();
+                if (!category) return null;
+                const pool = new ethers.Contract(await addressesProvider.getPool(), AAVE_POOL_ABI, provider);
+                const emode = await pool.getEModeCategoryCollateralConfig(category);
+                ltv = emode.ltv / 10000;
+                lltv = emode.liquidationThreshold / 10000;
+            }
+            if (ltv === 0) return null;
+
+            // variableBorrowRate is a per-year rate in ray (1e27)
+            const reserve = await dataProvider.getReserveData(borrowToken);
+            const borrowApr = parseFloat(ethers.utils.formatUnits(reserve.variableBorrowRate, 27));
+            return { ltv, lltv, borrowRate: perSecondRateToApy(borrowApr / (365 * 24 * 60 * 60)) };
+        }
+    },
+    morpho: {
+        platform: 'Morpho Blue',
+        async read(provider, { chainId, pt, borrowSymbol, listing }) {
+            const morphoAddress = LENDING_DEPLOYMENTS.morpho[chainId];
+            if (!morphoAddress) return null;
+            const marketIds = listing.morphoMarketId ? [listing.morphoMarketId] : await findMorphoMarkets(chainId, pt, borrowSymbol);
+
+            const morpho = new ethers.Contract(morphoAddress, MORPHO_BLUE_ABI, provider);
+            let best = null;
+            for (const marketId of marketIds) {
+                const [params, state] = await Promise.all([morpho.idToMarketParams(marketId), morpho.market(marketId)]);
+                if (params.collateralToken.toLowerCase() !== pt.toLowerCase()) continue;
+
+                // Morpho has a single LLTV, which is also the borrow limit
+                const lltv = parseFloat(ethers.utils.formatUnits(params.lltv, 18));
+                const irm = new ethers.Contract(params.irm, MORPHO_IRM_ABI, provider);
+                const ratePerSecond = await irm.borrowRateView(params, state);
+                const quote = { ltv: lltv, lltv, borrowRate: perSecondRateToApy(parseFloat(ethers.utils.formatUnits(ratePerSecond, 18))) };
+
+                // Several markets can share a PT: keep the highest LLTV, then the cheapest borrow
+                if (!best || quote.ltv > best.ltv || (quote.ltv === best.ltv && quote.borrowRate < best.borrowRate)) best = quote;
             }
+            return best;
+        }
+    },
+    euler: {
+        platform: 'Euler',
+        async read(provider, { listing }) {
+            if (!listing.collateralVault || !listing.borrowVault) return null;
+
+            const borrowVault = new ethers.Contract(listing.borrowVault, EULER_VAULT_ABI, provider);
+            const [borrowLtv, liquidationLtv, ratePerSecond] = await Promise.all([
+                borrowVault.LTVBorrow(listing.collateralVault),
+                borrowVault.LTVLiquidation(listing.collateralVault),
+                borrowVault.interestRate()
+            ]);
+            if (borrowLtv === 0) return null;
+
+            // interestRate() is per second in ray (1e27)
+            return { ltv: borrowLtv / 10000, lltv: liquidationLtv / 10000, borrowRate: perSecondRateToApy(parseFloat(ethers.utils.formatUnits(ratePerSecond, 27))) };
         }
     }
+};
 
-    return null;
+// Cached on-chain lending rates for a market's PT ({ quotes, timestamp } or null)
+function getCachedLendingRates(market, chainId) {
+    const pt = parseTokenAddress(market.pt);
+    if (!pt) return null;
+    const cacheKey = `${chainId}-${pt.toLowerCase()}`;
+
+    if (lendingRateCache.has(cacheKey)) return lendingRateCache.get(cacheKey);
+    const stored = storage.get(`${CACHE_CONFIG.lending.key}_${cacheKey}`);
+    if (stored) lendingRateCache.set(cacheKey, stored);
+    return stored;
+}
+
+// Read live LTVs and borrow APYs for a market's PT from every protocol that lists it
+// rpcUrl can point at a local JSON-RPC stub instead of the chain's managed endpoints
+async function fetchLendingRates(market, chainId, { rpcUrl = null, forceRefresh = false } = {}) {
+    const pt = parseTokenAddress(market.pt);
+    const provider = rpcUrl && typeof ethers !== 'undefined'
+        ? new ethers.providers.StaticJsonRpcProvider(rpcUrl, chainId)
+        : rpcManager.getProvider(chainId);
+    if (!pt || !provider) return null;
+
+    const cacheKey = `${chainId}-${pt.toLowerCase()}`;
+    const cached = lendingRateCache.get(cacheKey);
+    if (!forceRefresh && cached && Date.now() - cached.timestamp < CACHE_CONFIG.lending.ttl) {
+        return cached;
+    }
+
+    const resolved = resolveLendingListings(market, chainId);
+    if (!resolved) return null;
+    const { pairData, listings } = resolved;
+
+    // Exact listings, plus the asset's other platforms for this PT (Aave finds PTs by address, Morpho through its API)
+    const targets = [
+        ...listings,
+        ...pairData.platforms
+            .filter(platform => !listings.some(listing => listing.platform === platform))
+            .map(platform => ({ platform }))
+    ];
+
+    const quotes = [];
+    for (const listing of targets) {
+        const adapter = LENDING_RATE_ADAPTERS[listing.platform];
+        if (!adapter) continue;
+        const borrowSymbol = (listing.borrowAsset || pairData.borrowAsset).split('/')[0];
+        try {
+            const rates = await adapter.read(provider, { chainId, pt, borrowSymbol, listing });
+            if (rates) quotes.push({ protocol: listing.platform, platform: adapter.platform, maturity: listing.maturity || null, ...rates });
+        } catch (e) {
+            console.log(`${adapter.platform} rate read failed for ${market.name}:`, e.message);
+        }
+    }
+
+    // Keep serving the last good quotes if every protocol failed this time
+    if (quotes.length === 0) return getCachedLendingRates(market, chainId);
+
+    const result = { quotes, timestamp: Date.now() };
+    lendingRateCache.set(cacheKey, result);
+    storage.set(`${CACHE_CONFIG.lending.key}_${cacheKey}`, result, CACHE_CONFIG.lending.ttl);
+    return result;
 }
 
-// Get loop platforms for a market
-function getLoopPlatforms(market) {
-    const marketName = (market.name || market.proName || '').toUpperCase();
+// Refresh lending rates for loop markets in the background, then re-price their loops
+async function refreshLoopRates(marketsToCheck, chainId) {
+    chainId = parseInt(chainId);
+    let updated = false;
 
-    for (const [assetName, pairData] of Object.entries(KNOWN_PT_LENDING_PAIRS)) {
-        if (marketName.includes(assetName.toUpperCase())) {
-            return pairData.platforms || [];
+    for (const market of marketsToCheck) {
+        // Live rates can make a loop worthwhile even where the static table doesn't
+        if (market.isExpired || !resolveLendingListings(market, chainId)) continue;
+
+        const rates = await fetchLendingRates(market, chainId);
+        if (rates) {
+            market.loopOpportunity = findLoopOpportunity(market, chainId);
+            updated = true;
         }
     }
-    return [];
+
+    if (!updated) return;
+    renderMarkets();
+    if (selectedMarket && marketsToCheck.includes(selectedMarket) && positionType === 'loop') {
+        updateCalculator();
+    }
+}
+
+// Get loop platforms for a market (those with live quotes first, else the listings or pair defaults)
+function getLoopPlatforms(market, chainId) {
+    const resolved = resolveLendingListings(market, parseInt(chainId));
+    if (!resolved) return [];
+    const live = getCachedLendingRates(market, parseInt(chainId));
+    if (live?.quotes.length > 0) return [...new Set(live.quotes.map(quote => quote.protocol))];
+    return resolved.listings.length > 0
+        ? [...new Set(resolved.listings.map(listing => listing.platform))]
+        : resolved.pairData.platforms || [];
 }
 
 // Analyze historical data for potential watermark breaches
@@ -555,8 +994,8 @@ async function fetchOnChainWatermark(market, chainId) {
     }
 
     try {
-        const rpcUrl = RPC_ENDPOINTS[chainId];
-        if (!rpcUrl || typeof ethers === 'undefined') {
+        const provider = rpcManager.getProvider(chainId);
+        if (!provider) {
             return null;
         }
 
@@ -572,8 +1011,6 @@ async function fetchOnChainWatermark(market, chainId) {
 
         if (!ytAddress || !syAddress) return null;
 
-        const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-
         // Query YT for pyIndexStored
         const ytContract = new ethers.Contract(ytAddress, YT_ABI, provider);
         const pyIndexStored = await ytContract.pyIndexStored();
@@ -606,33 +1043,316 @@ async function fetchOnChainWatermark(market, chainId) {
     }
 }
 
-// State
-let markets = [];
-let selectedMarket = null;
-let comparisonChart = null;
-let legendFilters = { pt: true, yt: true, lp: true, loop: true, neutral: true, watermark: true };
-let sortDirection = 'desc'; // 'desc' or 'asc'
-let currentSortColumn = 'underlyingApy';
+// Fetch sampled exchangeRate / pyIndexStored history (written daily by /api/cron/watermarks)
+// Returns null when the API is unavailable or the market hasn't been sampled yet
+async function fetchWatermarkHistory(market, chainId) {
+    const cacheKey = `${CACHE_CONFIG.watermark.key}_${chainId}-${market.address}`;
+    const cached = storage.get(cacheKey);
+    if (cached) return cached;
 
-// Utility functions
-function formatNumber(num, decimals = 2) {
-    return num.toLocaleString('en-US', {
-        minimumFractionDigits: decimals,
-        maximumFractionDigits: decimals
-    });
-}
+    try {
+        const response = await fetch(`/api/watermark-history?chainId=${chainId}&address=${market.address}`);
+        if (!response.ok) return null;
 
-function formatCurrency(num) {
-    if (Math.abs(num) >= 1000000) {
-        return '$' + formatNumber(num / 1000000, 2) + 'M';
-    } else if (Math.abs(num) >= 1000) {
-        return '$' + formatNumber(num / 1000, 2) + 'K';
+        const history = await response.json();
+        if (!history.samples || history.samples.length < 2) return null;
+
+        storage.set(cacheKey, history, CACHE_CONFIG.watermark.ttl);
+        return history;
+    } catch (e) {
+        console.log(`Watermark history fetch failed for ${market.name}:`, e.message);
+        return null;
     }
-    return '$' + formatNumber(num);
 }
 
-function formatPercent(num) {
-    return formatNumber(num, 2) + '%';
+// Pendle v2 AMM (MarketMathCore) constants
+const AMM_MAX_PROPORTION = 0.96;
+const AMM_STATE_TTL = 60 * 1000; // Re-read pool state after a minute
+// Used only when the pool can't be read on-chain (scalarRoot isn't in the API payload)
+const AMM_ESTIMATED_SCALAR_ROOT = 10;
+const AMM_ESTIMATED_FEE_RATE = 0.001;
+
+// Cache for AMM pool state
+const poolStateCache = new Map();
+
+// Extract an address from Pendle's "chainId-address" identifiers
+function parseTokenAddress(token) {
+    const value = typeof token === 'string' ? token : token?.address;
+    if (typeof value !== 'string') return null;
+    return value.includes('-') ? value.split('-')[1] : value;
+}
+
+// Build the AMM curve for a pool: rate scalar and fee from time to expiry,
+// rate anchor so the current proportion trades at the last implied rate
+// Amounts are token units; syIndex converts SY to the accounting asset
+function buildAmmState({ totalPt, totalSy, syIndex, scalarRoot, lnFeeRateRoot, lastLnImpliedRate, expiry, source }) {
+    const yearFraction = (expiry * 1000 - Date.now()) / (365 * 24 * 60 * 60 * 1000);
+    const totalAsset = totalSy * syIndex;
+    if (yearFraction <= 0 || !(totalPt > 0) || !(totalAsset > 0)) return null;
+
+    const rateScalar = scalarRoot / yearFraction;
+    const proportion = totalPt / (totalPt + totalAsset);
+    const rateAnchor = Math.exp(lastLnImpliedRate * yearFraction) - Math.log(proportion / (1 - proportion)) / rateScalar;
+
+    return {
+        totalPt,
+        totalAsset,
+        syIndex,
+        scalarRoot,
+        lnFeeRateRoot,
+        rateScalar,
+        rateAnchor,
+        feeRate: Math.exp(lnFeeRateRoot * yearFraction),
+        yearFraction,
+        impliedApy: (Math.exp(lastLnImpliedRate) - 1) * 100,
+        source
+    };
+}
+
+// PT-to-asset exchange rate after netPtToAccount PT leave the pool (null past the curve's limits)
+function ammExchangeRate(state, netPtToAccount) {
+    const proportion = (state.totalPt - netPtToAccount) / (state.totalPt + state.totalAsset);
+    if (proportion <= 0 || proportion > AMM_MAX_PROPORTION) return null;
+
+    const rate = Math.log(proportion / (1 - proportion)) / state.rateScalar + state.rateAnchor;
+    return rate >= 1 ? rate : null;
+}
+
+// Net asset to the trader for a PT swap (negative = paid), after fees (null if the trade can't fill)
+function ammSwapAsset(state, netPtToAccount) {
+    const rate = ammExchangeRate(state, netPtToAccount);
+    if (!rate) return null;
+    if (netPtToAccount > 0 && rate / state.feeRate < 1) return null;
+
+    const preFeeAsset = -netPtToAccount / rate;
+    const fee = netPtToAccount > 0
+        ? preFeeAsset * (1 - state.feeRate)
+        : -(preFeeAsset * (1 - state.feeRate)) / state.feeRate;
+    return preFeeAsset - fee;
+}
+
+// Largest x in [low, high] for which fits(x) holds (fits must be monotonic)
+function bisect(fits, low, high, iterations = 60) {
+    for (let i = 0; i < iterations; i++) {
+        const mid = (low + high) / 2;
+        if (fits(mid)) low = mid;
+        else high = mid;
+    }
+    return low;
+}
+
+// Execution of spending `assetIn` on PT and on YT against the AMM curve
+// YT is bought the way the router does it: mint PT+YT and sell the PT back into the pool
+function simulateAmmTrade(state, assetIn, days) {
+    const spotRate = ammExchangeRate(state, 0);
+    if (!spotRate || !(assetIn > 0)) return null;
+    const spotPtPrice = 1 / spotRate;
+    const spotYtPrice = 1 - spotPtPrice;
+
+    // PT: the most PT that costs no more than assetIn
+    const ptLimit = state.totalPt * 0.999;
+    const ptCost = (netPt) => {
+        const asset = ammSwapAsset(state, netPt);
+        return asset === null ? Infinity : -asset;
+    };
+    const ptOut = bisect(netPt => ptCost(netPt) <= assetIn, 0, ptLimit);
+    const ptFilled = ptCost(ptOut);
+    const pt = ptOut > 0 ? {
+        amountOut: ptOut,
+        filled: ptFilled >= assetIn * 0.999,
+        executionPrice: ptFilled / ptOut,
+        priceImpact: (ptFilled / ptOut / spotPtPrice - 1) * 100,
+        effectiveApy: calculateFixedAPY(ptFilled / ptOut, days)
+    } : null;
+
+    // YT: mint y PT+YT from assetIn plus the proceeds of selling y PT
+    const sellProceeds = (amount) => ammSwapAsset(state, -amount);
+    const ytOut = bisect(amount => {
+        const proceeds = sellProceeds(amount);
+        return proceeds !== null && proceeds + assetIn >= amount;
+    }, assetIn, assetIn / Math.max(spotYtPrice, 1e-6));
+    const ytPrice = assetIn / ytOut;
+    const yt = ytOut > assetIn ? {
+        amountOut: ytOut,
+        // Stopped by the curve's limits rather than by the budget
+        filled: sellProceeds(ytOut * 1.0001) !== null,
+        executionPrice: ytPrice,
+        priceImpact: (ytPrice / spotYtPrice - 1) * 100,
+        effectiveApy: calculateImpliedAPY(ytPrice, 1 - ytPrice, days)
+    } : null;
+
+    return { spotPtPrice, spotYtPrice, pt, yt };
+}
+
+// Spot value of the whole pool in the accounting asset
+function ammPoolValue(state) {
+    const rate = ammExchangeRate(state, 0);
+    return rate ? state.totalAsset + state.totalPt / rate : null;
+}
+
+// Implied APY quoted by the pool at its current proportion
+function ammImpliedApy(state) {
+    const rate = ammExchangeRate(state, 0);
+    return rate ? (Math.pow(rate, 1 / state.yearFraction) - 1) * 100 : null;
+}
+
+// The pool after `days` pass without trades: the implied rate is kept and the curve
+// re-anchors for the shorter term (as the market does on its next trade)
+function advanceAmmState(state, days) {
+    const yearFraction = state.yearFraction - days / 365;
+    if (yearFraction <= 0) return null;
+
+    const rateScalar = state.scalarRoot / yearFraction;
+    const proportion = state.totalPt / (state.totalPt + state.totalAsset);
+    return {
+        ...state,
+        yearFraction,
+        rateScalar,
+        rateAnchor: Math.pow(1 + state.impliedApy / 100, yearFraction) - Math.log(proportion / (1 - proportion)) / rateScalar,
+        feeRate: Math.exp(state.lnFeeRateRoot * yearFraction)
+    };
+}
+
+// Arbitrage the pool to a new implied APY with many small fee-free trades
+// Returns the new pool (null if the curve can't quote that rate)
+function moveAmmToImplied(state, impliedApy, steps = 50) {
+    const startRate = ammExchangeRate(state, 0);
+    const targetRate = Math.pow(1 + impliedApy / 100, state.yearFraction);
+    if (!startRate || targetRate < 1) return null;
+
+    const pool = { ...state };
+    // Ramp toward the target, then settle on it (each trade shifts the pool's total)
+    for (let step = 1; step <= steps * 1.5; step++) {
+        const rate = startRate + (targetRate - startRate) * Math.min(1, step / steps);
+        const proportion = 1 / (1 + Math.exp(-(rate - pool.rateAnchor) * pool.rateScalar));
+        if (proportion > AMM_MAX_PROPORTION) return null;
+
+        const ptOut = pool.totalPt - proportion * (pool.totalPt + pool.totalAsset);
+        pool.totalPt -= ptOut;
+        pool.totalAsset += ptOut / rate;
+        if (pool.totalPt <= 0 || pool.totalAsset <= 0) return null;
+    }
+    pool.impliedApy = ammImpliedApy(pool);
+    return pool;
+}
+
+// LP outcome after `days` and a move to `impliedApy`, per unit of pool value today
+// Compared with holding the PT and SY the LP started with (swap fees and SY yield excluded)
+function simulateLpScenario(state, { days = 0, impliedApy }) {
+    const initialValue = ammPoolValue(state);
+    const aged = days > 0 ? advanceAmmState(state, days) : state;
+    const moved = aged && moveAmmToImplied(aged, impliedApy);
+    if (!initialValue || !moved) return null;
+
+    const ptPrice = 1 / ammExchangeRate(moved, 0);
+    const poolValue = ammPoolValue(moved);
+    const lpValue = poolValue / initialValue;
+    const holdValue = (state.totalPt * ptPrice + state.totalAsset) / initialValue;
+
+    return {
+        impliedApy: moved.impliedApy,
+        ptPrice,
+        ptShare: moved.totalPt * ptPrice / poolValue * 100,
+        lpValue,
+        holdValue,
+        impermanentLoss: (lpValue / holdValue - 1) * 100
+    };
+}
+
+// Read pool state on-chain (exact), falling back to the latest history snapshot with
+// an estimated curve. Returns the AMM state plus the pool's USD value per asset unit
+async function fetchPoolState(market, chainId) {
+    const cacheKey = `${chainId}-${market.address}`;
+    const cached = poolStateCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < AMM_STATE_TTL) {
+        return cached.state;
+    }
+
+    let state = null;
+    const provider = rpcManager.getProvider(chainId);
+    if (provider) {
+        try {
+            const marketContract = new ethers.Contract(market.address, MARKET_ABI, provider);
+            const [marketState, watermark] = await Promise.all([
+                marketContract.readState(PENDLE_ROUTER),
+                fetchOnChainWatermark(market, chainId)
+            ]);
+            const fromWad = (value) => parseFloat(ethers.utils.formatUnits(value, 18));
+
+            state = buildAmmState({
+                totalPt: fromWad(marketState.totalPt),
+                totalSy: fromWad(marketState.totalSy),
+                // Pendle uses the higher of the SY rate and the stored PY index
+                syIndex: watermark ? Math.max(watermark.currentExchangeRate, watermark.pyIndexStored) : 1,
+                scalarRoot: fromWad(marketState.scalarRoot),
+                lnFeeRateRoot: fromWad(marketState.lnFeeRateRoot),
+                lastLnImpliedRate: fromWad(marketState.lastLnImpliedRate),
+                expiry: marketState.expiry.toNumber(),
+                source: 'on-chain'
+            });
+        } catch (e) {
+            console.log(`Pool state read failed for ${market.name}:`, e.message);
+        }
+    }
+
+    if (!state) {
+        // History snapshots carry pool balances; the curve shape has to be assumed
+        const history = await fetchHistoricalData(market.address, chainId).catch(() => null);
+        const latest = history?.rawData?.filter(p => p.totalPt > 0 && p.totalSy > 0).pop();
+        if (latest) {
+            state = buildAmmState({
+                totalPt: latest.totalPt,
+                totalSy: latest.totalSy,
+                syIndex: 1,
+                scalarRoot: AMM_ESTIMATED_SCALAR_ROOT,
+                lnFeeRateRoot: Math.log(1 + (market.details?.feeRate || AMM_ESTIMATED_FEE_RATE)),
+                lastLnImpliedRate: Math.log(1 + market.impliedApyPercent / 100),
+                expiry: new Date(market.expiry).getTime() / 1000,
+                source: 'estimated'
+            });
+        }
+    }
+
+    if (state) {
+        // Value the pool in the accounting asset to turn USD sizes into token units
+        const spotRate = ammExchangeRate(state, 0);
+        const poolValue = state.totalAsset + (spotRate ? state.totalPt / spotRate : 0);
+        state.poolValue = poolValue;
+        state.usdPerAsset = market.tvl > 0 && poolValue > 0 ? market.tvl / poolValue : null;
+    }
+
+    poolStateCache.set(cacheKey, { state, fetchedAt: Date.now() });
+    return state;
+}
+
+// State
+let markets = [];
+let selectedMarket = null;
+let comparisonChart = null;
+let legendFilters = { pt: true, yt: true, lp: true, loop: true, neutral: true, watermark: true };
+let sortDirection = 'desc'; // 'desc' or 'asc'
+let currentSortColumn = 'underlyingApy';
+let marketStatus = 'active'; // 'active' or 'matured'
+
+// Utility functions
+function formatNumber(num, decimals = 2) {
+    return num.toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+}
+
+function formatCurrency(num) {
+    if (Math.abs(num) >= 1000000) {
+        return '$' + formatNumber(num / 1000000, 2) + 'M';
+    } else if (Math.abs(num) >= 1000) {
+        return '$' + formatNumber(num / 1000, 2) + 'K';
+    }
+    return '$' + formatNumber(num);
+}
+
+function formatPercent(num) {
+    return formatNumber(num, 2) + '%';
 }
 
 function formatDate(dateStr) {
@@ -661,9 +1381,23 @@ function calculateImpliedAPY(ytPrice, ptPrice, daysToMaturity) {
     return (Math.pow(1 + ytPrice / ptPrice, exponent) - 1) * 100;
 }
 
-// Fetch historical yield data for a market
-async function fetchHistoricalData(marketAddress, chainId = 1) {
-    const cacheKey = `${chainId}-${marketAddress}`;
+// PT price for an implied APY over the remaining term (inverse of calculateFixedAPY)
+// The matching YT price is 1 - PT, which gives the same APY in calculateImpliedAPY
+function calculatePtPriceFromApy(impliedApy, daysToMaturity) {
+    if (daysToMaturity <= 0) return 1;
+    return 1 / Math.pow(1 + impliedApy / 100, daysToMaturity / 365);
+}
+
+// History time frames supported by /api/history
+const HISTORY_TIME_FRAMES = {
+    hour: { label: 'Hourly', pointsPerDay: 24, chartDays: 14, maWindow: 24, maLabel: '24H MA' },
+    day: { label: 'Daily', pointsPerDay: 1, chartDays: 90, maWindow: 7, maLabel: '7D MA' },
+    week: { label: 'Weekly', pointsPerDay: 1 / 7, chartDays: 3 * 365, maWindow: 4, maLabel: '4W MA' }
+};
+
+// Look up history in the memory cache, then localStorage
+function getCachedHistory(marketAddress, chainId, timeFrame) {
+    const cacheKey = `${chainId}-${marketAddress}-${timeFrame}`;
 
     // Check memory cache first
     if (historyCache.has(cacheKey)) {
@@ -671,19 +1405,125 @@ async function fetchHistoricalData(marketAddress, chainId = 1) {
     }
 
     // Check localStorage cache
-    const storageCacheKey = `${CACHE_CONFIG.history.key}_${cacheKey}`;
-    const cached = storage.get(storageCacheKey);
+    const cached = storage.get(`${CACHE_CONFIG.history.key}_${cacheKey}`);
     if (cached) {
         historyCache.set(cacheKey, cached);
         return cached;
     }
+    return null;
+}
+
+// Store history in both caches
+function setCachedHistory(marketAddress, chainId, timeFrame, history) {
+    const cacheKey = `${chainId}-${marketAddress}-${timeFrame}`;
+    historyCache.set(cacheKey, history);
+    storage.set(`${CACHE_CONFIG.history.key}_${cacheKey}`, history, CACHE_CONFIG.history.ttl);
+}
+
+// Build yield statistics from raw history points
+// `lifetime` keeps every point for charting instead of the time frame's window
+function buildHistory(results, chainId, timeFrame = 'day', { lifetime = false } = {}) {
+    const frame = HISTORY_TIME_FRAMES[timeFrame] || HISTORY_TIME_FRAMES.day;
+
+    // Stats windows are in days - convert to a point count for this time frame
+    const pointsFor = (days) => Math.max(1, Math.round(days * frame.pointsPerDay));
+
+    // Calculate statistics for the last 90 days
+    const last90Days = results.slice(-pointsFor(90));
+    const last30Days = results.slice(-pointsFor(30));
+    const last7Days = results.slice(-pointsFor(7));
+
+    const calcStats = (arr, field) => {
+        const values = arr.map(d => (d[field] || 0) * 100).filter(v => v > 0 && v < 1000);
+        if (values.length === 0) return null;
+        const avg = values.reduce((a, b) => a + b, 0) / values.length;
+        // Calculate standard deviation for volatility
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length;
+        const stdDev = Math.sqrt(variance);
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            avg,
+            stdDev,
+            current: values[values.length - 1],
+            values: values
+        };
+    };
+
+    return {
+        impliedApy: {
+            all: calcStats(results, 'impliedApy'),
+            last90d: calcStats(last90Days, 'impliedApy'),
+            last30d: calcStats(last30Days, 'impliedApy'),
+            last7d: calcStats(last7Days, 'impliedApy'),
+        },
+        underlyingApy: {
+            all: calcStats(results, 'underlyingApy'),
+            last90d: calcStats(last90Days, 'underlyingApy'),
+            last30d: calcStats(last30Days, 'underlyingApy'),
+            last7d: calcStats(last7Days, 'underlyingApy'),
+        },
+        dataPoints: results.length,
+        startDate: results[0]?.timestamp,
+        endDate: results[results.length - 1]?.timestamp,
+        rawData: lifetime ? results : results.slice(-pointsFor(frame.chartDays)), // Keep chart window for this time frame
+        chainId: chainId,
+        timeFrame,
+        lifetime
+    };
+}
+
+// Max markets per /api/history/batch request (matches the server limit)
+const HISTORY_BATCH_SIZE = 100;
+
+// Fill the history cache for many markets with /api/history/batch requests
+// Markets that are still missing afterwards fall back to fetchHistoricalData
+async function prefetchHistories(marketList, chainId = 1, timeFrame = 'day') {
+    const missing = marketList.filter(m => m?.address && !getCachedHistory(m.address, chainId, timeFrame));
+    if (missing.length === 0) return;
+
+    for (let i = 0; i < missing.length; i += HISTORY_BATCH_SIZE) {
+        const chunk = missing.slice(i, i + HISTORY_BATCH_SIZE);
+        try {
+            const response = await fetch('/api/history/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    timeFrame,
+                    markets: chunk.map(m => ({ chainId: parseInt(chainId), address: m.address }))
+                })
+            });
+            if (!response.ok) continue;
+
+            const data = await response.json();
+            for (const m of chunk) {
+                const entry = data.markets?.[`${parseInt(chainId)}-${m.address.toLowerCase()}`];
+                if (entry?.results?.length > 0) {
+                    setCachedHistory(m.address, chainId, timeFrame, buildHistory(entry.results, chainId, timeFrame));
+                }
+            }
+            console.log(`History batch: ${chunk.length} markets, ${data.refreshed} refreshed upstream`);
+        } catch (e) {
+            console.log('History batch failed, falling back to per-market requests');
+        }
+    }
+}
+
+// Fetch historical yield data for a market
+// `lifetime` requests every stored point (used for matured markets)
+async function fetchHistoricalData(marketAddress, chainId = 1, timeFrame = 'day', { lifetime = false } = {}) {
+    const cacheFrame = lifetime ? `${timeFrame}-lifetime` : timeFrame;
+    const cached = getCachedHistory(marketAddress, chainId, cacheFrame);
+    if (cached) {
+        return cached;
+    }
 
     try {
         let data = null;
 
         // Try our own API first (uses Vercel KV cache)
         try {
-            const ownApiUrl = `/api/history?chainId=${chainId}&address=${marketAddress}`;
+            const ownApiUrl = `/api/history?chainId=${chainId}&address=${marketAddress}&timeFrame=${timeFrame}${lifetime ? '&from=0' : ''}`;
             const response = await fetch(ownApiUrl);
             if (response.ok) {
                 data = await response.json();
@@ -697,29 +1537,14 @@ async function fetchHistoricalData(marketAddress, chainId = 1) {
 
         // Fallback to Pendle API directly
         if (!data?.results) {
-            const pendleUrl = `${API_BASE}/v2/${chainId}/markets/${marketAddress}/historical-data?time_frame=day`;
+            const pendleUrl = `${API_BASE}/v2/${chainId}/markets/${marketAddress}/historical-data?time_frame=${timeFrame}`;
             try {
                 const response = await fetch(pendleUrl);
                 if (response.ok) {
                     data = await response.json();
                 }
             } catch (e) {
-                console.log('Direct Pendle API failed, trying proxy...');
-            }
-
-            // Try CORS proxy if direct failed
-            if (!data?.results) {
-                for (const proxyFn of CORS_PROXIES) {
-                    try {
-                        const response = await fetch(proxyFn(pendleUrl));
-                        if (response.ok) {
-                            data = await response.json();
-                            if (data?.results) break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
+                console.log('Direct Pendle API failed:', e.message);
             }
         }
 
@@ -727,53 +1552,8 @@ async function fetchHistoricalData(marketAddress, chainId = 1) {
             return null;
         }
 
-        const results = data.results;
-
-        // Calculate statistics for the last 90 days
-        const last90Days = results.slice(-90);
-        const last30Days = results.slice(-30);
-        const last7Days = results.slice(-7);
-
-        const calcStats = (arr, field) => {
-            const values = arr.map(d => (d[field] || 0) * 100).filter(v => v > 0 && v < 1000);
-            if (values.length === 0) return null;
-            const avg = values.reduce((a, b) => a + b, 0) / values.length;
-            // Calculate standard deviation for volatility
-            const variance = values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length;
-            const stdDev = Math.sqrt(variance);
-            return {
-                min: Math.min(...values),
-                max: Math.max(...values),
-                avg,
-                stdDev,
-                current: values[values.length - 1],
-                values: values
-            };
-        };
-
-        const history = {
-            impliedApy: {
-                all: calcStats(results, 'impliedApy'),
-                last90d: calcStats(last90Days, 'impliedApy'),
-                last30d: calcStats(last30Days, 'impliedApy'),
-                last7d: calcStats(last7Days, 'impliedApy'),
-            },
-            underlyingApy: {
-                all: calcStats(results, 'underlyingApy'),
-                last90d: calcStats(last90Days, 'underlyingApy'),
-                last30d: calcStats(last30Days, 'underlyingApy'),
-                last7d: calcStats(last7Days, 'underlyingApy'),
-            },
-            dataPoints: results.length,
-            startDate: results[0]?.timestamp,
-            endDate: results[results.length - 1]?.timestamp,
-            rawData: results.slice(-90), // Keep last 90 days for charting
-            chainId: chainId
-        };
-
-        historyCache.set(cacheKey, history);
-        // Save to localStorage
-        storage.set(storageCacheKey, history, CACHE_CONFIG.history.ttl);
+        const history = buildHistory(data.results, chainId, timeFrame, { lifetime });
+        setCachedHistory(marketAddress, chainId, cacheFrame, history);
         return history;
     } catch (e) {
         console.error('Failed to fetch historical data:', e);
@@ -781,6 +1561,17 @@ async function fetchHistoricalData(marketAddress, chainId = 1) {
     }
 }
 
+// History for the analysis tab: live daily data is harmonized across maturities,
+// matured markets use their own full-lifetime history
+async function fetchMarketHistory(market, chainId = 1, timeFrame = 'day') {
+    if (market.isExpired) {
+        return fetchHistoricalData(market.address, chainId, timeFrame, { lifetime: true });
+    }
+    return timeFrame === 'day'
+        ? fetchHarmonizedHistoricalData(market, chainId)
+        : fetchHistoricalData(market.address, chainId, timeFrame);
+}
+
 // Find all markets with the same underlying asset (same SY token)
 function findRelatedMarkets(market, chainId) {
     if (!market?.sy?.address) return [market];
@@ -804,7 +1595,8 @@ async function fetchHarmonizedHistoricalData(market, chainId = 1) {
         return fetchHistoricalData(market.address, chainId);
     }
 
-    const cacheKey = `harmonized-${chainId}-${syAddress}`;
+    // Matured and live maturities of the same SY are separate lists
+    const cacheKey = `harmonized-${chainId}-${syAddress}${market.isExpired ? '-matured' : ''}`;
 
     // Check memory cache first
     if (harmonizedHistoryCache.has(cacheKey)) {
@@ -825,9 +1617,13 @@ async function fetchHarmonizedHistoricalData(market, chainId = 1) {
         const relatedMarkets = findRelatedMarkets(market, chainId);
         console.log(`Found ${relatedMarkets.length} related markets for ${market.pt?.proName || market.name}`);
 
-        // Fetch historical data from all related markets in parallel
+        // Load all related markets with one batch request, then fill any gaps individually
+        // (matured markets need their full lifetime, which the batch route doesn't default to)
+        if (!market.isExpired) {
+            await prefetchHistories(relatedMarkets, chainId);
+        }
         const historyPromises = relatedMarkets.map(m =>
-            fetchHistoricalData(m.address, chainId).catch(() => null)
+            fetchHistoricalData(m.address, chainId, 'day', { lifetime: !!m.isExpired }).catch(() => null)
         );
         const histories = await Promise.all(historyPromises);
 
@@ -835,9 +1631,21 @@ async function fetchHarmonizedHistoricalData(market, chainId = 1) {
         const underlyingByDate = new Map();
         const impliedByDate = new Map(); // Only for current market
 
+        // Implied APY series of every maturity (for strategy backtests that roll between them)
+        const maturities = [];
+
         histories.forEach((history, idx) => {
             if (!history?.rawData) return;
 
+            maturities.push({
+                address: relatedMarkets[idx].address,
+                name: relatedMarkets[idx].pt?.proName || relatedMarkets[idx].name,
+                expiry: relatedMarkets[idx].expiry,
+                points: history.rawData
+                    .filter(p => p.timestamp && Number.isFinite(p.impliedApy))
+                    .map(p => ({ timestamp: p.timestamp, impliedApy: p.impliedApy }))
+            });
+
             history.rawData.forEach(dataPoint => {
                 const dateKey = dataPoint.timestamp?.split('T')[0]; // Use date only
                 if (!dateKey) return;
@@ -914,12 +1722,14 @@ async function fetchHarmonizedHistoricalData(market, chainId = 1) {
             endDate: mergedRawData[mergedRawData.length - 1]?.timestamp,
             rawData: mergedRawData.slice(-180), // Keep last 180 days for extended charting
             chainId: chainId,
+            timeFrame: 'day',
             isHarmonized: true,
             relatedMarkets: relatedMarkets.map(m => ({
                 name: m.pt?.proName || m.name,
                 expiry: m.expiry,
                 address: m.address
-            }))
+            })),
+            maturities
         };
 
         harmonizedHistoryCache.set(cacheKey, harmonizedHistory);
@@ -1002,6 +1812,320 @@ function getMeanReversionSignal(current, avg, stdDev) {
     return { signal, description, color, zScore };
 }
 
+// Forward horizon (days) used to score each signal
+const BACKTEST_HORIZON_DAYS = 7;
+
+// Trailing window for the mean-reversion average and σ (no look-ahead)
+const BACKTEST_LOOKBACK_DAYS = 30;
+
+// Max markets replayed for a category backtest (largest TVL first)
+const BACKTEST_MAX_CATEGORY_MARKETS = 20;
+
+// PT/YT prices implied by a history point (same approximation as processMarket)
+function getPricesAt(point, expiry) {
+    const days = Math.max(0, (expiry - new Date(point.timestamp).getTime()) / (1000 * 60 * 60 * 24));
+    const ptPrice = 1 / Math.pow(1 + point.impliedApy, days / 365);
+    return { ptPrice, ytPrice: 1 - ptPrice };
+}
+
+// Mark-to-market return of holding PT, YT or the underlying from point i to point j
+// YT collects the realized underlying yield (after PENDLE_FEE) on top of its price change
+function getHoldingReturns(points, i, j, expiry) {
+    const entry = getPricesAt(points[i], expiry);
+    const exit = getPricesAt(points[j], expiry);
+    const elapsedDays = (new Date(points[j].timestamp) - new Date(points[i].timestamp)) / (1000 * 60 * 60 * 24);
+
+    let underlyingSum = 0;
+    for (let k = i; k < j; k++) underlyingSum += points[k].underlyingApy;
+    const accrued = (underlyingSum / (j - i)) * (elapsedDays / 365);
+
+    return {
+        pt: exit.ptPrice / entry.ptPrice - 1,
+        yt: entry.ytPrice > 0 ? (exit.ytPrice + accrued * (1 - PENDLE_FEE)) / entry.ytPrice - 1 : 0,
+        hold: accrued
+    };
+}
+
+// Side ('pt' / 'yt') called by each signal engine on day i, or null for no call
+const BACKTEST_SIGNALS = {
+    spread: {
+        label: 'Implied vs Underlying',
+        sideAt(points, i) {
+            const type = getMarketSignal(points[i].underlyingApy * 100, points[i].impliedApy * 100).type;
+            return type === 'neutral' ? null : type;
+        }
+    },
+    meanReversion: {
+        label: 'Mean Reversion (±1.5σ)',
+        sideAt(points, i) {
+            if (i < BACKTEST_LOOKBACK_DAYS) return null;
+            const window = points.slice(i - BACKTEST_LOOKBACK_DAYS, i).map(p => p.underlyingApy * 100);
+            const avg = window.reduce((a, b) => a + b, 0) / window.length;
+            const stdDev = Math.sqrt(window.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / window.length);
+            const result = getMeanReversionSignal(points[i].underlyingApy * 100, avg, stdDev);
+            if (result?.signal === 'PT Favored') return 'pt';
+            if (result?.signal === 'YT Favored') return 'yt';
+            return null;
+        }
+    }
+};
+
+// Replay one market's daily history and score every signal engine:
+// - hit: the called side beat the other token over the forward horizon
+// - edge: mean forward return of the called side minus that token's mean over all days
+// - drawdown: equity from holding the called side day by day (flat when no call)
+function backtestMarketSignals(market, rawData) {
+    const expiry = new Date(market.expiry).getTime();
+    const points = (rawData || []).filter(p =>
+        p.timestamp &&
+        new Date(p.timestamp).getTime() < expiry &&
+        Number.isFinite(p.impliedApy) &&
+        Number.isFinite(p.underlyingApy)
+    );
+    if (points.length <= BACKTEST_HORIZON_DAYS) return null;
+
+    const forward = [];
+    for (let i = 0; i + BACKTEST_HORIZON_DAYS < points.length; i++) {
+        forward.push(getHoldingReturns(points, i, i + BACKTEST_HORIZON_DAYS, expiry));
+    }
+    const unconditional = {
+        pt: forward.reduce((sum, r) => sum + r.pt, 0) / forward.length,
+        yt: forward.reduce((sum, r) => sum + r.yt, 0) / forward.length
+    };
+
+    const results = {};
+    for (const [key, engine] of Object.entries(BACKTEST_SIGNALS)) {
+        let calls = 0;
+        let hits = 0;
+        let edgeSum = 0;
+        let equity = 1;
+        let peak = 1;
+        let maxDrawdown = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const side = engine.sideAt(points, i);
+            if (!side) continue;
+
+            if (i < forward.length) {
+                const other = side === 'pt' ? 'yt' : 'pt';
+                calls++;
+                if (forward[i][side] > forward[i][other]) hits++;
+                edgeSum += forward[i][side] - unconditional[side];
+            }
+
+            equity *= 1 + getHoldingReturns(points, i, i + 1, expiry)[side];
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+        }
+
+        results[key] = {
+            calls,
+            hits,
+            edgeSum,
+            hitRate: calls > 0 ? hits / calls * 100 : null,
+            avgEdge: calls > 0 ? edgeSum / calls * 100 : null,
+            maxDrawdown: maxDrawdown * 100
+        };
+    }
+
+    return { days: points.length, results };
+}
+
+// Combine per-market results (drawdown is the worst single market)
+function aggregateBacktests(backtests) {
+    const valid = backtests.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const results = {};
+    for (const key of Object.keys(BACKTEST_SIGNALS)) {
+        const calls = valid.reduce((sum, b) => sum + b.results[key].calls, 0);
+        const hits = valid.reduce((sum, b) => sum + b.results[key].hits, 0);
+        const edgeSum = valid.reduce((sum, b) => sum + b.results[key].edgeSum, 0);
+        results[key] = {
+            calls,
+            hits,
+            edgeSum,
+            hitRate: calls > 0 ? hits / calls * 100 : null,
+            avgEdge: calls > 0 ? edgeSum / calls * 100 : null,
+            maxDrawdown: Math.max(...valid.map(b => b.results[key].maxDrawdown))
+        };
+    }
+
+    return {
+        days: valid.reduce((sum, b) => sum + b.days, 0),
+        marketsUsed: valid.length,
+        results
+    };
+}
+
+// Metrics strategy rules can test (percentage points)
+const STRATEGY_METRICS = {
+    spread: 'Implied − Underlying',
+    zscore: 'Underlying z-score',
+    implied: 'Implied APY',
+    underlying: 'Underlying APY'
+};
+
+// Does one entry condition hold for the day's metrics
+function checkStrategyCondition(condition, metrics) {
+    const value = metrics[condition.metric];
+    if (!Number.isFinite(value)) return false;
+    return condition.op === '<' ? value < condition.value : value > condition.value;
+}
+
+// Simulate an entry/exit rule over harmonized daily history.
+// Each entry buys the nearest maturity that has data that day and at least
+// rule.minDaysToExpiry left; positions exit at maturity or after rule.maxDays.
+// rule: { side: 'pt'|'yt', entry: [{ metric, op, value }], maxDays, lookbackDays, minDaysToExpiry }
+function runStrategyBacktest(history, market, rule, initialCapital = 10000) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const dateKey = (timestamp) => timestamp.split('T')[0];
+    const days = (history?.rawData || []).filter(p => p.timestamp && Number.isFinite(p.underlyingApy));
+    if (days.length < 2) return null;
+
+    // Older cached harmonized data has no per-maturity series - use the market itself
+    const series = history.maturities?.length > 0
+        ? history.maturities
+        : [{ address: market.address, name: market.pt?.proName || market.name, expiry: market.expiry, points: days }];
+    const maturities = series.map(m => ({
+        name: m.name,
+        expiryMs: new Date(m.expiry).getTime(),
+        impliedByDate: new Map(m.points.filter(p => Number.isFinite(p.impliedApy)).map(p => [dateKey(p.timestamp), p.impliedApy]))
+    }));
+
+    const underlyingSeries = days.map(d => d.underlyingApy * 100);
+    const equity = [];
+    const trades = [];
+    let cash = initialCapital;
+    let position = null;
+
+    const closePosition = (timestamp, value, reason) => {
+        trades.push({
+            maturity: position.maturity.name,
+            side: position.side,
+            entryDate: position.entryDate,
+            exitDate: timestamp,
+            days: Math.round((new Date(timestamp) - new Date(position.entryDate)) / dayMs),
+            entryPrice: position.entryPrice,
+            returnPercent: (value / position.cost - 1) * 100,
+            reason
+        });
+    };
+
+    for (let i = 0; i < days.length; i++) {
+        const day = days[i];
+        const t = new Date(day.timestamp).getTime();
+        const date = dateKey(day.timestamp);
+        let exitedToday = false;
+
+        // Mark the open position to market and check exits
+        if (position) {
+            const m = position.maturity;
+            const implied = m.impliedByDate.get(date) ?? position.lastImplied;
+            position.lastImplied = implied;
+
+            if (position.side === 'yt') {
+                const elapsed = Math.min(t, m.expiryMs) - position.lastMarkMs;
+                position.accrued += position.units * day.underlyingApy * Math.max(0, elapsed) / dayMs / 365 * (1 - PENDLE_FEE);
+            }
+            position.lastMarkMs = Math.min(t, m.expiryMs);
+
+            const matured = t >= m.expiryMs;
+            const prices = matured ? { ptPrice: 1, ytPrice: 0 } : getPricesAt({ timestamp: day.timestamp, impliedApy: implied }, m.expiryMs);
+            position.value = position.units * prices[`${position.side}Price`] + position.accrued;
+
+            const heldDays = (t - new Date(position.entryDate).getTime()) / dayMs;
+            const reason = matured ? 'Maturity' : (rule.maxDays && heldDays >= rule.maxDays) ? `${rule.maxDays}d exit` : null;
+            if (reason) {
+                closePosition(day.timestamp, position.value, reason);
+                cash = position.value;
+                position = null;
+                exitedToday = true;
+            }
+        }
+
+        // Look for an entry
+        if (!position && !exitedToday) {
+            const eligible = maturities
+                .filter(m => m.impliedByDate.has(date) && (m.expiryMs - t) / dayMs >= rule.minDaysToExpiry)
+                .sort((a, b) => a.expiryMs - b.expiryMs);
+            const maturity = eligible[0];
+
+            if (maturity) {
+                const implied = maturity.impliedByDate.get(date);
+                let zscore = null;
+                if (i >= rule.lookbackDays) {
+                    const window = underlyingSeries.slice(i - rule.lookbackDays, i);
+                    const avg = window.reduce((a, b) => a + b, 0) / window.length;
+                    const stdDev = Math.sqrt(window.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / window.length);
+                    zscore = stdDev > 0 ? (underlyingSeries[i] - avg) / stdDev : null;
+                }
+                const metrics = {
+                    spread: implied * 100 - underlyingSeries[i],
+                    zscore,
+                    implied: implied * 100,
+                    underlying: underlyingSeries[i]
+                };
+
+                if (rule.entry.every(condition => checkStrategyCondition(condition, metrics))) {
+                    const price = getPricesAt({ timestamp: day.timestamp, impliedApy: implied }, maturity.expiryMs)[`${rule.side}Price`];
+                    if (price > 0) {
+                        position = {
+                            maturity,
+                            side: rule.side,
+                            entryDate: day.timestamp,
+                            entryPrice: price,
+                            units: cash / price,
+                            cost: cash,
+                            value: cash,
+                            accrued: 0,
+                            lastImplied: implied,
+                            lastMarkMs: t
+                        };
+                    }
+                }
+            }
+        }
+
+        equity.push({ timestamp: day.timestamp, value: position ? position.value : cash, inPosition: !!position });
+    }
+
+    // Report a still-open trade at its last mark
+    if (position) {
+        closePosition(days[days.length - 1].timestamp, position.value, 'Open');
+    }
+
+    // Summary stats (3% risk-free rate, as in calculateSharpeRatios)
+    const finalValue = equity[equity.length - 1].value;
+    const spanDays = (new Date(days[days.length - 1].timestamp) - new Date(days[0].timestamp)) / dayMs;
+    const dailyReturns = equity.slice(1).map((point, idx) => point.value / equity[idx].value - 1);
+    const meanDaily = dailyReturns.reduce((a, b) => a + b, 0) / dailyReturns.length;
+    const stdDaily = Math.sqrt(dailyReturns.reduce((sum, r) => sum + Math.pow(r - meanDaily, 2), 0) / dailyReturns.length);
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    for (const point of equity) {
+        peak = Math.max(peak, point.value);
+        maxDrawdown = Math.max(maxDrawdown, (peak - point.value) / peak);
+    }
+
+    const closed = trades.filter(trade => trade.reason !== 'Open');
+    return {
+        equity,
+        trades,
+        stats: {
+            initialCapital,
+            finalValue,
+            totalReturn: (finalValue / initialCapital - 1) * 100,
+            cagr: spanDays > 0 ? (Math.pow(finalValue / initialCapital, 365 / spanDays) - 1) * 100 : 0,
+            maxDrawdown: maxDrawdown * 100,
+            sharpe: stdDaily > 0 ? (meanDaily * 365 - 0.03) / (stdDaily * Math.sqrt(365)) : 0,
+            winRate: closed.length > 0 ? closed.filter(trade => trade.returnPercent > 0).length / closed.length * 100 : null,
+            spanDays
+        }
+    };
+}
+
 // Calculate Sharpe ratio for PT and YT strategies
 function calculateSharpeRatios(ptFixedApy, underlyingApy, impliedApy, volatility, days) {
     // Risk-free rate assumption (approximate stablecoin yield)
@@ -1073,80 +2197,343 @@ function getCrossAssetComparison(market, allMarkets) {
     };
 }
 
-// Check if YT is below watermark (on-chain)
-async function checkWatermarkStatus(ytAddress, chainId) {
-    const cacheKey = `${chainId}-${ytAddress}`;
-    if (watermarkCache.has(cacheKey)) {
-        return watermarkCache.get(cacheKey);
-    }
-
+// Decode one aggregate3 result (null if that call reverted)
+function decodeMulticallResult(iface, fn, result, all = false) {
+    if (!result?.success) return null;
     try {
-        const rpcUrl = RPC_ENDPOINTS[chainId];
-        if (!rpcUrl || typeof ethers === 'undefined') {
-            return null;
-        }
-
-        const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-        const ytContract = new ethers.Contract(ytAddress, YT_ABI, provider);
-
-        // Get SY address and pyIndexStored
-        const [syAddress, pyIndexStored] = await Promise.all([
-            ytContract.SY(),
-            ytContract.pyIndexStored()
-        ]);
-
-        // Get current exchange rate from SY
-        const syContract = new ethers.Contract(syAddress, SY_ABI, provider);
-        const exchangeRate = await syContract.exchangeRate();
-
-        // Compare: if exchangeRate < pyIndexStored, YT is below watermark
-        const belowWatermark = exchangeRate.lt(pyIndexStored);
-        const ratio = parseFloat(ethers.utils.formatUnits(exchangeRate, 18)) /
-                      parseFloat(ethers.utils.formatUnits(pyIndexStored, 18));
-
-        const result = {
-            belowWatermark,
-            ratio,
-            exchangeRate: ethers.utils.formatUnits(exchangeRate, 18),
-            pyIndex: ethers.utils.formatUnits(pyIndexStored, 18)
-        };
-
-        watermarkCache.set(cacheKey, result);
-        return result;
+        const decoded = iface.decodeFunctionResult(fn, result.returnData);
+        return all ? decoded : decoded[0];
     } catch (e) {
-        console.log(`Watermark check failed for ${ytAddress}:`, e.message);
         return null;
     }
 }
 
-// Check watermarks for all markets (in background)
-async function checkAllWatermarks(marketsToCheck) {
-    const chainId = document.getElementById('chain-filter')?.value || 1;
+// Run view calls ({ target, iface, fn, args, all }) through Multicall3 in batches
+// Returns each call's first return value (every value when all is set), or null where the call reverted
+async function aggregateCalls(provider, calls, { blockTag = 'latest', signal } = {}) {
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const values = [];
+
+    for (let i = 0; i < calls.length; i += MULTICALL_BATCH) {
+        if (signal?.aborted) throw new DOMException('Multicall cancelled', 'AbortError');
+        const batch = calls.slice(i, i + MULTICALL_BATCH);
+        const results = await multicall.aggregate3(batch.map(call => ({
+            target: call.target, allowFailure: true, callData: call.iface.encodeFunctionData(call.fn, call.args || [])
+        })), { blockTag });
+        values.push(...results.map((result, j) => decodeMulticallResult(batch[j].iface, batch[j].fn, result, batch[j].all)));
+    }
 
-    for (const market of marketsToCheck) {
-        // Extract YT address from the market data
-        // The yt field is formatted as "chainId-address"
-        let ytAddress = market.yt;
-        if (typeof ytAddress === 'string' && ytAddress.includes('-')) {
-            ytAddress = ytAddress.split('-')[1];
+    if (signal?.aborted) throw new DOMException('Multicall cancelled', 'AbortError');
+    return values;
+}
+
+// Read pyIndexStored / SY for every YT, then exchangeRate for every SY - two aggregated round trips per batch
+// Resolves to { statuses: Map(ytAddress -> status), unchecked: [ytAddress] }: a batch whose RPC calls fail
+// leaves only its own YTs unchecked; rejects with an AbortError if the signal fires between batches
+async function scanWatermarks(ytAddresses, chainId, { signal, onProgress } = {}) {
+    const provider = rpcManager.getProvider(chainId);
+    if (!provider) return { statuses: new Map(), unchecked: [...ytAddresses] };
+
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const ytInterface = new ethers.utils.Interface(YT_ABI);
+    const syInterface = new ethers.utils.Interface(SY_ABI);
+    const results = new Map();
+    const unchecked = [];
+
+    const checkAborted = () => {
+        if (signal?.aborted) throw new DOMException('Watermark scan cancelled', 'AbortError');
+    };
+
+    for (let i = 0; i < ytAddresses.length; i += MULTICALL_BATCH) {
+        checkAborted();
+        const batch = ytAddresses.slice(i, i + MULTICALL_BATCH);
+
+        try {
+            const ytResults = await multicall.aggregate3(batch.flatMap(yt => [
+                { target: yt, allowFailure: true, callData: ytInterface.encodeFunctionData('SY') },
+                { target: yt, allowFailure: true, callData: ytInterface.encodeFunctionData('pyIndexStored') }
+            ]));
+            checkAborted();
+
+            const indexed = batch
+                .map((yt, j) => ({
+                    yt,
+                    sy: decodeMulticallResult(ytInterface, 'SY', ytResults[j * 2]),
+                    pyIndexStored: decodeMulticallResult(ytInterface, 'pyIndexStored', ytResults[j * 2 + 1])
+                }))
+                .filter(entry => entry.sy && entry.pyIndexStored && entry.pyIndexStored.gt(0));
+
+            if (indexed.length > 0) {
+                const syResults = await multicall.aggregate3(indexed.map(entry => ({
+                    target: entry.sy, allowFailure: true, callData: syInterface.encodeFunctionData('exchangeRate')
+                })));
+                checkAborted();
+
+                indexed.forEach((entry, j) => {
+                    const exchangeRate = decodeMulticallResult(syInterface, 'exchangeRate', syResults[j]);
+                    if (!exchangeRate) return;
+
+                    // Compare: if exchangeRate < pyIndexStored, YT is below watermark
+                    results.set(entry.yt, {
+                        belowWatermark: exchangeRate.lt(entry.pyIndexStored),
+                        ratio: parseFloat(ethers.utils.formatUnits(exchangeRate, 18)) /
+                               parseFloat(ethers.utils.formatUnits(entry.pyIndexStored, 18)),
+                        exchangeRate: ethers.utils.formatUnits(exchangeRate, 18),
+                        pyIndex: ethers.utils.formatUnits(entry.pyIndexStored, 18)
+                    });
+                });
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            // Keep what earlier batches found; later batches may hit a healthy endpoint
+            console.log(`Watermark batch ${i / MULTICALL_BATCH + 1} failed on chain ${chainId}:`, e.message);
+            unchecked.push(...batch);
         }
 
-        if (ytAddress && ytAddress.startsWith('0x')) {
-            const status = await checkWatermarkStatus(ytAddress, parseInt(chainId));
-            if (status) {
-                market.watermarkStatus = status;
-                // Re-render if below watermark
-                if (status.belowWatermark) {
-                    console.log(`${market.name} is BELOW watermark! Ratio: ${status.ratio.toFixed(4)}`);
-                }
+        onProgress?.(Math.min(i + MULTICALL_BATCH, ytAddresses.length), ytAddresses.length);
+    }
+
+    return { statuses: results, unchecked };
+}
+
+// Running watermark scan ({ chainId, controller }), cancelled when the market list changes
+let watermarkScan = null;
+
+function cancelWatermarkScan() {
+    watermarkScan?.controller.abort();
+    watermarkScan = null;
+    setWatermarkScanStatus('');
+}
+
+// Progress text next to the market legend
+function setWatermarkScanStatus(text) {
+    const el = document.getElementById('watermark-scan-status');
+    if (el) el.textContent = text;
+}
+
+// Check watermarks for all markets of a chain (in background)
+async function checkAllWatermarks(marketsToCheck, chainId) {
+    chainId = parseInt(chainId);
+    cancelWatermarkScan();
+
+    // The yt field is formatted as "chainId-address"
+    const byYt = new Map();
+    for (const market of marketsToCheck) {
+        const ytAddress = parseTokenAddress(market.yt)?.toLowerCase();
+        if (!ytAddress?.startsWith('0x')) continue;
+
+        const cached = watermarkCache.get(`${chainId}-${ytAddress}`);
+        if (cached) {
+            market.watermarkStatus = cached;
+        } else {
+            byYt.set(ytAddress, [...(byYt.get(ytAddress) || []), market]);
+        }
+    }
+    if (byYt.size === 0) {
+        renderMarkets();
+        return;
+    }
+
+    const scan = { chainId, controller: new AbortController() };
+    watermarkScan = scan;
+    setWatermarkScanStatus(`Checking watermarks 0/${byYt.size}...`);
+
+    try {
+        const { statuses, unchecked } = await scanWatermarks([...byYt.keys()], chainId, {
+            signal: scan.controller.signal,
+            onProgress: (done, total) => setWatermarkScanStatus(`Checking watermarks ${done}/${total}...`)
+        });
+
+        for (const [ytAddress, status] of statuses) {
+            watermarkCache.set(`${chainId}-${ytAddress}`, status);
+            byYt.get(ytAddress).forEach(market => { market.watermarkStatus = status; });
+            if (status.belowWatermark) {
+                console.log(`${byYt.get(ytAddress)[0].name} is BELOW watermark! Ratio: ${status.ratio.toFixed(4)}`);
             }
         }
+
+        const below = [...statuses.values()].filter(status => status.belowWatermark).length;
+        if (unchecked.length === byYt.size) {
+            setWatermarkScanStatus('Watermark check unavailable');
+        } else {
+            setWatermarkScanStatus(`Watermarks checked: ${statuses.size}/${byYt.size}`
+                + (below > 0 ? ` · ${below} below` : '')
+                + (unchecked.length > 0 ? ` · ${unchecked.length} unchecked (RPC error)` : ''));
+        }
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.log(`Watermark scan failed on chain ${chainId}:`, e.message);
+        setWatermarkScanStatus('Watermark check unavailable');
+    } finally {
+        if (watermarkScan === scan) watermarkScan = null;
     }
 
     // Re-render markets with watermark info
     renderMarkets();
 }
 
+// Annualized growth between two exchange-rate reads, in percent (null if either read failed)
+function annualizeRateGrowth(rateThen, rateNow, seconds) {
+    if (!(rateThen > 0) || !(rateNow > 0) || !(seconds > 0)) return null;
+    return (Math.pow(rateNow / rateThen, 365 * 24 * 60 * 60 / seconds) - 1) * 100;
+}
+
+// Read every SY's exchangeRate() now and at the start of each window, one aggregated call per block
+// Resolves to Map(syAddress -> { 1: apy, 7: apy, 30: apy }); windows the RPC can't serve (no archive state) are null
+async function measureRealizedApys(syAddresses, chainId, { signal } = {}) {
+    const provider = rpcManager.getProvider(chainId);
+    if (!provider || syAddresses.length === 0) return new Map();
+
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    const syInterface = new ethers.utils.Interface(SY_ABI);
+    const checkAborted = () => {
+        if (signal?.aborted) throw new DOMException('Realized APY scan cancelled', 'AbortError');
+    };
+
+    // exchangeRate() for every SY at one block (nulls if the block can't be served)
+    const readRates = async (blockTag) => {
+        const rates = [];
+        for (let i = 0; i < syAddresses.length; i += MULTICALL_BATCH) {
+            const batch = syAddresses.slice(i, i + MULTICALL_BATCH);
+            const results = await multicall.aggregate3(batch.map(sy => ({
+                target: sy, allowFailure: true, callData: syInterface.encodeFunctionData('exchangeRate')
+            })), { blockTag });
+            checkAborted();
+            rates.push(...results.map(result => {
+                const rate = decodeMulticallResult(syInterface, 'exchangeRate', result);
+                return rate ? parseFloat(ethers.utils.formatUnits(rate, 18)) : null;
+            }));
+        }
+        return rates;
+    };
+
+    const latest = await provider.getBlock('latest');
+    const reference = await provider.getBlock(Math.max(1, latest.number - 100000));
+    const blockTime = (latest.timestamp - reference.timestamp) / (latest.number - reference.number) || 12;
+    checkAborted();
+
+    const ratesNow = await readRates(latest.number);
+    const results = new Map(syAddresses.map(sy => [sy, {}]));
+    const blockAt = createBlockLocator(provider, [latest, reference], blockTime);
+
+    for (const days of REALIZED_APY_WINDOWS) {
+        let block = null;
+        let ratesThen = [];
+        try {
+            block = await blockAt(latest.timestamp - days * 24 * 60 * 60);
+            ratesThen = await readRates(block.number);
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            console.log(`Realized APY window ${days}d unavailable on chain ${chainId}:`, e.message);
+        }
+
+        syAddresses.forEach((sy, i) => {
+            results.get(sy)[days] = block
+                ? annualizeRateGrowth(ratesThen[i], ratesNow[i], latest.timestamp - block.timestamp)
+                : null;
+        });
+    }
+
+    return results;
+}
+
+// Compare Pendle's underlyingApy with the on-chain measurement
+// Exchange-rate growth misses yield paid as separate reward tokens, so a gap is a prompt to check, not proof
+function checkUnderlyingApy(reportedApy, windows) {
+    const window = [REALIZED_APY_CHECK_WINDOW, ...REALIZED_APY_WINDOWS].find(days => windows?.[days] !== null && windows?.[days] !== undefined);
+    if (!window) return null;
+
+    const measured = windows[window];
+    const tolerance = Math.max(REALIZED_APY_TOLERANCE.absolute, Math.abs(reportedApy) * REALIZED_APY_TOLERANCE.relative);
+    return {
+        windows,
+        window,
+        measured,
+        diff: measured - reportedApy,
+        diverges: Math.abs(measured - reportedApy) > tolerance
+    };
+}
+
+// Attach a yield check to a market; a "zero yield" market with measurable on-chain growth is a data issue
+function applyYieldCheck(market, windows) {
+    market.yieldCheck = checkUnderlyingApy(market.underlyingApyPercent, windows);
+    if (market.isPurePoints && market.yieldCheck?.diverges && market.yieldCheck.measured > 0) {
+        market.zeroYieldReason = {
+            type: 'data_issue',
+            title: '⚠️ Possible Data Issue',
+            explanation: `Pendle reports 0% underlying APY, but the SY exchange rate grew ${formatPercent(market.yieldCheck.measured)} annualized over the last ${market.yieldCheck.window}d on-chain.`
+        };
+    }
+}
+
+// Running realized APY scan ({ chainId, controller }), cancelled when the market list changes
+let realizedApyScan = null;
+
+function cancelRealizedApyScan() {
+    realizedApyScan?.controller.abort();
+    realizedApyScan = null;
+}
+
+// Measure realized underlying APY for all markets of a chain (in background)
+async function checkRealizedApys(marketsToCheck, chainId) {
+    chainId = parseInt(chainId);
+    cancelRealizedApyScan();
+
+    const bySy = new Map();
+    for (const market of marketsToCheck) {
+        const syAddress = parseTokenAddress(market.sy)?.toLowerCase();
+        if (!syAddress?.startsWith('0x') || market.isExpired) continue;
+
+        const cached = realizedApyCache.get(`${chainId}-${syAddress}`);
+        if (cached && Date.now() - cached.timestamp < REALIZED_APY_TTL) {
+            applyYieldCheck(market, cached.windows);
+        } else {
+            bySy.set(syAddress, [...(bySy.get(syAddress) || []), market]);
+        }
+    }
+
+    if (bySy.size > 0) {
+        const scan = { chainId, controller: new AbortController() };
+        realizedApyScan = scan;
+        try {
+            const measured = await measureRealizedApys([...bySy.keys()], chainId, { signal: scan.controller.signal });
+            for (const [syAddress, windows] of measured) {
+                realizedApyCache.set(`${chainId}-${syAddress}`, { windows, timestamp: Date.now() });
+                bySy.get(syAddress).forEach(market => applyYieldCheck(market, windows));
+            }
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.log(`Realized APY scan failed on chain ${chainId}:`, e.message);
+        } finally {
+            if (realizedApyScan === scan) realizedApyScan = null;
+        }
+    }
+
+    renderMarkets();
+    if (selectedMarket && marketsToCheck.includes(selectedMarket)) {
+        renderRealizedApyHint(selectedMarket);
+    }
+}
+
+// On-chain 1d / 7d / 30d APY under the calculator's underlying APY input
+function renderRealizedApyHint(market) {
+    const hint = document.getElementById('calc-realized-apy');
+    if (!hint) return;
+
+    const check = market?.yieldCheck;
+    if (!check) {
+        hint.textContent = '';
+        return;
+    }
+
+    const windows = REALIZED_APY_WINDOWS
+        .map(days => `${days}d ${check.windows[days] !== null && check.windows[days] !== undefined ? formatPercent(check.windows[days]) : '-'}`)
+        .join(' · ');
+    hint.textContent = `On-chain (SY rate): ${windows}` +
+        (check.diverges ? ` - differs from Pendle's figure by ${check.diff >= 0 ? '+' : ''}${formatPercent(check.diff)}` : '');
+    hint.className = 'input-hint' + (check.diverges ? ' loss' : '');
+}
+
 // Determine market signal (PT opportunity vs YT opportunity)
 function getMarketSignal(underlyingApy, impliedApy) {
     const diff = impliedApy - underlyingApy;
@@ -1193,12 +2580,195 @@ function processAndRenderMarkets(chainId) {
     const refreshBtn = document.getElementById('refresh-markets');
     refreshBtn?.classList.remove('loading');
     renderMarkets();
-    // Check watermarks in background
-    checkAllWatermarks(markets);
+    // Check watermarks and lending rates in background
+    checkAllWatermarks(markets, chainId);
+    checkRealizedApys(markets, chainId);
+    refreshLoopRates(markets, chainId);
+}
+
+// Add calculated fields (days, APYs, prices, signals, incentives) to a raw Pendle market
+function processMarket(market, chainId) {
+    const days = daysUntil(market.expiry);
+    const details = market.details || {};
+
+    // Get APYs from details or top level
+    const underlyingApy = (details.underlyingApy || market.underlyingApy || 0) * 100;
+    const impliedApy = (details.impliedApy || market.impliedApy || 0) * 100;
+
+    // Calculate PT price from implied APY: PT = 1 / (1 + impliedApy * days/365)
+    // This is approximate but works for display
+    const ptPrice = 1 / Math.pow(1 + impliedApy / 100, days / 365);
+    const ytPrice = 1 - ptPrice;
+    const discount = (1 - ptPrice) * 100;
+
+    // Get TVL
+    const tvl = details.liquidity || details.totalTvl || market.liquidity?.usd || market.totalValueLocked || 0;
+
+    // Detect external incentives (points, airdrops, reward tokens)
+    const rewardTokens = market.rewardTokens || details.rewardTokens || [];
+    const aggregatedApy = (details.aggregatedApy || market.aggregatedApy || 0) * 100;
+    const lpRewardApy = (details.lpRewardApy || market.lpRewardApy || 0) * 100;
+    const pointMultipliers = market.pointMultipliers || details.pointMultipliers || [];
+
+    // Extract detailed incentive breakdown from API
+    const pendleApy = (details.pendleApy || market.pendleApy || 0) * 100;
+    const underlyingRewardApy = (details.underlyingRewardApy || market.underlyingRewardApy || 0) * 100;
+    const underlyingInterestApy = (details.underlyingInterestApy || market.underlyingInterestApy || 0) * 100;
+    const voterApy = (details.voterApy || market.voterApy || 0) * 100;
+    const maxBoostedApy = (details.maxBoostedApy || market.maxBoostedApy || 0) * 100;
+
+    // Market has incentives if: reward tokens exist, PENDLE incentives, external rewards, or has point multipliers
+    const hasIncentives = rewardTokens.length > 0 ||
+                          lpRewardApy > 0.1 ||
+                          pendleApy > 0.1 ||
+                          underlyingRewardApy > 0.1 ||
+                          pointMultipliers.length > 0 ||
+                          (aggregatedApy > impliedApy + 0.5);
+
+    // Build detailed incentive breakdown
+    const incentiveBreakdown = {
+        pendleApy,           // PENDLE co-incentives
+        underlyingRewardApy, // External rewards (USDT, ynRWAx, etc.)
+        underlyingInterestApy, // Base interest
+        lpRewardApy,         // LP-specific rewards
+        voterApy,            // vePENDLE voter APY
+        maxBoostedApy,       // Max with vePENDLE boost
+        totalIncentiveApy: pendleApy + underlyingRewardApy + lpRewardApy,
+        hasBoost: maxBoostedApy > aggregatedApy + 0.5,
+        boostPotential: maxBoostedApy > 0 ? maxBoostedApy - aggregatedApy : 0
+    };
+
+    // Get incentive details for tooltip
+    const incentiveDetails = [];
+    if (pendleApy > 0.1) {
+        incentiveDetails.push(`+${formatPercent(pendleApy)} PENDLE`);
+    }
+    if (underlyingRewardApy > 0.1) {
+        incentiveDetails.push(`+${formatPercent(underlyingRewardApy)} external rewards`);
+    }
+    if (rewardTokens.length > 0) {
+        incentiveDetails.push(`${rewardTokens.length} reward token${rewardTokens.length > 1 ? 's' : ''}`);
+    }
+    if (pointMultipliers.length > 0) {
+        incentiveDetails.push('Points campaign');
+    }
+    if (lpRewardApy > 0.1 && pendleApy < 0.1) {
+        incentiveDetails.push(`+${formatPercent(lpRewardApy)} LP rewards`);
+    }
+    if (incentiveBreakdown.hasBoost) {
+        incentiveDetails.push(`Up to +${formatPercent(incentiveBreakdown.boostPotential)} with vePENDLE`);
+    }
+
+    // Detect if yield is purely points-based (0 underlying but positive implied)
+    const isPurePoints = underlyingApy < 0.1 && impliedApy > 1;
+
+    // Categorize zero-yield markets with explanations
+    // (data issues are detected on-chain by checkRealizedApys, not by name)
+    let zeroYieldReason = null;
+    if (isPurePoints) {
+        const name = market.name?.toUpperCase() || '';
+        if (name === 'USDE') {
+            zeroYieldReason = {
+                type: 'raw_token',
+                title: 'Raw Token - No Native Yield',
+                explanation: 'Raw USDe does not generate yield. Stake to sUSDe for ~4.5% APY. Implied APY is from points speculation.'
+            };
+        } else if (name === 'SENA') {
+            zeroYieldReason = {
+                type: 'governance',
+                title: 'Governance Token Staking',
+                explanation: 'sENA yield comes from governance rewards and points, not direct protocol yield.'
+            };
+        } else if (name.includes('BTC') || name === 'UNIBTC') {
+            zeroYieldReason = {
+                type: 'raw_token',
+                title: 'Wrapped BTC - No Native Yield',
+                explanation: 'Wrapped BTC has no native yield. Must be lent or staked in DeFi to earn yield.'
+            };
+        } else {
+            zeroYieldReason = {
+                type: 'points_only',
+                title: 'Points/Incentive Based',
+                explanation: 'Yield is entirely from points programs or airdrops - no measurable on-chain yield.'
+            };
+        }
+    }
+
+    // Calculate total LP APY (swap fees + PT yield component + rewards)
+    const swapFeeApy = (details.swapFeeApy || market.swapFeeApy || 0) * 100;
+    const lpApy = aggregatedApy > 0 ? aggregatedApy : (swapFeeApy + lpRewardApy + (impliedApy * 0.5)); // Estimate if not provided
+
+    // Find loop opportunity for this market
+    const loopOpportunity = findLoopOpportunity(
+        { ...market, ptPrice, days },
+        parseInt(chainId)
+    );
+
+    return {
+        ...market,
+        days,
+        underlyingApyPercent: underlyingApy,
+        impliedApyPercent: impliedApy,
+        ptPrice,
+        ytPrice,
+        discount,
+        signal: getMarketSignal(underlyingApy, impliedApy),
+        loopOpportunity,
+        tvl,
+        proName: market.name,
+        proIcon: market.icon || '',
+        hasIncentives,
+        incentiveDetails,
+        lpRewardApy,
+        swapFeeApy,
+        lpApy,
+        aggregatedApy,
+        isPurePoints,
+        zeroYieldReason,
+        incentiveBreakdown,
+        voterApy
+    };
+}
+
+// Raw active markets for a chain: our API first (Postgres-cached copy), then Pendle directly
+async function requestChainMarkets(chainId) {
+    let data = null;
+
+    try {
+        const response = await fetch(`/api/markets?chainId=${chainId}`);
+        if (response.ok) {
+            data = await response.json();
+            console.log(`Markets from API: ${data.count} markets, cached: ${data.cached}`);
+        }
+    } catch (e) {
+        console.log('Own API failed, trying Pendle directly...');
+    }
+
+    if (!data) {
+        try {
+            const response = await fetch(`${API_BASE}/v1/markets/all?isActive=true&chainId=${chainId}`);
+            if (response.ok) {
+                data = await response.json();
+            }
+        } catch (e) {
+            console.log('Direct Pendle API failed:', e.message);
+        }
+    }
+
+    if (!data) throw new Error('All API attempts failed');
+    return data.markets || data.results || data || [];
 }
 
 // Fetch markets from Pendle API
 async function fetchMarkets(chainId = 1, forceRefresh = false) {
+    // A scan for the previous list would write statuses for the wrong network
+    cancelWatermarkScan();
+    cancelRealizedApyScan();
+
+    if (marketStatus === 'matured') {
+        return fetchMaturedMarkets(chainId, forceRefresh);
+    }
+
     const marketsContainer = document.getElementById('markets-list');
     const refreshBtn = document.getElementById('refresh-markets');
     const cacheKey = `${CACHE_CONFIG.markets.key}_${chainId}`;
@@ -1218,43 +2788,7 @@ async function fetchMarkets(chainId = 1, forceRefresh = false) {
     marketsContainer.innerHTML = '<div class="loading">Loading markets...</div>';
 
     try {
-        const apiUrl = `${API_BASE}/v1/markets/all?isActive=true&chainId=${chainId}`;
-        let response = null;
-        let data = null;
-
-        // Try direct API first
-        try {
-            response = await fetch(apiUrl);
-            if (response.ok) {
-                data = await response.json();
-            }
-        } catch (e) {
-            console.log('Direct API failed, trying proxies...', e.message);
-        }
-
-        // If direct failed, try CORS proxies
-        if (!data) {
-            for (const proxyFn of CORS_PROXIES) {
-                try {
-                    const proxyUrl = proxyFn(apiUrl);
-                    console.log('Trying proxy:', proxyUrl);
-                    response = await fetch(proxyUrl);
-                    if (response.ok) {
-                        data = await response.json();
-                        if (data && (data.markets || data.results || Array.isArray(data))) {
-                            console.log('Proxy succeeded!');
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    console.log('Proxy failed:', e.message);
-                }
-            }
-        }
-
-        if (!data) throw new Error('All API attempts failed');
-
-        markets = data.markets || data.results || data || [];
+        markets = await requestChainMarkets(chainId);
 
         // 0 markets is valid for some chains - don't fall back to sample data
         if (markets.length === 0) {
@@ -1269,153 +2803,7 @@ async function fetchMarkets(chainId = 1, forceRefresh = false) {
         const rawMarkets = [...markets];
 
         // Process markets to add calculated fields
-        markets = markets.map(market => {
-            const days = daysUntil(market.expiry);
-            const details = market.details || {};
-
-            // Get APYs from details or top level
-            const underlyingApy = (details.underlyingApy || market.underlyingApy || 0) * 100;
-            const impliedApy = (details.impliedApy || market.impliedApy || 0) * 100;
-
-            // Calculate PT price from implied APY: PT = 1 / (1 + impliedApy * days/365)
-            // This is approximate but works for display
-            const ptPrice = 1 / Math.pow(1 + impliedApy / 100, days / 365);
-            const ytPrice = 1 - ptPrice;
-            const discount = (1 - ptPrice) * 100;
-
-            // Get TVL
-            const tvl = details.liquidity || details.totalTvl || market.liquidity?.usd || market.totalValueLocked || 0;
-
-            // Detect external incentives (points, airdrops, reward tokens)
-            const rewardTokens = market.rewardTokens || details.rewardTokens || [];
-            const aggregatedApy = (details.aggregatedApy || market.aggregatedApy || 0) * 100;
-            const lpRewardApy = (details.lpRewardApy || market.lpRewardApy || 0) * 100;
-            const pointMultipliers = market.pointMultipliers || details.pointMultipliers || [];
-
-            // Extract detailed incentive breakdown from API
-            const pendleApy = (details.pendleApy || market.pendleApy || 0) * 100;
-            const underlyingRewardApy = (details.underlyingRewardApy || market.underlyingRewardApy || 0) * 100;
-            const underlyingInterestApy = (details.underlyingInterestApy || market.underlyingInterestApy || 0) * 100;
-            const voterApy = (details.voterApy || market.voterApy || 0) * 100;
-            const maxBoostedApy = (details.maxBoostedApy || market.maxBoostedApy || 0) * 100;
-
-            // Market has incentives if: reward tokens exist, PENDLE incentives, external rewards, or has point multipliers
-            const hasIncentives = rewardTokens.length > 0 ||
-                                  lpRewardApy > 0.1 ||
-                                  pendleApy > 0.1 ||
-                                  underlyingRewardApy > 0.1 ||
-                                  pointMultipliers.length > 0 ||
-                                  (aggregatedApy > impliedApy + 0.5);
-
-            // Build detailed incentive breakdown
-            const incentiveBreakdown = {
-                pendleApy,           // PENDLE co-incentives
-                underlyingRewardApy, // External rewards (USDT, ynRWAx, etc.)
-                underlyingInterestApy, // Base interest
-                lpRewardApy,         // LP-specific rewards
-                voterApy,            // vePENDLE voter APY
-                maxBoostedApy,       // Max with vePENDLE boost
-                totalIncentiveApy: pendleApy + underlyingRewardApy + lpRewardApy,
-                hasBoost: maxBoostedApy > aggregatedApy + 0.5,
-                boostPotential: maxBoostedApy > 0 ? maxBoostedApy - aggregatedApy : 0
-            };
-
-            // Get incentive details for tooltip
-            const incentiveDetails = [];
-            if (pendleApy > 0.1) {
-                incentiveDetails.push(`+${formatPercent(pendleApy)} PENDLE`);
-            }
-            if (underlyingRewardApy > 0.1) {
-                incentiveDetails.push(`+${formatPercent(underlyingRewardApy)} external rewards`);
-            }
-            if (rewardTokens.length > 0) {
-                incentiveDetails.push(`${rewardTokens.length} reward token${rewardTokens.length > 1 ? 's' : ''}`);
-            }
-            if (pointMultipliers.length > 0) {
-                incentiveDetails.push('Points campaign');
-            }
-            if (lpRewardApy > 0.1 && pendleApy < 0.1) {
-                incentiveDetails.push(`+${formatPercent(lpRewardApy)} LP rewards`);
-            }
-            if (incentiveBreakdown.hasBoost) {
-                incentiveDetails.push(`Up to +${formatPercent(incentiveBreakdown.boostPotential)} with vePENDLE`);
-            }
-
-            // Detect if yield is purely points-based (0 underlying but positive implied)
-            const isPurePoints = underlyingApy < 0.1 && impliedApy > 1;
-
-            // Categorize zero-yield markets with explanations
-            let zeroYieldReason = null;
-            if (isPurePoints) {
-                const name = market.name?.toUpperCase() || '';
-                if (name === 'USDE') {
-                    zeroYieldReason = {
-                        type: 'raw_token',
-                        title: 'Raw Token - No Native Yield',
-                        explanation: 'Raw USDe does not generate yield. Stake to sUSDe for ~4.5% APY. Implied APY is from points speculation.'
-                    };
-                } else if (name === 'SENA') {
-                    zeroYieldReason = {
-                        type: 'governance',
-                        title: 'Governance Token Staking',
-                        explanation: 'sENA yield comes from governance rewards and points, not direct protocol yield.'
-                    };
-                } else if (name.includes('BTC') || name === 'UNIBTC') {
-                    zeroYieldReason = {
-                        type: 'raw_token',
-                        title: 'Wrapped BTC - No Native Yield',
-                        explanation: 'Wrapped BTC has no native yield. Must be lent or staked in DeFi to earn yield.'
-                    };
-                } else if (name.includes('FUSN') || name.includes('STH')) {
-                    zeroYieldReason = {
-                        type: 'data_issue',
-                        title: '⚠️ Possible Data Issue',
-                        explanation: 'This asset should have underlying yield. Data may be delayed or incorrectly reported.'
-                    };
-                } else {
-                    zeroYieldReason = {
-                        type: 'points_only',
-                        title: 'Points/Incentive Based',
-                        explanation: 'Yield is entirely from points programs or airdrops - no measurable on-chain yield.'
-                    };
-                }
-            }
-
-            // Calculate total LP APY (swap fees + PT yield component + rewards)
-            const swapFeeApy = (details.swapFeeApy || market.swapFeeApy || 0) * 100;
-            const lpApy = aggregatedApy > 0 ? aggregatedApy : (swapFeeApy + lpRewardApy + (impliedApy * 0.5)); // Estimate if not provided
-
-            // Find loop opportunity for this market
-            const loopOpportunity = findLoopOpportunity(
-                { ...market, ptPrice, days },
-                parseInt(chainId)
-            );
-
-            return {
-                ...market,
-                days,
-                underlyingApyPercent: underlyingApy,
-                impliedApyPercent: impliedApy,
-                ptPrice,
-                ytPrice,
-                discount,
-                signal: getMarketSignal(underlyingApy, impliedApy),
-                loopOpportunity,
-                tvl,
-                proName: market.name,
-                proIcon: market.icon || '',
-                hasIncentives,
-                incentiveDetails,
-                lpRewardApy,
-                swapFeeApy,
-                lpApy,
-                aggregatedApy,
-                isPurePoints,
-                zeroYieldReason,
-                incentiveBreakdown,
-                voterApy
-            };
-        }).filter(m => m.days > 0);
+        markets = markets.map(market => processMarket(market, chainId)).filter(m => m.days > 0);
 
         // Save to localStorage cache
         storage.set(cacheKey, markets, CACHE_CONFIG.markets.ttl);
@@ -1423,8 +2811,10 @@ async function fetchMarkets(chainId = 1, forceRefresh = false) {
 
         renderMarkets();
 
-        // Check watermarks in background (don't await)
-        checkAllWatermarks(markets);
+        // Check watermarks and lending rates in background (don't await)
+        checkAllWatermarks(markets, chainId);
+        checkRealizedApys(markets, chainId);
+        refreshLoopRates(markets, chainId);
     } catch (error) {
         console.error('Failed to fetch markets:', error);
         console.log('Using sample data...');
@@ -1458,11 +2848,94 @@ async function fetchMarkets(chainId = 1, forceRefresh = false) {
     }
 }
 
+// Fetch matured markets from the permanent archive (read-only analysis)
+async function fetchMaturedMarkets(chainId = 1, forceRefresh = false) {
+    const marketsContainer = document.getElementById('markets-list');
+    const refreshBtn = document.getElementById('refresh-markets');
+    const cacheKey = `${CACHE_CONFIG.matured.key}_${chainId}`;
+
+    if (!forceRefresh) {
+        const cached = storage.get(cacheKey);
+        if (cached) {
+            console.log(`Using cached matured markets for chain ${chainId}`);
+            markets = cached;
+            renderMarkets();
+            return;
+        }
+    }
+
+    refreshBtn?.classList.add('loading');
+    marketsContainer.innerHTML = '<div class="loading">Loading matured markets...</div>';
+
+    try {
+        let data = null;
+
+        // Try our own API first (archive kept after Pendle stops listing a market)
+        try {
+            const response = await fetch(`/api/markets/expired?chainId=${chainId}`);
+            if (response.ok) {
+                data = await response.json();
+                console.log(`Matured markets from API: ${data.count} markets, cached: ${data.cached}`);
+            }
+        } catch (e) {
+            console.log('Own API failed, trying Pendle directly...');
+        }
+
+        // Fallback to Pendle API directly
+        if (!data) {
+            try {
+                const response = await fetch(`${API_BASE}/v1/markets/all?isActive=false&chainId=${chainId}`);
+                if (response.ok) {
+                    data = await response.json();
+                }
+            } catch (e) {
+                console.log('Direct Pendle API failed:', e.message);
+            }
+        }
+
+        if (!data) throw new Error('All API attempts failed');
+
+        const now = Date.now();
+        markets = (data.markets || data.results || data || [])
+            .filter(m => m.expiry && new Date(m.expiry).getTime() <= now)
+            .map(market => ({
+                ...processMarket(market, chainId),
+                isExpired: true,
+                loopOpportunity: null
+            }));
+
+        if (markets.length === 0) {
+            marketsContainer.innerHTML = '<div class="loading">No matured markets on this chain</div>';
+            return;
+        }
+
+        storage.set(cacheKey, markets, CACHE_CONFIG.matured.ttl);
+        renderMarkets();
+    } catch (error) {
+        console.error('Failed to fetch matured markets:', error);
+        markets = [];
+        marketsContainer.innerHTML = '<div class="loading">Matured markets unavailable</div>';
+    } finally {
+        refreshBtn?.classList.remove('loading');
+    }
+}
+
+// Switch the markets tab between live and matured markets
+function setMarketStatus(status) {
+    marketStatus = status === 'matured' ? 'matured' : 'active';
+    document.getElementById('markets-calculator')?.classList.toggle('showing-matured', marketStatus === 'matured');
+
+    const chainId = document.getElementById('chain-filter')?.value || 1;
+    return fetchMarkets(chainId);
+}
+
 // Render markets list
 function renderMarkets() {
     const container = document.getElementById('markets-list');
     const sortBy = currentSortColumn || document.getElementById('sort-filter')?.value || 'tvl';
-    const signalFilter = document.getElementById('signal-filter')?.value || 'all';
+    const showingMatured = marketStatus === 'matured';
+    // Signals describe live pricing, so they don't filter matured markets
+    const signalFilter = showingMatured ? 'all' : (document.getElementById('signal-filter')?.value || 'all');
     const searchQuery = (document.getElementById('search-filter')?.value || '').trim().toLowerCase();
 
     let filtered = [...markets];
@@ -1497,12 +2970,15 @@ function renderMarkets() {
         filtered = filtered.filter(m => !m.isPurePoints && m.underlyingApyPercent > 0.5);
     } else if (signalFilter === 'below-watermark') {
         filtered = filtered.filter(m => m.watermarkStatus?.belowWatermark);
+    } else if (signalFilter === 'yield-mismatch') {
+        filtered = filtered.filter(m => m.yieldCheck?.diverges);
     } else if (signalFilter === 'loop-opportunity') {
         filtered = filtered.filter(m => m.loopOpportunity);
     }
 
     // Filter by legend buttons
     filtered = filtered.filter(m => {
+        if (m.isExpired) return true;
         if (m.watermarkStatus?.belowWatermark) return legendFilters.watermark;
         if (m.loopOpportunity) return legendFilters.loop !== false; // Show loop if filter is not false
         if (isLpOpportunity(m)) return legendFilters.lp;
@@ -1520,7 +2996,7 @@ function renderMarkets() {
             case 'fixedApy': return dir * (calculateFixedAPY(b.ptPrice, b.days) - calculateFixedAPY(a.ptPrice, a.days));
             case 'underlyingApy': return dir * (b.underlyingApyPercent - a.underlyingApyPercent);
             case 'impliedApy': return dir * (b.impliedApyPercent - a.impliedApyPercent);
-            case 'expiry': return dir * (a.days - b.days);
+            case 'expiry': return dir * (new Date(a.expiry) - new Date(b.expiry));
             default: return 0;
         }
     });
@@ -1528,7 +3004,7 @@ function renderMarkets() {
     if (filtered.length === 0) {
         const message = searchQuery
             ? `No markets found for "${searchQuery}"`
-            : 'No markets match your filters';
+            : showingMatured ? 'No matured markets on this chain' : 'No markets match your filters';
         container.innerHTML = `<div class="loading">${message}</div>`;
         return;
     }
@@ -1536,7 +3012,9 @@ function renderMarkets() {
     container.innerHTML = filtered.map(market => {
         // Determine card class based on opportunity type
         let cardClass = market.signal.type + '-opportunity';
-        if (market.watermarkStatus?.belowWatermark) {
+        if (market.isExpired) {
+            cardClass = 'matured';
+        } else if (market.watermarkStatus?.belowWatermark) {
             cardClass = 'below-watermark';
         } else if (market.loopOpportunity) {
             cardClass = 'loop-opportunity';
@@ -1544,7 +3022,7 @@ function renderMarkets() {
 
         // Generate loop badge tooltip content
         const loopTooltip = market.loopOpportunity
-            ? `${market.loopOpportunity.platform} | LTV: ${(market.loopOpportunity.ltv * 100).toFixed(0)}% | Borrow: ${formatPercent(market.loopOpportunity.borrowRate)} | Leverage: ${market.loopOpportunity.safeLeverage.toFixed(1)}x | Effective APY: ${formatPercent(market.loopOpportunity.effectiveApy)}${market.loopOpportunity.isEstimated ? ' (estimated)' : ''}`
+            ? `${market.loopOpportunity.platform} | LTV: ${(market.loopOpportunity.ltv * 100).toFixed(0)}% | Borrow: ${formatPercent(market.loopOpportunity.borrowRate)} | Leverage: ${market.loopOpportunity.safeLeverage.toFixed(1)}x | Effective APY: ${formatPercent(market.loopOpportunity.effectiveApy)}${market.loopOpportunity.isEstimated ? ' (estimated)' : ''}${market.loopOpportunity.stale ? ' (static rates - may be stale)' : ''}`
             : '';
 
         return `
@@ -1556,7 +3034,7 @@ function renderMarkets() {
                         ${market.proName || market.name || 'Unknown'}
                         ${market.hasIncentives ? `<span class="incentive-badge" title="${market.incentiveDetails.join(', ') || 'External incentives'}">✨</span>` : ''}
                     </span>
-                    <span class="market-expiry">${formatDate(market.expiry)} (${market.days}d)</span>
+                    <span class="market-expiry">${market.isExpired ? `Matured ${formatDate(market.expiry)}` : `${formatDate(market.expiry)} (${market.days}d)`}</span>
                 </div>
             </div>
             <div class="market-stat">
@@ -1565,7 +3043,7 @@ function renderMarkets() {
             </div>
             <div class="market-stat">
                 <span class="stat-label">Underlying</span>
-                <span class="stat-value ${market.underlyingApyPercent > market.impliedApyPercent ? 'highlight-yt' : ''} ${market.isPurePoints ? 'pure-points' : ''}" ${market.isPurePoints && market.zeroYieldReason ? `title="${market.zeroYieldReason.title}: ${market.zeroYieldReason.explanation}"` : ''}>${market.isPurePoints ? '0% 🎯' : formatPercent(market.underlyingApyPercent)}</span>
+                <span class="stat-value ${market.underlyingApyPercent > market.impliedApyPercent ? 'highlight-yt' : ''} ${market.isPurePoints ? 'pure-points' : ''}" ${market.isPurePoints && market.zeroYieldReason ? `title="${market.zeroYieldReason.title}: ${market.zeroYieldReason.explanation}"` : ''}>${market.isPurePoints ? '0% 🎯' : formatPercent(market.underlyingApyPercent)}${market.yieldCheck?.diverges ? `<span class="yield-check-badge" title="On-chain ${market.yieldCheck.window}d (SY exchange rate): ${formatPercent(market.yieldCheck.measured)} vs Pendle: ${formatPercent(market.underlyingApyPercent)}">≠</span>` : ''}</span>
             </div>
             <div class="market-stat">
                 <span class="stat-label">Implied</span>
@@ -1573,20 +3051,22 @@ function renderMarkets() {
             </div>
             <div class="market-stat">
                 <span class="stat-label">Fixed APY</span>
-                <span class="stat-value positive">${formatPercent(calculateFixedAPY(market.ptPrice, market.days))}</span>
+                <span class="stat-value positive">${market.isExpired ? '—' : formatPercent(calculateFixedAPY(market.ptPrice, market.days))}</span>
             </div>
             <div class="market-stat">
                 <span class="stat-label">LP APY</span>
                 <span class="stat-value ${market.lpApy > market.underlyingApyPercent ? 'highlight-lp' : ''}" ${market.lpApy > market.underlyingApyPercent ? `title="LP yields ${formatPercent(market.lpApy - market.underlyingApyPercent)} more than holding"` : ''}>${formatPercent(market.lpApy)}${market.lpApy > market.underlyingApyPercent ? ' 💎' : ''}</span>
             </div>
             <div class="market-signal">
-                ${market.watermarkStatus?.belowWatermark
-                    ? `<span class="signal-badge watermark clickable" data-signal-type="pt" title="Exchange rate: ${market.watermarkStatus.ratio.toFixed(4)}x of watermark. Click to analyze.">⚠️ Below Watermark</span>`
-                    : market.loopOpportunity
-                        ? `<span class="signal-badge loop clickable" data-signal-type="loop" title="${loopTooltip}. Click to analyze loop strategy.">🔄 Loop +${formatPercent(market.loopOpportunity.apyBoost)}</span>`
-                        : market.lpApy > market.underlyingApyPercent && market.lpApy > calculateFixedAPY(market.ptPrice, market.days)
-                            ? `<span class="signal-badge lp clickable" data-signal-type="lp" title="LP APY beats both underlying and fixed APY. Click to analyze.">LP Best</span>`
-                            : `<span class="signal-badge ${market.signal.type} clickable" data-signal-type="${market.signal.type}" title="${market.signal.label}. Click to analyze.">${market.signal.label}</span>`
+                ${market.isExpired
+                    ? `<span class="signal-badge matured" title="Matured market. Click to view its full history (read-only).">Matured</span>`
+                    : market.watermarkStatus?.belowWatermark
+                        ? `<span class="signal-badge watermark clickable" data-signal-type="pt" title="Exchange rate: ${market.watermarkStatus.ratio.toFixed(4)}x of watermark. Click to analyze.">⚠️ Below Watermark</span>`
+                        : market.loopOpportunity
+                            ? `<span class="signal-badge loop clickable" data-signal-type="loop" title="${loopTooltip}. Click to analyze loop strategy.">🔄 Loop +${formatPercent(market.loopOpportunity.apyBoost)}</span>`
+                            : market.lpApy > market.underlyingApyPercent && market.lpApy > calculateFixedAPY(market.ptPrice, market.days)
+                                ? `<span class="signal-badge lp clickable" data-signal-type="lp" title="LP APY beats both underlying and fixed APY. Click to analyze.">LP Best</span>`
+                                : `<span class="signal-badge ${market.signal.type} clickable" data-signal-type="${market.signal.type}" title="${market.signal.label}. Click to analyze.">${market.signal.label}</span>`
                 }
             </div>
         </div>
@@ -1684,14 +3164,21 @@ function clearUrlMarket() {
 
 // Populate calculator inputs from selected market
 function populateCalculatorFromMarket(market, chainId) {
-    document.getElementById('calc-pt-price').value = market.ptPrice.toFixed(4);
-    document.getElementById('calc-yt-price').value = market.ytPrice.toFixed(4);
-    document.getElementById('calc-days').value = market.days;
-    document.getElementById('calc-underlying-apy').value = market.underlyingApyPercent.toFixed(2);
-    document.getElementById('calc-expected-apy').value = market.underlyingApyPercent.toFixed(2);
+    // Matured markets have nothing left to trade - only their history is shown
+    setAnalysisReadOnly(!!market.isExpired);
+
+    if (!market.isExpired) {
+        document.getElementById('calc-pt-price').value = market.ptPrice.toFixed(4);
+        document.getElementById('calc-yt-price').value = market.ytPrice.toFixed(4);
+        document.getElementById('calc-days').value = market.days;
+        document.getElementById('calc-underlying-apy').value = market.underlyingApyPercent.toFixed(2);
+        document.getElementById('calc-expected-apy').value = market.underlyingApyPercent.toFixed(2);
+    }
+    renderRealizedApyHint(market);
 
     // Store watermark status for display
     selectedMarket = market;
+    loopLeverage = null;
 
     // Get current chain ID
     const currentChainId = chainId || document.getElementById('chain-filter')?.value || 1;
@@ -1703,9 +3190,11 @@ function populateCalculatorFromMarket(market, chainId) {
     loadHistoricalData(market);
 
     // Also update compare tab
-    document.getElementById('cmp-pt-price').value = market.ptPrice.toFixed(4);
-    document.getElementById('cmp-yt-price').value = market.ytPrice.toFixed(4);
-    document.getElementById('cmp-days').value = market.days;
+    if (!market.isExpired) {
+        document.getElementById('cmp-pt-price').value = market.ptPrice.toFixed(4);
+        document.getElementById('cmp-yt-price').value = market.ytPrice.toFixed(4);
+        document.getElementById('cmp-days').value = market.days;
+    }
 
     // Show market banner
     const banner = document.getElementById('selected-market-banner');
@@ -1715,7 +3204,9 @@ function populateCalculatorFromMarket(market, chainId) {
         banner.style.display = 'flex';
         document.getElementById('banner-icon').src = market.proIcon || market.icon || '';
         document.getElementById('banner-name').textContent = market.proName || market.name;
-        document.getElementById('banner-expiry').textContent = `Expires ${formatDate(market.expiry)}`;
+        document.getElementById('banner-expiry').textContent = market.isExpired
+            ? `Matured ${formatDate(market.expiry)} · read-only`
+            : `Expires ${formatDate(market.expiry)}`;
 
         // Update Pendle trade links
         const pendleUrls = getPendleUrls(market, currentChainId);
@@ -1730,7 +3221,7 @@ function populateCalculatorFromMarket(market, chainId) {
         const eulerLink = document.getElementById('loop-euler-link');
 
         if (loopLinks && market.loopOpportunity) {
-            const platforms = getLoopPlatforms(market);
+            const platforms = getLoopPlatforms(market, currentChainId);
             loopLinks.style.display = platforms.length > 0 ? 'inline' : 'none';
 
             if (aaveLink) {
@@ -1752,7 +3243,7 @@ function populateCalculatorFromMarket(market, chainId) {
 
     // Populate incentive breakdown card
     const incentiveCard = document.getElementById('incentive-breakdown-card');
-    if (incentiveCard && market.hasIncentives && market.incentiveBreakdown) {
+    if (incentiveCard && !market.isExpired && market.hasIncentives && market.incentiveBreakdown) {
         const breakdown = market.incentiveBreakdown;
         incentiveCard.style.display = 'block';
 
@@ -1811,7 +3302,9 @@ function populateCalculatorFromMarket(market, chainId) {
         incentiveCard.style.display = 'none';
     }
 
-    if (compareBanner) {
+    if (compareBanner && market.isExpired) {
+        compareBanner.style.display = 'none';
+    } else if (compareBanner) {
         compareBanner.style.display = 'flex';
         document.getElementById('compare-banner-icon').src = market.proIcon || market.icon || '';
         document.getElementById('compare-banner-name').textContent = market.proName || market.name;
@@ -1822,475 +3315,485 @@ function populateCalculatorFromMarket(market, chainId) {
     updateCompareCalculator();
 }
 
-// Position type state
-let positionType = 'pt';
+// Toggle read-only analysis for matured markets: no trade links or position calculators
+function setAnalysisReadOnly(readOnly) {
+    document.getElementById('calculator-calculator')?.classList.toggle('read-only', readOnly);
 
-// Update calculator
-function updateCalculator() {
-    // Show/hide no market prompt
-    const noMarketPrompt = document.getElementById('no-market-prompt');
-    if (noMarketPrompt) {
-        noMarketPrompt.style.display = selectedMarket ? 'none' : 'block';
-    }
+    ['pendle-pt-link', 'pendle-yt-link', 'pendle-lp-link', 'compare-strategies-btn'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = readOnly ? 'none' : '';
+    });
 
-    const ptPrice = parseFloat(document.getElementById('calc-pt-price').value) || 0.95;
-    const ytPrice = parseFloat(document.getElementById('calc-yt-price').value) || 0.05;
-    const days = parseFloat(document.getElementById('calc-days').value) || 90;
-    const underlyingApy = parseFloat(document.getElementById('calc-underlying-apy').value) || 5;
-    const expectedApy = parseFloat(document.getElementById('calc-expected-apy').value) || 5;
-    const investment = parseFloat(document.getElementById('calc-investment').value) || 10000;
+    const notice = document.getElementById('matured-notice');
+    if (notice) notice.style.display = readOnly ? 'block' : 'none';
 
-    // Calculate implied APY
-    const impliedApy = calculateImpliedAPY(ytPrice, ptPrice, days);
-    const fixedApy = calculateFixedAPY(ptPrice, days);
+    // The loop panel is driven by the position type, so fall back to PT
+    if (readOnly && positionType === 'loop') {
+        positionType = 'pt';
+        document.querySelectorAll('.toggle-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.type === 'pt');
+        });
+    }
+}
 
-    // Update implied APY display
-    document.getElementById('calc-implied-apy').textContent = formatPercent(impliedApy);
+// Monte Carlo simulation of the underlying APY until maturity
+const MONTE_CARLO_PATHS = 1000;
+const MONTE_CARLO_SEED = 20240101; // Fixed seed so results don't jitter while inputs are edited
+const MONTE_CARLO_BINS = 30;
+
+// Expected APY mode ('single' uses calc-expected-apy, 'simulate' draws paths)
+let apyMode = 'single';
+
+// Mean-reverting process for the selected market's underlying APY (set once its history loads)
+let underlyingProcess = null;
+
+// Seeded PRNG (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-    // Update APY comparison bars
-    const maxApy = Math.max(underlyingApy, impliedApy, 1);
-    document.getElementById('underlying-bar').style.width = `${(underlyingApy / maxApy) * 100}%`;
-    document.getElementById('implied-bar').style.width = `${(impliedApy / maxApy) * 100}%`;
-    document.getElementById('underlying-label').textContent = formatPercent(underlyingApy);
-    document.getElementById('implied-label').textContent = formatPercent(impliedApy);
+// Calibrate a daily Ornstein-Uhlenbeck process for the underlying APY (in %) from history stats.
+// Starts at the 7d average and reverts to the 90d average; persistence is the lag-1
+// autocorrelation of the daily series, and shocks are sized to keep the 90d volatility.
+function calibrateUnderlyingProcess(history) {
+    const stats = history?.underlyingApy;
+    const all = stats?.all;
+    if (!all || all.values.length < 10) return null;
+
+    // Last reading per UTC day from the raw points - stats values drop missing and out-of-range
+    // readings, so neighbours there can be days apart (and hours apart on finer time frames)
+    const byDay = new Map();
+    for (const point of history.rawData || []) {
+        const value = (point.underlyingApy || 0) * 100;
+        const time = new Date(point.timestamp).getTime();
+        if (!(value > 0 && value < 1000) || !Number.isFinite(time)) continue;
+        byDay.set(Math.floor(time / 86400000), value);
+    }
 
-    // Update valuation signal
-    const signal = getMarketSignal(underlyingApy, impliedApy);
-    const signalBody = document.getElementById('signal-body');
+    // Only pair days that are exactly one apart
+    let covariance = 0;
+    let pairs = 0;
+    let variance = 0;
+    for (const [day, value] of byDay) {
+        const deviation = value - all.avg;
+        variance += deviation * deviation;
+        if (byDay.has(day - 1)) {
+            covariance += deviation * (byDay.get(day - 1) - all.avg);
+            pairs++;
+        }
+    }
 
-    // Check for watermark warning
-    if (selectedMarket?.watermarkStatus?.belowWatermark) {
-        const ratio = selectedMarket.watermarkStatus.ratio;
-        signalBody.innerHTML = `<strong style="color: var(--loss-color);">⚠️ BELOW WATERMARK</strong><br>
-            This YT is currently not earning yield. Exchange rate is at ${(ratio * 100).toFixed(2)}% of the watermark.
-            YT holders will not receive yield until the rate recovers above the watermark.`;
-        signalBody.className = 'signal-body';
-    } else if (selectedMarket?.isPurePoints && selectedMarket?.zeroYieldReason) {
-        const reason = selectedMarket.zeroYieldReason;
-        const icon = reason.type === 'data_issue' ? '⚠️' : reason.type === 'raw_token' ? '📦' : '🎯';
-        const color = reason.type === 'data_issue' ? 'var(--loss-color)' : 'var(--warning-color)';
-        signalBody.innerHTML = `<strong style="color: ${color};">${icon} ${reason.title}</strong><br>
-            ${reason.explanation}<br><br>
-            <span style="color: var(--text-muted);">The ${formatPercent(impliedApy)} implied APY suggests the market is pricing in future value from points or incentives.
-            YT holders are speculating on airdrop/points value - high risk if expectations aren't met.</span>`;
-        signalBody.className = 'signal-body';
-    } else if (selectedMarket?.isPurePoints) {
-        signalBody.innerHTML = `<strong style="color: var(--warning-color);">🎯 PURE POINTS MARKET</strong><br>
-            This market has 0% on-chain yield. The ${formatPercent(impliedApy)} implied APY is entirely from points/airdrops speculation.
-            YT value depends entirely on future airdrop valuations - high risk if points don't convert to expected value.`;
-        signalBody.className = 'signal-body';
-    } else {
-        signalBody.textContent = signal.reason;
-        signalBody.className = 'signal-body ' + (signal.type !== 'neutral' ? signal.type + '-signal' : '');
+    // Clamp to half-lives between 1 day and ~6 months
+    const autocorrelation = pairs >= 5 && variance > 0 ? (covariance / pairs) / (variance / byDay.size) : 0.95;
+    const phi = Math.min(Math.max(autocorrelation, 0.5), 0.996);
+    const stdDev = stats.last90d?.stdDev || all.stdDev;
+
+    return {
+        start: stats.last7d?.avg ?? all.current,
+        mean: stats.last90d?.avg ?? all.avg,
+        stdDev,
+        phi,
+        dailyVol: stdDev * Math.sqrt(1 - phi * phi),
+        halfLifeDays: Math.log(0.5) / Math.log(phi),
+        calibrated: true
+    };
+}
+
+// Process assumed from the calculator inputs when there's no history to calibrate from
+function assumedUnderlyingProcess(underlyingApy, expectedApy) {
+    const phi = 0.97;
+    const stdDev = expectedApy * 0.25;
+    return {
+        start: underlyingApy,
+        mean: expectedApy,
+        stdDev,
+        phi,
+        dailyVol: stdDev * Math.sqrt(1 - phi * phi),
+        halfLifeDays: Math.log(0.5) / Math.log(phi),
+        calibrated: false
+    };
+}
+
+// Simulate PT, YT and LP payoffs at maturity over underlying APY paths
+function runMonteCarlo({ ptPrice, ytPrice, days, investment, process, swapFeeApy, lpRewardApy, paths = MONTE_CARLO_PATHS, seed = MONTE_CARLO_SEED }) {
+    const random = createRandom(seed);
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    const steps = Math.max(1, Math.round(days));
+    const fixedApy = calculateFixedAPY(ptPrice, days);
+    const ptPnl = investment / ptPrice - investment;
+
+    const pnl = { pt: [], yt: [], lp: [] };
+    const beatsHold = { pt: 0, yt: 0, lp: 0 };
+    const realized = [];
+
+    for (let p = 0; p < paths; p++) {
+        let rate = process.start;
+        let sum = 0;
+        for (let step = 0; step < steps; step++) {
+            // Negative yield doesn't reach YT holders (watermark), so floor at zero
+            rate = Math.max(0, process.mean + process.phi * (rate - process.mean) + process.dailyVol * gaussian());
+            sum += rate;
+        }
+        const realizedApy = sum / steps;
+        const periodYield = (realizedApy / 100) * (days / 365);
+        const holdPnl = investment * periodYield;
+
+        const outcome = {
+            pt: ptPnl,
+            yt: ytPrice > 0 ? (investment / ytPrice) * periodYield * (1 - PENDLE_FEE) - investment : -investment,
+            lp: investment * ((fixedApy * 0.5 + realizedApy * 0.5 + swapFeeApy + lpRewardApy) / 100) * (days / 365)
+        };
+        for (const key of Object.keys(outcome)) {
+            pnl[key].push(outcome[key]);
+            if (outcome[key] > holdPnl) beatsHold[key]++;
+        }
+        realized.push(realizedApy);
     }
 
-    // PT Results
-    const ptDiscount = (1 - ptPrice) * 100;
-    const ptAmount = investment / ptPrice;
-    const ptMaturityValue = ptAmount;
-    const ptProfit = ptMaturityValue - investment;
+    const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * (sorted.length - 1)))];
+    const summarize = (values, key) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return {
+            sorted,
+            probProfit: values.filter(v => v > 0).length / paths * 100,
+            probBeatsHold: key ? beatsHold[key] / paths * 100 : null,
+            mean: values.reduce((a, b) => a + b, 0) / paths,
+            p5: quantile(sorted, 0.05),
+            p50: quantile(sorted, 0.5),
+            p95: quantile(sorted, 0.95)
+        };
+    };
 
-    document.getElementById('calc-fixed-apy').textContent = formatPercent(fixedApy);
-    document.getElementById('calc-pt-discount').textContent = formatPercent(ptDiscount);
-    document.getElementById('calc-pt-maturity').textContent = formatCurrency(ptMaturityValue);
-    document.getElementById('calc-pt-profit').textContent = (ptProfit >= 0 ? '+' : '') + formatCurrency(ptProfit);
-    document.getElementById('calc-pt-profit').className = 'result-value ' + (ptProfit >= 0 ? 'profit' : 'loss');
+    return {
+        paths,
+        days: steps,
+        realizedApy: summarize(realized),
+        strategies: {
+            pt: summarize(pnl.pt, 'pt'),
+            yt: summarize(pnl.yt, 'yt'),
+            lp: summarize(pnl.lp, 'lp')
+        }
+    };
+}
 
-    // YT Results
-    const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
-    const ytExposure = investment * ytLeverage;
-    const periodYield = (expectedApy / 100) * (days / 365);
-    const ytGrossYield = ytExposure * periodYield;
-    const ytNetYield = ytGrossYield * (1 - PENDLE_FEE);
-    const ytPnl = ytNetYield - investment;
+// Monte Carlo histogram chart instance
+let monteCarloChart = null;
+
+// Render the simulated payoff distribution below the calculator
+function renderMonteCarlo(result, process) {
+    const section = document.getElementById('monte-carlo-section');
+    if (!section) return;
+
+    const formatSigned = (value) => (value >= 0 ? '+' : '') + formatCurrency(value);
+    const signColor = (value) => value >= 0 ? 'var(--profit-color)' : 'var(--loss-color)';
+    const strategyLabels = { yt: 'YT', pt: 'PT', lp: 'LP' };
+
+    document.getElementById('monte-carlo-summary').innerHTML = `
+        <div class="analysis-detail">
+            ${result.paths.toLocaleString()} paths over ${result.days} days ·
+            ${process.calibrated ? 'calibrated from history' : 'assumed from your inputs (no history)'}:
+            starts at ${formatPercent(process.start)}, reverts to ${formatPercent(process.mean)}
+            (half-life ${process.halfLifeDays.toFixed(0)}d), σ ${formatPercent(process.stdDev)}.
+            Realized APY 5th–95th: ${formatPercent(result.realizedApy.p5)} – ${formatPercent(result.realizedApy.p95)}
+        </div>
+        <div class="backtest-table">
+            <div class="backtest-row monte-carlo-row backtest-head">
+                <span>Strategy</span><span>P(profit)</span><span>5th</span><span>Median</span><span>95th</span><span>Beats hold</span>
+            </div>
+            ${Object.entries(strategyLabels).map(([key, label]) => {
+                const r = result.strategies[key];
+                return `
+                    <div class="backtest-row monte-carlo-row">
+                        <span class="backtest-signal">${label}</span>
+                        <span>${formatPercent(r.probProfit)}</span>
+                        <span style="color: ${signColor(r.p5)}">${formatSigned(r.p5)}</span>
+                        <span style="color: ${signColor(r.p50)}">${formatSigned(r.p50)}</span>
+                        <span style="color: ${signColor(r.p95)}">${formatSigned(r.p95)}</span>
+                        <span>${formatPercent(r.probBeatsHold)}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
 
-    document.getElementById('calc-yt-leverage').textContent = formatNumber(ytLeverage, 1) + 'x';
-    document.getElementById('calc-yt-exposure').textContent = formatCurrency(ytExposure);
-    document.getElementById('calc-breakeven').textContent = formatPercent(impliedApy);
-    document.getElementById('calc-yt-yield').textContent = formatCurrency(ytNetYield);
-    document.getElementById('calc-yt-pnl').textContent = (ytPnl >= 0 ? '+' : '') + formatCurrency(ytPnl);
-    document.getElementById('calc-yt-pnl').className = 'result-value ' + (ytPnl >= 0 ? 'profit' : 'loss');
+    const ctx = document.getElementById('monte-carlo-chart');
+    if (!ctx) return;
 
-    // LP calculations
-    // LP is roughly 50% PT + 50% SY, earns swap fees + rewards
-    const lpSwapFeeApy = selectedMarket?.swapFeeApy || 2.5;
-    const lpIncentiveApy = selectedMarket?.lpRewardApy || 5;
-    const lpTotalApy = selectedMarket?.lpApy || (fixedApy * 0.5 + lpSwapFeeApy + lpIncentiveApy);
-    const lpPeriodReturn = (lpTotalApy / 100) * (days / 365);
-    const lpFinalValue = investment * (1 + lpPeriodReturn);
+    // PT is fixed at maturity, so chart the selected strategy's spread (YT unless LP)
+    const key = positionType === 'lp' ? 'lp' : 'yt';
+    const sorted = result.strategies[key].sorted;
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / MONTE_CARLO_BINS || 1;
+    const counts = new Array(MONTE_CARLO_BINS).fill(0);
+    sorted.forEach(value => {
+        counts[Math.min(MONTE_CARLO_BINS - 1, Math.floor((value - min) / width))]++;
+    });
+    const midpoints = counts.map((_, idx) => min + width * (idx + 0.5));
 
-    // IL risk assessment based on yield volatility
-    const lpIlRisk = impliedApy > 30 ? 'Medium-High' : impliedApy > 15 ? 'Low-Medium' : 'Low';
+    if (monteCarloChart) {
+        monteCarloChart.destroy();
+    }
 
-    document.getElementById('calc-lp-apy').textContent = formatPercent(lpTotalApy);
-    document.getElementById('calc-lp-pt-exposure').textContent = '~50%';
-    document.getElementById('calc-lp-swap-apy').textContent = formatPercent(lpSwapFeeApy);
-    document.getElementById('calc-lp-incentive-apy').textContent = formatPercent(lpIncentiveApy);
-    document.getElementById('calc-lp-value').textContent = formatCurrency(lpFinalValue);
-    document.getElementById('calc-lp-il-risk').textContent = lpIlRisk;
+    monteCarloChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: midpoints.map(value => formatSigned(value)),
+            datasets: [{
+                label: `${strategyLabels[key]} P&L at maturity`,
+                data: counts.map(count => count / result.paths * 100),
+                backgroundColor: midpoints.map(value => value >= 0 ? 'rgba(45, 212, 191, 0.6)' : 'rgba(239, 68, 68, 0.6)'),
+                borderWidth: 0,
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#9CA3AF',
+                        font: { family: "'Inter', sans-serif", size: 11 },
+                        padding: 16,
+                        boxWidth: 12
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        title: items => `${formatSigned(midpoints[items[0].dataIndex] - width / 2)} to ${formatSigned(midpoints[items[0].dataIndex] + width / 2)}`,
+                        label: ctx => ctx.parsed.y.toFixed(1) + '% of paths'
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        maxTicksLimit: 8
+                    },
+                    grid: { display: false }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Paths (%)',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
+                    },
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        callback: value => value + '%'
+                    },
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
+                }
+            }
+        }
+    });
+}
 
-    // Calculate holding comparison
-    const holdPeriodYield = (expectedApy / 100) * (days / 365);
-    const holdYield = investment * holdPeriodYield;
+// Switch between a single expected APY and simulated APY paths
+function setApyMode(mode) {
+    if (mode !== 'single' && mode !== 'simulate') return;
+    apyMode = mode;
 
-    // Calculate loop results
-    let loopProfit = 0;
-    const loopOpportunity = selectedMarket?.loopOpportunity;
-    const loopAvailable = document.getElementById('loop-available');
-    const loopUnavailable = document.getElementById('loop-unavailable');
-    const loopOracleSection = document.getElementById('loop-oracle-section');
-    const loopSelectPrompt = document.getElementById('loop-select-prompt');
-    const loopOracleContent = document.getElementById('loop-oracle-content');
+    document.querySelectorAll('#calc-apy-mode .timeframe-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
 
-    if (positionType === 'loop') {
-        // Always show oracle section when Loop PT is selected
-        if (loopOracleSection) loopOracleSection.style.display = 'block';
+    updateCalculator();
+}
 
-        if (loopOpportunity) {
-            // Has loop opportunity - show content
-            const loopPeriodReturn = (loopOpportunity.effectiveApy / 100) * (days / 365);
-            const loopFinalValue = investment * (1 + loopPeriodReturn);
-            loopProfit = loopFinalValue - investment;
-            const vsPtProfit = loopProfit - ptProfit;
+// Latest execution estimate request (older ones are ignored when they resolve)
+let executionRequest = 0;
 
-            document.getElementById('calc-loop-effective-apy').textContent = formatPercent(loopOpportunity.effectiveApy);
-            document.getElementById('calc-loop-base-apy').textContent = formatPercent(fixedApy);
-            document.getElementById('calc-loop-boost').textContent = '+' + formatPercent(loopOpportunity.apyBoost);
-            document.getElementById('calc-loop-platform').textContent = loopOpportunity.platform;
-            document.getElementById('calc-loop-leverage').textContent = `${(loopOpportunity.ltv * 100).toFixed(0)}% / ${loopOpportunity.safeLeverage.toFixed(2)}x`;
-            document.getElementById('calc-loop-borrow-rate').textContent = formatPercent(loopOpportunity.borrowRate);
-            document.getElementById('calc-loop-liq-buffer').textContent = loopOpportunity.liquidationBuffer.toFixed(1) + '%';
-            document.getElementById('calc-loop-value').textContent = formatCurrency(loopFinalValue);
-            document.getElementById('calc-loop-profit').textContent = '+' + formatCurrency(loopProfit);
-            document.getElementById('calc-loop-vs-pt').textContent = '+' + formatCurrency(vsPtProfit) + ' extra';
-            document.getElementById('calc-loop-vs-pt').className = 'result-value profit';
+// Show execution price, price impact and effective APY of the investment against the pool
+// Renders once the pool state is loaded; hidden for LP and when there's no pool state
+async function updateExecutionEstimate(investment, days) {
+    const el = document.getElementById('calc-execution');
+    if (!el) return;
 
-            if (loopAvailable) loopAvailable.style.display = 'block';
-            if (loopUnavailable) loopUnavailable.style.display = 'none';
-            if (loopSelectPrompt) loopSelectPrompt.style.display = 'none';
-            if (loopOracleContent) loopOracleContent.style.display = 'block';
+    const request = ++executionRequest;
+    const market = selectedMarket;
+    if (!market || market.isExpired || positionType === 'lp') {
+        el.style.display = 'none';
+        return;
+    }
 
-            // Update oracle analysis
-            updateOracleAnalysis();
-        } else {
-            // No loop opportunity - show prompt
-            if (loopAvailable) loopAvailable.style.display = 'none';
-            if (loopUnavailable) loopUnavailable.style.display = 'block';
-            if (loopSelectPrompt) loopSelectPrompt.style.display = 'block';
-            if (loopOracleContent) loopOracleContent.style.display = 'none';
-        }
-    } else {
-        // Not loop mode - hide oracle section
-        if (loopOracleSection) loopOracleSection.style.display = 'none';
+    const chainId = document.getElementById('chain-filter')?.value || 1;
+    const state = await fetchPoolState(market, chainId);
+    if (request !== executionRequest) return;
+
+    const trade = state?.usdPerAsset ? simulateAmmTrade(state, investment / state.usdPerAsset, days) : null;
+    const isYt = positionType === 'yt';
+    const leg = isYt ? trade?.yt : trade?.pt;
+    if (!leg) {
+        el.style.display = 'none';
+        return;
     }
+    el.style.display = 'block';
 
-    let vsHold;
-    if (positionType === 'pt') {
-        vsHold = ptProfit - holdYield;
-    } else if (positionType === 'yt') {
-        vsHold = ytPnl - holdYield;
-    } else if (positionType === 'lp') {
-        vsHold = (lpFinalValue - investment) - holdYield;
-    } else if (positionType === 'loop') {
-        vsHold = loopProfit - holdYield;
+    document.getElementById('calc-exec-price').textContent = `${leg.executionPrice.toFixed(4)} (spot ${(isYt ? trade.spotYtPrice : trade.spotPtPrice).toFixed(4)})`;
+    document.getElementById('calc-exec-impact').textContent = formatPercent(leg.priceImpact);
+    document.getElementById('calc-exec-impact').className = 'result-value ' + (leg.priceImpact > 1 ? 'loss' : '');
+    document.getElementById('calc-exec-apy-label').textContent = isYt ? 'Effective Implied APY' : 'Effective Fixed APY';
+    document.getElementById('calc-exec-apy').textContent = formatPercent(leg.effectiveApy);
+
+    const notes = [];
+    if (!leg.filled) {
+        notes.push(`Too large for this pool: only ~${formatCurrency(leg.amountOut * leg.executionPrice * state.usdPerAsset)} fills`);
     }
+    notes.push(state.source === 'on-chain'
+        ? `On-chain pool state · ${formatPercent((state.feeRate - 1) * 100)} swap fee`
+        : 'Estimated curve (on-chain pool state unavailable)');
+    document.getElementById('calc-exec-note').textContent = notes.join(' · ');
+}
 
-    document.getElementById('calc-vs-hold').textContent = (vsHold >= 0 ? '+' : '') + formatCurrency(vsHold);
-    document.getElementById('calc-vs-hold').className = 'result-value ' + (vsHold >= 0 ? 'profit' : 'loss');
+// Default implied APY shocks for the LP simulator (percentage points)
+const LP_DEFAULT_SHOCKS = [-3, -1, 1, 3];
+
+// Latest LP simulator request and its chart
+let lpSimulatorRequest = 0;
+let lpSimulatorChart = null;
+
+// Pool with equal PT and SY value on an estimated curve (no market selected or no pool data)
+function syntheticAmmState(ptPrice, days) {
+    return buildAmmState({
+        totalPt: 1,
+        totalSy: ptPrice,
+        syIndex: 1,
+        scalarRoot: AMM_ESTIMATED_SCALAR_ROOT,
+        lnFeeRateRoot: Math.log(1 + AMM_ESTIMATED_FEE_RATE),
+        lastLnImpliedRate: Math.log(1 + calculateFixedAPY(ptPrice, days) / 100),
+        expiry: Date.now() / 1000 + days * 24 * 60 * 60,
+        source: 'assumed'
+    });
+}
 
-    // Show/hide appropriate results
-    document.getElementById('pt-results').style.display = positionType === 'pt' ? 'block' : 'none';
-    document.getElementById('yt-results').style.display = positionType === 'yt' ? 'block' : 'none';
-    document.getElementById('lp-results').style.display = positionType === 'lp' ? 'block' : 'none';
-    document.getElementById('loop-results').style.display = positionType === 'loop' ? 'block' : 'none';
+// Simulate the LP position under implied APY shocks and render the table and IL-vs-rate chart
+async function updateLpSimulator(investment, ptPrice, days) {
+    const section = document.getElementById('lp-simulator-section');
+    if (!section) return;
 
-    // Show/hide oracle section based on position type
-    if (loopOracleSection && positionType !== 'loop') {
-        loopOracleSection.style.display = 'none';
+    const request = ++lpSimulatorRequest;
+    if (positionType !== 'lp' || selectedMarket?.isExpired) {
+        section.style.display = 'none';
+        return;
     }
-}
 
-// Update oracle analysis section
-function updateOracleAnalysis() {
-    const marketName = (selectedMarket?.name || selectedMarket?.proName || '').toUpperCase();
-    let oracleData = null;
+    const chainId = document.getElementById('chain-filter')?.value || 1;
+    const poolState = selectedMarket ? await fetchPoolState(selectedMarket, chainId) : null;
+    if (request !== lpSimulatorRequest) return;
 
-    // Find oracle data from known pairs
-    for (const [assetName, pairData] of Object.entries(KNOWN_PT_LENDING_PAIRS)) {
-        if (marketName.includes(assetName.toUpperCase()) && pairData.oracle) {
-            oracleData = pairData.oracle;
-            break;
-        }
+    const state = poolState || syntheticAmmState(ptPrice, days);
+    if (!state) {
+        section.style.display = 'none';
+        return;
     }
+    section.style.display = 'block';
+
+    const shockInput = document.getElementById('lp-sim-shocks')?.value || '';
+    const parsedShocks = shockInput.split(/[\s,]+/).map(parseFloat).filter(shock => Number.isFinite(shock) && shock !== 0);
+    const shocks = parsedShocks.length > 0 ? parsedShocks : LP_DEFAULT_SHOCKS;
+    const daysLeft = state.yearFraction * 365;
+    const horizon = Math.min(Math.max(parseFloat(document.getElementById('lp-sim-days')?.value) || 0, 0), Math.floor(daysLeft) - 1);
+    const baseImplied = state.impliedApy;
+
+    // Current composition
+    const poolValue = ammPoolValue(state);
+    const ptShare = state.totalPt / ammExchangeRate(state, 0) / poolValue * 100;
+    document.getElementById('calc-lp-pt-exposure').textContent = formatPercent(ptShare);
+
+    const scenarios = [0, ...[...shocks].sort((a, b) => a - b)].map(shock => ({
+        shock,
+        result: simulateLpScenario(state, { days: horizon, impliedApy: baseImplied + shock })
+    }));
+    const worst = scenarios.filter(s => s.result).reduce((min, s) => Math.min(min, s.result.impermanentLoss), 0);
+    document.getElementById('calc-lp-il-risk').textContent = `${formatPercent(worst)} worst case`;
+
+    const formatSigned = (value) => (value >= 0 ? '+' : '') + formatCurrency(value);
+    const signColor = (value) => value >= 0 ? 'var(--profit-color)' : 'var(--loss-color)';
+    const sourceText = {
+        'on-chain': 'on-chain pool state',
+        estimated: 'pool balances from history on an estimated curve',
+        assumed: 'an assumed 50/50 pool on an estimated curve'
+    }[state.source];
+
+    document.getElementById('lp-sim-summary').innerHTML = `
+        <div class="analysis-detail">
+            Pool is ${formatPercent(ptShare)} PT by value at ${formatPercent(baseImplied)} implied (${sourceText}).
+            Shocks apply after ${horizon} day${horizon === 1 ? '' : 's'}; IL compares with holding the PT and SY you deposited.
+            Swap fees and SY yield are not included.
+        </div>
+        <div class="backtest-table">
+            <div class="backtest-row lp-sim-row backtest-head">
+                <span>Shock</span><span>Implied</span><span>PT share</span><span>LP P&amp;L</span><span>IL vs hold</span>
+            </div>
+            ${scenarios.map(({ shock, result }) => result ? `
+                <div class="backtest-row lp-sim-row">
+                    <span class="backtest-signal">${shock === 0 ? 'None' : (shock > 0 ? '+' : '') + shock + 'pp'}</span>
+                    <span>${formatPercent(result.impliedApy)}</span>
+                    <span>${formatPercent(result.ptShare)}</span>
+                    <span style="color: ${signColor(result.lpValue - 1)}">${formatSigned(investment * (result.lpValue - 1))}</span>
+                    <span style="color: ${signColor(result.impermanentLoss)}">${formatPercent(result.impermanentLoss)}</span>
+                </div>
+            ` : `
+                <div class="backtest-row lp-sim-row">
+                    <span class="backtest-signal">${(shock > 0 ? '+' : '') + shock}pp</span>
+                    <span>${formatPercent(baseImplied + shock)}</span>
+                    <span>-</span><span>-</span><span>Outside curve</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
 
-    const oracleIcon = document.getElementById('oracle-icon');
-    const oracleType = document.getElementById('oracle-type');
-    const oracleProvider = document.getElementById('oracle-provider');
-    const oracleStabilityBadge = document.getElementById('oracle-stability-badge');
-    const oracleDescription = document.getElementById('oracle-description');
-    const oraclePriceType = document.getElementById('oracle-price-type');
-    const oracleTwapWindow = document.getElementById('oracle-twap-window');
-    const oracleStabilityRating = document.getElementById('oracle-stability-rating');
-    const oracleRiskLevel = document.getElementById('oracle-risk-level');
-    const oracleRiskSummary = document.getElementById('oracle-risk-summary');
+    // IL across implied rates at the horizon
+    const ctx = document.getElementById('lp-sim-chart');
+    if (!ctx) return;
 
-    if (!oracleData) {
-        // No oracle data available
-        oracleIcon.textContent = '?';
-        oracleType.textContent = 'Unknown Oracle';
-        oracleProvider.textContent = 'Provider: Not verified';
-        oracleStabilityBadge.textContent = 'Unverified';
-        oracleStabilityBadge.className = 'oracle-stability-badge unknown';
-        oracleDescription.textContent = 'Oracle data not available for this market. Exercise caution with unverified oracles.';
-        oraclePriceType.textContent = 'Unknown';
-        oracleTwapWindow.textContent = '-';
-        oracleStabilityRating.textContent = '-';
-        oracleRiskLevel.textContent = '-';
-        oracleRiskSummary.innerHTML = '<span class="risk-icon">⚠️</span><span class="risk-text">Unable to verify oracle - proceed with caution</span>';
-        oracleRiskSummary.className = 'oracle-risk-summary warning';
-        return;
-    }
-
-    // Get stability info
-    const stabilityInfo = ORACLE_STABILITY_INFO[oracleData.stability] || ORACLE_STABILITY_INFO['medium'];
-
-    // Populate oracle data
-    oracleIcon.textContent = stabilityInfo.icon;
-    oracleType.textContent = oracleData.type;
-    oracleProvider.textContent = `Provider: ${oracleData.provider}`;
-
-    // Set stability badge
-    oracleStabilityBadge.textContent = stabilityInfo.label;
-    oracleStabilityBadge.className = `oracle-stability-badge ${oracleData.stability}`;
-    oracleStabilityBadge.style.color = stabilityInfo.color;
-
-    oracleDescription.textContent = oracleData.description;
-
-    // Price type (TWAP vs Spot)
-    const isTwap = oracleData.type.includes('TWAP') || oracleData.twapWindow !== 'N/A';
-    oraclePriceType.textContent = isTwap ? 'TWAP (Time-Weighted)' : 'Spot Price';
-    oraclePriceType.className = `metric-value ${isTwap ? 'twap' : 'spot'}`;
-
-    // TWAP window
-    oracleTwapWindow.textContent = oracleData.twapWindow || 'N/A';
-
-    // Stability rating
-    oracleStabilityRating.textContent = stabilityInfo.label;
-    oracleStabilityRating.style.color = stabilityInfo.color;
-
-    // Risk level
-    const riskColors = {
-        'very-low': 'var(--profit-color)',
-        'low': 'var(--pt-color)',
-        'medium': 'var(--warning-color)',
-        'high': 'var(--loss-color)'
-    };
-    oracleRiskLevel.textContent = oracleData.riskLevel.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
-    oracleRiskLevel.style.color = riskColors[oracleData.riskLevel] || 'var(--text-primary)';
-
-    // Risk summary
-    let riskSummaryClass = 'oracle-risk-summary';
-    let riskIcon = '';
-    let riskText = '';
-
-    if (oracleData.stability === 'very-high' || oracleData.stability === 'high') {
-        riskIcon = stabilityInfo.icon;
-        riskText = isTwap
-            ? 'TWAP oracle reduces manipulation risk. Price converges to 1 at PT maturity.'
-            : 'Battle-tested oracle with strong reliability. Liquidation risk is primarily from position leverage.';
-        riskSummaryClass += ' safe';
-    } else if (oracleData.stability === 'medium') {
-        riskIcon = '⚠️';
-        riskText = 'Newer oracle with moderate track record. Monitor position closely for unexpected price movements.';
-        riskSummaryClass += ' caution';
-    } else {
-        riskIcon = '🚨';
-        riskText = 'Spot price oracle susceptible to manipulation. High liquidation risk from flash loan attacks.';
-        riskSummaryClass += ' danger';
-    }
-
-    oracleRiskSummary.innerHTML = `<span class="risk-icon">${riskIcon}</span><span class="risk-text">${riskText}</span>`;
-    oracleRiskSummary.className = riskSummaryClass;
-
-    // Fetch and render oracle price chart
-    fetchAndRenderOraclePriceChart();
-}
-
-// Chart instance for oracle price
-let oraclePriceChart = null;
-
-// Fetch historical data and render oracle price chart
-async function fetchAndRenderOraclePriceChart() {
-    const chartContainer = document.getElementById('oracle-chart-container');
-    const chartLoading = document.getElementById('oracle-chart-loading');
-    const chartCanvas = document.getElementById('oracle-price-chart');
-    const chartStats = document.getElementById('oracle-chart-stats');
-
-    if (!selectedMarket || !chartContainer) return;
-
-    // Show loading state
-    if (chartLoading) chartLoading.style.display = 'block';
-    if (chartCanvas) chartCanvas.style.display = 'none';
-    if (chartStats) chartStats.style.display = 'none';
-
-    try {
-        const chainId = parseInt(document.getElementById('chain-filter')?.value) || 1;
-        const history = await fetchHarmonizedHistoricalData(selectedMarket, chainId);
-
-        if (!history || !history.rawData || history.rawData.length === 0) {
-            if (chartLoading) chartLoading.textContent = 'No historical data available';
-            return;
-        }
-
-        // Calculate PT prices from implied APY
-        const ptPriceData = history.rawData.map(d => {
-            const impliedApy = (d.impliedApy || 0);
-            const timestamp = new Date(d.timestamp);
-            const now = new Date();
-            const maturityDate = new Date(now.getTime() + selectedMarket.days * 24 * 60 * 60 * 1000);
-            const daysAtPoint = Math.max(1, (maturityDate - timestamp) / (24 * 60 * 60 * 1000));
-
-            // PT Price = 1 / (1 + impliedAPY * days/365)
-            const ptPrice = 1 / (1 + impliedApy * (daysAtPoint / 365));
-            return {
-                timestamp: d.timestamp,
-                ptPrice: Math.min(1, Math.max(0, ptPrice)), // Clamp between 0 and 1
-                impliedApy: impliedApy * 100
-            };
-        });
-
-        // Calculate stats
-        const prices = ptPriceData.map(d => d.ptPrice);
-        const minPrice = Math.min(...prices);
-        const maxPrice = Math.max(...prices);
-        const currentPrice = prices[prices.length - 1];
-        const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
-        const variance = prices.reduce((sum, p) => sum + Math.pow(p - avgPrice, 2), 0) / prices.length;
-        const stdDev = Math.sqrt(variance);
-        const volatility = (stdDev / avgPrice) * 100; // Coefficient of variation as percentage
-
-        // Calculate maximum drawdown (largest peak-to-trough decline)
-        let maxDrawdown = 0;
-        let peak = prices[0];
-        for (let i = 1; i < prices.length; i++) {
-            if (prices[i] > peak) {
-                peak = prices[i];
-            }
-            const drawdown = (peak - prices[i]) / peak;
-            if (drawdown > maxDrawdown) {
-                maxDrawdown = drawdown;
-            }
-        }
-        const maxDrawdownPercent = maxDrawdown * 100;
-
-        // Update stats display
-        document.getElementById('oracle-price-current').textContent = currentPrice.toFixed(4);
-        document.getElementById('oracle-price-min').textContent = minPrice.toFixed(4);
-        document.getElementById('oracle-price-max').textContent = maxPrice.toFixed(4);
-        document.getElementById('oracle-price-volatility').textContent = volatility.toFixed(2) + '%';
-        document.getElementById('oracle-price-drawdown').textContent = '-' + maxDrawdownPercent.toFixed(2) + '%';
-
-        // Color volatility based on risk
-        const volatilityEl = document.getElementById('oracle-price-volatility');
-        if (volatility < 1) {
-            volatilityEl.style.color = 'var(--profit-color)';
-        } else if (volatility < 3) {
-            volatilityEl.style.color = 'var(--pt-color)';
-        } else if (volatility < 5) {
-            volatilityEl.style.color = 'var(--warning-color)';
-        } else {
-            volatilityEl.style.color = 'var(--loss-color)';
-        }
-
-        // Color max drawdown based on risk (relative to LTV buffer)
-        const drawdownEl = document.getElementById('oracle-price-drawdown');
-        const ltvBuffer = selectedMarket?.loopOpportunity?.liquidationBuffer || 10;
-        if (maxDrawdownPercent < ltvBuffer * 0.3) {
-            drawdownEl.style.color = 'var(--profit-color)';
-        } else if (maxDrawdownPercent < ltvBuffer * 0.5) {
-            drawdownEl.style.color = 'var(--pt-color)';
-        } else if (maxDrawdownPercent < ltvBuffer * 0.8) {
-            drawdownEl.style.color = 'var(--warning-color)';
-        } else {
-            drawdownEl.style.color = 'var(--loss-color)';
-        }
-
-        // Render chart
-        renderOraclePriceChart(ptPriceData);
-
-        // Show chart elements
-        if (chartLoading) chartLoading.style.display = 'none';
-        if (chartCanvas) chartCanvas.style.display = 'block';
-        if (chartStats) chartStats.style.display = 'flex';
-
-    } catch (e) {
-        console.error('Failed to fetch oracle price history:', e);
-        if (chartLoading) chartLoading.textContent = 'Failed to load historical data';
+    const curve = [];
+    for (let implied = Math.max(0.5, baseImplied - 10); implied <= baseImplied + 10; implied += 0.5) {
+        const result = simulateLpScenario(state, { days: horizon, impliedApy: implied });
+        if (result) curve.push(result);
     }
-}
-
-// Render the oracle price chart
-function renderOraclePriceChart(data) {
-    const ctx = document.getElementById('oracle-price-chart');
-    if (!ctx || !data || data.length === 0) return;
-
-    const labels = data.map(d => {
-        const date = new Date(d.timestamp);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    });
-
-    const ptPrices = data.map(d => d.ptPrice);
-    const impliedApys = data.map(d => d.impliedApy);
-
-    // Calculate 7-day moving average for PT price
-    const ptPrice7dMA = calculateMovingAverage(ptPrices, 7);
 
-    // Destroy existing chart
-    if (oraclePriceChart) {
-        oraclePriceChart.destroy();
+    if (lpSimulatorChart) {
+        lpSimulatorChart.destroy();
     }
 
-    oraclePriceChart = new Chart(ctx, {
+    lpSimulatorChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels,
+            labels: curve.map(point => formatPercent(point.impliedApy)),
             datasets: [
                 {
-                    label: 'PT Price',
-                    data: ptPrices,
-                    borderColor: '#F59E0B',
-                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'PT Price 7D MA',
-                    data: ptPrice7dMA,
-                    borderColor: '#2DD4BF',
+                    label: 'IL vs holding PT + SY',
+                    data: curve.map(point => point.impermanentLoss),
+                    borderColor: '#F472B6',
                     backgroundColor: 'transparent',
                     borderWidth: 2,
                     fill: false,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    yAxisID: 'y'
-                },
-                {
-                    label: 'Implied APY %',
-                    data: impliedApys,
-                    borderColor: '#A78BFA',
-                    backgroundColor: 'transparent',
-                    borderWidth: 1.5,
-                    fill: false,
-                    tension: 0.4,
+                    tension: 0.3,
                     pointRadius: 0,
-                    pointHoverRadius: 4,
-                    borderDash: [4, 2],
-                    yAxisID: 'y1'
+                    pointHoverRadius: 4
                 }
             ]
         },
@@ -2306,10 +3809,10 @@ function renderOraclePriceChart(data) {
                     position: 'top',
                     labels: {
                         color: '#9CA3AF',
+                        font: { family: "'Inter', sans-serif", size: 11 },
+                        padding: 16,
                         usePointStyle: true,
-                        pointStyle: 'line',
-                        padding: 15,
-                        font: { size: 11 }
+                        pointStyle: 'line'
                     }
                 },
                 tooltip: {
@@ -2318,262 +3821,236 @@ function renderOraclePriceChart(data) {
                     bodyColor: '#9CA3AF',
                     borderColor: '#2A2A2A',
                     borderWidth: 1,
-                    padding: 10,
+                    padding: 12,
+                    cornerRadius: 8,
                     callbacks: {
-                        label: function(context) {
-                            if (context.datasetIndex === 2) {
-                                return `Implied APY: ${context.raw.toFixed(2)}%`;
-                            }
-                            return `${context.dataset.label}: ${context.raw.toFixed(4)}`;
-                        }
+                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(3) + '%',
+                        afterBody: items => [`PT share: ${formatPercent(curve[items[0].dataIndex].ptShare)}`]
                     }
                 }
             },
             scales: {
                 x: {
-                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    title: {
+                        display: true,
+                        text: 'Implied APY',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
+                    },
                     ticks: {
                         color: '#6B7280',
-                        maxTicksLimit: 8,
-                        font: { size: 10 }
-                    }
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        maxTicksLimit: 9
+                    },
+                    grid: { display: false }
                 },
                 y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
                     title: {
                         display: true,
-                        text: 'PT Price',
-                        color: '#F59E0B',
-                        font: { size: 11 }
+                        text: 'Impermanent Loss (%)',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
                     },
-                    grid: { color: 'rgba(255,255,255,0.05)' },
                     ticks: {
-                        color: '#F59E0B',
-                        font: { size: 10 },
-                        callback: function(value) {
-                            return value.toFixed(3);
-                        }
-                    }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    title: {
-                        display: true,
-                        text: 'Implied APY %',
-                        color: '#A78BFA',
-                        font: { size: 11 }
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        callback: value => value.toFixed(2) + '%'
                     },
-                    grid: { drawOnChartArea: false },
-                    ticks: {
-                        color: '#A78BFA',
-                        font: { size: 10 },
-                        callback: function(value) {
-                            return value.toFixed(0) + '%';
-                        }
-                    }
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
                 }
             }
         }
     });
 }
 
-// Compare calculator
-function updateCompareCalculator() {
-    // Show/hide no market prompt for compare
-    const noMarketPromptCompare = document.getElementById('no-market-prompt-compare');
-    if (noMarketPromptCompare) {
-        noMarketPromptCompare.style.display = selectedMarket ? 'none' : 'block';
+// Loop simulator leverage (null = the 90%-of-max default) and its health factor chart
+let loopLeverage = null;
+let loopHealthChart = null;
+
+// Loop stress scenarios: borrow rate spikes for the rest of the term (percentage points)
+// and instant PT price drops that fade out by maturity (%)
+const LOOP_RATE_SHOCKS = [2, 5, 10];
+const LOOP_DRAWDOWN_SHOCKS = [1, 3];
+
+// Simulate a PT loop to maturity: PT accretes to par at the fixed APY while the debt accrues
+// Health factor = collateral value × LTV / debt (the LTV stands in for the liquidation threshold)
+function simulateLoopPosition({ ptPrice, days, investment, leverage, ltv, borrowRate, drawdown = 0 }) {
+    const fixedApy = calculateFixedAPY(ptPrice, days) / 100;
+    const units = investment * leverage / ptPrice;
+    const initialDebt = investment * (leverage - 1);
+    const steps = Math.max(1, Math.round(days));
+
+    const timeline = [];
+    let liquidatedOn = null;
+    for (let step = 0; step <= steps; step++) {
+        const day = step * days / steps;
+        const price = (1 / Math.pow(1 + fixedApy, (days - day) / 365)) * (1 - (drawdown / 100) * (1 - day / days));
+        const debt = initialDebt * (1 + (borrowRate / 100) * (day / 365));
+        const healthFactor = debt > 0 ? units * price * ltv / debt : Infinity;
+
+        timeline.push({ day, ptPrice: price, debt, healthFactor, liquidationPrice: debt / (units * ltv) });
+        if (healthFactor < 1 && liquidatedOn === null) liquidatedOn = day;
     }
 
-    const ptPrice = parseFloat(document.getElementById('cmp-pt-price').value) || 0.95;
-    const ytPrice = parseFloat(document.getElementById('cmp-yt-price').value) || 0.05;
-    const days = parseFloat(document.getElementById('cmp-days').value) || 90;
-    const investment = parseFloat(document.getElementById('cmp-investment').value) || 10000;
-    const futureApy = parseFloat(document.getElementById('cmp-underlying-apy').value) || 25;
-
-    document.getElementById('cmp-apy-display').textContent = futureApy + '%';
-
-    const impliedApy = calculateImpliedAPY(ytPrice, ptPrice, days);
-    document.getElementById('cmp-breakeven-apy').textContent = formatPercent(impliedApy);
-
-    // PT Strategy (fixed)
-    const ptAmount = investment / ptPrice;
-    const ptFinal = ptAmount;
-    const ptProfit = ptFinal - investment;
-    const ptFixedApy = calculateFixedAPY(ptPrice, days);
-
-    // YT Strategy
-    const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
-    const ytExposure = investment * ytLeverage;
-    const ytPeriodYield = (futureApy / 100) * (days / 365);
-    const ytGrossYield = ytExposure * ytPeriodYield;
-    const ytNetYield = ytGrossYield * (1 - PENDLE_FEE);
-    const ytFinal = ytNetYield;
-    const ytProfit = ytFinal - investment;
-
-    // LP Strategy
-    // LP combines ~50% PT exposure with swap fees and incentives
-    const lpSwapFeeApy = selectedMarket?.swapFeeApy || 2.5;
-    const lpIncentiveApy = selectedMarket?.lpRewardApy || 5;
-    const lpBaseApy = selectedMarket?.lpApy || (ptFixedApy * 0.5 + lpSwapFeeApy + lpIncentiveApy);
-    const lpPeriodReturn = (lpBaseApy / 100) * (days / 365);
-    const lpFinal = investment * (1 + lpPeriodReturn);
-    const lpProfit = lpFinal - investment;
-
-    // Hold Strategy
-    const holdPeriodYield = (futureApy / 100) * (days / 365);
-    const holdYieldEarned = investment * holdPeriodYield;
-    const holdFinal = investment + holdYieldEarned;
-    const holdReturn = holdPeriodYield * 100;
-
-    // Update PT card
-    document.getElementById('cmp-pt-final').textContent = formatCurrency(ptFinal);
-    document.getElementById('cmp-pt-apy').textContent = formatPercent(ptFixedApy);
-    document.getElementById('cmp-pt-profit').textContent = (ptProfit >= 0 ? '+' : '') + formatCurrency(ptProfit);
-    document.getElementById('cmp-pt-profit').className = ptProfit >= 0 ? 'profit' : 'loss';
-
-    // Update YT card
-    document.getElementById('cmp-yt-final').textContent = formatCurrency(ytFinal);
-    document.getElementById('cmp-yt-leverage').textContent = formatNumber(ytLeverage, 1) + 'x';
-    document.getElementById('cmp-yt-profit').textContent = (ytProfit >= 0 ? '+' : '') + formatCurrency(ytProfit);
-    document.getElementById('cmp-yt-profit').className = ytProfit >= 0 ? 'profit' : 'loss';
-    document.getElementById('cmp-yt-verdict').textContent = `Profitable if APY > ${formatPercent(impliedApy)}`;
-
-    // Update LP card
-    document.getElementById('cmp-lp-final').textContent = formatCurrency(lpFinal);
-    document.getElementById('cmp-lp-apy').textContent = formatPercent(lpBaseApy);
-    document.getElementById('cmp-lp-profit').textContent = (lpProfit >= 0 ? '+' : '') + formatCurrency(lpProfit);
-    document.getElementById('cmp-lp-profit').className = lpProfit >= 0 ? 'profit' : 'loss';
-    document.getElementById('cmp-lp-verdict').textContent = 'Swap fees + PT yield + incentives';
-
-    // Update Hold card
-    document.getElementById('cmp-hold-final').textContent = formatCurrency(holdFinal);
-    document.getElementById('cmp-hold-yield').textContent = formatCurrency(holdYieldEarned);
-    document.getElementById('cmp-hold-return').textContent = formatPercent(holdReturn);
-
-    // Determine winner
-    const strategies = [
-        { name: 'PT', final: ptFinal },
-        { name: 'YT', final: ytFinal },
-        { name: 'LP', final: lpFinal },
-        { name: 'Hold', final: holdFinal }
-    ];
-    strategies.sort((a, b) => b.final - a.final);
-    const winner = strategies[0];
-    const secondBest = strategies[1];
-    const advantage = winner.final - secondBest.final;
-
-    document.getElementById('winner-name').textContent = winner.name;
-    document.getElementById('winner-advantage').textContent = `+${formatCurrency(advantage)} vs next best`;
-
-    // Highlight winner card
-    document.querySelectorAll('.comparison-card').forEach(card => card.classList.remove('winner'));
-    if (winner.name === 'PT') document.querySelector('.pt-card')?.classList.add('winner');
-    if (winner.name === 'YT') document.querySelector('.yt-card')?.classList.add('winner');
-    if (winner.name === 'LP') document.querySelector('.lp-card')?.classList.add('winner');
-    if (winner.name === 'Hold') document.querySelector('.hold-card')?.classList.add('winner');
-
-    // Update chart
-    updateComparisonChart(ptPrice, ytPrice, days, investment);
+    const finalEquity = units - timeline[timeline.length - 1].debt;
+    return {
+        timeline,
+        liquidatedOn,
+        liquidationPrice: timeline[0].liquidationPrice,
+        liquidationDrop: (1 - timeline[0].liquidationPrice / ptPrice) * 100,
+        minHealthFactor: Math.min(...timeline.map(point => point.healthFactor)),
+        finalEquity,
+        effectiveApy: (finalEquity / investment - 1) * (365 / days) * 100
+    };
 }
 
-function updateComparisonChart(ptPrice, ytPrice, days, investment) {
-    const ctx = document.getElementById('comparison-chart');
-    if (!ctx) return;
-
-    const apyRange = [];
-    const ptReturns = [];
-    const ytReturns = [];
-    const lpReturns = [];
-    const holdReturns = [];
-
-    const ptAmount = investment / ptPrice;
-    const ptFinal = ptAmount;
-    const ptReturnFixed = ((ptFinal - investment) / investment) * 100;
+// Replay the loop over past PT prices, entering on each day of history
+// Counts entries whose health factor fell below 1 before the data ends
+function replayLoopHistory(ptPriceData, { leverage, ltv, borrowRate }) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    let liquidated = 0;
+    let worstHealthFactor = Infinity;
+
+    for (let i = 0; i < ptPriceData.length - 1; i++) {
+        const entryTime = new Date(ptPriceData[i].timestamp).getTime();
+        const units = leverage / ptPriceData[i].ptPrice;
+        const initialDebt = leverage - 1;
+        if (initialDebt <= 0) break;
+
+        for (let j = i + 1; j < ptPriceData.length; j++) {
+            const elapsed = (new Date(ptPriceData[j].timestamp).getTime() - entryTime) / dayMs;
+            const healthFactor = units * ptPriceData[j].ptPrice * ltv / (initialDebt * (1 + (borrowRate / 100) * (elapsed / 365)));
+            worstHealthFactor = Math.min(worstHealthFactor, healthFactor);
+            if (healthFactor < 1) {
+                liquidated++;
+                break;
+            }
+        }
+    }
 
-    const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
-    const ytExposure = investment * ytLeverage;
+    return { entries: ptPriceData.length - 1, liquidated, worstHealthFactor };
+}
 
-    // Base LP fees and incentives (independent of APY)
-    const lpSwapFeeApy = selectedMarket?.swapFeeApy || 2.5;
-    const lpIncentiveApy = selectedMarket?.lpRewardApy || 5;
-    const lpBaseReturn = ((lpSwapFeeApy + lpIncentiveApy + ptReturnFixed * 0.5) * (days / 365));
+// Set the loop leverage from the slider
+function setLoopLeverage(value) {
+    loopLeverage = parseFloat(value) || null;
+    updateCalculator();
+}
 
-    for (let apy = 0; apy <= 50; apy += 2) {
-        apyRange.push(apy);
-        ptReturns.push(ptReturnFixed);
+// Render the loop simulator for the selected market and calculator inputs
+function updateLoopSimulator() {
+    const loopOpportunity = selectedMarket?.loopOpportunity;
+    if (!loopOpportunity || positionType !== 'loop') return;
 
-        const ytPeriodYield = (apy / 100) * (days / 365);
-        const ytGrossYield = ytExposure * ytPeriodYield;
-        const ytNetYield = ytGrossYield * (1 - PENDLE_FEE);
-        const ytReturn = ((ytNetYield - investment) / investment) * 100;
-        ytReturns.push(ytReturn);
+    const ptPrice = parseFloat(document.getElementById('calc-pt-price').value) || 0.95;
+    const days = parseFloat(document.getElementById('calc-days').value) || 90;
+    const investment = parseFloat(document.getElementById('calc-investment').value) || 10000;
+    const { ltv, borrowRate } = loopOpportunity;
+    const metrics = calculateLoopMetrics(calculateFixedAPY(ptPrice, days), ltv, borrowRate, loopLeverage);
+    const leverage = metrics.leverage;
+
+    // Slider range follows the lending market's LTV
+    const slider = document.getElementById('loop-leverage');
+    if (slider) {
+        slider.max = (metrics.maxLeverage * 0.99).toFixed(2);
+        slider.value = leverage.toFixed(2);
+    }
+    document.getElementById('loop-leverage-value').textContent = leverage.toFixed(2) + 'x';
+    document.getElementById('loop-leverage-max').textContent = `Max ${metrics.maxLeverage.toFixed(1)}x`;
+
+    const base = simulateLoopPosition({ ptPrice, days, investment, leverage, ltv, borrowRate });
+    const finalPoint = base.timeline[base.timeline.length - 1];
+    const formatHealth = (value) => Number.isFinite(value) ? value.toFixed(2) : '∞';
+
+    document.getElementById('loop-sim-liq-price').textContent = base.liquidationPrice.toFixed(4);
+    document.getElementById('loop-sim-liq-drop').textContent = '-' + base.liquidationDrop.toFixed(2) + '%';
+    document.getElementById('loop-sim-hf-now').textContent = formatHealth(base.timeline[0].healthFactor);
+    document.getElementById('loop-sim-hf-maturity').textContent = formatHealth(finalPoint.healthFactor);
+
+    // Stress scenarios
+    const history = oraclePriceHistory?.marketAddress === selectedMarket.address ? oraclePriceHistory : null;
+    const scenarios = [
+        { label: 'Base case', borrowRate, drawdown: 0 },
+        ...LOOP_RATE_SHOCKS.map(shock => ({ label: `Borrow +${shock}pp`, borrowRate: borrowRate + shock, drawdown: 0 })),
+        ...LOOP_DRAWDOWN_SHOCKS.map(shock => ({ label: `PT -${shock}%`, borrowRate, drawdown: shock })),
+        ...(history ? [{ label: `PT -${history.maxDrawdownPercent.toFixed(2)}% (hist. max)`, borrowRate, drawdown: history.maxDrawdownPercent }] : [])
+    ].map(scenario => ({ ...scenario, result: simulateLoopPosition({ ptPrice, days, investment, leverage, ltv, ...scenario }) }));
+
+    // Lending markets liquidate on the oracle price, so replay the on-chain series when it's been read
+    const replaySource = history?.oracleSeries ? 'on-chain oracle' : 'AMM-implied';
+    const replay = history ? replayLoopHistory(history.oracleSeries || history.ptPriceData, { leverage, ltv, borrowRate }) : null;
+    const replayText = !replay
+        ? 'Loading PT price history for the historical check...'
+        : replay.liquidated > 0
+            ? `⚠️ At ${leverage.toFixed(2)}x, ${replay.liquidated} of ${replay.entries} past entry days would have been liquidated on ${replaySource} prices (lowest health factor ${formatHealth(replay.worstHealthFactor)}).`
+            : `No past entry day would have been liquidated at ${leverage.toFixed(2)}x on ${replaySource} prices (lowest health factor ${formatHealth(replay.worstHealthFactor)}).`;
+
+    document.getElementById('loop-sim-stress').innerHTML = `
+        <div class="backtest-table">
+            <div class="backtest-row loop-stress-row backtest-head">
+                <span>Scenario</span><span>Min health</span><span>Effective APY</span><span>Outcome</span>
+            </div>
+            ${scenarios.map(({ label, result }) => `
+                <div class="backtest-row loop-stress-row">
+                    <span class="backtest-signal">${label}</span>
+                    <span style="color: ${result.minHealthFactor < 1.05 ? 'var(--loss-color)' : 'inherit'}">${formatHealth(result.minHealthFactor)}</span>
+                    <span style="color: ${result.effectiveApy >= 0 ? 'var(--profit-color)' : 'var(--loss-color)'}">${formatPercent(result.effectiveApy)}</span>
+                    <span>${result.liquidatedOn !== null ? `Liquidated day ${Math.round(result.liquidatedOn)}` : 'Survives'}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="input-hint ${replay?.liquidated > 0 ? 'loss' : ''}">${replayText}</div>
+    `;
 
-        // LP return is relatively stable (slight variation with trading volume)
-        lpReturns.push(lpBaseReturn);
+    // Health factor over time (base case and the worst stress)
+    const ctx = document.getElementById('loop-health-chart');
+    if (!ctx) return;
 
-        const holdPeriodYield = (apy / 100) * (days / 365);
-        const holdReturn = holdPeriodYield * 100;
-        holdReturns.push(holdReturn);
-    }
+    const worst = scenarios.slice(1).reduce((min, s) => s.result.minHealthFactor < min.result.minHealthFactor ? s : min, scenarios[1]);
+    const labels = base.timeline.map(point => 'Day ' + Math.round(point.day));
 
-    if (comparisonChart) {
-        comparisonChart.destroy();
+    if (loopHealthChart) {
+        loopHealthChart.destroy();
     }
 
-    comparisonChart = new Chart(ctx, {
+    loopHealthChart = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: apyRange.map(a => a + '%'),
+            labels,
             datasets: [
                 {
-                    label: 'PT (Fixed)',
-                    data: ptReturns,
-                    borderColor: '#00d4aa',
-                    backgroundColor: 'rgba(0, 212, 170, 0.1)',
+                    label: 'Health factor',
+                    data: base.timeline.map(point => point.healthFactor),
+                    borderColor: '#F59E0B',
+                    backgroundColor: 'transparent',
                     borderWidth: 2,
                     fill: false,
-                    tension: 0.1,
+                    tension: 0.3,
                     pointRadius: 0,
                     pointHoverRadius: 4
                 },
                 {
-                    label: 'YT (Long Yield)',
-                    data: ytReturns,
-                    borderColor: '#a29bfe',
-                    backgroundColor: 'rgba(162, 155, 254, 0.1)',
-                    borderWidth: 2,
+                    label: worst.label,
+                    data: worst.result.timeline.map(point => point.healthFactor),
+                    borderColor: '#EF4444',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1.5,
+                    borderDash: [5, 5],
                     fill: false,
-                    tension: 0.1,
+                    tension: 0.3,
                     pointRadius: 0,
                     pointHoverRadius: 4
                 },
                 {
-                    label: 'LP (Balanced)',
-                    data: lpReturns,
-                    borderColor: '#f472b6',
-                    backgroundColor: 'rgba(244, 114, 182, 0.1)',
-                    borderWidth: 2,
-                    fill: false,
-                    tension: 0.1,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    borderDash: [5, 5]
-                },
-                {
-                    label: 'Hold Underlying',
-                    data: holdReturns,
-                    borderColor: '#74b9ff',
-                    backgroundColor: 'rgba(116, 185, 255, 0.1)',
-                    borderWidth: 2,
+                    label: 'Liquidation',
+                    data: labels.map(() => 1),
+                    borderColor: '#6B7280',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    borderDash: [2, 2],
                     fill: false,
-                    tension: 0.1,
                     pointRadius: 0,
-                    pointHoverRadius: 4
+                    pointHoverRadius: 0
                 }
             ]
         },
@@ -2588,419 +4065,2595 @@ function updateComparisonChart(ptPrice, ytPrice, days, investment) {
                 legend: {
                     position: 'top',
                     labels: {
-                        color: '#a0a0b0',
-                        font: { family: "'Inter', sans-serif", size: 12 },
-                        padding: 20,
-                        usePointStyle: true
+                        color: '#9CA3AF',
+                        font: { family: "'Inter', sans-serif", size: 11 },
+                        padding: 16,
+                        usePointStyle: true,
+                        pointStyle: 'line'
                     }
                 },
                 tooltip: {
-                    backgroundColor: '#1a1a24',
-                    titleColor: '#ffffff',
-                    bodyColor: '#a0a0b0',
-                    borderColor: '#2a2a3a',
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
                     borderWidth: 1,
                     padding: 12,
-                    displayColors: true,
+                    cornerRadius: 8,
                     callbacks: {
-                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(2) + '%'
+                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(3),
+                        afterBody: items => [`PT price: ${base.timeline[items[0].dataIndex].ptPrice.toFixed(4)} (liquidation ${base.timeline[items[0].dataIndex].liquidationPrice.toFixed(4)})`]
                     }
                 }
             },
             scales: {
                 x: {
-                    title: {
-                        display: true,
-                        text: 'Future Underlying APY',
-                        color: '#606070',
-                        font: { family: "'Inter', sans-serif", size: 12 }
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        maxTicksLimit: 8
                     },
-                    ticks: { color: '#606070', font: { family: "'Inter', sans-serif" } },
-                    grid: { color: 'rgba(42, 42, 58, 0.5)' }
+                    grid: { display: false }
                 },
                 y: {
                     title: {
                         display: true,
-                        text: 'Period Return (%)',
-                        color: '#606070',
-                        font: { family: "'Inter', sans-serif", size: 12 }
+                        text: 'Health Factor',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
                     },
                     ticks: {
-                        color: '#606070',
-                        font: { family: "'Inter', sans-serif" },
-                        callback: value => value + '%'
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        callback: value => value.toFixed(2)
                     },
-                    grid: { color: 'rgba(42, 42, 58, 0.5)' }
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
                 }
             }
         }
     });
 }
 
-// History chart instance
-let historyChart = null;
+// Position type state
+let positionType = 'pt';
 
-// Load and display historical data for a market
-async function loadHistoricalData(market) {
-    const historyCard = document.getElementById('history-card');
-    const historyLoading = document.getElementById('history-loading');
-    const historyContent = document.getElementById('history-content');
-    const chainId = document.getElementById('chain-filter')?.value || 1;
+// Update calculator
+function updateCalculator() {
+    // Show/hide no market prompt
+    const noMarketPrompt = document.getElementById('no-market-prompt');
+    if (noMarketPrompt) {
+        noMarketPrompt.style.display = selectedMarket ? 'none' : 'block';
+    }
 
-    if (!historyCard) return;
+    const ptPrice = parseFloat(document.getElementById('calc-pt-price').value) || 0.95;
+    const ytPrice = parseFloat(document.getElementById('calc-yt-price').value) || 0.05;
+    const days = parseFloat(document.getElementById('calc-days').value) || 90;
+    const underlyingApy = parseFloat(document.getElementById('calc-underlying-apy').value) || 5;
+    const expectedApy = parseFloat(document.getElementById('calc-expected-apy').value) || 5;
+    const investment = parseFloat(document.getElementById('calc-investment').value) || 10000;
 
-    // Show the card and loading state
-    historyCard.style.display = 'block';
-    historyLoading.style.display = 'block';
-    historyContent.style.display = 'none';
+    // Calculate implied APY
+    const impliedApy = calculateImpliedAPY(ytPrice, ptPrice, days);
+    const fixedApy = calculateFixedAPY(ptPrice, days);
 
-    const history = await fetchHarmonizedHistoricalData(market, chainId);
+    // Update implied APY display
+    document.getElementById('calc-implied-apy').textContent = formatPercent(impliedApy);
 
-    if (!history) {
-        historyLoading.textContent = 'Historical data not available for this market';
-        return;
-    }
+    // Update APY comparison bars
+    const maxApy = Math.max(underlyingApy, impliedApy, 1);
+    document.getElementById('underlying-bar').style.width = `${(underlyingApy / maxApy) * 100}%`;
+    document.getElementById('implied-bar').style.width = `${(impliedApy / maxApy) * 100}%`;
+    document.getElementById('underlying-label').textContent = formatPercent(underlyingApy);
+    document.getElementById('implied-label').textContent = formatPercent(impliedApy);
 
-    historyLoading.style.display = 'none';
-    historyContent.style.display = 'block';
+    // Update valuation signal
+    const signal = getMarketSignal(underlyingApy, impliedApy);
+    const signalBody = document.getElementById('signal-body');
 
-    // Update history card title with harmonized data info
-    const historyTitle = document.getElementById('history-title');
-    const historySubtitle = document.getElementById('history-subtitle');
-    if (historyTitle) {
-        const days = history.dataPoints || 90;
-        historyTitle.textContent = `Historical Yield Range (${days} Days)`;
-    }
-    if (historySubtitle) {
-        if (history.isHarmonized && history.marketsUsed > 1) {
-            historySubtitle.textContent = `Underlying APY data merged from ${history.marketsUsed} maturities for extended history`;
-            historySubtitle.style.display = 'block';
-        } else {
-            historySubtitle.style.display = 'none';
-        }
+    // Check for watermark warning
+    if (selectedMarket?.watermarkStatus?.belowWatermark) {
+        const ratio = selectedMarket.watermarkStatus.ratio;
+        signalBody.innerHTML = `<strong style="color: var(--loss-color);">⚠️ BELOW WATERMARK</strong><br>
+            This YT is currently not earning yield. Exchange rate is at ${(ratio * 100).toFixed(2)}% of the watermark.
+            YT holders will not receive yield until the rate recovers above the watermark.`;
+        signalBody.className = 'signal-body';
+    } else if (selectedMarket?.isPurePoints && selectedMarket?.zeroYieldReason) {
+        const reason = selectedMarket.zeroYieldReason;
+        const icon = reason.type === 'data_issue' ? '⚠️' : reason.type === 'raw_token' ? '📦' : '🎯';
+        const color = reason.type === 'data_issue' ? 'var(--loss-color)' : 'var(--warning-color)';
+        signalBody.innerHTML = `<strong style="color: ${color};">${icon} ${reason.title}</strong><br>
+            ${reason.explanation}<br><br>
+            <span style="color: var(--text-muted);">The ${formatPercent(impliedApy)} implied APY suggests the market is pricing in future value from points or incentives.
+            YT holders are speculating on airdrop/points value - high risk if expectations aren't met.</span>`;
+        signalBody.className = 'signal-body';
+    } else if (selectedMarket?.isPurePoints) {
+        signalBody.innerHTML = `<strong style="color: var(--warning-color);">🎯 PURE POINTS MARKET</strong><br>
+            This market has 0% on-chain yield. The ${formatPercent(impliedApy)} implied APY is entirely from points/airdrops speculation.
+            YT value depends entirely on future airdrop valuations - high risk if points don't convert to expected value.`;
+        signalBody.className = 'signal-body';
+    } else {
+        signalBody.textContent = signal.reason;
+        signalBody.className = 'signal-body ' + (signal.type !== 'neutral' ? signal.type + '-signal' : '');
     }
 
-    // Update implied APY range
-    const impliedStats = history.impliedApy.last90d || history.impliedApy.all;
-    if (impliedStats) {
-        const impliedPercentile = getPercentile(market.impliedApyPercent, impliedStats.min, impliedStats.max);
-        const impliedPosition = getYieldPosition(impliedPercentile);
-
-        document.getElementById('implied-range-fill').style.width = '100%';
-        document.getElementById('implied-marker').style.left = `${impliedPercentile}%`;
-        document.getElementById('implied-min').textContent = formatPercent(impliedStats.min);
-        document.getElementById('implied-max').textContent = formatPercent(impliedStats.max);
-        document.getElementById('implied-current').textContent = `Current: ${formatPercent(market.impliedApyPercent)}`;
-        document.getElementById('implied-percentile').textContent = `${impliedPercentile}th`;
-        document.getElementById('implied-position').textContent = impliedPosition.label;
-        document.getElementById('implied-position').style.color = impliedPosition.color;
-    }
+    // PT Results
+    const ptDiscount = (1 - ptPrice) * 100;
+    const ptAmount = investment / ptPrice;
+    const ptMaturityValue = ptAmount;
+    const ptProfit = ptMaturityValue - investment;
 
-    // Update underlying APY range
-    const underlyingStats = history.underlyingApy.last90d || history.underlyingApy.all;
-    if (underlyingStats) {
-        const underlyingPercentile = getPercentile(market.underlyingApyPercent, underlyingStats.min, underlyingStats.max);
-        const underlyingPosition = getYieldPosition(underlyingPercentile);
+    document.getElementById('calc-fixed-apy').textContent = formatPercent(fixedApy);
+    document.getElementById('calc-pt-discount').textContent = formatPercent(ptDiscount);
+    document.getElementById('calc-pt-maturity').textContent = formatCurrency(ptMaturityValue);
+    document.getElementById('calc-pt-profit').textContent = (ptProfit >= 0 ? '+' : '') + formatCurrency(ptProfit);
+    document.getElementById('calc-pt-profit').className = 'result-value ' + (ptProfit >= 0 ? 'profit' : 'loss');
 
-        document.getElementById('underlying-range-fill').style.width = '100%';
-        document.getElementById('underlying-marker').style.left = `${underlyingPercentile}%`;
-        document.getElementById('underlying-min').textContent = formatPercent(underlyingStats.min);
-        document.getElementById('underlying-max').textContent = formatPercent(underlyingStats.max);
-        document.getElementById('underlying-current').textContent = `Current: ${formatPercent(market.underlyingApyPercent)}`;
-        document.getElementById('underlying-percentile').textContent = `${underlyingPercentile}th`;
-        document.getElementById('underlying-position').textContent = underlyingPosition.label;
-        document.getElementById('underlying-position').style.color = underlyingPosition.color;
-    }
+    // A time-varying APY scenario replaces the flat expected APY
+    const apyPath = getApyPath('calc', days, underlyingApy);
+    showApyPathSummary('calc', apyPath);
+    const futureApy = apyPath?.path ? apyPath.averageApy : expectedApy;
 
-    // Update spread indicator
-    const spread = market.impliedApyPercent - market.underlyingApyPercent;
-    const spreadValue = document.getElementById('spread-value');
-    const spreadLabel = document.getElementById('spread-label');
+    // YT Results
+    const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
+    const ytExposure = investment * ytLeverage;
+    const periodYield = (futureApy / 100) * (days / 365);
+    const ytGrossYield = ytExposure * periodYield;
+    const ytNetYield = ytGrossYield * (1 - PENDLE_FEE);
+    const ytPnl = ytNetYield - investment;
 
-    spreadValue.textContent = (spread >= 0 ? '+' : '') + formatPercent(spread);
-    spreadValue.className = 'spread-value ' + (spread >= 0 ? 'positive' : 'negative');
+    document.getElementById('calc-yt-leverage').textContent = formatNumber(ytLeverage, 1) + 'x';
+    document.getElementById('calc-yt-exposure').textContent = formatCurrency(ytExposure);
+    document.getElementById('calc-breakeven').textContent = formatPercent(impliedApy);
+    document.getElementById('calc-yt-yield').textContent = formatCurrency(ytNetYield);
+    document.getElementById('calc-yt-pnl').textContent = (ytPnl >= 0 ? '+' : '') + formatCurrency(ytPnl);
+    document.getElementById('calc-yt-pnl').className = 'result-value ' + (ytPnl >= 0 ? 'profit' : 'loss');
 
-    if (spread > 0.5) {
-        spreadLabel.textContent = 'Implied above Underlying → PT may be attractive (lock in high rate)';
-    } else if (spread < -0.5) {
-        spreadLabel.textContent = 'Underlying above Implied → YT may be attractive (market underpricing yield)';
-    } else {
-        spreadLabel.textContent = 'Spread is tight → Market fairly priced';
-    }
+    // LP calculations
+    // LP is roughly 50% PT + 50% SY, earns swap fees + rewards
+    const lpSwapFeeApy = selectedMarket?.swapFeeApy || 2.5;
+    const lpIncentiveApy = selectedMarket?.lpRewardApy || 5;
+    const lpTotalApy = selectedMarket?.lpApy || (fixedApy * 0.5 + lpSwapFeeApy + lpIncentiveApy);
+    const lpPeriodReturn = (lpTotalApy / 100) * (days / 365);
+    const lpFinalValue = investment * (1 + lpPeriodReturn);
 
-    // === NEW ANALYTICS ===
+    document.getElementById('calc-lp-apy').textContent = formatPercent(lpTotalApy);
+    document.getElementById('calc-lp-swap-apy').textContent = formatPercent(lpSwapFeeApy);
+    document.getElementById('calc-lp-incentive-apy').textContent = formatPercent(lpIncentiveApy);
+    document.getElementById('calc-lp-value').textContent = formatCurrency(lpFinalValue);
 
-    // 1. Mean Reversion Analysis
-    const meanReversionEl = document.getElementById('mean-reversion-analysis');
-    if (meanReversionEl && underlyingStats) {
-        const meanReversion = getMeanReversionSignal(market.underlyingApyPercent, underlyingStats.avg, underlyingStats.stdDev);
-        if (meanReversion) {
-            meanReversionEl.innerHTML = `
-                <div class="analysis-signal" style="color: ${meanReversion.color}">
-                    <span class="signal-icon">${meanReversion.zScore > 0 ? '📈' : meanReversion.zScore < 0 ? '📉' : '➡️'}</span>
-                    <span class="signal-text">${meanReversion.signal}</span>
-                </div>
-                <div class="analysis-detail">${meanReversion.description}</div>
-                <div class="analysis-stats">
-                    <span>Historical Avg: ${formatPercent(underlyingStats.avg)}</span>
-                    <span>Volatility (σ): ${formatPercent(underlyingStats.stdDev)}</span>
-                    <span>Z-Score: ${meanReversion.zScore.toFixed(2)}</span>
-                </div>
-            `;
-        }
+    // Simulated payoff distribution
+    const monteCarloSection = document.getElementById('monte-carlo-section');
+    if (apyMode === 'simulate') {
+        const process = underlyingProcess || assumedUnderlyingProcess(underlyingApy, expectedApy);
+        const simulation = runMonteCarlo({
+            ptPrice, ytPrice, days, investment, process,
+            swapFeeApy: lpSwapFeeApy,
+            lpRewardApy: lpIncentiveApy
+        });
+        if (monteCarloSection) monteCarloSection.style.display = 'block';
+        renderMonteCarlo(simulation, process);
+    } else if (monteCarloSection) {
+        monteCarloSection.style.display = 'none';
     }
 
-    // 2. Cross-Asset Comparison
-    const crossAssetEl = document.getElementById('cross-asset-analysis');
-    if (crossAssetEl) {
-        const comparison = getCrossAssetComparison(market, markets);
-        if (comparison) {
-            crossAssetEl.innerHTML = `
-                <div class="analysis-signal" style="color: ${comparison.color}">
-                    <span class="signal-icon">⚖️</span>
-                    <span class="signal-text">${comparison.signal}</span>
-                </div>
-                <div class="analysis-detail">
-                    Comparing to ${comparison.peerCount} other ${comparison.category} markets
-                </div>
-                <div class="peer-comparison">
-                    <div class="peer-avg">Category Avg Implied: ${formatPercent(comparison.avgImplied)}</div>
-                    <div class="peer-list">
-                        ${comparison.peers.map(p => `<span class="peer-chip">${p.name}: ${formatPercent(p.impliedApy)}</span>`).join('')}
-                    </div>
-                </div>
-            `;
-        } else {
-            crossAssetEl.innerHTML = `<div class="analysis-detail">Not enough similar assets for comparison</div>`;
-        }
-    }
+    // Calculate holding comparison
+    const holdPeriodYield = (futureApy / 100) * (days / 365);
+    const holdYield = investment * holdPeriodYield;
 
-    // 3. Sharpe Ratio Analysis
-    const sharpeEl = document.getElementById('sharpe-analysis');
-    if (sharpeEl && underlyingStats) {
-        const ptFixedApy = calculateFixedAPY(market.ptPrice, market.days);
-        const sharpeData = calculateSharpeRatios(
-            ptFixedApy,
-            market.underlyingApyPercent,
-            market.impliedApyPercent,
-            underlyingStats.stdDev,
-            market.days
-        );
+    // Early exit (both legs)
+    const calcExit = getEarlyExitInputs('calc', impliedApy);
+    renderEarlyExit('calc', calculateEarlyExit({
+        ptPrice, ytPrice, days, investment, ...calcExit,
+        accruedApy: apyPath?.path && calcExit.exitDays ? averageApy(apyPath.path.slice(0, Math.max(1, Math.round(calcExit.exitDays)))) : futureApy
+    }));
 
-        const betterStrategy = sharpeData.pt.sharpe > sharpeData.yt.sharpe ? 'PT' : 'YT';
-        const betterColor = betterStrategy === 'PT' ? 'var(--pt-color)' : 'var(--yt-color)';
+    // Calculate loop results
+    let loopProfit = 0;
+    const loopOpportunity = selectedMarket?.loopOpportunity;
+    const loopAvailable = document.getElementById('loop-available');
+    const loopUnavailable = document.getElementById('loop-unavailable');
+    const loopOracleSection = document.getElementById('loop-oracle-section');
+    const loopSelectPrompt = document.getElementById('loop-select-prompt');
+    const loopOracleContent = document.getElementById('loop-oracle-content');
 
-        sharpeEl.innerHTML = `
-            <div class="analysis-signal" style="color: ${betterColor}">
-                <span class="signal-icon">📊</span>
-                <span class="signal-text">${betterStrategy} has better risk-adjusted return</span>
-            </div>
-            <div class="sharpe-comparison">
-                <div class="sharpe-card ${betterStrategy === 'PT' ? 'highlighted' : ''}">
-                    <div class="sharpe-label">PT Sharpe</div>
-                    <div class="sharpe-value">${sharpeData.pt.sharpe.toFixed(2)}</div>
-                    <div class="sharpe-detail">Vol: ${formatPercent(sharpeData.pt.volatility)}</div>
-                </div>
-                <div class="sharpe-card ${betterStrategy === 'YT' ? 'highlighted' : ''}">
-                    <div class="sharpe-label">YT Sharpe</div>
-                    <div class="sharpe-value">${sharpeData.yt.sharpe.toFixed(2)}</div>
-                    <div class="sharpe-detail">Vol: ${formatPercent(sharpeData.yt.volatility)}</div>
-                </div>
-            </div>
-            <div class="analysis-detail">Higher Sharpe = better risk-adjusted return (assumes 3% risk-free rate)</div>
-        `;
-    }
+    if (positionType === 'loop') {
+        // Always show oracle section when Loop PT is selected
+        if (loopOracleSection) loopOracleSection.style.display = 'block';
 
-    // 4. Watermark History Analysis
-    const watermarkHistoryEl = document.getElementById('watermark-history-analysis');
-    if (watermarkHistoryEl) {
-        const watermarkAnalysis = analyzeWatermarkHistory(history, market.name);
+        if (loopOpportunity) {
+            // Has loop opportunity - show content (at the simulator's leverage and the current inputs)
+            const loopMetrics = calculateLoopMetrics(fixedApy, loopOpportunity.ltv, loopOpportunity.borrowRate, loopLeverage);
+            const loopPeriodReturn = (loopMetrics.effectiveApy / 100) * (days / 365);
+            const loopFinalValue = investment * (1 + loopPeriodReturn);
+            loopProfit = loopFinalValue - investment;
+            const vsPtProfit = loopProfit - ptProfit;
 
-        if (watermarkAnalysis) {
-            const riskIcon = watermarkAnalysis.riskLevel === 'high' ? '🚨' :
-                            watermarkAnalysis.riskLevel === 'medium' ? '⚠️' : '✅';
+            document.getElementById('calc-loop-effective-apy').textContent = formatPercent(loopMetrics.effectiveApy);
+            document.getElementById('calc-loop-base-apy').textContent = formatPercent(fixedApy);
+            document.getElementById('calc-loop-boost').textContent = (loopMetrics.apyBoost >= 0 ? '+' : '') + formatPercent(loopMetrics.apyBoost);
+            // Maturity-specific listing, or the asset's default terms when this PT isn't listed individually
+            const loopPlatformLabel = loopOpportunity.maturity
+                ? `${loopOpportunity.platform} · PT ${formatDate(loopOpportunity.maturity)}`
+                : `<span title="${loopOpportunity.matchedBy === 'asset' ? `No listing for this PT address - ${loopOpportunity.collateralSymbol} defaults` : ''}">${loopOpportunity.platform}</span>`;
+            document.getElementById('calc-loop-platform').innerHTML = loopOpportunity.stale
+                ? `${loopPlatformLabel} <span class="stale-badge" title="Live rates unavailable - using the static LTV and borrow rate">stale</span>`
+                : `${loopPlatformLabel} <span class="live-badge" title="Read on-chain ${new Date(loopOpportunity.ratesUpdatedAt).toLocaleTimeString()}">live</span>`;
+            document.getElementById('calc-loop-leverage').textContent = `${(loopOpportunity.ltv * 100).toFixed(0)}% / ${loopMetrics.leverage.toFixed(2)}x`;
+            document.getElementById('calc-loop-borrow-rate').textContent = formatPercent(loopOpportunity.borrowRate);
+            document.getElementById('calc-loop-liq-buffer').textContent = loopMetrics.liquidationBuffer.toFixed(1) + '%';
+            document.getElementById('calc-loop-value').textContent = formatCurrency(loopFinalValue);
+            document.getElementById('calc-loop-profit').textContent = (loopProfit >= 0 ? '+' : '') + formatCurrency(loopProfit);
+            document.getElementById('calc-loop-vs-pt').textContent = (vsPtProfit >= 0 ? '+' : '') + formatCurrency(vsPtProfit) + (vsPtProfit >= 0 ? ' extra' : '');
+            document.getElementById('calc-loop-vs-pt').className = 'result-value ' + (vsPtProfit >= 0 ? 'profit' : 'loss');
 
-            let eventsHtml = '';
-            if (watermarkAnalysis.knownEvents.length > 0) {
-                eventsHtml = `
-                    <div class="known-events">
-                        <strong>Known Risk Events:</strong>
-                        ${watermarkAnalysis.knownEvents.map(e => `
-                            <div class="event-item">
-                                <span class="event-date">${e.date}</span>
-                                <span class="event-desc">${e.event}</span>
-                                ${e.yieldBefore !== undefined ? `
-                                    <span class="event-yield">${e.yieldBefore.toFixed(2)}% → ${e.yieldAfter.toFixed(2)}%</span>
-                                ` : ''}
-                                ${e.source.startsWith('http') ?
-                                    `<a href="${e.source}" target="_blank" class="event-link">📰</a>` :
-                                    `<span class="event-source">${e.source}</span>`}
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-            }
+            // Leverage slider, liquidation price and stress tests
+            updateLoopSimulator();
 
-            let breachesHtml = '';
-            if (watermarkAnalysis.potentialBreaches.length > 0) {
-                breachesHtml = `
-                    <div class="breach-list">
-                        <strong>Detected Yield Drops:</strong>
-                        ${watermarkAnalysis.potentialBreaches.slice(0, 3).map(b => `
-                            <div class="breach-item ${b.severity}">
-                                <span class="breach-date">${b.date}</span>
-                                <span class="breach-change">${b.previousApy.toFixed(2)}% → ${b.newApy.toFixed(2)}%</span>
-                                <span class="breach-severity">${b.severity}</span>
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-            }
+            if (loopAvailable) loopAvailable.style.display = 'block';
+            if (loopUnavailable) loopUnavailable.style.display = 'none';
+            if (loopSelectPrompt) loopSelectPrompt.style.display = 'none';
+            if (loopOracleContent) loopOracleContent.style.display = 'block';
 
-            watermarkHistoryEl.innerHTML = `
-                <div class="analysis-signal" style="color: ${watermarkAnalysis.riskColor}">
-                    <span class="signal-icon">${riskIcon}</span>
+            // Update oracle analysis
+            updateOracleAnalysis();
+        } else {
+            // No loop opportunity - show prompt
+            if (loopAvailable) loopAvailable.style.display = 'none';
+            if (loopUnavailable) loopUnavailable.style.display = 'block';
+            if (loopSelectPrompt) loopSelectPrompt.style.display = 'block';
+            if (loopOracleContent) loopOracleContent.style.display = 'none';
+        }
+    } else {
+        // Not loop mode - hide oracle section
+        if (loopOracleSection) loopOracleSection.style.display = 'none';
+    }
+
+    let vsHold;
+    if (positionType === 'pt') {
+        vsHold = ptProfit - holdYield;
+    } else if (positionType === 'yt') {
+        vsHold = ytPnl - holdYield;
+    } else if (positionType === 'lp') {
+        vsHold = (lpFinalValue - investment) - holdYield;
+    } else if (positionType === 'loop') {
+        vsHold = loopProfit - holdYield;
+    }
+
+    document.getElementById('calc-vs-hold').textContent = (vsHold >= 0 ? '+' : '') + formatCurrency(vsHold);
+    document.getElementById('calc-vs-hold').className = 'result-value ' + (vsHold >= 0 ? 'profit' : 'loss');
+
+    // Show/hide appropriate results
+    document.getElementById('pt-results').style.display = positionType === 'pt' ? 'block' : 'none';
+    document.getElementById('yt-results').style.display = positionType === 'yt' ? 'block' : 'none';
+    document.getElementById('lp-results').style.display = positionType === 'lp' ? 'block' : 'none';
+    document.getElementById('loop-results').style.display = positionType === 'loop' ? 'block' : 'none';
+
+    // Show/hide oracle section based on position type
+    if (loopOracleSection && positionType !== 'loop') {
+        loopOracleSection.style.display = 'none';
+    }
+
+    // Size-aware execution against the pool
+    updateExecutionEstimate(investment, days);
+
+    // LP composition and impermanent loss (sets PT exposure and IL in the LP results)
+    updateLpSimulator(investment, ptPrice, days);
+}
+
+// Update oracle analysis section
+function updateOracleAnalysis() {
+    const chainId = parseInt(document.getElementById('chain-filter')?.value) || 1;
+    const pairData = selectedMarket ? resolveLendingListings(selectedMarket, chainId)?.pairData : null;
+    const oracleData = pairData?.oracle || null;
+
+    const oracleIcon = document.getElementById('oracle-icon');
+    const oracleType = document.getElementById('oracle-type');
+    const oracleProvider = document.getElementById('oracle-provider');
+    const oracleStabilityBadge = document.getElementById('oracle-stability-badge');
+    const oracleDescription = document.getElementById('oracle-description');
+    const oraclePriceType = document.getElementById('oracle-price-type');
+    const oracleTwapWindow = document.getElementById('oracle-twap-window');
+    const oracleStabilityRating = document.getElementById('oracle-stability-rating');
+    const oracleRiskLevel = document.getElementById('oracle-risk-level');
+    const oracleRiskSummary = document.getElementById('oracle-risk-summary');
+
+    if (!oracleData) {
+        // No oracle data available
+        oracleIcon.textContent = '?';
+        oracleType.textContent = 'Unknown Oracle';
+        oracleProvider.textContent = 'Provider: Not verified';
+        oracleStabilityBadge.textContent = 'Unverified';
+        oracleStabilityBadge.className = 'oracle-stability-badge unknown';
+        oracleDescription.textContent = 'Oracle data not available for this market. Exercise caution with unverified oracles.';
+        oraclePriceType.textContent = 'Unknown';
+        oracleTwapWindow.textContent = '-';
+        oracleStabilityRating.textContent = '-';
+        oracleRiskLevel.textContent = '-';
+        oracleRiskSummary.innerHTML = '<span class="risk-icon">⚠️</span><span class="risk-text">Unable to verify oracle - proceed with caution</span>';
+        oracleRiskSummary.className = 'oracle-risk-summary warning';
+        return;
+    }
+
+    // Get stability info
+    const stabilityInfo = ORACLE_STABILITY_INFO[oracleData.stability] || ORACLE_STABILITY_INFO['medium'];
+
+    // Populate oracle data
+    oracleIcon.textContent = stabilityInfo.icon;
+    oracleType.textContent = oracleData.type;
+    oracleProvider.textContent = `Provider: ${oracleData.provider}`;
+
+    // Set stability badge
+    oracleStabilityBadge.textContent = stabilityInfo.label;
+    oracleStabilityBadge.className = `oracle-stability-badge ${oracleData.stability}`;
+    oracleStabilityBadge.style.color = stabilityInfo.color;
+
+    oracleDescription.textContent = oracleData.description;
+
+    // Price type (TWAP vs Spot)
+    const isTwap = oracleData.type.includes('TWAP') || oracleData.twapWindow !== 'N/A';
+    oraclePriceType.textContent = isTwap ? 'TWAP (Time-Weighted)' : 'Spot Price';
+    oraclePriceType.className = `metric-value ${isTwap ? 'twap' : 'spot'}`;
+
+    // TWAP window
+    oracleTwapWindow.textContent = oracleData.twapWindow || 'N/A';
+
+    // Stability rating
+    oracleStabilityRating.textContent = stabilityInfo.label;
+    oracleStabilityRating.style.color = stabilityInfo.color;
+
+    // Risk level
+    const riskColors = {
+        'very-low': 'var(--profit-color)',
+        'low': 'var(--pt-color)',
+        'medium': 'var(--warning-color)',
+        'high': 'var(--loss-color)'
+    };
+    oracleRiskLevel.textContent = oracleData.riskLevel.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase());
+    oracleRiskLevel.style.color = riskColors[oracleData.riskLevel] || 'var(--text-primary)';
+
+    // Risk summary
+    let riskSummaryClass = 'oracle-risk-summary';
+    let riskIcon = '';
+    let riskText = '';
+
+    if (oracleData.stability === 'very-high' || oracleData.stability === 'high') {
+        riskIcon = stabilityInfo.icon;
+        riskText = isTwap
+            ? 'TWAP oracle reduces manipulation risk. Price converges to 1 at PT maturity.'
+            : 'Battle-tested oracle with strong reliability. Liquidation risk is primarily from position leverage.';
+        riskSummaryClass += ' safe';
+    } else if (oracleData.stability === 'medium') {
+        riskIcon = '⚠️';
+        riskText = 'Newer oracle with moderate track record. Monitor position closely for unexpected price movements.';
+        riskSummaryClass += ' caution';
+    } else {
+        riskIcon = '🚨';
+        riskText = 'Spot price oracle susceptible to manipulation. High liquidation risk from flash loan attacks.';
+        riskSummaryClass += ' danger';
+    }
+
+    oracleRiskSummary.innerHTML = `<span class="risk-icon">${riskIcon}</span><span class="risk-text">${riskText}</span>`;
+    oracleRiskSummary.className = riskSummaryClass;
+
+    // Registry entry not re-checked recently - LTV, rates and oracle details may have changed
+    const staleDays = getRegistryStaleness(pairData);
+    const registryWarning = document.getElementById('oracle-registry-warning');
+    if (registryWarning) {
+        registryWarning.style.display = staleDays ? 'flex' : 'none';
+        registryWarning.innerHTML = staleDays
+            ? `<span class="risk-icon">🕒</span><span class="risk-text">Oracle and lending data last verified ${pairData.lastVerified} (${staleDays} days ago). <a href="${pairData.source}" target="_blank">Check the source</a> before relying on it.</span>`
+            : '';
+    }
+
+    // Fetch and render oracle price chart
+    fetchAndRenderOraclePriceChart();
+}
+
+// Chart instance for oracle price
+let oraclePriceChart = null;
+
+// PT price history behind the oracle chart (with its max drawdown) for the loop simulator
+let oraclePriceHistory = null;
+
+// On-chain oracle series per market and TWAP window, and the latest request (stale results are ignored)
+const ptOracleCache = new Map();
+let ptOracleRequest = null;
+
+// TWAP window in seconds from the registry's label ("30 min", "1 hour")
+function parseTwapWindow(label) {
+    const match = /([\d.]+)\s*(s|sec|min|m|h|hour)/i.exec(label || '');
+    if (!match) return PT_ORACLE_DEFAULT_TWAP;
+    const unit = match[2].toLowerCase();
+    const multiplier = unit.startsWith('h') ? 3600 : unit.startsWith('s') ? 1 : 60;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Resolves timestamps (seconds) to the last block at or before each, sharing one set of known blocks
+// Every block read bounds later searches, so nearby samples cost a read or two once the first is found
+// (the client-side counterpart of createBlockLocator in api/_lib/watermark.js)
+function createBlockLocator(provider, knownBlocks, blockTime) {
+    const known = [...knownBlocks];
+    const latest = known.reduce((best, b) => b.number > best.number ? b : best);
+
+    const read = async (number) => {
+        const block = await provider.getBlock(number);
+        known.push(block);
+        return block;
+    };
+
+    return async function blockAt(timestamp) {
+        if (timestamp >= latest.timestamp) return latest;
+
+        // Tightest bracket from earlier reads
+        let low = known.filter(b => b.timestamp <= timestamp).reduce((best, b) => !best || b.number > best.number ? b : best, null);
+        let high = known.filter(b => b.timestamp > timestamp).reduce((best, b) => b.number < best.number ? b : best, latest);
+
+        // Nothing known before the target yet: step back from the estimate, doubling, until a block is
+        while (!low) {
+            const span = Math.max(1, Math.round((high.timestamp - timestamp) / blockTime));
+            const block = await read(Math.max(0, high.number - 2 * span));
+            if (block.timestamp <= timestamp) {
+                low = block;
+            } else if (block.number === 0) {
+                return block;
+            } else {
+                high = block;
+            }
+        }
+
+        // Interpolation lands within a block or two on steady chains; every fourth step bisects to bound the worst case
+        for (let i = 0; i < 64 && high.number - low.number > 1; i++) {
+            const guess = i % 4 === 3
+                ? Math.floor((low.number + high.number) / 2)
+                : low.number + Math.round((timestamp - low.timestamp) / (high.timestamp - low.timestamp) * (high.number - low.number));
+            const block = await read(Math.min(high.number - 1, Math.max(low.number + 1, guess)));
+
+            if (block.timestamp <= timestamp) {
+                low = block;
+            } else {
+                high = block;
+            }
+        }
+        return low;
+    };
+}
+
+// Read the Pendle PT oracle now and at historical blocks across `timestamps` (ms)
+// Historical reads need an archive RPC; without one only the current rate is returned
+async function fetchPtOracleSeries(market, chainId, twapSeconds, timestamps) {
+    const oracleAddress = PT_ORACLE_ADDRESSES[chainId];
+    const provider = rpcManager.getProvider(chainId);
+    if (!oracleAddress || !provider) return null;
+
+    const cacheKey = `${chainId}-${market.address}-${twapSeconds}`;
+    if (ptOracleCache.has(cacheKey)) return ptOracleCache.get(cacheKey);
+
+    const oracle = new ethers.Contract(oracleAddress, PT_ORACLE_ABI, provider);
+    const toRate = (value) => parseFloat(ethers.utils.formatUnits(value, 18));
+
+    const readAt = async (blockTag) => {
+        const [ptToAsset, ptToSy] = await Promise.all([
+            oracle.getPtToAssetRate(market.address, twapSeconds, { blockTag }),
+            oracle.getPtToSyRate(market.address, twapSeconds, { blockTag })
+        ]);
+        return { ptToAsset: toRate(ptToAsset), ptToSy: toRate(ptToSy) };
+    };
+
+    try {
+        const state = await oracle.getOracleState(market.address, twapSeconds);
+        const latest = await provider.getBlock('latest');
+        const current = { timestamp: latest.timestamp * 1000, block: latest.number, ...(await readAt(latest.number)) };
+
+        // Average block time over the last ~100k blocks
+        const reference = await provider.getBlock(Math.max(1, latest.number - 100000));
+        const blockTime = (latest.timestamp - reference.timestamp) / (latest.number - reference.number) || 12;
+
+        const step = Math.max(1, Math.floor(timestamps.length / PT_ORACLE_SAMPLES));
+        const sampleTimes = timestamps.filter((t, i) => i % step === 0 && t / 1000 < latest.timestamp - blockTime);
+        const blockAt = createBlockLocator(provider, [latest, reference], blockTime);
+
+        const series = [];
+        let historyAvailable = true;
+        let skipped = 0;
+        for (const time of sampleTimes) {
+            try {
+                const block = await blockAt(time / 1000);
+                series.push({ timestamp: block.timestamp * 1000, block: block.number, ...(await readAt(block.number)) });
+            } catch (e) {
+                if (/archive|trie|pruned|not available|header not found/i.test(e.message)) {
+                    historyAvailable = false;
+                    break;
+                }
+                // Before the market existed (or its oracle window filled) reads revert - later ones may work
+                skipped++;
+            }
+        }
+        series.push(current);
+
+        const result = {
+            twapSeconds,
+            current,
+            series,
+            skipped,
+            historyAvailable,
+            ready: !state.increaseCardinalityRequired && state.oldestObservationSatisfied
+        };
+        ptOracleCache.set(cacheKey, result);
+        return result;
+    } catch (e) {
+        console.log(`PT oracle read failed for ${market.name}:`, e.message);
+        return null;
+    }
+}
+
+// Read the on-chain oracle for the selected market and overlay it on the AMM-implied series
+async function loadOnChainOracleSeries(ptPriceData, chainId, twapSeconds) {
+    const market = selectedMarket;
+    const note = document.getElementById('oracle-onchain-note');
+    const request = `${chainId}-${market.address}-${twapSeconds}`;
+    ptOracleRequest = request;
+
+    if (!ptOracleCache.has(request)) {
+        document.getElementById('oracle-onchain-price').textContent = '-';
+        document.getElementById('oracle-divergence').textContent = '-';
+        if (note) note.textContent = 'Reading the Pendle PT oracle at historical blocks...';
+    }
+    if (!PT_ORACLE_ADDRESSES[chainId]) {
+        if (note) note.textContent = 'On-chain PT oracle reads are not configured for this chain - showing the AMM-implied series only.';
+        return;
+    }
+
+    const oracleData = await fetchPtOracleSeries(market, chainId, twapSeconds, ptPriceData.map(d => new Date(d.timestamp).getTime()));
+
+    // Ignore stale results if the user switched market meanwhile
+    if (ptOracleRequest !== request || selectedMarket !== market) return;
+
+    if (!oracleData) {
+        if (note) note.textContent = 'PT oracle unavailable for this market - showing the AMM-implied series only.';
+        return;
+    }
+
+    // Divergence at each sample against the AMM-implied price on the same day
+    const ammByDate = new Map(ptPriceData.map(d => [new Date(d.timestamp).toISOString().split('T')[0], d.ptPrice]));
+    const divergences = oracleData.series
+        .map(point => {
+            const ammPrice = ammByDate.get(new Date(point.timestamp).toISOString().split('T')[0]);
+            return ammPrice ? (point.ptToAsset / ammPrice - 1) * 100 : null;
+        })
+        .filter(value => value !== null);
+    const maxDivergence = divergences.reduce((max, value) => Math.abs(value) > Math.abs(max) ? value : max, 0);
+
+    document.getElementById('oracle-onchain-price').textContent = oracleData.current.ptToAsset.toFixed(4);
+    const divergenceEl = document.getElementById('oracle-divergence');
+    divergenceEl.textContent = divergences.length > 0 ? (maxDivergence >= 0 ? '+' : '') + maxDivergence.toFixed(2) + '%' : '-';
+    // Neutral when no sample shares a day with the AMM series - no match isn't agreement
+    divergenceEl.style.color = divergences.length === 0
+        ? 'var(--text-muted)'
+        : Math.abs(maxDivergence) < 0.5 ? 'var(--profit-color)' : Math.abs(maxDivergence) < 2 ? 'var(--warning-color)' : 'var(--loss-color)';
+
+    if (note) {
+        const twapLabel = oracleData.twapSeconds >= 60 ? `${Math.round(oracleData.twapSeconds / 60)} min` : `${oracleData.twapSeconds}s`;
+        note.textContent = [
+            `Pendle oracle, ${twapLabel} TWAP: PT = ${oracleData.current.ptToAsset.toFixed(4)} asset / ${oracleData.current.ptToSy.toFixed(4)} SY (block ${oracleData.current.block}).`,
+            oracleData.historyAvailable
+                ? `${oracleData.series.length - 1} historical block samples${oracleData.skipped > 0 ? ` (${oracleData.skipped} skipped - the oracle couldn't be read at those blocks)` : ''}.`
+                : 'The RPC has no archive state, so only the current rate is shown.',
+            oracleData.ready ? '' : '⚠️ Oracle observations don\'t cover this TWAP window yet.'
+        ].filter(Boolean).join(' ');
+    }
+
+    // Liquidations follow the oracle, so the loop replay uses it when there's a series
+    if (oraclePriceHistory?.marketAddress === market.address) {
+        oraclePriceHistory.oracleSeries = oracleData.series.length > 1
+            ? oracleData.series.map(point => ({ timestamp: new Date(point.timestamp).toISOString(), ptPrice: point.ptToAsset }))
+            : null;
+        updateLoopSimulator();
+    }
+
+    renderOraclePriceChart(ptPriceData, oracleData.series);
+}
+
+// Fetch historical data and render oracle price chart
+async function fetchAndRenderOraclePriceChart() {
+    const chartContainer = document.getElementById('oracle-chart-container');
+    const chartLoading = document.getElementById('oracle-chart-loading');
+    const chartCanvas = document.getElementById('oracle-price-chart');
+    const chartStats = document.getElementById('oracle-chart-stats');
+
+    if (!selectedMarket || !chartContainer) return;
+
+    // Show loading state
+    if (chartLoading) chartLoading.style.display = 'block';
+    if (chartCanvas) chartCanvas.style.display = 'none';
+    if (chartStats) chartStats.style.display = 'none';
+
+    try {
+        const chainId = parseInt(document.getElementById('chain-filter')?.value) || 1;
+        const history = await fetchHarmonizedHistoricalData(selectedMarket, chainId);
+
+        if (!history || !history.rawData || history.rawData.length === 0) {
+            if (chartLoading) chartLoading.textContent = 'No historical data available';
+            return;
+        }
+
+        // AMM-implied PT prices: implied APY compounded over the time left to this market's expiry
+        // (points from before the market listed have no implied APY of their own)
+        const expiryTime = new Date(selectedMarket.expiry).getTime();
+        const ptPriceData = history.rawData
+            .filter(d => d.impliedApy !== undefined && d.impliedApy !== null)
+            .map(d => {
+                const daysAtPoint = Math.max(0, (expiryTime - new Date(d.timestamp).getTime()) / (24 * 60 * 60 * 1000));
+                const ptPrice = calculatePtPriceFromApy(d.impliedApy * 100, daysAtPoint);
+                return {
+                    timestamp: d.timestamp,
+                    ptPrice: Math.min(1, Math.max(0, ptPrice)), // Clamp between 0 and 1
+                    impliedApy: d.impliedApy * 100
+                };
+            });
+
+        if (ptPriceData.length === 0) {
+            if (chartLoading) chartLoading.textContent = 'No implied APY history for this maturity';
+            return;
+        }
+
+        // Calculate stats
+        const prices = ptPriceData.map(d => d.ptPrice);
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const currentPrice = prices[prices.length - 1];
+        const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+        const variance = prices.reduce((sum, p) => sum + Math.pow(p - avgPrice, 2), 0) / prices.length;
+        const stdDev = Math.sqrt(variance);
+        const volatility = (stdDev / avgPrice) * 100; // Coefficient of variation as percentage
+
+        // Calculate maximum drawdown (largest peak-to-trough decline)
+        let maxDrawdown = 0;
+        let peak = prices[0];
+        for (let i = 1; i < prices.length; i++) {
+            if (prices[i] > peak) {
+                peak = prices[i];
+            }
+            const drawdown = (peak - prices[i]) / peak;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+            }
+        }
+        const maxDrawdownPercent = maxDrawdown * 100;
+
+        // Feed the loop simulator's historical stress test
+        oraclePriceHistory = { marketAddress: selectedMarket.address, ptPriceData, maxDrawdownPercent };
+        updateLoopSimulator();
+
+        // Update stats display
+        document.getElementById('oracle-price-current').textContent = currentPrice.toFixed(4);
+        document.getElementById('oracle-price-min').textContent = minPrice.toFixed(4);
+        document.getElementById('oracle-price-max').textContent = maxPrice.toFixed(4);
+        document.getElementById('oracle-price-volatility').textContent = volatility.toFixed(2) + '%';
+        document.getElementById('oracle-price-drawdown').textContent = '-' + maxDrawdownPercent.toFixed(2) + '%';
+
+        // Color volatility based on risk
+        const volatilityEl = document.getElementById('oracle-price-volatility');
+        if (volatility < 1) {
+            volatilityEl.style.color = 'var(--profit-color)';
+        } else if (volatility < 3) {
+            volatilityEl.style.color = 'var(--pt-color)';
+        } else if (volatility < 5) {
+            volatilityEl.style.color = 'var(--warning-color)';
+        } else {
+            volatilityEl.style.color = 'var(--loss-color)';
+        }
+
+        // Color max drawdown based on risk (relative to the buffer at the simulator's leverage)
+        const drawdownEl = document.getElementById('oracle-price-drawdown');
+        const loopOpportunity = selectedMarket?.loopOpportunity;
+        const ltvBuffer = loopOpportunity
+            ? calculateLoopMetrics(loopOpportunity.effectiveApy - loopOpportunity.apyBoost, loopOpportunity.ltv, loopOpportunity.borrowRate, loopLeverage).liquidationBuffer
+            : 10;
+        if (maxDrawdownPercent < ltvBuffer * 0.3) {
+            drawdownEl.style.color = 'var(--profit-color)';
+        } else if (maxDrawdownPercent < ltvBuffer * 0.5) {
+            drawdownEl.style.color = 'var(--pt-color)';
+        } else if (maxDrawdownPercent < ltvBuffer * 0.8) {
+            drawdownEl.style.color = 'var(--warning-color)';
+        } else {
+            drawdownEl.style.color = 'var(--loss-color)';
+        }
+
+        // Render chart (cached oracle series right away, otherwise overlaid once read)
+        const twapSeconds = parseTwapWindow(resolveLendingListings(selectedMarket, chainId)?.pairData.oracle?.twapWindow);
+        renderOraclePriceChart(ptPriceData, ptOracleCache.get(`${chainId}-${selectedMarket.address}-${twapSeconds}`)?.series);
+
+        // Show chart elements
+        if (chartLoading) chartLoading.style.display = 'none';
+        if (chartCanvas) chartCanvas.style.display = 'block';
+        if (chartStats) chartStats.style.display = 'flex';
+
+        loadOnChainOracleSeries(ptPriceData, chainId, twapSeconds);
+
+    } catch (e) {
+        console.error('Failed to fetch oracle price history:', e);
+        if (chartLoading) chartLoading.textContent = 'Failed to load historical data';
+    }
+}
+
+// Render the oracle price chart
+// oracleSeries (on-chain oracle samples) is placed on the matching days of the AMM-implied series
+function renderOraclePriceChart(data, oracleSeries = null) {
+    const ctx = document.getElementById('oracle-price-chart');
+    if (!ctx || !data || data.length === 0) return;
+
+    const labels = data.map(d => {
+        const date = new Date(d.timestamp);
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    });
+
+    const ptPrices = data.map(d => d.ptPrice);
+    const impliedApys = data.map(d => d.impliedApy);
+
+    const oracleByDate = new Map((oracleSeries || []).map(point => [new Date(point.timestamp).toISOString().split('T')[0], point.ptToAsset]));
+    const oraclePrices = data.map(d => oracleByDate.get(new Date(d.timestamp).toISOString().split('T')[0]) ?? null);
+
+    // Calculate 7-day moving average for PT price
+    const ptPrice7dMA = calculateMovingAverage(ptPrices, 7);
+
+    // Destroy existing chart
+    if (oraclePriceChart) {
+        oraclePriceChart.destroy();
+    }
+
+    oraclePriceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'PT Price (AMM implied)',
+                    data: ptPrices,
+                    borderColor: '#F59E0B',
+                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'PT Price 7D MA',
+                    data: ptPrice7dMA,
+                    borderColor: '#2DD4BF',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Implied APY %',
+                    data: impliedApys,
+                    borderColor: '#A78BFA',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1.5,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    borderDash: [4, 2],
+                    yAxisID: 'y1'
+                },
+                ...(oraclePrices.some(price => price !== null) ? [{
+                    label: 'PT Oracle (on-chain TWAP)',
+                    data: oraclePrices,
+                    borderColor: '#EF4444',
+                    backgroundColor: '#EF4444',
+                    borderWidth: 1.5,
+                    fill: false,
+                    spanGaps: true,
+                    tension: 0,
+                    pointRadius: 2,
+                    pointHoverRadius: 4,
+                    yAxisID: 'y'
+                }] : [])
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#9CA3AF',
+                        usePointStyle: true,
+                        pointStyle: 'line',
+                        padding: 15,
+                        font: { size: 11 }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
+                    borderWidth: 1,
+                    padding: 10,
+                    filter: item => item.raw !== null,
+                    callbacks: {
+                        label: function(context) {
+                            if (context.datasetIndex === 2) {
+                                return `Implied APY: ${context.raw.toFixed(2)}%`;
+                            }
+                            return `${context.dataset.label}: ${context.raw.toFixed(4)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#6B7280',
+                        maxTicksLimit: 8,
+                        font: { size: 10 }
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    title: {
+                        display: true,
+                        text: 'PT Price',
+                        color: '#F59E0B',
+                        font: { size: 11 }
+                    },
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#F59E0B',
+                        font: { size: 10 },
+                        callback: function(value) {
+                            return value.toFixed(3);
+                        }
+                    }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    title: {
+                        display: true,
+                        text: 'Implied APY %',
+                        color: '#A78BFA',
+                        font: { size: 11 }
+                    },
+                    grid: { drawOnChartArea: false },
+                    ticks: {
+                        color: '#A78BFA',
+                        font: { size: 10 },
+                        callback: function(value) {
+                            return value.toFixed(0) + '%';
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Compare calculator
+// Skip post-mortem entries this close to maturity (YT leverage explodes)
+const POSTMORTEM_MIN_DAYS = 7;
+
+// Realized outcome of entering a matured market on each day of its history:
+// PT locks in that day's implied APY, YT/Hold earn the realized underlying path,
+// LP earns half of each plus the realized swap fees and LP rewards
+function calculatePostMortem(market, rawData, investment = 10000) {
+    const expiry = new Date(market.expiry).getTime();
+    const points = (rawData || []).filter(p =>
+        p.timestamp &&
+        new Date(p.timestamp).getTime() < expiry &&
+        Number.isFinite(p.impliedApy) &&
+        Number.isFinite(p.underlyingApy)
+    );
+    if (points.length === 0) return null;
+
+    // Suffix sums give the realized averages from each entry date to maturity
+    const n = points.length;
+    const underlyingSum = new Array(n + 1).fill(0);
+    const swapFeeSum = new Array(n + 1).fill(0);
+    const lpRewardSum = new Array(n + 1).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        underlyingSum[i] = underlyingSum[i + 1] + points[i].underlyingApy * 100;
+        swapFeeSum[i] = swapFeeSum[i + 1] + (points[i].swapFeeApy || 0) * 100;
+        lpRewardSum[i] = lpRewardSum[i + 1] + (points[i].lpRewardApy || 0) * 100;
+    }
+
+    const entries = [];
+    for (let i = 0; i < n; i++) {
+        const point = points[i];
+        const days = (expiry - new Date(point.timestamp).getTime()) / (1000 * 60 * 60 * 24);
+        if (days < POSTMORTEM_MIN_DAYS) continue;
+
+        const remaining = n - i;
+        const realizedUnderlyingApy = underlyingSum[i] / remaining;
+        const impliedApy = point.impliedApy * 100;
+        const ptPrice = 1 / Math.pow(1 + impliedApy / 100, days / 365);
+        const ptFixedApy = calculateFixedAPY(ptPrice, days);
+        const swapFeeApy = swapFeeSum[i] / remaining;
+        const lpRewardApy = lpRewardSum[i] / remaining;
+
+        const outcome = calculateStrategyOutcomes({
+            ptPrice,
+            ytPrice: 1 - ptPrice,
+            days,
+            investment,
+            underlyingApy: realizedUnderlyingApy,
+            swapFeeApy,
+            lpRewardApy,
+            lpApy: ptFixedApy * 0.5 + realizedUnderlyingApy * 0.5 + swapFeeApy + lpRewardApy
+        });
+        const signal = getMarketSignal(point.underlyingApy * 100, impliedApy);
+
+        entries.push({
+            timestamp: point.timestamp,
+            days,
+            impliedApy,
+            realizedUnderlyingApy,
+            outcome,
+            signal,
+            // Neutral calls are not scored
+            signalCorrect: signal.type === 'neutral' ? null : signal.type === outcome.winner.name.toLowerCase()
+        });
+    }
+    if (entries.length === 0) return null;
+
+    const wins = { PT: 0, YT: 0, LP: 0, Hold: 0 };
+    let marginSum = 0;
+    let signalCalls = 0;
+    let signalHits = 0;
+    for (const entry of entries) {
+        wins[entry.outcome.winner.name]++;
+        marginSum += entry.outcome.advantage / investment * 100;
+        if (entry.signalCorrect !== null) {
+            signalCalls++;
+            if (entry.signalCorrect) signalHits++;
+        }
+    }
+
+    return {
+        entries,
+        investment,
+        wins,
+        avgMarginPercent: marginSum / entries.length,
+        signalCalls,
+        signalHits,
+        signalHitRate: signalCalls > 0 ? signalHits / signalCalls * 100 : null
+    };
+}
+
+// Underlying APY history stats of the selected market (for APY path presets)
+let underlyingApyStats = null;
+
+// Preset APY paths. Each builds a schedule from the starting APY and history stats,
+// or returns null when the stats it needs aren't loaded
+const APY_PATH_PRESETS = {
+    decay30d: {
+        label: 'Decay to 30d average',
+        build: (startApy, stats) => stats?.last30d ? { decayTo: stats.last30d.avg, halfLifeDays: 14 } : null
+    },
+    decay90d: {
+        label: 'Decay to 90d average',
+        build: (startApy, stats) => stats?.last90d ? { decayTo: stats.last90d.avg, halfLifeDays: 30 } : null
+    },
+    campaignEnd: {
+        label: 'Current for 30d, then 90d average',
+        build: (startApy, stats) => stats?.last90d ? [{ apy: startApy, days: 30 }, { apy: stats.last90d.avg, days: null }] : null
+    }
+};
+
+// Parse a piecewise schedule like "12% for 30 days, then 6% until expiry"
+// Returns [{ apy, days }] (days null = until expiry) or null if the text doesn't parse
+function parseApySchedule(text) {
+    const parts = (text || '').split(/,|;|\bthen\b/i).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const segments = [];
+    for (const part of parts) {
+        const match = part.match(/^(-?\d+(?:\.\d+)?)\s*%?\s*(?:for\s+(\d+)\s*(?:d|days?)?|(?:until|till|to)\s+(?:expiry|maturity))?$/i);
+        if (!match) return null;
+        segments.push({ apy: parseFloat(match[1]), days: match[2] ? parseInt(match[2]) : null });
+        // Anything after an open-ended segment would never be reached
+        if (!match[2]) break;
+    }
+    return segments;
+}
+
+// Daily APY values (in %) until maturity for a schedule
+// Segments past their days hand over to the next one; the last one runs to expiry
+function buildApyPath(schedule, days, startApy) {
+    const steps = Math.max(1, Math.round(days));
+    const path = [];
+
+    if (!Array.isArray(schedule)) {
+        // Exponential decay from the starting APY
+        const rate = Math.log(2) / schedule.halfLifeDays;
+        for (let day = 0; day < steps; day++) {
+            path.push(schedule.decayTo + (startApy - schedule.decayTo) * Math.exp(-rate * (day + 0.5)));
+        }
+        return path;
+    }
+
+    let segment = 0;
+    let segmentEnd = schedule[0].days ?? Infinity;
+    for (let day = 0; day < steps; day++) {
+        while (day >= segmentEnd && segment < schedule.length - 1) {
+            segment++;
+            segmentEnd += schedule[segment].days ?? Infinity;
+        }
+        path.push(schedule[segment].apy);
+    }
+    return path;
+}
+
+// Average APY of a path (YT yield and holding returns are linear in it)
+function averageApy(path) {
+    return path.reduce((a, b) => a + b, 0) / path.length;
+}
+
+// Read a calculator's APY scenario ('calc' or 'cmp' prefix)
+// Returns null for a flat APY, or { path, averageApy, label } / { error }
+function getApyPath(prefix, days, startApy) {
+    const preset = document.getElementById(`${prefix}-apy-preset`)?.value || 'flat';
+    const scheduleInput = document.getElementById(`${prefix}-apy-schedule`);
+    if (scheduleInput) {
+        scheduleInput.parentElement.style.display = preset === 'custom' ? 'flex' : 'none';
+    }
+    if (preset === 'flat') return null;
+
+    let schedule;
+    let label;
+    if (preset === 'custom') {
+        schedule = parseApySchedule(scheduleInput?.value);
+        if (!schedule) return { error: 'Use e.g. "12% for 30 days, then 6% until expiry"' };
+        label = 'Custom schedule';
+    } else {
+        const definition = APY_PATH_PRESETS[preset];
+        schedule = definition?.build(startApy, underlyingApyStats);
+        if (!schedule) return { error: 'Select a market with history to use this preset' };
+        label = definition.label;
+    }
+
+    const path = buildApyPath(schedule, days, startApy);
+    return { path, averageApy: averageApy(path), label };
+}
+
+// Show a calculator's APY path summary (or parse error) under its inputs
+function showApyPathSummary(prefix, apyPath) {
+    const el = document.getElementById(`${prefix}-apy-path-summary`);
+    if (!el) return;
+    if (!apyPath) {
+        el.textContent = '';
+        el.classList.remove('loss');
+    } else if (apyPath.error) {
+        el.textContent = apyPath.error;
+        el.classList.add('loss');
+    } else {
+        el.textContent = `${apyPath.label}: ${formatPercent(apyPath.path[0])} → ${formatPercent(apyPath.path[apyPath.path.length - 1])}, averaging ${formatPercent(apyPath.averageApy)}`;
+        el.classList.remove('loss');
+    }
+}
+
+// Value of each strategy at the end of every day until maturity
+// PT and YT are marked at the implied APY of the entry prices; YT adds its accrued yield
+function buildValueTimeline({ ptPrice, ytPrice, days, investment, path, lpApy }) {
+    const steps = path.length;
+    const dayLength = days / steps;
+    const fixedApy = calculateFixedAPY(ptPrice, days) / 100;
+    const units = investment / ptPrice;
+    const ytUnits = ytPrice > 0 ? investment / ytPrice : 0;
+
+    const timeline = { days: [0], pt: [investment], yt: [investment], lp: [investment], hold: [investment] };
+    let accrued = 0;
+    let held = investment;
+
+    for (let step = 0; step < steps; step++) {
+        const elapsed = (step + 1) * dayLength;
+        const remaining = Math.max(0, days - elapsed);
+        const ptPriceNow = 1 / Math.pow(1 + fixedApy, remaining / 365);
+        const periodYield = (path[step] / 100) * (dayLength / 365);
+
+        accrued += ytUnits * periodYield * (1 - PENDLE_FEE);
+        held += investment * periodYield;
+
+        timeline.days.push(elapsed);
+        timeline.pt.push(units * ptPriceNow);
+        timeline.yt.push(ytUnits * (1 - ptPriceNow) + accrued);
+        timeline.lp.push(investment * (1 + (lpApy / 100) * (elapsed / 365)));
+        timeline.hold.push(held);
+    }
+    return timeline;
+}
+
+// Mark-to-market result of selling PT and YT after exitDays at an implied APY
+// accruedApy is the average underlying APY while holding (YT keeps the yield it collected)
+function calculateEarlyExit({ ptPrice, ytPrice, days, investment, exitDays, exitImpliedApy, accruedApy }) {
+    if (!(exitDays > 0) || exitDays >= days) return null;
+
+    const remainingDays = days - exitDays;
+    const ptExitPrice = calculatePtPriceFromApy(exitImpliedApy, remainingDays);
+    const ytExitPrice = 1 - ptExitPrice;
+    const annualize = (value) => (Math.pow(value / investment, 365 / exitDays) - 1) * 100;
+
+    // PT
+    const ptUnits = investment / ptPrice;
+    const ptValue = ptUnits * ptExitPrice;
+
+    // YT (sale price plus the net yield collected while holding)
+    const ytUnits = ytPrice > 0 ? investment / ytPrice : 0;
+    const accruedPerUnit = (accruedApy / 100) * (exitDays / 365) * (1 - PENDLE_FEE);
+    const ytValue = ytUnits * (ytExitPrice + accruedPerUnit);
+
+    // Exit implied APY where each leg gets its money back
+    // PT breaks even when it sells at the entry price; YT when sale price + yield = entry price
+    const ptBreakEven = calculateFixedAPY(ptPrice, remainingDays);
+    const ytBreakEvenPrice = ytPrice - accruedPerUnit;
+    const ytBreakEven = ytBreakEvenPrice > 0 ? calculateFixedAPY(1 - ytBreakEvenPrice, remainingDays) : null;
+
+    return {
+        exitDays,
+        remainingDays,
+        exitImpliedApy,
+        pt: {
+            exitPrice: ptExitPrice,
+            value: ptValue,
+            pnl: ptValue - investment,
+            annualizedReturn: annualize(ptValue),
+            breakEvenImpliedApy: ptBreakEven,
+            profitsBelow: true
+        },
+        yt: {
+            exitPrice: ytExitPrice,
+            value: ytValue,
+            pnl: ytValue - investment,
+            accrued: ytUnits * accruedPerUnit,
+            annualizedReturn: annualize(ytValue),
+            breakEvenImpliedApy: ytBreakEven,
+            profitsBelow: false
+        }
+    };
+}
+
+// Read a calculator's early-exit inputs ('calc' or 'cmp' prefix)
+// An empty exit day means holding to maturity; an empty implied APY keeps today's
+function getEarlyExitInputs(prefix, impliedApy) {
+    const exitDays = parseFloat(document.getElementById(`${prefix}-exit-days`)?.value);
+    const impliedInput = document.getElementById(`${prefix}-exit-implied`);
+    if (impliedInput) {
+        impliedInput.placeholder = impliedApy.toFixed(2);
+    }
+    const exitImpliedApy = parseFloat(impliedInput?.value);
+    return {
+        exitDays: exitDays > 0 ? exitDays : null,
+        exitImpliedApy: Number.isFinite(exitImpliedApy) ? exitImpliedApy : impliedApy
+    };
+}
+
+// Render the early-exit table for a calculator (hidden when holding to maturity)
+function renderEarlyExit(prefix, exit) {
+    const el = document.getElementById(`${prefix}-early-exit`);
+    if (!el) return;
+    if (!exit) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'block';
+
+    const formatSigned = (value) => (value >= 0 ? '+' : '') + formatCurrency(value);
+    const signColor = (value) => value >= 0 ? 'var(--profit-color)' : 'var(--loss-color)';
+    const row = (label, leg) => `
+        <div class="backtest-row early-exit-row">
+            <span class="backtest-signal">${label}</span>
+            <span>${leg.exitPrice.toFixed(4)}</span>
+            <span style="color: ${signColor(leg.pnl)}">${formatSigned(leg.pnl)}</span>
+            <span style="color: ${signColor(leg.annualizedReturn)}">${formatPercent(leg.annualizedReturn)}</span>
+            <span>${leg.breakEvenImpliedApy === null ? 'Any' : `${leg.profitsBelow ? '<' : '>'} ${formatPercent(leg.breakEvenImpliedApy)}`}</span>
+        </div>
+    `;
+
+    el.innerHTML = `
+        <div class="analysis-detail">
+            Sell on day ${formatNumber(exit.exitDays, 0)} at ${formatPercent(exit.exitImpliedApy)} implied
+            (${formatNumber(exit.remainingDays, 0)} days left)
+        </div>
+        <div class="backtest-table">
+            <div class="backtest-row early-exit-row backtest-head">
+                <span>Leg</span><span>Exit price</span><span>MTM P&amp;L</span><span>Annualized</span><span>Profit if exit</span>
+            </div>
+            ${row('PT', exit.pt)}
+            ${row('YT', exit.yt)}
+        </div>
+        <div class="analysis-detail">YT includes ${formatCurrency(exit.yt.accrued)} of net yield collected before the exit.</div>
+    `;
+}
+
+// Final value of PT, YT, LP and holding the underlying for one entry
+// underlyingApy is the average APY until maturity (a forecast, or the realized path)
+function calculateStrategyOutcomes({ ptPrice, ytPrice, days, investment, underlyingApy, swapFeeApy, lpRewardApy, lpApy }) {
+    const impliedApy = calculateImpliedAPY(ytPrice, ptPrice, days);
+
+    // PT Strategy (fixed)
+    const ptAmount = investment / ptPrice;
+    const ptFinal = ptAmount;
+    const ptFixedApy = calculateFixedAPY(ptPrice, days);
+
+    // YT Strategy
+    const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
+    const ytExposure = investment * ytLeverage;
+    const ytPeriodYield = (underlyingApy / 100) * (days / 365);
+    const ytGrossYield = ytExposure * ytPeriodYield;
+    const ytFinal = ytGrossYield * (1 - PENDLE_FEE);
+
+    // LP Strategy
+    // LP combines ~50% PT exposure with swap fees and incentives
+    const lpSwapFeeApy = swapFeeApy || 2.5;
+    const lpIncentiveApy = lpRewardApy || 5;
+    const lpBaseApy = lpApy || (ptFixedApy * 0.5 + lpSwapFeeApy + lpIncentiveApy);
+    const lpPeriodReturn = (lpBaseApy / 100) * (days / 365);
+    const lpFinal = investment * (1 + lpPeriodReturn);
+
+    // Hold Strategy
+    const holdPeriodYield = (underlyingApy / 100) * (days / 365);
+    const holdYieldEarned = investment * holdPeriodYield;
+    const holdFinal = investment + holdYieldEarned;
+
+    const strategies = [
+        { name: 'PT', final: ptFinal },
+        { name: 'YT', final: ytFinal },
+        { name: 'LP', final: lpFinal },
+        { name: 'Hold', final: holdFinal }
+    ].sort((a, b) => b.final - a.final);
+
+    return {
+        impliedApy,
+        pt: { final: ptFinal, profit: ptFinal - investment, fixedApy: ptFixedApy },
+        yt: { final: ytFinal, profit: ytFinal - investment, leverage: ytLeverage, exposure: ytExposure },
+        lp: { final: lpFinal, profit: lpFinal - investment, apy: lpBaseApy },
+        hold: { final: holdFinal, profit: holdYieldEarned, yieldEarned: holdYieldEarned, returnPercent: holdPeriodYield * 100 },
+        ranking: strategies,
+        winner: strategies[0],
+        advantage: strategies[0].final - strategies[1].final
+    };
+}
+
+function updateCompareCalculator() {
+    // Show/hide no market prompt for compare
+    const noMarketPromptCompare = document.getElementById('no-market-prompt-compare');
+    if (noMarketPromptCompare) {
+        noMarketPromptCompare.style.display = selectedMarket ? 'none' : 'block';
+    }
+
+    const ptPrice = parseFloat(document.getElementById('cmp-pt-price').value) || 0.95;
+    const ytPrice = parseFloat(document.getElementById('cmp-yt-price').value) || 0.05;
+    const days = parseFloat(document.getElementById('cmp-days').value) || 90;
+    const investment = parseFloat(document.getElementById('cmp-investment').value) || 10000;
+    const futureApy = parseFloat(document.getElementById('cmp-underlying-apy').value) || 25;
+
+    document.getElementById('cmp-apy-display').textContent = futureApy + '%';
+
+    // A time-varying APY scenario starts from the slider value
+    const apyPath = getApyPath('cmp', days, futureApy);
+    showApyPathSummary('cmp', apyPath);
+
+    const outcomes = calculateStrategyOutcomes({
+        ptPrice,
+        ytPrice,
+        days,
+        investment,
+        underlyingApy: apyPath?.path ? apyPath.averageApy : futureApy,
+        swapFeeApy: selectedMarket?.swapFeeApy,
+        lpRewardApy: selectedMarket?.lpRewardApy,
+        lpApy: selectedMarket?.lpApy
+    });
+    const { impliedApy } = outcomes;
+    const { final: ptFinal, profit: ptProfit, fixedApy: ptFixedApy } = outcomes.pt;
+    const { final: ytFinal, profit: ytProfit, leverage: ytLeverage } = outcomes.yt;
+    const { final: lpFinal, profit: lpProfit, apy: lpBaseApy } = outcomes.lp;
+    const { final: holdFinal, yieldEarned: holdYieldEarned, returnPercent: holdReturn } = outcomes.hold;
+
+    document.getElementById('cmp-breakeven-apy').textContent = formatPercent(impliedApy);
+
+    // Early exit (both legs)
+    const cmpExit = getEarlyExitInputs('cmp', impliedApy);
+    renderEarlyExit('cmp', calculateEarlyExit({
+        ptPrice, ytPrice, days, investment, ...cmpExit,
+        accruedApy: apyPath?.path && cmpExit.exitDays ? averageApy(apyPath.path.slice(0, Math.max(1, Math.round(cmpExit.exitDays)))) : futureApy
+    }));
+
+    // Update PT card
+    document.getElementById('cmp-pt-final').textContent = formatCurrency(ptFinal);
+    document.getElementById('cmp-pt-apy').textContent = formatPercent(ptFixedApy);
+    document.getElementById('cmp-pt-profit').textContent = (ptProfit >= 0 ? '+' : '') + formatCurrency(ptProfit);
+    document.getElementById('cmp-pt-profit').className = ptProfit >= 0 ? 'profit' : 'loss';
+
+    // Update YT card
+    document.getElementById('cmp-yt-final').textContent = formatCurrency(ytFinal);
+    document.getElementById('cmp-yt-leverage').textContent = formatNumber(ytLeverage, 1) + 'x';
+    document.getElementById('cmp-yt-profit').textContent = (ytProfit >= 0 ? '+' : '') + formatCurrency(ytProfit);
+    document.getElementById('cmp-yt-profit').className = ytProfit >= 0 ? 'profit' : 'loss';
+    document.getElementById('cmp-yt-verdict').textContent = `Profitable if APY > ${formatPercent(impliedApy)}`;
+
+    // Update LP card
+    document.getElementById('cmp-lp-final').textContent = formatCurrency(lpFinal);
+    document.getElementById('cmp-lp-apy').textContent = formatPercent(lpBaseApy);
+    document.getElementById('cmp-lp-profit').textContent = (lpProfit >= 0 ? '+' : '') + formatCurrency(lpProfit);
+    document.getElementById('cmp-lp-profit').className = lpProfit >= 0 ? 'profit' : 'loss';
+    document.getElementById('cmp-lp-verdict').textContent = 'Swap fees + PT yield + incentives';
+
+    // Update Hold card
+    document.getElementById('cmp-hold-final').textContent = formatCurrency(holdFinal);
+    document.getElementById('cmp-hold-yield').textContent = formatCurrency(holdYieldEarned);
+    document.getElementById('cmp-hold-return').textContent = formatPercent(holdReturn);
+
+    // Determine winner
+    const { winner, advantage } = outcomes;
+
+    document.getElementById('winner-name').textContent = winner.name;
+    document.getElementById('winner-advantage').textContent = `+${formatCurrency(advantage)} vs next best`;
+
+    // Highlight winner card
+    document.querySelectorAll('.comparison-card').forEach(card => card.classList.remove('winner'));
+    if (winner.name === 'PT') document.querySelector('.pt-card')?.classList.add('winner');
+    if (winner.name === 'YT') document.querySelector('.yt-card')?.classList.add('winner');
+    if (winner.name === 'LP') document.querySelector('.lp-card')?.classList.add('winner');
+    if (winner.name === 'Hold') document.querySelector('.hold-card')?.classList.add('winner');
+
+    // Update chart
+    updateComparisonChart(ptPrice, ytPrice, days, investment, apyPath?.path ? { path: apyPath.path, lpApy: lpBaseApy } : null);
+}
+
+// Plot returns across flat future APYs, or cumulative value over time for an APY path
+function updateComparisonChart(ptPrice, ytPrice, days, investment, scenario = null) {
+    const ctx = document.getElementById('comparison-chart');
+    if (!ctx) return;
+
+    const chartTitle = document.getElementById('comparison-chart-title');
+    if (chartTitle) {
+        chartTitle.textContent = scenario ? 'Value Over Time (APY Path)' : 'Returns vs Future APY';
+    }
+
+    let labels = [];
+    let ptReturns = [];
+    let ytReturns = [];
+    let lpReturns = [];
+    let holdReturns = [];
+
+    if (scenario) {
+        // Cumulative position values (in USD) along the APY path
+        const timeline = buildValueTimeline({ ptPrice, ytPrice, days, investment, path: scenario.path, lpApy: scenario.lpApy });
+        labels = timeline.days.map(day => 'Day ' + Math.round(day));
+        ptReturns = timeline.pt;
+        ytReturns = timeline.yt;
+        lpReturns = timeline.lp;
+        holdReturns = timeline.hold;
+    } else {
+        const ptAmount = investment / ptPrice;
+        const ptFinal = ptAmount;
+        const ptReturnFixed = ((ptFinal - investment) / investment) * 100;
+
+        const ytLeverage = ytPrice > 0 ? 1 / ytPrice : 0;
+        const ytExposure = investment * ytLeverage;
+
+        // Base LP fees and incentives (independent of APY)
+        const lpSwapFeeApy = selectedMarket?.swapFeeApy || 2.5;
+        const lpIncentiveApy = selectedMarket?.lpRewardApy || 5;
+        const lpBaseReturn = ((lpSwapFeeApy + lpIncentiveApy + ptReturnFixed * 0.5) * (days / 365));
+
+        for (let apy = 0; apy <= 50; apy += 2) {
+            labels.push(apy + '%');
+            ptReturns.push(ptReturnFixed);
+
+            const ytPeriodYield = (apy / 100) * (days / 365);
+            const ytGrossYield = ytExposure * ytPeriodYield;
+            const ytNetYield = ytGrossYield * (1 - PENDLE_FEE);
+            const ytReturn = ((ytNetYield - investment) / investment) * 100;
+            ytReturns.push(ytReturn);
+
+            // LP return is relatively stable (slight variation with trading volume)
+            lpReturns.push(lpBaseReturn);
+
+            const holdPeriodYield = (apy / 100) * (days / 365);
+            const holdReturn = holdPeriodYield * 100;
+            holdReturns.push(holdReturn);
+        }
+    }
+
+    const formatValue = scenario
+        ? value => formatCurrency(value)
+        : value => value.toFixed(2) + '%';
+
+    if (comparisonChart) {
+        comparisonChart.destroy();
+    }
+
+    comparisonChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'PT (Fixed)',
+                    data: ptReturns,
+                    borderColor: '#00d4aa',
+                    backgroundColor: 'rgba(0, 212, 170, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                },
+                {
+                    label: 'YT (Long Yield)',
+                    data: ytReturns,
+                    borderColor: '#a29bfe',
+                    backgroundColor: 'rgba(162, 155, 254, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                },
+                {
+                    label: 'LP (Balanced)',
+                    data: lpReturns,
+                    borderColor: '#f472b6',
+                    backgroundColor: 'rgba(244, 114, 182, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    borderDash: [5, 5]
+                },
+                {
+                    label: 'Hold Underlying',
+                    data: holdReturns,
+                    borderColor: '#74b9ff',
+                    backgroundColor: 'rgba(116, 185, 255, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.1,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#a0a0b0',
+                        font: { family: "'Inter', sans-serif", size: 12 },
+                        padding: 20,
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1a1a24',
+                    titleColor: '#ffffff',
+                    bodyColor: '#a0a0b0',
+                    borderColor: '#2a2a3a',
+                    borderWidth: 1,
+                    padding: 12,
+                    displayColors: true,
+                    callbacks: {
+                        label: ctx => ctx.dataset.label + ': ' + formatValue(ctx.parsed.y)
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: scenario ? 'Days Held' : 'Future Underlying APY',
+                        color: '#606070',
+                        font: { family: "'Inter', sans-serif", size: 12 }
+                    },
+                    ticks: { color: '#606070', font: { family: "'Inter', sans-serif" }, maxTicksLimit: scenario ? 10 : undefined },
+                    grid: { color: 'rgba(42, 42, 58, 0.5)' }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: scenario ? 'Position Value (USD)' : 'Period Return (%)',
+                        color: '#606070',
+                        font: { family: "'Inter', sans-serif", size: 12 }
+                    },
+                    ticks: {
+                        color: '#606070',
+                        font: { family: "'Inter', sans-serif" },
+                        callback: value => scenario ? formatCurrency(value) : value + '%'
+                    },
+                    grid: { color: 'rgba(42, 42, 58, 0.5)' }
+                }
+            }
+        }
+    });
+}
+
+// History chart instance
+let historyChart = null;
+
+// Time frame shown in the history chart ('hour', 'day' or 'week')
+let historyTimeFrame = 'day';
+
+// Load and display historical data for a market
+async function loadHistoricalData(market) {
+    const historyCard = document.getElementById('history-card');
+    const historyLoading = document.getElementById('history-loading');
+    const historyContent = document.getElementById('history-content');
+    const chainId = document.getElementById('chain-filter')?.value || 1;
+
+    if (!historyCard) return;
+
+    // Show the card and loading state
+    historyCard.style.display = 'block';
+    historyLoading.style.display = 'block';
+    historyContent.style.display = 'none';
+
+    underlyingProcess = null;
+    underlyingApyStats = null;
+    const history = await fetchMarketHistory(market, chainId);
+
+    if (!history) {
+        historyLoading.textContent = 'Historical data not available for this market';
+        return;
+    }
+
+    // Calibrate the Monte Carlo process and APY path presets for this market
+    underlyingProcess = calibrateUnderlyingProcess(history);
+    underlyingApyStats = history.underlyingApy;
+    if (!market.isExpired) {
+        updateCalculator();
+        updateCompareCalculator();
+    }
+
+    historyLoading.style.display = 'none';
+    historyContent.style.display = 'block';
+
+    // Update history card title with harmonized data info
+    const historyTitle = document.getElementById('history-title');
+    const historySubtitle = document.getElementById('history-subtitle');
+    if (historyTitle) {
+        const days = history.dataPoints || 90;
+        historyTitle.textContent = history.lifetime
+            ? `Full Lifetime Yield Range (${days} Days)`
+            : `Historical Yield Range (${days} Days)`;
+    }
+    if (historySubtitle) {
+        if (history.isHarmonized && history.marketsUsed > 1) {
+            historySubtitle.textContent = `Underlying APY data merged from ${history.marketsUsed} maturities for extended history`;
+            historySubtitle.style.display = 'block';
+        } else {
+            historySubtitle.style.display = 'none';
+        }
+    }
+
+    // Update implied APY range
+    const currentLabel = market.isExpired ? 'At maturity' : 'Current';
+    const impliedStats = history.impliedApy.last90d || history.impliedApy.all;
+    if (impliedStats) {
+        const impliedPercentile = getPercentile(market.impliedApyPercent, impliedStats.min, impliedStats.max);
+        const impliedPosition = getYieldPosition(impliedPercentile);
+
+        document.getElementById('implied-range-fill').style.width = '100%';
+        document.getElementById('implied-marker').style.left = `${impliedPercentile}%`;
+        document.getElementById('implied-min').textContent = formatPercent(impliedStats.min);
+        document.getElementById('implied-max').textContent = formatPercent(impliedStats.max);
+        document.getElementById('implied-current').textContent = `${currentLabel}: ${formatPercent(market.impliedApyPercent)}`;
+        document.getElementById('implied-percentile').textContent = `${impliedPercentile}th`;
+        document.getElementById('implied-position').textContent = impliedPosition.label;
+        document.getElementById('implied-position').style.color = impliedPosition.color;
+    }
+
+    // Update underlying APY range
+    const underlyingStats = history.underlyingApy.last90d || history.underlyingApy.all;
+    if (underlyingStats) {
+        const underlyingPercentile = getPercentile(market.underlyingApyPercent, underlyingStats.min, underlyingStats.max);
+        const underlyingPosition = getYieldPosition(underlyingPercentile);
+
+        document.getElementById('underlying-range-fill').style.width = '100%';
+        document.getElementById('underlying-marker').style.left = `${underlyingPercentile}%`;
+        document.getElementById('underlying-min').textContent = formatPercent(underlyingStats.min);
+        document.getElementById('underlying-max').textContent = formatPercent(underlyingStats.max);
+        document.getElementById('underlying-current').textContent = `${currentLabel}: ${formatPercent(market.underlyingApyPercent)}`;
+        document.getElementById('underlying-percentile').textContent = `${underlyingPercentile}th`;
+        document.getElementById('underlying-position').textContent = underlyingPosition.label;
+        document.getElementById('underlying-position').style.color = underlyingPosition.color;
+    }
+
+    // Update spread indicator
+    const spread = market.impliedApyPercent - market.underlyingApyPercent;
+    const spreadValue = document.getElementById('spread-value');
+    const spreadLabel = document.getElementById('spread-label');
+
+    spreadValue.textContent = (spread >= 0 ? '+' : '') + formatPercent(spread);
+    spreadValue.className = 'spread-value ' + (spread >= 0 ? 'positive' : 'negative');
+
+    if (spread > 0.5) {
+        spreadLabel.textContent = 'Implied above Underlying → PT may be attractive (lock in high rate)';
+    } else if (spread < -0.5) {
+        spreadLabel.textContent = 'Underlying above Implied → YT may be attractive (market underpricing yield)';
+    } else {
+        spreadLabel.textContent = 'Spread is tight → Market fairly priced';
+    }
+
+    // === NEW ANALYTICS ===
+
+    // 1. Mean Reversion Analysis
+    const meanReversionEl = document.getElementById('mean-reversion-analysis');
+    if (meanReversionEl && underlyingStats) {
+        const meanReversion = getMeanReversionSignal(market.underlyingApyPercent, underlyingStats.avg, underlyingStats.stdDev);
+        if (meanReversion) {
+            meanReversionEl.innerHTML = `
+                <div class="analysis-signal" style="color: ${meanReversion.color}">
+                    <span class="signal-icon">${meanReversion.zScore > 0 ? '📈' : meanReversion.zScore < 0 ? '📉' : '➡️'}</span>
+                    <span class="signal-text">${meanReversion.signal}</span>
+                </div>
+                <div class="analysis-detail">${meanReversion.description}</div>
+                <div class="analysis-stats">
+                    <span>Historical Avg: ${formatPercent(underlyingStats.avg)}</span>
+                    <span>Volatility (σ): ${formatPercent(underlyingStats.stdDev)}</span>
+                    <span>Z-Score: ${meanReversion.zScore.toFixed(2)}</span>
+                </div>
+            `;
+        }
+    }
+
+    // Signal backtest (runs in the background)
+    loadSignalBacktest(market, chainId);
+
+    // 2. Cross-Asset Comparison
+    const crossAssetEl = document.getElementById('cross-asset-analysis');
+    if (crossAssetEl) {
+        const comparison = getCrossAssetComparison(market, markets);
+        if (comparison) {
+            crossAssetEl.innerHTML = `
+                <div class="analysis-signal" style="color: ${comparison.color}">
+                    <span class="signal-icon">⚖️</span>
+                    <span class="signal-text">${comparison.signal}</span>
+                </div>
+                <div class="analysis-detail">
+                    Comparing to ${comparison.peerCount} other ${comparison.category} markets
+                </div>
+                <div class="peer-comparison">
+                    <div class="peer-avg">Category Avg Implied: ${formatPercent(comparison.avgImplied)}</div>
+                    <div class="peer-list">
+                        ${comparison.peers.map(p => `<span class="peer-chip">${p.name}: ${formatPercent(p.impliedApy)}</span>`).join('')}
+                    </div>
+                </div>
+            `;
+        } else {
+            crossAssetEl.innerHTML = `<div class="analysis-detail">Not enough similar assets for comparison</div>`;
+        }
+    }
+
+    // 3. Sharpe Ratio Analysis
+    const sharpeEl = document.getElementById('sharpe-analysis');
+    if (sharpeEl && market.isExpired) {
+        sharpeEl.innerHTML = `<div class="analysis-detail">Forward-looking risk/return does not apply to a matured market</div>`;
+    } else if (sharpeEl && underlyingStats) {
+        const ptFixedApy = calculateFixedAPY(market.ptPrice, market.days);
+        const sharpeData = calculateSharpeRatios(
+            ptFixedApy,
+            market.underlyingApyPercent,
+            market.impliedApyPercent,
+            underlyingStats.stdDev,
+            market.days
+        );
+
+        const betterStrategy = sharpeData.pt.sharpe > sharpeData.yt.sharpe ? 'PT' : 'YT';
+        const betterColor = betterStrategy === 'PT' ? 'var(--pt-color)' : 'var(--yt-color)';
+
+        sharpeEl.innerHTML = `
+            <div class="analysis-signal" style="color: ${betterColor}">
+                <span class="signal-icon">📊</span>
+                <span class="signal-text">${betterStrategy} has better risk-adjusted return</span>
+            </div>
+            <div class="sharpe-comparison">
+                <div class="sharpe-card ${betterStrategy === 'PT' ? 'highlighted' : ''}">
+                    <div class="sharpe-label">PT Sharpe</div>
+                    <div class="sharpe-value">${sharpeData.pt.sharpe.toFixed(2)}</div>
+                    <div class="sharpe-detail">Vol: ${formatPercent(sharpeData.pt.volatility)}</div>
+                </div>
+                <div class="sharpe-card ${betterStrategy === 'YT' ? 'highlighted' : ''}">
+                    <div class="sharpe-label">YT Sharpe</div>
+                    <div class="sharpe-value">${sharpeData.yt.sharpe.toFixed(2)}</div>
+                    <div class="sharpe-detail">Vol: ${formatPercent(sharpeData.yt.volatility)}</div>
+                </div>
+            </div>
+            <div class="analysis-detail">Higher Sharpe = better risk-adjusted return (assumes 3% risk-free rate)</div>
+        `;
+    }
+
+    // 4. Watermark History Analysis
+    const watermarkHistoryEl = document.getElementById('watermark-history-analysis');
+    if (watermarkHistoryEl) {
+        const watermarkAnalysis = analyzeWatermarkHistory(history, market.name);
+
+        if (watermarkAnalysis) {
+            const riskIcon = watermarkAnalysis.riskLevel === 'high' ? '🚨' :
+                            watermarkAnalysis.riskLevel === 'medium' ? '⚠️' : '✅';
+
+            const eventsHtml = renderKnownWatermarkEvents(watermarkAnalysis.knownEvents);
+
+            let breachesHtml = '';
+            if (watermarkAnalysis.potentialBreaches.length > 0) {
+                breachesHtml = `
+                    <div class="breach-list">
+                        <strong>Detected Yield Drops:</strong>
+                        ${watermarkAnalysis.potentialBreaches.slice(0, 3).map(b => `
+                            <div class="breach-item ${b.severity}">
+                                <span class="breach-date">${b.date}</span>
+                                <span class="breach-change">${b.previousApy.toFixed(2)}% → ${b.newApy.toFixed(2)}%</span>
+                                <span class="breach-severity">${b.severity}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }
+
+            watermarkHistoryEl.innerHTML = `
+                <div class="analysis-signal" style="color: ${watermarkAnalysis.riskColor}">
+                    <span class="signal-icon">${riskIcon}</span>
                     <span class="signal-text">Watermark Risk: ${watermarkAnalysis.riskLevel.toUpperCase()}</span>
                 </div>
-                <div class="watermark-stats">
-                    <div class="stat-item">
-                        <span class="stat-label">Max Drawdown</span>
-                        <span class="stat-value">${watermarkAnalysis.maxDrawdown.toFixed(2)}%</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Yield Volatility</span>
-                        <span class="stat-value">${watermarkAnalysis.volatility.toFixed(2)}%</span>
-                    </div>
-                    <div class="stat-item">
-                        <span class="stat-label">Risk Periods</span>
-                        <span class="stat-value">${watermarkAnalysis.riskPeriods.length}</span>
+                <div class="watermark-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Max Drawdown</span>
+                        <span class="stat-value">${watermarkAnalysis.maxDrawdown.toFixed(2)}%</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Yield Volatility</span>
+                        <span class="stat-value">${watermarkAnalysis.volatility.toFixed(2)}%</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Risk Periods</span>
+                        <span class="stat-value">${watermarkAnalysis.riskPeriods.length}</span>
+                    </div>
+                </div>
+                ${eventsHtml}
+                ${breachesHtml}
+                <div class="analysis-detail">
+                    ${watermarkAnalysis.riskLevel === 'high' ?
+                        'This asset has experienced significant yield drops or known loss events. YT holders should monitor closely.' :
+                        watermarkAnalysis.riskLevel === 'medium' ?
+                        'Some yield volatility detected. Exchange rate may have approached watermark during volatile periods.' :
+                        'No significant watermark risk detected in historical data.'}
+                </div>
+            `;
+        } else {
+            watermarkHistoryEl.innerHTML = `<div class="analysis-detail">Insufficient data for watermark analysis</div>`;
+        }
+
+        // Replace the heuristics with sampled on-chain history when the server has it
+        loadWatermarkHistory(market, chainId, watermarkAnalysis?.knownEvents || []);
+
+        // Also try to fetch current on-chain watermark status
+        fetchOnChainWatermark(market, chainId).then(onChainData => {
+            if (onChainData) {
+                const statusEl = document.getElementById('current-watermark-status');
+                if (statusEl) {
+                    const statusIcon = onChainData.belowWatermark ? '🚨' : '✅';
+                    const statusColor = onChainData.belowWatermark ? 'var(--loss-color)' : 'var(--profit-color)';
+                    statusEl.innerHTML = `
+                        <div class="current-watermark">
+                            <span style="color: ${statusColor}">${statusIcon} ${onChainData.belowWatermark ? 'BELOW WATERMARK' : 'Above Watermark'}</span>
+                            <span class="watermark-detail">Rate: ${onChainData.currentExchangeRate.toFixed(6)} / WM: ${onChainData.pyIndexStored.toFixed(6)}</span>
+                            <span class="watermark-detail">(${onChainData.percentFromWatermark >= 0 ? '+' : ''}${onChainData.percentFromWatermark.toFixed(4)}%)</span>
+                        </div>
+                    `;
+                }
+            }
+        });
+    }
+
+    // Realized outcomes (matured markets only)
+    renderPostMortem(market, history);
+
+    // Rule-based strategy backtest across all maturities
+    loadStrategyBacktest(market, chainId);
+
+    // Render history chart
+    loadHistoryChart(market, chainId);
+}
+
+// Load the history chart for the selected time frame
+async function loadHistoryChart(market, chainId) {
+    const timeFrame = historyTimeFrame;
+    const history = await fetchMarketHistory(market, chainId, timeFrame);
+
+    // Ignore stale responses if the user switched market or time frame meanwhile
+    if (market !== selectedMarket || timeFrame !== historyTimeFrame) return;
+
+    renderHistoryChart(history);
+}
+
+// Switch the history chart between hourly, daily and weekly points
+function setHistoryTimeFrame(timeFrame) {
+    if (!HISTORY_TIME_FRAMES[timeFrame]) return;
+    historyTimeFrame = timeFrame;
+
+    document.querySelectorAll('#history-timeframe .timeframe-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.timeframe === timeFrame);
+    });
+
+    if (selectedMarket) {
+        const chainId = document.getElementById('chain-filter')?.value || 1;
+        loadHistoryChart(selectedMarket, chainId);
+    }
+}
+
+// Scope of the signal backtest panel ('market' or 'category')
+let backtestScope = 'market';
+
+// Replay the signal engines over the selected market's history (or its whole category)
+async function loadSignalBacktest(market, chainId) {
+    const el = document.getElementById('signal-backtest-analysis');
+    if (!el) return;
+
+    const scope = backtestScope;
+    const category = categorizeAsset(market.name);
+    el.innerHTML = '<div class="analysis-detail">Replaying history...</div>';
+
+    let peers = [market];
+    if (scope === 'category') {
+        peers = markets
+            .filter(m => m.address !== market.address && categorizeAsset(m.name) === category)
+            .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
+            .slice(0, BACKTEST_MAX_CATEGORY_MARKETS - 1);
+        peers.unshift(market);
+        if (!market.isExpired) {
+            await prefetchHistories(peers, chainId);
+        }
+    }
+
+    const histories = await Promise.all(peers.map(m =>
+        fetchHistoricalData(m.address, chainId, 'day', { lifetime: !!m.isExpired }).catch(() => null)
+    ));
+
+    // Ignore stale results if the user switched market or scope meanwhile
+    if (market !== selectedMarket || scope !== backtestScope) return;
+
+    const report = aggregateBacktests(peers.map((m, idx) => backtestMarketSignals(m, histories[idx]?.rawData)));
+    if (!report) {
+        el.innerHTML = '<div class="analysis-detail">Not enough daily history to backtest</div>';
+        return;
+    }
+
+    const formatSigned = (value) => value === null ? '-' : (value >= 0 ? '+' : '') + formatPercent(value);
+    const rows = Object.entries(BACKTEST_SIGNALS).map(([key, engine]) => {
+        const r = report.results[key];
+        const hitColor = r.hitRate === null ? '' : r.hitRate >= 50 ? 'var(--profit-color)' : 'var(--loss-color)';
+        return `
+            <div class="backtest-row">
+                <span class="backtest-signal">${engine.label}</span>
+                <span>${r.calls}</span>
+                <span style="color: ${hitColor}">${r.hitRate === null ? '-' : formatPercent(r.hitRate)}</span>
+                <span>${formatSigned(r.avgEdge)}</span>
+                <span>${r.calls > 0 ? '-' + formatPercent(r.maxDrawdown) : '-'}</span>
+            </div>
+        `;
+    }).join('');
+
+    el.innerHTML = `
+        <div class="analysis-detail">
+            ${scope === 'category' ? `${report.marketsUsed} ${category} markets` : 'This market'} ·
+            ${report.days} market-days · ${BACKTEST_HORIZON_DAYS}d forward returns
+        </div>
+        <div class="backtest-table">
+            <div class="backtest-row backtest-head">
+                <span>Signal</span><span>Calls</span><span>Hit rate</span><span>Avg edge</span><span>Max DD</span>
+            </div>
+            ${rows}
+        </div>
+        <div class="analysis-detail">
+            Hit: the called token (PT or YT) beat the other one. Edge: versus holding that token every day.
+            ${scope === 'category' ? 'Max DD is the worst single market.' : ''}
+        </div>
+    `;
+}
+
+// Switch the backtest between the selected market and its category
+function setBacktestScope(scope) {
+    if (scope !== 'market' && scope !== 'category') return;
+    backtestScope = scope;
+
+    document.querySelectorAll('#backtest-scope .timeframe-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.scope === scope);
+    });
+
+    if (selectedMarket) {
+        const chainId = document.getElementById('chain-filter')?.value || 1;
+        loadSignalBacktest(selectedMarket, chainId);
+    }
+}
+
+// Calculate moving average
+function calculateMovingAverage(data, window = 7) {
+    const result = [];
+    for (let i = 0; i < data.length; i++) {
+        if (i < window - 1) {
+            // Not enough data points yet, use available average
+            const slice = data.slice(0, i + 1);
+            const avg = slice.reduce((a, b) => a + b, 0) / slice.length;
+            result.push(avg);
+        } else {
+            const slice = data.slice(i - window + 1, i + 1);
+            const avg = slice.reduce((a, b) => a + b, 0) / window;
+            result.push(avg);
+        }
+    }
+    return result;
+}
+
+// Render the historical yield chart
+function renderHistoryChart(history) {
+    const ctx = document.getElementById('history-chart');
+    const data = history?.rawData;
+    if (!ctx || !data || data.length === 0) return;
+
+    const timeFrame = history.timeFrame || 'day';
+    const frame = HISTORY_TIME_FRAMES[timeFrame] || HISTORY_TIME_FRAMES.day;
+
+    // Update chart title based on data range
+    const chartTitle = document.getElementById('history-chart-title');
+    if (chartTitle) {
+        const days = data.length;
+        if (timeFrame === 'hour') {
+            chartTitle.textContent = `Hourly Yield History (${Math.round(days / 24)} Days)`;
+        } else if (timeFrame === 'week') {
+            chartTitle.textContent = `${days}-Week Yield History`;
+        } else if (history.isHarmonized && history.marketsUsed > 1) {
+            chartTitle.textContent = `${days}-Day Yield History (${history.marketsUsed} maturities merged)`;
+        } else {
+            chartTitle.textContent = `${days}-Day Yield History`;
+        }
+    }
+
+    const labelFormat = timeFrame === 'hour'
+        ? { month: 'short', day: 'numeric', hour: 'numeric' }
+        : timeFrame === 'week'
+            ? { month: 'short', day: 'numeric', year: '2-digit' }
+            : { month: 'short', day: 'numeric' };
+    const labels = data.map(d => {
+        const date = new Date(d.timestamp);
+        return date.toLocaleString('en-US', labelFormat);
+    });
+
+    const impliedData = data.map(d => (d.impliedApy || 0) * 100);
+    const underlyingData = data.map(d => (d.underlyingApy || 0) * 100);
+
+    // Calculate moving averages (window depends on the time frame)
+    const underlyingMA = calculateMovingAverage(underlyingData, frame.maWindow);
+
+    if (historyChart) {
+        historyChart.destroy();
+    }
+
+    historyChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'Implied APY',
+                    data: impliedData,
+                    borderColor: '#A78BFA',
+                    backgroundColor: 'rgba(167, 139, 250, 0.05)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                },
+                {
+                    label: 'Underlying APY',
+                    data: underlyingData,
+                    borderColor: '#60A5FA',
+                    backgroundColor: 'rgba(96, 165, 250, 0.05)',
+                    borderWidth: 1.5,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4,
+                    borderDash: [4, 2]
+                },
+                {
+                    label: `Underlying ${frame.maLabel}`,
+                    data: underlyingMA,
+                    borderColor: '#2DD4BF',
+                    backgroundColor: 'transparent',
+                    borderWidth: 2.5,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 4
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#9CA3AF',
+                        font: { family: "'Inter', sans-serif", size: 11 },
+                        padding: 16,
+                        usePointStyle: true,
+                        pointStyle: 'line'
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(2) + '%'
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        maxTicksLimit: 8
+                    },
+                    grid: { display: false }
+                },
+                y: {
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        callback: value => value.toFixed(1) + '%'
+                    },
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
+                }
+            }
+        }
+    });
+}
+
+// Known incident list shared by the heuristic and sampled watermark views
+function renderKnownWatermarkEvents(events) {
+    if (events.length === 0) return '';
+
+    return `
+        <div class="known-events">
+            <strong>Known Risk Events:</strong>
+            ${events.map(e => `
+                <div class="event-item">
+                    <span class="event-date">${e.date}</span>
+                    <span class="event-desc">${e.event}</span>
+                    ${e.yieldBefore !== undefined ? `
+                        <span class="event-yield">${e.yieldBefore.toFixed(2)}% → ${e.yieldAfter.toFixed(2)}%</span>
+                    ` : ''}
+                    ${e.source.startsWith('http') ?
+                        `<a href="${e.source}" target="_blank" class="event-link">📰</a>` :
+                        `<span class="event-source">${e.source}</span>`}
+                    ${getRegistryStaleness(e) ? `<span class="stale-badge" title="Last verified ${e.lastVerified}">unverified ${getRegistryStaleness(e)}d</span>` : ''}
+                </div>
+            `).join('')}
+            ${events.some(e => getRegistryStaleness(e)) ? `
+                <div class="registry-warning">Some events haven't been re-verified in over ${registryStaleDays} days.</div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Watermark ratio chart instance
+let watermarkRatioChart = null;
+
+// Show sampled exchangeRate / pyIndexStored history and the actual below-watermark intervals
+async function loadWatermarkHistory(market, chainId, knownEvents) {
+    const history = await fetchWatermarkHistory(market, chainId);
+
+    // Keep the heuristic view if nothing was sampled, or if the user moved on
+    const el = document.getElementById('watermark-history-analysis');
+    if (!history || !el || market !== selectedMarket) return;
+
+    const { samples, intervals } = history;
+    const latest = samples[samples.length - 1];
+    const belowDays = intervals.reduce((sum, interval) => sum + interval.days, 0);
+    const maxDeficit = intervals.reduce((max, interval) => Math.max(max, interval.maxDeficit), 0);
+    const ongoing = intervals.some(interval => interval.end === null);
+
+    const riskLevel = ongoing ? 'high' : intervals.length > 0 ? 'medium' : 'low';
+    const riskColor = ongoing ? 'var(--loss-color)' : intervals.length > 0 ? 'var(--warning-color)' : 'var(--profit-color)';
+    const riskIcon = ongoing ? '🚨' : intervals.length > 0 ? '⚠️' : '✅';
+
+    const intervalsHtml = intervals.length > 0 ? `
+        <div class="breach-list">
+            <strong>Below-Watermark Intervals:</strong>
+            ${intervals.slice().reverse().map(interval => {
+                const severity = interval.end === null ? 'critical' : interval.maxDeficit > 1 ? 'high' : 'medium';
+                return `
+                    <div class="breach-item ${severity}">
+                        <span class="breach-date">${interval.start}</span>
+                        <span class="breach-change">${interval.end === null ? 'ongoing' : `→ ${interval.end}`} · ${interval.days}d · max ${interval.maxDeficit.toFixed(4)}% below</span>
+                        <span class="breach-severity">${interval.end === null ? 'ongoing' : severity}</span>
                     </div>
-                </div>
-                ${eventsHtml}
-                ${breachesHtml}
-                <div class="analysis-detail">
-                    ${watermarkAnalysis.riskLevel === 'high' ?
-                        'This asset has experienced significant yield drops or known loss events. YT holders should monitor closely.' :
-                        watermarkAnalysis.riskLevel === 'medium' ?
-                        'Some yield volatility detected. Exchange rate may have approached watermark during volatile periods.' :
-                        'No significant watermark risk detected in historical data.'}
-                </div>
-            `;
-        } else {
-            watermarkHistoryEl.innerHTML = `<div class="analysis-detail">Insufficient data for watermark analysis</div>`;
+                `;
+            }).join('')}
+        </div>
+    ` : '';
+
+    el.innerHTML = `
+        <div class="analysis-signal" style="color: ${riskColor}">
+            <span class="signal-icon">${riskIcon}</span>
+            <span class="signal-text">Watermark Risk: ${riskLevel.toUpperCase()}</span>
+        </div>
+        <div class="watermark-stats">
+            <div class="stat-item">
+                <span class="stat-label">Days Sampled</span>
+                <span class="stat-value">${samples.length}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Days Below</span>
+                <span class="stat-value">${belowDays}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Max Deficit</span>
+                <span class="stat-value">${maxDeficit.toFixed(4)}%</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Rate / Watermark</span>
+                <span class="stat-value">${latest.ratio !== null ? latest.ratio.toFixed(6) : '-'}</span>
+            </div>
+        </div>
+        <div class="watermark-chart-container">
+            <canvas id="watermark-ratio-chart"></canvas>
+        </div>
+        ${renderKnownWatermarkEvents(knownEvents)}
+        ${intervalsHtml}
+        <div class="analysis-detail">
+            Daily SY exchangeRate vs YT pyIndexStored from ${history.from} to ${history.to}.
+            ${ongoing ?
+                'The exchange rate is below the watermark now - YT accrues no yield until it recovers.' :
+                intervals.length > 0 ?
+                'The exchange rate has dipped below the watermark before; YT earned nothing during those intervals.' :
+                'The exchange rate stayed at or above the watermark on every sampled day.'}
+        </div>
+    `;
+
+    renderWatermarkRatioChart(samples);
+}
+
+// Exchange rate / pyIndexStored per sampled day against the 1.0 watermark line
+function renderWatermarkRatioChart(samples) {
+    const ctx = document.getElementById('watermark-ratio-chart');
+    if (!ctx) return;
+
+    if (watermarkRatioChart) {
+        watermarkRatioChart.destroy();
+    }
+
+    watermarkRatioChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: samples.map(sample => sample.date),
+            datasets: [
+                {
+                    label: 'Exchange Rate / Watermark',
+                    data: samples.map(sample => sample.ratio),
+                    borderColor: '#2DD4BF',
+                    backgroundColor: 'rgba(45, 212, 191, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    spanGaps: true,
+                    tension: 0,
+                    pointRadius: samples.map(sample => sample.ratio !== null && sample.ratio < 1 ? 3 : 0),
+                    pointBackgroundColor: '#EF4444',
+                    pointHoverRadius: 4
+                },
+                {
+                    label: 'Watermark',
+                    data: samples.map(() => 1),
+                    borderColor: '#EF4444',
+                    backgroundColor: 'transparent',
+                    borderWidth: 1,
+                    borderDash: [4, 4],
+                    fill: false,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#9CA3AF',
+                        usePointStyle: true,
+                        pointStyle: 'line',
+                        padding: 15,
+                        font: { size: 11 }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
+                    borderWidth: 1,
+                    padding: 10,
+                    // The watermark line is constant - only describe the sample
+                    filter: item => item.datasetIndex === 0 && item.raw !== null,
+                    callbacks: {
+                        label: function(context) {
+                            const sample = samples[context.dataIndex];
+                            return [
+                                `Ratio: ${context.raw.toFixed(6)} (${((context.raw - 1) * 100).toFixed(4)}%)`,
+                                `Rate: ${sample.exchangeRate.toFixed(6)} / WM: ${sample.pyIndexStored.toFixed(6)}`,
+                                `Block: ${sample.block}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        color: '#6B7280',
+                        maxTicksLimit: 8,
+                        font: { size: 10 }
+                    },
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
+                },
+                y: {
+                    ticks: {
+                        color: '#6B7280',
+                        font: { size: 10 },
+                        callback: value => value.toFixed(4)
+                    },
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
+                }
+            }
         }
+    });
+}
 
-        // Also try to fetch current on-chain watermark status
-        fetchOnChainWatermark(market, chainId).then(onChainData => {
-            if (onChainData) {
-                const statusEl = document.getElementById('current-watermark-status');
-                if (statusEl) {
-                    const statusIcon = onChainData.belowWatermark ? '🚨' : '✅';
-                    const statusColor = onChainData.belowWatermark ? 'var(--loss-color)' : 'var(--profit-color)';
-                    statusEl.innerHTML = `
-                        <div class="current-watermark">
-                            <span style="color: ${statusColor}">${statusIcon} ${onChainData.belowWatermark ? 'BELOW WATERMARK' : 'Above Watermark'}</span>
-                            <span class="watermark-detail">Rate: ${onChainData.currentExchangeRate.toFixed(6)} / WM: ${onChainData.pyIndexStored.toFixed(6)}</span>
-                            <span class="watermark-detail">(${onChainData.percentFromWatermark >= 0 ? '+' : ''}${onChainData.percentFromWatermark.toFixed(4)}%)</span>
-                        </div>
-                    `;
+// Post-mortem chart instance
+let postMortemChart = null;
+
+// Show the realized-outcome report for a matured market (hidden for live markets)
+function renderPostMortem(market, history) {
+    const section = document.getElementById('postmortem-section');
+    if (!section) return;
+
+    const report = market.isExpired ? calculatePostMortem(market, history?.rawData) : null;
+    if (!report) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+
+    const strategyColors = { PT: 'var(--pt-color)', YT: 'var(--yt-color)', LP: 'var(--lp-color)', Hold: 'var(--text-secondary)' };
+    const total = report.entries.length;
+    const best = Object.entries(report.wins).sort((a, b) => b[1] - a[1])[0][0];
+
+    document.getElementById('postmortem-summary').innerHTML = `
+        <div class="analysis-signal" style="color: ${strategyColors[best]}">
+            <span class="signal-icon">🏁</span>
+            <span class="signal-text">${best} won from ${report.wins[best]} of ${total} entry dates</span>
+        </div>
+        <div class="watermark-stats">
+            ${Object.entries(report.wins).map(([name, count]) => `
+                <div class="stat-item">
+                    <span class="stat-label">${name} wins</span>
+                    <span class="stat-value" style="color: ${strategyColors[name]}">${(count / total * 100).toFixed(0)}%</span>
+                </div>
+            `).join('')}
+            <div class="stat-item">
+                <span class="stat-label">Avg margin</span>
+                <span class="stat-value">${formatPercent(report.avgMarginPercent)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Signal hit rate</span>
+                <span class="stat-value">${report.signalHitRate !== null ? formatPercent(report.signalHitRate) : '-'}</span>
+            </div>
+        </div>
+        <div class="analysis-detail">
+            Margin is the winner's lead over the runner-up, as a share of the position.
+            The signal was right on ${report.signalHits} of ${report.signalCalls} PT/YT calls (Fair Value days are not scored).
+        </div>
+    `;
+
+    const ctx = document.getElementById('postmortem-chart');
+    if (!ctx) return;
+
+    const labels = report.entries.map(e => new Date(e.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: '2-digit' }));
+    const returnOf = (strategy) => report.entries.map(e => (e.outcome[strategy].final - report.investment) / report.investment * 100);
+    const dataset = (label, data, color, extra = {}) => ({
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        tension: 0.3,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        ...extra
+    });
+
+    if (postMortemChart) {
+        postMortemChart.destroy();
+    }
+
+    postMortemChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [
+                dataset('PT', returnOf('pt'), '#2DD4BF'),
+                dataset('YT', returnOf('yt'), '#A78BFA'),
+                dataset('LP', returnOf('lp'), '#F472B6', { borderDash: [5, 5] }),
+                dataset('Hold', returnOf('hold'), '#60A5FA', { borderWidth: 1.5, borderDash: [4, 2] })
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: '#9CA3AF',
+                        font: { family: "'Inter', sans-serif", size: 11 },
+                        padding: 16,
+                        usePointStyle: true,
+                        pointStyle: 'line'
+                    }
+                },
+                tooltip: {
+                    backgroundColor: '#1A1A1A',
+                    titleColor: '#FFFFFF',
+                    bodyColor: '#9CA3AF',
+                    borderColor: '#2A2A2A',
+                    borderWidth: 1,
+                    padding: 12,
+                    cornerRadius: 8,
+                    callbacks: {
+                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(2) + '%',
+                        afterBody: items => {
+                            const entry = report.entries[items[0].dataIndex];
+                            return [
+                                `Winner: ${entry.outcome.winner.name}`,
+                                `Signal: ${entry.signal.label}`,
+                                `Realized underlying: ${formatPercent(entry.realizedUnderlyingApy)}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Entry Date',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
+                    },
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        maxTicksLimit: 8
+                    },
+                    grid: { display: false }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Return to Maturity (%)',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
+                    },
+                    ticks: {
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 10 },
+                        callback: value => value.toFixed(0) + '%'
+                    },
+                    grid: { color: 'rgba(42, 42, 42, 0.5)' }
                 }
             }
-        });
-    }
-
-    // Render history chart
-    renderHistoryChart(history);
+        }
+    });
 }
 
-// Calculate moving average
-function calculateMovingAverage(data, window = 7) {
-    const result = [];
-    for (let i = 0; i < data.length; i++) {
-        if (i < window - 1) {
-            // Not enough data points yet, use available average
-            const slice = data.slice(0, i + 1);
-            const avg = slice.reduce((a, b) => a + b, 0) / slice.length;
-            result.push(avg);
-        } else {
-            const slice = data.slice(i - window + 1, i + 1);
-            const avg = slice.reduce((a, b) => a + b, 0) / window;
-            result.push(avg);
-        }
-    }
-    return result;
+// Strategy backtest equity chart instance
+let strategyBacktestChart = null;
+
+// Read the strategy rule from the backtest form
+function getStrategyRule() {
+    const entry = [1, 2].map(n => ({
+        metric: document.getElementById(`strategy-metric-${n}`)?.value,
+        op: document.getElementById(`strategy-op-${n}`)?.value,
+        value: parseFloat(document.getElementById(`strategy-value-${n}`)?.value)
+    })).filter(condition => STRATEGY_METRICS[condition.metric] && Number.isFinite(condition.value));
+
+    const maxDays = parseInt(document.getElementById('strategy-max-days')?.value);
+    const lookbackDays = parseInt(document.getElementById('strategy-lookback')?.value);
+
+    return {
+        side: document.getElementById('strategy-side')?.value === 'pt' ? 'pt' : 'yt',
+        entry,
+        maxDays: maxDays > 0 ? maxDays : null,
+        lookbackDays: lookbackDays >= 5 ? lookbackDays : 30,
+        minDaysToExpiry: 7
+    };
 }
 
-// Render the historical yield chart
-function renderHistoryChart(history) {
-    const ctx = document.getElementById('history-chart');
-    const data = history?.rawData;
-    if (!ctx || !data || data.length === 0) return;
+// Run the strategy rule over every maturity of the selected market's SY
+async function loadStrategyBacktest(market, chainId) {
+    const summaryEl = document.getElementById('strategy-backtest-summary');
+    const tradesEl = document.getElementById('strategy-trades');
+    if (!summaryEl || !tradesEl) return;
 
-    // Update chart title based on data range
-    const chartTitle = document.getElementById('history-chart-title');
-    if (chartTitle) {
-        const days = data.length;
-        if (history.isHarmonized && history.marketsUsed > 1) {
-            chartTitle.textContent = `${days}-Day Yield History (${history.marketsUsed} maturities merged)`;
-        } else {
-            chartTitle.textContent = `${days}-Day Yield History`;
+    summaryEl.innerHTML = '<div class="analysis-detail">Simulating...</div>';
+    tradesEl.innerHTML = '';
+
+    const rule = getStrategyRule();
+    const history = await fetchHarmonizedHistoricalData(market, chainId);
+
+    // Ignore stale results if the user switched market meanwhile
+    if (market !== selectedMarket) return;
+
+    const result = runStrategyBacktest(history, market, rule);
+    if (!result) {
+        summaryEl.innerHTML = '<div class="analysis-detail">Not enough daily history to backtest</div>';
+        if (strategyBacktestChart) {
+            strategyBacktestChart.destroy();
+            strategyBacktestChart = null;
         }
+        return;
     }
 
-    const labels = data.map(d => {
-        const date = new Date(d.timestamp);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    });
+    renderStrategyBacktest(result, rule, history?.maturities?.length || 1);
+}
 
-    const impliedData = data.map(d => (d.impliedApy || 0) * 100);
-    const underlyingData = data.map(d => (d.underlyingApy || 0) * 100);
+// Render the strategy summary, equity curve and trade list
+function renderStrategyBacktest(result, rule, maturityCount) {
+    const { stats, trades, equity } = result;
+    const formatSigned = (value) => (value >= 0 ? '+' : '') + formatPercent(value);
+    const signColor = (value) => value >= 0 ? 'var(--profit-color)' : 'var(--loss-color)';
+    const ruleText = rule.entry.length > 0
+        ? rule.entry.map(c => `${STRATEGY_METRICS[c.metric]} ${c.op} ${c.value}`).join(' and ')
+        : 'every day';
+
+    document.getElementById('strategy-backtest-summary').innerHTML = `
+        <div class="analysis-detail">
+            Buy ${rule.side.toUpperCase()} when ${ruleText} · exit ${rule.maxDays ? `after ${rule.maxDays}d or ` : ''}at maturity ·
+            ${Math.round(stats.spanDays)} days across ${maturityCount} ${maturityCount === 1 ? 'maturity' : 'maturities'}
+        </div>
+        <div class="watermark-stats">
+            <div class="stat-item">
+                <span class="stat-label">Total return</span>
+                <span class="stat-value" style="color: ${signColor(stats.totalReturn)}">${formatSigned(stats.totalReturn)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">CAGR</span>
+                <span class="stat-value" style="color: ${signColor(stats.cagr)}">${formatSigned(stats.cagr)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Max drawdown</span>
+                <span class="stat-value">${stats.maxDrawdown > 0 ? '-' : ''}${formatPercent(stats.maxDrawdown)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Sharpe</span>
+                <span class="stat-value">${stats.sharpe.toFixed(2)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Trades</span>
+                <span class="stat-value">${trades.length}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Win rate</span>
+                <span class="stat-value">${stats.winRate !== null ? formatPercent(stats.winRate) : '-'}</span>
+            </div>
+        </div>
+    `;
+
+    const formatShortDate = (timestamp) => new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' });
+    document.getElementById('strategy-trades').innerHTML = trades.length === 0
+        ? '<div class="analysis-detail">The rule never triggered</div>'
+        : `
+            <div class="backtest-table">
+                <div class="backtest-row strategy-trade-row backtest-head">
+                    <span>Maturity</span><span>Entry</span><span>Exit</span><span>Days</span><span>Return</span><span>Exit reason</span>
+                </div>
+                ${trades.slice().reverse().map(trade => `
+                    <div class="backtest-row strategy-trade-row">
+                        <span class="backtest-signal">${trade.side.toUpperCase()} ${trade.maturity}</span>
+                        <span>${formatShortDate(trade.entryDate)}</span>
+                        <span>${formatShortDate(trade.exitDate)}</span>
+                        <span>${trade.days}</span>
+                        <span style="color: ${signColor(trade.returnPercent)}">${formatSigned(trade.returnPercent)}</span>
+                        <span>${trade.reason}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
 
-    // Calculate 7-day moving averages
-    const underlying7dMA = calculateMovingAverage(underlyingData, 7);
+    const ctx = document.getElementById('strategy-equity-chart');
+    if (!ctx) return;
 
-    if (historyChart) {
-        historyChart.destroy();
+    if (strategyBacktestChart) {
+        strategyBacktestChart.destroy();
     }
 
-    historyChart = new Chart(ctx, {
+    const labels = equity.map(p => new Date(p.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: '2-digit' }));
+    const entryDates = new Set(trades.map(trade => trade.entryDate));
+
+    strategyBacktestChart = new Chart(ctx, {
         type: 'line',
         data: {
             labels,
             datasets: [
                 {
-                    label: 'Implied APY',
-                    data: impliedData,
-                    borderColor: '#A78BFA',
-                    backgroundColor: 'rgba(167, 139, 250, 0.05)',
+                    label: 'Equity',
+                    data: equity.map(p => p.value),
+                    borderColor: rule.side === 'pt' ? '#2DD4BF' : '#A78BFA',
+                    backgroundColor: 'transparent',
                     borderWidth: 2,
-                    fill: true,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    pointHoverRadius: 4
-                },
-                {
-                    label: 'Underlying APY',
-                    data: underlyingData,
-                    borderColor: '#60A5FA',
-                    backgroundColor: 'rgba(96, 165, 250, 0.05)',
-                    borderWidth: 1.5,
                     fill: false,
-                    tension: 0.4,
-                    pointRadius: 0,
-                    pointHoverRadius: 4,
-                    borderDash: [4, 2]
+                    tension: 0.3,
+                    pointRadius: equity.map(p => entryDates.has(p.timestamp) ? 3 : 0),
+                    pointHoverRadius: 4
                 },
                 {
-                    label: 'Underlying 7D MA',
-                    data: underlying7dMA,
-                    borderColor: '#2DD4BF',
+                    label: 'Starting capital',
+                    data: equity.map(() => stats.initialCapital),
+                    borderColor: '#6B7280',
                     backgroundColor: 'transparent',
-                    borderWidth: 2.5,
+                    borderWidth: 1,
+                    borderDash: [4, 4],
                     fill: false,
-                    tension: 0.4,
                     pointRadius: 0,
-                    pointHoverRadius: 4
+                    pointHoverRadius: 0
                 }
             ]
         },
@@ -3031,7 +6684,8 @@ function renderHistoryChart(history) {
                     padding: 12,
                     cornerRadius: 8,
                     callbacks: {
-                        label: ctx => ctx.dataset.label + ': ' + ctx.parsed.y.toFixed(2) + '%'
+                        label: ctx => ctx.dataset.label + ': $' + ctx.parsed.y.toLocaleString('en-US', { maximumFractionDigits: 0 }),
+                        afterBody: items => equity[items[0].dataIndex].inPosition ? ['In position'] : ['In cash']
                     }
                 }
             },
@@ -3045,10 +6699,16 @@ function renderHistoryChart(history) {
                     grid: { display: false }
                 },
                 y: {
+                    title: {
+                        display: true,
+                        text: 'Equity ($)',
+                        color: '#6B7280',
+                        font: { family: "'Inter', sans-serif", size: 11 }
+                    },
                     ticks: {
                         color: '#6B7280',
                         font: { family: "'Inter', sans-serif", size: 10 },
-                        callback: value => value.toFixed(1) + '%'
+                        callback: value => '$' + value.toLocaleString('en-US', { maximumFractionDigits: 0 })
                     },
                     grid: { color: 'rgba(42, 42, 42, 0.5)' }
                 }
@@ -3072,6 +6732,8 @@ function switchTab(tabName) {
         updateCompareCalculator();
     } else if (tabName === 'calculator') {
         updateCalculator();
+    } else if (tabName === 'portfolio' && portfolioLoadedAt === null && !portfolioScan && loadPortfolioSettings().wallets.length > 0) {
+        loadPortfolio();
     }
 }
 
@@ -3081,6 +6743,491 @@ function initTabs() {
     });
 }
 
+// Portfolio positions from the last load, when it finished (ms, null before the first) and the
+// running load (cancelled by a new one) - an empty wallet still counts as loaded
+let portfolioPositions = [];
+let portfolioLoadedAt = null;
+let portfolioScan = null;
+
+function loadPortfolioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PORTFOLIO_SETTINGS_KEY));
+        return { wallets: saved?.wallets || [], costBasis: saved?.costBasis || {} };
+    } catch (e) {
+        return { wallets: [], costBasis: {} };
+    }
+}
+
+function savePortfolioSettings(settings) {
+    try {
+        localStorage.setItem(PORTFOLIO_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.log('Could not save portfolio settings:', e.message);
+    }
+}
+
+// Split pasted text into checksummed addresses (deduplicated) and anything that isn't one
+function parseWalletAddresses(text) {
+    const valid = [];
+    const invalid = [];
+    for (const token of text.split(/[\s,;]+/).filter(Boolean)) {
+        if (ethers.utils.isAddress(token)) {
+            const address = ethers.utils.getAddress(token);
+            if (!valid.includes(address)) valid.push(address);
+        } else {
+            invalid.push(token);
+        }
+    }
+    return { valid, invalid };
+}
+
+// Chain label from the market chain filter
+function getChainLabel(chainId) {
+    return document.querySelector(`#chain-filter option[value="${chainId}"]`)?.textContent || `Chain ${chainId}`;
+}
+
+// Active, processed markets for any chain (shares the markets tab's cache)
+async function loadChainMarkets(chainId) {
+    const cacheKey = `${CACHE_CONFIG.markets.key}_${chainId}`;
+    const cached = storage.get(cacheKey);
+    if (cached) return cached;
+
+    const processed = (await requestChainMarkets(chainId))
+        .map(market => processMarket(market, chainId))
+        .filter(m => m.days > 0);
+    storage.set(cacheKey, processed, CACHE_CONFIG.markets.ttl);
+    return processed;
+}
+
+// PT / YT / LP balances of every wallet in every active market on one chain, valued at current prices
+// Values are in the market's accounting asset; valueUsd uses the pool's USD per asset (null if unknown)
+async function readChainPositions(chainId, wallets, signal) {
+    const provider = rpcManager.getProvider(chainId);
+    if (!provider) return [];
+
+    const chainMarkets = (await loadChainMarkets(chainId)).filter(m => parseTokenAddress(m.pt) && parseTokenAddress(m.yt));
+    if (chainMarkets.length === 0) return [];
+
+    const erc20 = new ethers.utils.Interface(ERC20_ABI);
+    const tokensOf = (market) => ({ pt: parseTokenAddress(market.pt), yt: parseTokenAddress(market.yt), lp: market.address });
+
+    // One balanceOf per market, wallet and token
+    const slots = chainMarkets.flatMap(market => wallets.flatMap(wallet =>
+        PORTFOLIO_TOKEN_TYPES.map(type => ({ market, wallet, type }))
+    ));
+    const balances = await aggregateCalls(provider, slots.map(({ market, wallet, type }) => ({
+        target: tokensOf(market)[type], iface: erc20, fn: 'balanceOf', args: [wallet]
+    })), { signal });
+
+    const held = slots.map((slot, i) => ({ ...slot, raw: balances[i] })).filter(h => h.raw?.gt(0));
+    if (held.length === 0) return [];
+
+    // PT / YT use the SY's decimals; LP tokens are always 18
+    const heldMarkets = [...new Set(held.map(h => h.market))];
+    const meta = await aggregateCalls(provider, heldMarkets.flatMap(market => [
+        { target: tokensOf(market).pt, iface: erc20, fn: 'decimals' },
+        { target: market.address, iface: erc20, fn: 'totalSupply' }
+    ]), { signal });
+
+    const positions = [];
+    for (const [i, market] of heldMarkets.entries()) {
+        const decimals = meta[i * 2] ?? 18;
+        const totalLp = meta[i * 2 + 1] ? parseFloat(ethers.utils.formatUnits(meta[i * 2 + 1], 18)) : 0;
+
+        // Pool state gives the LP share value and the USD price of the accounting asset
+        const pool = await fetchPoolState(market, chainId);
+        if (signal?.aborted) throw new DOMException('Portfolio load cancelled', 'AbortError');
+
+        const prices = {
+            pt: market.ptPrice,
+            yt: market.ytPrice,
+            lp: pool?.poolValue > 0 && totalLp > 0 ? pool.poolValue / totalLp : null
+        };
+
+        for (const { wallet, type, raw } of held.filter(h => h.market === market)) {
+            const balance = parseFloat(ethers.utils.formatUnits(raw, type === 'lp' ? 18 : decimals));
+            const value = prices[type] !== null ? balance * prices[type] : null;
+            positions.push({
+                key: `${chainId}-${market.address.toLowerCase()}-${wallet.toLowerCase()}-${type}`,
+                chainId,
+                wallet,
+                market,
+                type,
+                balance,
+                decimals: type === 'lp' ? 18 : decimals,
+                price: prices[type],
+                value,
+                valueUsd: value !== null && pool?.usdPerAsset ? value * pool.usdPerAsset : null,
+                usdPerAsset: pool?.usdPerAsset ?? null
+            });
+        }
+    }
+
+    // Claim reads are extra: positions still show if they fail
+    try {
+        await readYtClaimables(provider, chainId, positions, signal);
+    } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.log(`YT claim reads failed on chain ${chainId}:`, e.message);
+    }
+    return positions;
+}
+
+// USD prices for tokens on a chain from Pendle's asset price feed (lowercase address -> price)
+async function fetchTokenPrices(chainId, addresses) {
+    const prices = new Map();
+    if (addresses.length === 0) return prices;
+    try {
+        const response = await fetch(`${API_BASE}/v1/${chainId}/assets/prices?addresses=${addresses.join(',')}`);
+        if (response.ok) {
+            const data = await response.json();
+            for (const [address, price] of Object.entries(data.prices || {})) {
+                if (price > 0) prices.set(address.toLowerCase(), price);
+            }
+        }
+    } catch (e) {
+        console.log('Token price fetch failed:', e.message);
+    }
+    return prices;
+}
+
+// Accrued but unclaimed interest and rewards for every YT position (sets position.claimable)
+// Interest is converted from SY to the accounting asset; rewards are listed per token
+async function readYtClaimables(provider, chainId, positions, signal) {
+    const ytPositions = positions.filter(p => p.type === 'yt');
+    if (ytPositions.length === 0) return;
+
+    const ytInterface = new ethers.utils.Interface(YT_CLAIM_ABI);
+    const syInterface = new ethers.utils.Interface(SY_ABI);
+    const erc20 = new ethers.utils.Interface(ERC20_ABI);
+    const markets = [...new Set(ytPositions.map(p => p.market))];
+
+    const marketReads = await aggregateCalls(provider, markets.flatMap(market => [
+        { target: parseTokenAddress(market.yt), iface: ytInterface, fn: 'getRewardTokens' },
+        { target: parseTokenAddress(market.sy), iface: syInterface, fn: 'exchangeRate' },
+        { target: parseTokenAddress(market.yt), iface: ytInterface, fn: 'pyIndexStored' }
+    ]), { signal });
+    const marketState = new Map(markets.map((market, i) => [market, {
+        rewardTokens: marketReads[i * 3] || [],
+        exchangeRate: marketReads[i * 3 + 1] ? parseFloat(ethers.utils.formatUnits(marketReads[i * 3 + 1], 18)) : null,
+        pyIndexStored: marketReads[i * 3 + 2] ? parseFloat(ethers.utils.formatUnits(marketReads[i * 3 + 2], 18)) : null
+    }]));
+
+    // Per position: the simulated claim, then stored interest and one stored reward per token
+    const calls = [];
+    const offsets = ytPositions.map(p => {
+        const target = parseTokenAddress(p.market.yt);
+        const offset = calls.length;
+        calls.push(
+            { target, iface: ytInterface, fn: 'redeemDueInterestAndRewards', args: [p.wallet, true, true], all: true },
+            { target, iface: ytInterface, fn: 'userInterest', args: [p.wallet], all: true },
+            ...marketState.get(p.market).rewardTokens.map(token => ({ target, iface: ytInterface, fn: 'userReward', args: [token, p.wallet], all: true }))
+        );
+        return offset;
+    });
+    const results = await aggregateCalls(provider, calls, { signal });
+
+    // Reward token symbols, decimals and USD prices
+    const tokens = [...new Set(markets.flatMap(market => marketState.get(market).rewardTokens.map(t => t.toLowerCase())))];
+    const tokenMeta = await aggregateCalls(provider, tokens.flatMap(token => [
+        { target: token, iface: erc20, fn: 'symbol' },
+        { target: token, iface: erc20, fn: 'decimals' }
+    ]), { signal });
+    const tokenPrices = await fetchTokenPrices(chainId, tokens);
+    if (signal?.aborted) throw new DOMException('Portfolio load cancelled', 'AbortError');
+
+    const tokenInfo = new Map(tokens.map((token, i) => [token, {
+        symbol: tokenMeta[i * 2] || `${token.slice(0, 6)}…`,
+        decimals: tokenMeta[i * 2 + 1] ?? 18,
+        price: tokenPrices.get(token) ?? null
+    }]));
+
+    ytPositions.forEach((p, i) => {
+        const { rewardTokens, exchangeRate, pyIndexStored } = marketState.get(p.market);
+        const [simulated, stored, ...rewardStates] = results.slice(offsets[i], offsets[i] + 2 + rewardTokens.length);
+        const toFloat = (amount, decimals) => parseFloat(ethers.utils.formatUnits(amount, decimals));
+        if (exchangeRate === null || (!simulated && !stored)) return;
+
+        let interestSy;
+        let rewardAmounts;
+        if (simulated) {
+            // Exactly what a claim pays out now, after the protocol's interest fee
+            interestSy = toFloat(simulated.interestOut, p.decimals);
+            rewardAmounts = simulated.rewardsOut;
+        } else {
+            // Stored state is as of the wallet's last YT transfer or claim: add interest accrued since then
+            // (SY per YT grows from 1/lastIndex to 1/currentIndex) and take PENDLE_FEE ourselves
+            // Rewards accrued since then aren't visible without the simulation
+            const lastIndex = toFloat(stored.index, 18);
+            const currentIndex = Math.max(exchangeRate, pyIndexStored || 0);
+            const pending = lastIndex > 0 && currentIndex > lastIndex
+                ? p.balance * (currentIndex - lastIndex) / (lastIndex * currentIndex)
+                : 0;
+            interestSy = (toFloat(stored.accrued, p.decimals) + pending) * (1 - PENDLE_FEE);
+            rewardAmounts = rewardStates.map(state => state?.accrued ?? null);
+        }
+
+        const interest = interestSy * exchangeRate;
+        const rewards = rewardTokens
+            .map((token, j) => {
+                const info = tokenInfo.get(token.toLowerCase());
+                const amount = rewardAmounts?.[j] ? toFloat(rewardAmounts[j], info.decimals) : 0;
+                return { token, symbol: info.symbol, amount, usd: info.price !== null ? amount * info.price : null };
+            })
+            .filter(reward => reward.amount > 0);
+
+        p.claimable = {
+            source: simulated ? 'simulated' : 'stored',
+            interest,
+            interestUsd: p.usdPerAsset ? interest * p.usdPerAsset : null,
+            rewards,
+            rewardsUsd: rewards.reduce((sum, reward) => sum + (reward.usd || 0), 0),
+            unpricedRewards: rewards.filter(reward => reward.usd === null).length
+        };
+    });
+}
+
+// Interest a YT position still accrues until expiry at the current underlying APY, after PENDLE_FEE (accounting asset)
+function projectYtInterest(position) {
+    const apy = position.market.underlyingApyPercent || 0;
+    return position.balance * (Math.pow(1 + apy / 100, position.market.days / 365) - 1) * (1 - PENDLE_FEE);
+}
+
+// Read positions for the pasted wallets across every chain
+async function loadPortfolio() {
+    const input = document.getElementById('portfolio-wallets');
+    const status = document.getElementById('portfolio-status');
+    const setStatus = (text, isError = false) => {
+        if (!status) return;
+        status.textContent = text;
+        status.className = 'input-hint' + (isError ? ' loss' : '');
+    };
+
+    if (!input) return;
+    if (typeof ethers === 'undefined') {
+        setStatus('ethers.js failed to load - balances can\'t be read', true);
+        return;
+    }
+
+    const { valid, invalid } = parseWalletAddresses(input.value);
+    if (invalid.length > 0) {
+        setStatus(`Not an address: ${invalid.slice(0, 3).join(', ')}`, true);
+        return;
+    }
+    if (valid.length === 0) {
+        setStatus('Add at least one wallet address', true);
+        return;
+    }
+
+    const settings = loadPortfolioSettings();
+    savePortfolioSettings({ ...settings, wallets: valid });
+    input.value = valid.join('\n');
+
+    portfolioScan?.abort();
+    const controller = new AbortController();
+    portfolioScan = controller;
+
+    const chains = [...document.querySelectorAll('#chain-filter option')].map(option => parseInt(option.value));
+    const positions = [];
+    const failed = [];
+    for (const [i, chainId] of chains.entries()) {
+        setStatus(`Reading ${getChainLabel(chainId)} (${i + 1}/${chains.length})...`);
+        try {
+            positions.push(...await readChainPositions(chainId, valid, controller.signal));
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.log(`Portfolio read failed on chain ${chainId}:`, e.message);
+            failed.push(getChainLabel(chainId));
+        }
+        if (controller.signal.aborted) return;
+    }
+
+    portfolioScan = null;
+    portfolioPositions = positions;
+    portfolioLoadedAt = Date.now();
+    setStatus(
+        `${positions.length} position${positions.length === 1 ? '' : 's'} across ${valid.length} wallet${valid.length === 1 ? '' : 's'}, updated ${new Date().toLocaleTimeString()}` +
+        (failed.length > 0 ? ` · couldn't read ${failed.join(', ')}` : ''),
+        failed.length > 0
+    );
+    renderPortfolio();
+}
+
+// Sum positions into groups (by chain, asset or expiry), largest first
+function groupPortfolio(positions, labelOf) {
+    const groups = new Map();
+    for (const p of positions) {
+        const label = labelOf(p);
+        const group = groups.get(label) || { label, valueUsd: 0, cost: 0, pnl: 0, count: 0 };
+        group.valueUsd += p.valueUsd || 0;
+        group.cost += p.cost || 0;
+        group.pnl += p.pnl || 0;
+        group.count++;
+        groups.set(label, group);
+    }
+    return [...groups.values()].sort((a, b) => b.valueUsd - a.valueUsd);
+}
+
+function formatPnl(pnl) {
+    return `${pnl >= 0 ? '+' : '-'}${formatCurrency(Math.abs(pnl))}`;
+}
+
+// Totals, breakdowns and the position list with editable cost basis (USD)
+function renderPortfolio() {
+    const summaryEl = document.getElementById('portfolio-summary');
+    const breakdownEl = document.getElementById('portfolio-breakdowns');
+    const positionsEl = document.getElementById('portfolio-positions');
+    if (!summaryEl || !breakdownEl || !positionsEl) return;
+
+    renderPortfolioYield();
+    if (portfolioPositions.length === 0) {
+        summaryEl.innerHTML = '';
+        breakdownEl.innerHTML = '';
+        positionsEl.innerHTML = '<div class="input-hint">No PT, YT or LP balances found in active markets.</div>';
+        return;
+    }
+
+    // YT PnL counts interest and rewards that are claimable but not yet claimed
+    const { costBasis } = loadPortfolioSettings();
+    const positions = portfolioPositions
+        .map(p => {
+            const cost = costBasis[p.key] ?? null;
+            const claimableUsd = p.claimable ? (p.claimable.interestUsd || 0) + p.claimable.rewardsUsd : 0;
+            return { ...p, cost, pnl: cost !== null && p.valueUsd !== null ? p.valueUsd + claimableUsd - cost : null };
+        })
+        .sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+
+    const totalValue = positions.reduce((sum, p) => sum + (p.valueUsd || 0), 0);
+    const tracked = positions.filter(p => p.pnl !== null);
+    const totalCost = tracked.reduce((sum, p) => sum + p.cost, 0);
+    const totalPnl = tracked.reduce((sum, p) => sum + p.pnl, 0);
+    const unpriced = positions.filter(p => p.valueUsd === null).length;
+    const claimable = positions
+        .filter(p => p.claimable)
+        .reduce((sum, p) => sum + (p.claimable.interestUsd || 0) + p.claimable.rewardsUsd, 0);
+    const pnlColor = (pnl) => pnl >= 0 ? 'var(--profit-color)' : 'var(--loss-color)';
+
+    summaryEl.innerHTML = `
+        <div class="chart-stat">
+            <span class="stat-label">Total Value</span>
+            <span class="stat-value">${formatCurrency(totalValue)}</span>
+        </div>
+        <div class="chart-stat">
+            <span class="stat-label">Claimable</span>
+            <span class="stat-value">${positions.some(p => p.claimable) ? formatCurrency(claimable) : '-'}</span>
+        </div>
+        <div class="chart-stat">
+            <span class="stat-label">Cost Basis</span>
+            <span class="stat-value">${tracked.length > 0 ? formatCurrency(totalCost) : '-'}</span>
+        </div>
+        <div class="chart-stat">
+            <span class="stat-label">PnL</span>
+            <span class="stat-value" style="color: ${tracked.length > 0 ? pnlColor(totalPnl) : 'inherit'}">${tracked.length > 0 ? `${formatPnl(totalPnl)}${totalCost > 0 ? ` (${formatPercent(totalPnl / totalCost * 100)})` : ''}` : '-'}</span>
+        </div>
+        <div class="chart-stat">
+            <span class="stat-label">Positions</span>
+            <span class="stat-value">${positions.length}${unpriced > 0 ? ` (${unpriced} unpriced)` : ''}</span>
+        </div>
+    `;
+
+    const breakdown = (title, groups) => `
+        <div class="results-card">
+            <h3>${title}</h3>
+            <div class="backtest-table">
+                <div class="backtest-row portfolio-group-row backtest-head">
+                    <span>${title.replace('By ', '')}</span><span>Value</span><span>Share</span><span>PnL</span>
+                </div>
+                ${groups.map(g => `
+                    <div class="backtest-row portfolio-group-row">
+                        <span class="backtest-signal">${g.label}</span>
+                        <span>${formatCurrency(g.valueUsd)}</span>
+                        <span>${totalValue > 0 ? formatPercent(g.valueUsd / totalValue * 100) : '-'}</span>
+                        <span style="color: ${pnlColor(g.pnl)}">${g.cost > 0 ? formatPnl(g.pnl) : '-'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    breakdownEl.innerHTML =
+        breakdown('By Chain', groupPortfolio(positions, p => getChainLabel(p.chainId))) +
+        breakdown('By Asset', groupPortfolio(positions, p => p.market.proName || p.market.name)) +
+        breakdown('By Expiry', groupPortfolio(positions, p => formatDate(p.market.expiry)));
+
+    positionsEl.innerHTML = `
+        <div class="backtest-table">
+            <div class="backtest-row portfolio-row backtest-head">
+                <span>Market</span><span>Token</span><span>Wallet</span><span>Balance</span><span>Price</span><span>Value</span><span>Cost basis ($)</span><span>PnL</span>
+            </div>
+            ${positions.map(p => `
+                <div class="backtest-row portfolio-row">
+                    <span class="backtest-signal">${p.market.proName || p.market.name}<span class="input-hint">${getChainLabel(p.chainId)} · ${formatDate(p.market.expiry)} (${p.market.days}d)</span></span>
+                    <span>${p.type.toUpperCase()}</span>
+                    <span title="${p.wallet}">${p.wallet.slice(0, 6)}…${p.wallet.slice(-4)}</span>
+                    <span>${formatNumber(p.balance, 4)}</span>
+                    <span>${p.price !== null ? p.price.toFixed(4) : '-'}</span>
+                    <span>${p.valueUsd !== null ? formatCurrency(p.valueUsd) : p.value !== null ? `${formatNumber(p.value, 4)} asset` : '-'}</span>
+                    <span><input type="number" class="portfolio-cost" data-key="${p.key}" value="${p.cost ?? ''}" min="0" step="any" placeholder="-"></span>
+                    <span style="color: ${p.pnl !== null ? pnlColor(p.pnl) : 'inherit'}">${p.pnl !== null ? formatPnl(p.pnl) : '-'}</span>
+                </div>
+            `).join('')}
+        </div>
+        <span class="input-hint">Prices are in the market's underlying asset (PT and YT from the implied APY, LP from the pool's holdings); values use the pool's USD price for that asset. YT PnL includes unclaimed interest and rewards.</span>
+    `;
+}
+
+// Claimable YT interest and rewards, plus interest still to accrue until expiry
+function renderPortfolioYield() {
+    const yieldEl = document.getElementById('portfolio-yield');
+    if (!yieldEl) return;
+
+    const ytPositions = portfolioPositions
+        .filter(p => p.type === 'yt')
+        .sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+    yieldEl.closest('.results-card').style.display = ytPositions.length > 0 ? '' : 'none';
+    if (ytPositions.length === 0) return;
+
+    const amount = (asset, usd) => usd !== null ? formatCurrency(usd) : `${formatNumber(asset, 4)} asset`;
+    const rewardsText = (claim) => claim.rewards.length === 0
+        ? '-'
+        : claim.rewards.map(reward => `${formatNumber(reward.amount, 4)} ${reward.symbol}${reward.usd !== null ? ` (${formatCurrency(reward.usd)})` : ''}`).join('<br>');
+
+    yieldEl.innerHTML = `
+        <div class="backtest-table">
+            <div class="backtest-row portfolio-yield-row backtest-head">
+                <span>Market</span><span>Wallet</span><span>YT</span><span>Interest</span><span>Rewards</span><span>To Expiry</span>
+            </div>
+            ${ytPositions.map(p => {
+                const claim = p.claimable;
+                const projected = projectYtInterest(p);
+                return `
+                    <div class="backtest-row portfolio-yield-row">
+                        <span class="backtest-signal">${p.market.proName || p.market.name}<span class="input-hint">${getChainLabel(p.chainId)} · ${formatDate(p.market.expiry)} (${p.market.days}d)</span></span>
+                        <span title="${p.wallet}">${p.wallet.slice(0, 6)}…${p.wallet.slice(-4)}</span>
+                        <span>${formatNumber(p.balance, 4)}</span>
+                        <span title="${claim ? `${formatNumber(claim.interest, 6)} asset${claim.source === 'stored' ? ' - from stored state, rewards since the last claim not included' : ''}` : ''}">${claim ? `${amount(claim.interest, claim.interestUsd)}${claim.source === 'stored' ? '*' : ''}` : '-'}</span>
+                        <span>${claim ? rewardsText(claim) : '-'}</span>
+                        <span title="At ${formatPercent(p.market.underlyingApyPercent || 0)} underlying APY after the ${PENDLE_FEE * 100}% fee">+${amount(projected, p.usdPerAsset ? projected * p.usdPerAsset : null)}</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <span class="input-hint">Interest and rewards are what a claim would pay out now, simulated on-chain; * marks estimates from the YT's stored state when the simulation fails. "To Expiry" projects interest at today's underlying APY after the ${PENDLE_FEE * 100}% Pendle fee and assumes the index stays above its watermark.</span>
+    `;
+}
+
+// Save an edited cost basis and refresh totals (no chain reads)
+function setPortfolioCostBasis(key, value) {
+    const settings = loadPortfolioSettings();
+    const cost = parseFloat(value);
+    if (Number.isFinite(cost) && cost >= 0) {
+        settings.costBasis[key] = cost;
+    } else {
+        delete settings.costBasis[key];
+    }
+    savePortfolioSettings(settings);
+    renderPortfolio();
+}
+
 // Initialize position type toggle
 function initToggle() {
     document.querySelectorAll('.toggle-btn').forEach(btn => {
@@ -3105,6 +7252,7 @@ function initEventListeners() {
         document.getElementById('compare-market-banner').style.display = 'none';
         document.getElementById('history-card').style.display = 'none';
         document.getElementById('loop-oracle-section').style.display = 'none';
+        setAnalysisReadOnly(false);
 
         // Reset URL
         const url = new URL(window.location);
@@ -3121,6 +7269,13 @@ function initEventListeners() {
             searchInput.parentElement?.classList.remove('has-value');
         }
 
+        // Back to live markets
+        const statusFilter = document.getElementById('status-filter');
+        if (statusFilter && marketStatus !== 'active') {
+            statusFilter.value = 'active';
+            setMarketStatus('active');
+        }
+
         // Reset legend filters
         Object.keys(legendFilters).forEach(key => {
             legendFilters[key] = true;
@@ -3137,13 +7292,13 @@ function initEventListeners() {
     });
 
     // Calculator inputs
-    const calcInputs = ['calc-pt-price', 'calc-yt-price', 'calc-days', 'calc-underlying-apy', 'calc-expected-apy', 'calc-investment'];
+    const calcInputs = ['calc-pt-price', 'calc-yt-price', 'calc-days', 'calc-underlying-apy', 'calc-expected-apy', 'calc-investment', 'calc-apy-preset', 'calc-apy-schedule', 'calc-exit-days', 'calc-exit-implied', 'lp-sim-shocks', 'lp-sim-days'];
     calcInputs.forEach(id => {
         document.getElementById(id)?.addEventListener('input', updateCalculator);
     });
 
     // Compare inputs
-    const cmpInputs = ['cmp-pt-price', 'cmp-yt-price', 'cmp-days', 'cmp-investment', 'cmp-underlying-apy'];
+    const cmpInputs = ['cmp-pt-price', 'cmp-yt-price', 'cmp-days', 'cmp-investment', 'cmp-underlying-apy', 'cmp-apy-preset', 'cmp-apy-schedule', 'cmp-exit-days', 'cmp-exit-implied'];
     cmpInputs.forEach(id => {
         document.getElementById(id)?.addEventListener('input', updateCompareCalculator);
     });
@@ -3156,6 +7311,7 @@ function initEventListeners() {
         renderMarkets();
     });
     document.getElementById('signal-filter')?.addEventListener('change', renderMarkets);
+    document.getElementById('status-filter')?.addEventListener('change', e => setMarketStatus(e.target.value));
 
     // Search filter
     const searchInput = document.getElementById('search-filter');
@@ -3228,6 +7384,7 @@ function initEventListeners() {
         document.getElementById('compare-market-banner').style.display = 'none';
         document.getElementById('history-card').style.display = 'none';
         document.getElementById('loop-oracle-section').style.display = 'none';
+        setAnalysisReadOnly(false);
         document.getElementById('incentive-breakdown-card').style.display = 'none';
         clearUrlMarket();
         updateCalculator();
@@ -3269,6 +7426,55 @@ function initEventListeners() {
         switchTab('calculator');
     });
 
+    // History chart time frame
+    document.querySelectorAll('#history-timeframe .timeframe-btn').forEach(btn => {
+        btn.addEventListener('click', () => setHistoryTimeFrame(btn.dataset.timeframe));
+    });
+
+    // Signal backtest scope toggle
+    document.querySelectorAll('#backtest-scope .timeframe-btn').forEach(btn => {
+        btn.addEventListener('click', () => setBacktestScope(btn.dataset.scope));
+    });
+
+    // Loop leverage slider
+    document.getElementById('loop-leverage')?.addEventListener('input', e => setLoopLeverage(e.target.value));
+
+    // Expected APY mode (single value or Monte Carlo)
+    document.querySelectorAll('#calc-apy-mode .timeframe-btn').forEach(btn => {
+        btn.addEventListener('click', () => setApyMode(btn.dataset.mode));
+    });
+
+    // Strategy backtest
+    document.getElementById('run-strategy-backtest')?.addEventListener('click', () => {
+        if (!selectedMarket) return;
+        const chainId = document.getElementById('chain-filter')?.value || 1;
+        loadStrategyBacktest(selectedMarket, chainId);
+    });
+
+    // Portfolio
+    const portfolioWallets = document.getElementById('portfolio-wallets');
+    if (portfolioWallets) portfolioWallets.value = loadPortfolioSettings().wallets.join('\n');
+    document.getElementById('portfolio-load')?.addEventListener('click', loadPortfolio);
+    document.getElementById('portfolio-positions')?.addEventListener('change', e => {
+        if (e.target.classList.contains('portfolio-cost')) {
+            setPortfolioCostBasis(e.target.dataset.key, e.target.value);
+        }
+    });
+
+    // RPC settings
+    document.getElementById('rpc-settings-toggle')?.addEventListener('click', toggleRpcSettings);
+    document.getElementById('rpc-chain')?.addEventListener('change', renderRpcSettings);
+    document.getElementById('rpc-add')?.addEventListener('click', addRpcEndpoint);
+    document.getElementById('rpc-url')?.addEventListener('keydown', e => {
+        if (e.key === 'Enter') addRpcEndpoint();
+    });
+    document.getElementById('rpc-endpoint-list')?.addEventListener('click', e => {
+        const button = e.target.closest('.rpc-endpoint-remove');
+        if (!button) return;
+        rpcManager.removeCustomEndpoint(parseInt(document.getElementById('rpc-chain').value), button.dataset.url);
+        renderRpcSettings();
+    });
+
     // Theme toggle
     document.getElementById('theme-toggle')?.addEventListener('click', () => {
         const html = document.documentElement;
@@ -3346,7 +7552,16 @@ async function loadMarketFromUrl() {
         // Fetch markets for this chain and find the market
         await fetchMarkets(chainId);
 
-        const market = markets.find(m => m.address === marketAddress);
+        let market = markets.find(m => m.address === marketAddress);
+
+        // Not live any more - look in the matured archive
+        if (!market) {
+            const statusFilter = document.getElementById('status-filter');
+            if (statusFilter) statusFilter.value = 'matured';
+            await setMarketStatus('matured');
+            market = markets.find(m => m.address === marketAddress);
+        }
+
         if (market) {
             populateCalculatorFromMarket(market, chainId);
             switchTab('calculator');
@@ -3362,6 +7577,9 @@ async function init() {
     initToggle();
     initEventListeners();
 
+    // Lending pairs and watermark events are needed to process markets
+    await loadRegistries();
+
     // Check for market in URL first
     const loadedFromUrl = await loadMarketFromUrl();
 
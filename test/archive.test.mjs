@@ -0,0 +1,51 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pg } from './support/db.mjs';
+import { ensureHistoryTable, pendleHistoryUrl } from '../api/_lib/history.js';
+import { ensureExpiredMarketsTable, archiveMarketHistory } from '../api/_lib/archive.js';
+
+const MARKET = '0xmatured';
+const realFetch = globalThis.fetch;
+
+// Pendle's full history for the matured market, in both archived time frames
+const PENDLE_HISTORY = {
+    [pendleHistoryUrl(1, MARKET, 'day')]: [
+        { timestamp: '2024-05-31T00:00:00.000Z', impliedApy: 0.1 },
+        { timestamp: '2024-06-01T00:00:00.000Z', impliedApy: 0.11 }
+    ],
+    [pendleHistoryUrl(1, MARKET, 'week')]: [{ timestamp: '2024-05-27T00:00:00.000Z', impliedApy: 0.1 }]
+};
+
+before(async () => {
+    globalThis.fetch = async (url) => ({ ok: true, json: async () => ({ results: PENDLE_HISTORY[url] || [] }) });
+    await ensureHistoryTable();
+    await ensureExpiredMarketsTable();
+    // The daily cron stored this market while it was live
+    await pg.exec(`
+        INSERT INTO expired_markets (chain_id, market_address, expiry, data) VALUES (1, '${MARKET}', '2024-06-01', '{}');
+        INSERT INTO market_history_sync (chain_id, market_address, time_frame, last_ts, updated_at)
+        VALUES (1, '${MARKET}', 'day', '2024-05-31', '2024-05-31');
+        INSERT INTO market_history_points (chain_id, market_address, time_frame, ts, implied_apy)
+        VALUES (1, '${MARKET}', 'day', '2024-05-31', 0.1);
+    `);
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+});
+
+test('archives a market that already has a sync row', async () => {
+    assert.equal(await archiveMarketHistory(1, MARKET), true);
+
+    const [market] = (await pg.query(`SELECT history_archived, archive_attempts FROM expired_markets WHERE market_address = $1`, [MARKET])).rows;
+    assert.deepEqual(market, { history_archived: true, archive_attempts: 0 });
+
+    const sync = (await pg.query(`SELECT time_frame, last_ts, complete FROM market_history_sync WHERE market_address = $1 ORDER BY time_frame`, [MARKET])).rows;
+    assert.deepEqual(sync.map(row => [row.time_frame, row.last_ts.toISOString(), row.complete]), [
+        ['day', '2024-06-01T00:00:00.000Z', true],
+        ['week', '2024-05-27T00:00:00.000Z', true]
+    ]);
+
+    const points = (await pg.query(`SELECT COUNT(*)::int AS n FROM market_history_points WHERE market_address = $1 AND time_frame = 'day'`, [MARKET])).rows;
+    assert.equal(points[0].n, 2);
+});
@@ -0,0 +1,59 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './support/app.mjs';
+
+// A chain whose block time drifts from 2s to 30s with gaps, so the average is a poor guess
+const BLOCKS = [];
+for (let number = 0, timestamp = 1_700_000_000; number < 200_000; number++) {
+    BLOCKS.push({ number, timestamp });
+    timestamp += number % 997 === 0 ? 600 : 2 + Math.floor(number / 8000);
+}
+const LATEST = BLOCKS[BLOCKS.length - 1];
+const REFERENCE = BLOCKS[LATEST.number - 100_000];
+const BLOCK_TIME = (LATEST.timestamp - REFERENCE.timestamp) / (LATEST.number - REFERENCE.number);
+
+function countingProvider() {
+    return {
+        lookups: 0,
+        async getBlock(number) {
+            this.lookups++;
+            return BLOCKS[number];
+        }
+    };
+}
+
+function assertLastAtOrBefore(block, target) {
+    assert.ok(block.timestamp <= target, `block ${block.number} is after ${target}`);
+    assert.ok(BLOCKS[block.number + 1].timestamp > target, `block ${block.number + 1} is still at or before ${target}`);
+}
+
+let app;
+
+before(async () => {
+    app = await loadApp(['createBlockLocator']);
+});
+
+test('finds the last block at or before each timestamp', async () => {
+    const provider = countingProvider();
+    const blockAt = app.createBlockLocator(provider, [LATEST, REFERENCE], BLOCK_TIME);
+    for (const target of [BLOCKS[1].timestamp + 1, BLOCKS[12_345].timestamp, BLOCKS[150_000].timestamp - 1, LATEST.timestamp - 5]) {
+        assertLastAtOrBefore(await blockAt(target), target);
+    }
+});
+
+test('daily samples share their bounds', async () => {
+    const provider = countingProvider();
+    const blockAt = app.createBlockLocator(provider, [LATEST, REFERENCE], BLOCK_TIME);
+    const day = 24 * 60 * 60;
+    const samples = Array.from({ length: 30 }, (_, i) => LATEST.timestamp - (30 - i) * day);
+
+    for (const target of samples) {
+        assertLastAtOrBefore(await blockAt(target), target);
+    }
+    assert.ok(provider.lookups <= samples.length * 6, `${provider.lookups} lookups for ${samples.length} samples`);
+});
+
+test('returns the latest block for timestamps at or after it', async () => {
+    const blockAt = app.createBlockLocator(countingProvider(), [LATEST, REFERENCE], BLOCK_TIME);
+    assert.equal(await blockAt(LATEST.timestamp + 60), LATEST);
+});
@@ -0,0 +1,57 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ingest from '../api/cron/ingest.js';
+import watermarks from '../api/cron/watermarks.js';
+import { CHAIN_IDS } from '../api/_lib/chains.js';
+
+// Minimal Vercel response: records the status and JSON body
+function mockResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+const CRON_JOBS = { ingest, watermarks };
+
+afterEach(() => {
+    delete process.env.CRON_SECRET;
+});
+
+for (const [name, handler] of Object.entries(CRON_JOBS)) {
+    test(`${name} refuses to run when CRON_SECRET is unset`, async () => {
+        const res = mockResponse();
+        await handler({ headers: {} }, res);
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.body.error, 'CRON_SECRET not configured');
+    });
+
+    test(`${name} rejects a wrong bearer token`, async () => {
+        process.env.CRON_SECRET = 'secret';
+        const res = mockResponse();
+        await handler({ headers: { authorization: 'Bearer nope' } }, res);
+        assert.equal(res.statusCode, 401);
+    });
+}
+
+test('watermarks reports missing archive RPCs once per chain', async () => {
+    process.env.CRON_SECRET = 'secret';
+    const res = mockResponse();
+    await watermarks({ headers: { authorization: 'Bearer secret' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'failed');
+    assert.equal(res.body.historyFailed, 0);
+    assert.deepEqual(
+        res.body.errors.map(error => error.error),
+        CHAIN_IDS.map(chainId => `ARCHIVE_RPC_${chainId} not configured`)
+    );
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pg } from './support/db.mjs';
+import ingest from '../api/cron/ingest.js';
+import { ensureHistoryTable, pendleHistoryUrl } from '../api/_lib/history.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const dayStart = (ms) => new Date(Math.floor(ms / DAY) * DAY).toISOString();
+const realFetch = globalThis.fetch;
+
+// Two live markets on mainnet whose latest stored point is days old (delisted feed, skipped days)
+const MARKETS = ['0xstale1', '0xstale2'];
+const STALE_TS = dayStart(Date.now() - 5 * DAY);
+const TODAY = dayStart(Date.now());
+
+// Pendle lists them as active and has today's point; every other chain and list is empty
+function pendle(url) {
+    const { pathname, searchParams } = new URL(url);
+    const body = pathname.endsWith('/markets/all')
+        ? { markets: searchParams.get('isActive') === 'true' && searchParams.get('chainId') === '1'
+            ? MARKETS.map(address => ({ address, expiry: new Date(Date.now() + 90 * DAY).toISOString() }))
+            : [] }
+        : { results: MARKETS.some(address => url === pendleHistoryUrl(1, address, 'day')) ? [{ timestamp: TODAY, impliedApy: 0.1 }] : [] };
+    return { ok: true, json: async () => body };
+}
+
+function mockResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+before(async () => {
+    globalThis.fetch = async (url) => pendle(url);
+    process.env.CRON_SECRET = 'secret';
+    await ensureHistoryTable();
+    for (const address of MARKETS) {
+        await pg.query(
+            `INSERT INTO market_history_sync (chain_id, market_address, time_frame, last_ts, updated_at) VALUES (1, $1, 'day', $2, $2)`,
+            [address, STALE_TS]
+        );
+        await pg.query(
+            `INSERT INTO market_history_points (chain_id, market_address, time_frame, ts, implied_apy) VALUES (1, $1, 'day', $2, 0.09)`,
+            [address, STALE_TS]
+        );
+    }
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.CRON_SECRET;
+});
+
+test('refreshes markets whose stored points are all older than a day', async () => {
+    const res = mockResponse();
+    await ingest({ headers: { authorization: 'Bearer secret' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.errors, []);
+    assert.equal(res.body.marketsSeen, 2);
+    assert.equal(res.body.historyUpdated, 2);
+    assert.equal(res.body.historyFailed, 0);
+
+    const sync = (await pg.query(`SELECT last_ts FROM market_history_sync WHERE chain_id = 1 ORDER BY market_address`)).rows;
+    assert.deepEqual(sync.map(row => row.last_ts.toISOString()), [TODAY, TODAY]);
+});
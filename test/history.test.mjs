@@ -0,0 +1,31 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { pg } from './support/db.mjs';
+import { ensureHistoryTable, getCachedHistory, getCachedHistoryBatch, historyKey } from '../api/_lib/history.js';
+
+const STALE = '0xstale';
+const FRESH = '0xfresh';
+const RANGE = { from: '2024-06-10T00:00:00.000Z', to: null };
+
+before(async () => {
+    await ensureHistoryTable();
+    await pg.exec(`
+        INSERT INTO market_history_sync (chain_id, market_address, time_frame, last_ts, updated_at)
+        VALUES (1, '${STALE}', 'day', '2024-06-01', '2024-06-01'), (1, '${FRESH}', 'day', '2024-06-11', '2024-06-11');
+        INSERT INTO market_history_points (chain_id, market_address, time_frame, ts, implied_apy)
+        VALUES (1, '${STALE}', 'day', '2024-06-01', 0.1), (1, '${FRESH}', 'day', '2024-06-11', 0.2);
+    `);
+});
+
+// The sync row still carries its keys when the join finds no points
+test('a market with no points in range reads as an empty entry', async () => {
+    const entry = await getCachedHistory(1, STALE, 'day', RANGE);
+    assert.deepEqual(entry.data, []);
+    assert.equal(entry.lastTs, '2024-06-01T00:00:00.000Z');
+});
+
+test('the batch reader keeps markets with and without points in range', async () => {
+    const cached = await getCachedHistoryBatch([{ chainId: 1, address: STALE }, { chainId: 1, address: FRESH }], 'day', RANGE);
+    assert.deepEqual(cached.get(historyKey(1, STALE)).data, []);
+    assert.deepEqual(cached.get(historyKey(1, FRESH)).data, [{ timestamp: '2024-06-11T00:00:00.000Z', impliedApy: 0.2 }]);
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { loadApp } from './support/app.mjs';
+import { startRpcStub } from './support/rpc-stub.mjs';
+
+const { ethers } = createRequire(import.meta.url)('ethers');
+
+const CHAIN_ID = 1;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const PT = '0x3b3fb9c57858ef816833dc91565efcd85d96f634';            // PT-sUSDE-31JUL2025
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const AAVE_PROVIDER = '0x2f39d218133afab8f2b819b1066c7e434ad94e9e';
+const AAVE_DATA_PROVIDER = '0x00000000000000000000000000000000000000d1';
+const AAVE_POOL = '0x00000000000000000000000000000000000000d2';
+const MORPHO = '0xbbbbbbbbbb9cc5e90e3b3af64bdaf62c37eeffcb';
+const MORPHO_IRM = '0x00000000000000000000000000000000000000e1';
+const MORPHO_ORACLE = '0x00000000000000000000000000000000000000e2';
+const MORPHO_MARKETS = {
+    ['0x' + '11'.repeat(32)]: { lltv: '915000000000000000', borrowRate: 1.5e-9 },
+    ['0x' + '22'.repeat(32)]: { lltv: '860000000000000000', borrowRate: 1.0e-9 }
+};
+const morphoMarketsRead = [];
+const EULER_BORROW_VAULT = '0x00000000000000000000000000000000000000f1';
+const EULER_COLLATERAL_VAULT = '0x00000000000000000000000000000000000000f2';
+
+const apyFromPerSecond = (rate) => (Math.exp(rate * SECONDS_PER_YEAR) - 1) * 100;
+
+// One handler per (contract, function), encoding results with the app's own ABIs
+function handlersFor(app) {
+    const handlers = {};
+    const on = (address, abi, fn, result) => {
+        const iface = new ethers.utils.Interface(abi);
+        handlers[`${address}:${iface.getSighash(fn)}`] = (data) => iface.encodeFunctionResult(fn, result(iface.decodeFunctionData(fn, data)));
+    };
+    const uint = (value) => ethers.BigNumber.from(value);
+
+    // Aave: PT has no base LTV, so the adapter falls back to its E-Mode category
+    on(AAVE_PROVIDER, app.AAVE_ADDRESSES_PROVIDER_ABI, 'getPoolDataProvider', () => [AAVE_DATA_PROVIDER]);
+    on(AAVE_PROVIDER, app.AAVE_ADDRESSES_PROVIDER_ABI, 'getPool', () => [AAVE_POOL]);
+    on(AAVE_DATA_PROVIDER, app.AAVE_DATA_PROVIDER_ABI, 'getReserveConfigurationData', () =>
+        [18, 0, 0, 0, 1000, true, false, false, true, false]);
+    on(AAVE_DATA_PROVIDER, app.AAVE_DATA_PROVIDER_ABI, 'getReserveEModeCategory', () => [2]);
+    on(AAVE_POOL, app.AAVE_POOL_ABI, 'getEModeCategoryCollateralConfig', () => [{ ltv: 9000, liquidationThreshold: 9200, liquidationBonus: 10300 }]);
+    on(AAVE_DATA_PROVIDER, app.AAVE_DATA_PROVIDER_ABI, 'getReserveData', ([asset]) => {
+        assert.equal(asset.toLowerCase(), USDC);
+        // 5% APR in ray
+        return [0, 0, 0, 0, 0, 0, uint('50000000000000000000000000'), 0, 0, 0, 0, 0];
+    });
+
+    // Morpho: two PT markets with different LLTVs and rates
+    on(MORPHO, app.MORPHO_BLUE_ABI, 'idToMarketParams', ([id]) => {
+        morphoMarketsRead.push(id);
+        return [USDC, PT, MORPHO_ORACLE, MORPHO_IRM, uint(MORPHO_MARKETS[id].lltv)];
+    });
+    on(MORPHO, app.MORPHO_BLUE_ABI, 'market', ([id]) => [uint(1e9), uint(1e9), uint(8e8), uint(8e8), uint(Object.keys(MORPHO_MARKETS).indexOf(id)), 0]);
+    on(MORPHO_IRM, app.MORPHO_IRM_ABI, 'borrowRateView', ([, state]) => {
+        const id = Object.keys(MORPHO_MARKETS)[state.lastUpdate.toNumber()];
+        return [ethers.utils.parseUnits(MORPHO_MARKETS[id].borrowRate.toFixed(18), 18)];
+    });
+
+    // Euler: LTVs in basis points, interestRate() per second in ray
+    on(EULER_BORROW_VAULT, app.EULER_VAULT_ABI, 'LTVBorrow', ([collateral]) => [collateral.toLowerCase() === EULER_COLLATERAL_VAULT ? 8800 : 0]);
+    on(EULER_BORROW_VAULT, app.EULER_VAULT_ABI, 'LTVLiquidation', () => [9100]);
+    on(EULER_BORROW_VAULT, app.EULER_VAULT_ABI, 'interestRate', () => [uint('1200000000000000000')]);
+
+    return handlers;
+}
+
+// Morpho's API lists both PT/USDC markets plus one lending another asset
+async function morphoApi(url, { body }) {
+    assert.equal(url, 'https://blue-api.morpho.org/graphql');
+    const { variables } = JSON.parse(body);
+    assert.deepEqual(variables, { chainId: CHAIN_ID, pt: PT });
+    return {
+        ok: true,
+        json: async () => ({
+            data: {
+                markets: {
+                    items: [
+                        ...Object.keys(MORPHO_MARKETS).map(uniqueKey => ({ uniqueKey, loanAsset: { symbol: 'USDC' } })),
+                        { uniqueKey: '0x' + '33'.repeat(32), loanAsset: { symbol: 'DAI' } }
+                    ]
+                }
+            }
+        })
+    };
+}
+
+let app;
+let stub;
+let provider;
+
+before(async () => {
+    app = await loadApp([
+        'LENDING_RATE_ADAPTERS', 'AAVE_ADDRESSES_PROVIDER_ABI', 'AAVE_DATA_PROVIDER_ABI', 'AAVE_POOL_ABI',
+        'MORPHO_BLUE_ABI', 'MORPHO_IRM_ABI', 'EULER_VAULT_ABI'
+    ], { fetch: morphoApi });
+    stub = await startRpcStub(CHAIN_ID, handlersFor(app));
+    provider = new ethers.providers.StaticJsonRpcProvider(stub.url, CHAIN_ID);
+});
+
+after(() => stub?.close());
+
+test('aave adapter reads the E-Mode LTV and variable borrow APY', async () => {
+    const quote = await app.LENDING_RATE_ADAPTERS.aave.read(provider, { chainId: CHAIN_ID, pt: PT, borrowSymbol: 'USDC', listing: { platform: 'aave' } });
+    assert.equal(quote.ltv, 0.9);
+    assert.equal(quote.lltv, 0.92);
+    assert.ok(Math.abs(quote.borrowRate - (Math.exp(0.05) - 1) * 100) < 1e-9);
+});
+
+test('morpho adapter reads a listed market id', async () => {
+    const marketId = Object.keys(MORPHO_MARKETS)[1];
+    const quote = await app.LENDING_RATE_ADAPTERS.morpho.read(provider, { chainId: CHAIN_ID, pt: PT, borrowSymbol: 'USDC', listing: { platform: 'morpho', morphoMarketId: marketId } });
+    assert.equal(quote.ltv, 0.86);
+    assert.equal(quote.lltv, 0.86);
+    assert.ok(Math.abs(quote.borrowRate - apyFromPerSecond(1.0e-9)) < 1e-6);
+});
+
+test('morpho adapter finds markets by collateral and keeps the highest LLTV', async () => {
+    morphoMarketsRead.length = 0;
+    const quote = await app.LENDING_RATE_ADAPTERS.morpho.read(provider, { chainId: CHAIN_ID, pt: PT, borrowSymbol: 'USDC', listing: { platform: 'morpho' } });
+    assert.equal(quote.ltv, 0.915);
+    assert.ok(Math.abs(quote.borrowRate - apyFromPerSecond(1.5e-9)) < 1e-6);
+    // The DAI market is never read
+    assert.deepEqual(morphoMarketsRead, Object.keys(MORPHO_MARKETS));
+});
+
+test('euler adapter reads vault LTVs and interest rate', async () => {
+    const listing = { platform: 'euler', collateralVault: EULER_COLLATERAL_VAULT, borrowVault: EULER_BORROW_VAULT };
+    const quote = await app.LENDING_RATE_ADAPTERS.euler.read(provider, { chainId: CHAIN_ID, pt: PT, borrowSymbol: 'USDC', listing });
+    assert.equal(quote.ltv, 0.88);
+    assert.equal(quote.lltv, 0.91);
+    assert.ok(Math.abs(quote.borrowRate - apyFromPerSecond(1.2e-9)) < 1e-6);
+});
+
+test('adapters return null when the PT is not listed', async () => {
+    const euler = await app.LENDING_RATE_ADAPTERS.euler.read(provider, {
+        chainId: CHAIN_ID, pt: PT, borrowSymbol: 'USDC', listing: { platform: 'euler', collateralVault: EULER_BORROW_VAULT, borrowVault: EULER_BORROW_VAULT }
+    });
+    assert.equal(euler, null);
+    assert.equal(await app.LENDING_RATE_ADAPTERS.euler.read(provider, { chainId: CHAIN_ID, pt: PT, listing: { platform: 'euler' } }), null);
+});
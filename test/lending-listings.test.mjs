@@ -0,0 +1,64 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './support/app.mjs';
+import { REGISTRIES, REGISTRY_STALE_DAYS, loadRegistry } from '../api/_lib/registry.js';
+
+const PT_SUSDE_JUL = '0x3b3fB9C57858EF816833dC91565EFcd85D96f634';
+const PT_SUSDE_SEP = '0x9F56094C450763769BA0EA9Fe2876070c0fD5F77';
+
+// Serves /api/registry from the shipped files, the way api/registry.js does
+async function registryApi(url) {
+    assert.equal(url, '/api/registry');
+    const names = Object.keys(REGISTRIES);
+    const registries = await Promise.all(names.map(loadRegistry));
+    return {
+        ok: true,
+        json: async () => ({
+            staleAfterDays: REGISTRY_STALE_DAYS,
+            registries: Object.fromEntries(names.map((name, i) => [name, registries[i]]))
+        })
+    };
+}
+
+let app;
+
+before(async () => {
+    app = await loadApp(['loadRegistries', 'resolveLendingListings', 'getLoopPlatforms', 'lendingRateCache'], { fetch: registryApi });
+    assert.equal(await app.loadRegistries(), true);
+});
+
+test('sUSDe maturities resolve to their own listings', () => {
+    const jul = app.resolveLendingListings({ name: 'sUSDe', pt: `1-${PT_SUSDE_JUL.toLowerCase()}` }, 1);
+    const sep = app.resolveLendingListings({ name: 'sUSDe', pt: `1-${PT_SUSDE_SEP.toLowerCase()}` }, 1);
+
+    assert.equal(jul.matchedBy, 'address');
+    assert.equal(sep.matchedBy, 'address');
+    assert.deepEqual(jul.listings.map(listing => listing.maturity), ['2025-07-31']);
+    assert.deepEqual(sep.listings.map(listing => listing.maturity), ['2025-09-25']);
+    assert.equal(jul.listings[0].pt, PT_SUSDE_JUL);
+});
+
+test('an unlisted maturity of a listed asset gets no pair defaults', () => {
+    const resolved = app.resolveLendingListings({ name: 'sUSDe', pt: '1-0x0000000000000000000000000000000000000001' }, 1);
+    assert.equal(resolved, null);
+});
+
+test('assets without listings still match on the exact symbol only', () => {
+    const tusde = app.resolveLendingListings({ name: 'tUSDe', pt: '1-0x0000000000000000000000000000000000000002' }, 1);
+    assert.equal(tusde.matchedBy, 'asset');
+    assert.equal(tusde.assetName, 'tUSDe');
+
+    assert.equal(app.resolveLendingListings({ name: 'tUSDe-LP', pt: '1-0x0000000000000000000000000000000000000002' }, 1), null);
+});
+
+test('loop platforms come from live quotes, else the matched listings', () => {
+    const market = { name: 'sUSDe', pt: `1-${PT_SUSDE_SEP}` };
+    assert.deepEqual([...app.getLoopPlatforms(market, 1)], ['aave']);
+
+    // Morpho markets found through its API show up once quoted
+    app.lendingRateCache.set(`1-${PT_SUSDE_SEP.toLowerCase()}`, {
+        quotes: [{ protocol: 'aave' }, { protocol: 'morpho' }],
+        timestamp: Date.now()
+    });
+    assert.deepEqual([...app.getLoopPlatforms(market, 1)], ['aave', 'morpho']);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pg } from './support/db.mjs';
+import { ensureHistoryTable } from '../api/_lib/history.js';
+import { runMigrations } from '../api/_lib/migrations.js';
+
+const MARKET = '0xmarket';
+const BLOB = JSON.stringify([
+    { timestamp: '2024-06-01T00:00:00.000Z', impliedApy: 0.12, underlyingApy: 0.08, tvl: 1000, maxApy: 0.2 },
+    { timestamp: '2024-06-02T00:00:00.000Z', impliedApy: 0.11, ptPrice: 0.97 }
+]);
+
+async function migratedPoints() {
+    return (await pg.query(`
+        SELECT time_frame, ts, implied_apy, underlying_apy, pt_price, tvl, extra
+        FROM market_history_points ORDER BY ts
+    `)).rows;
+}
+
+// historical_data exactly as the original /api/history created it: one daily blob per market, no time_frame
+test('migrates legacy blobs from the baseline schema', async () => {
+    await pg.exec(`
+        CREATE TABLE historical_data (
+            id SERIAL PRIMARY KEY,
+            chain_id INTEGER NOT NULL,
+            market_address TEXT NOT NULL,
+            data JSONB NOT NULL,
+            last_timestamp TIMESTAMPTZ,
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE(chain_id, market_address)
+        )
+    `);
+    await pg.query(
+        `INSERT INTO historical_data (chain_id, market_address, data, last_timestamp) VALUES (1, $1, $2, '2024-06-02')`,
+        [MARKET, BLOB]
+    );
+
+    await ensureHistoryTable();
+
+    const points = await migratedPoints();
+    assert.equal(points.length, 2);
+    assert.deepEqual(points.map(p => p.time_frame), ['day', 'day']);
+    assert.equal(points[0].implied_apy, 0.12);
+    assert.equal(points[0].tvl, 1000);
+    assert.deepEqual(points[0].extra, { maxApy: 0.2 });
+    assert.equal(points[1].pt_price, 0.97);
+
+    const sync = (await pg.query('SELECT chain_id, market_address, time_frame, last_ts FROM market_history_sync')).rows;
+    assert.equal(sync.length, 1);
+    assert.equal(sync[0].time_frame, 'day');
+    assert.equal(sync[0].last_ts.toISOString(), '2024-06-02T00:00:00.000Z');
+
+    const applied = (await pg.query('SELECT name FROM schema_migrations')).rows;
+    assert.deepEqual(applied.map(row => row.name), ['001-explode-historical-data']);
+});
+
+// Tables that already gained per-time-frame rows keep their frames
+test('keeps time frames when historical_data has the column', async () => {
+    await pg.exec(`
+        DELETE FROM schema_migrations;
+        DELETE FROM market_history_points;
+        DELETE FROM market_history_sync;
+        ALTER TABLE historical_data ADD COLUMN time_frame TEXT NOT NULL DEFAULT 'day';
+        ALTER TABLE historical_data DROP CONSTRAINT historical_data_chain_id_market_address_key;
+    `);
+    await pg.query(
+        `INSERT INTO historical_data (chain_id, market_address, time_frame, data, last_timestamp) VALUES (1, $1, 'hour', $2, '2024-06-02')`,
+        [MARKET, BLOB]
+    );
+
+    await runMigrations();
+
+    const frames = (await pg.query('SELECT time_frame, COUNT(*)::int AS points FROM market_history_points GROUP BY time_frame ORDER BY time_frame')).rows;
+    assert.deepEqual(frames, [{ time_frame: 'day', points: 2 }, { time_frame: 'hour', points: 2 }]);
+
+    const sync = (await pg.query('SELECT time_frame FROM market_history_sync ORDER BY time_frame')).rows;
+    assert.deepEqual(sync.map(row => row.time_frame), ['day', 'hour']);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REGISTRIES, loadRegistry } from '../api/_lib/registry.js';
+
+test('shipped registries pass schema validation', async () => {
+    for (const name of Object.keys(REGISTRIES)) {
+        await assert.doesNotReject(loadRegistry(name), name);
+    }
+});
+
+test('each listed PT appears once per chain and platform', async () => {
+    const { pairs } = await loadRegistry('lending-pairs');
+    const seen = new Map();
+    for (const [assetName, pair] of Object.entries(pairs)) {
+        for (const listing of pair.listings) {
+            const key = `${listing.chainId}-${listing.pt.toLowerCase()}-${listing.platform}`;
+            assert.ok(!seen.has(key), `${key} listed under ${seen.get(key)} and ${assetName}`);
+            seen.set(key, assetName);
+        }
+    }
+    assert.ok(seen.size > 0);
+});
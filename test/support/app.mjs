@@ -0,0 +1,36 @@
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { ethers } = require('ethers');
+
+// Load app.js (a browser script) into a sandbox with just enough of a page to run its top level
+// Returns the script's globals named in `names`; `fetch` stands in for the network
+export async function loadApp(names, { fetch = async () => ({ ok: false }) } = {}) {
+    const source = await readFile(new URL('../../app.js', import.meta.url), 'utf8');
+    const items = new Map();
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        ethers,
+        fetch,
+        URL,
+        DOMException,
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        window: {},
+        document: {
+            addEventListener() {},
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        localStorage: {
+            getItem: key => items.get(key) ?? null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        }
+    });
+    return vm.runInContext(`${source}\n;({ ${names.join(', ')} })`, context);
+}
@@ -0,0 +1,21 @@
+import { PGlite } from '@electric-sql/pglite';
+
+// In-memory Postgres standing in for the Neon connection in api/_lib/db.js
+export const pg = new PGlite();
+
+// Neon-style tagged template: queries run when awaited, or inside sql.transaction([...])
+export function sql(strings, ...values) {
+    const text = strings.reduce((query, part, i) => query + `$${i}` + part);
+    const run = (db) => db.query(text, values).then(result => result.rows);
+    return {
+        run,
+        then: (resolve, reject) => run(pg).then(resolve, reject)
+    };
+}
+
+sql.transaction = (queries) => pg.transaction(async (tx) => {
+    const results = [];
+    for (const query of queries) results.push(await query.run(tx));
+    return results;
+});
+
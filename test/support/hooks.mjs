@@ -0,0 +1,9 @@
+// Resolve the API's shared database module to the in-memory stand-in
+const testDb = new URL('./db.mjs', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === './db.js' && context.parentURL?.includes('/api/_lib/')) {
+        return { url: testDb, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
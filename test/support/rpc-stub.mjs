@@ -0,0 +1,34 @@
+import http from 'node:http';
+
+// Local JSON-RPC endpoint answering eth_call from handlers keyed by "<address>:<selector>"
+// A handler gets the calldata and returns the ABI-encoded result; a handler that throws answers with an RPC error
+export async function startRpcStub(chainId, handlers) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const requests = [].concat(JSON.parse(body));
+            const responses = requests.map(({ id, method, params }) => {
+                if (method === 'eth_chainId') return { jsonrpc: '2.0', id, result: `0x${chainId.toString(16)}` };
+                if (method !== 'eth_call') return { jsonrpc: '2.0', id, error: { code: -32601, message: `${method} not stubbed` } };
+
+                const { to, data } = params[0];
+                const handler = handlers[`${to.toLowerCase()}:${data.slice(0, 10)}`];
+                if (!handler) return { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted', data: '0x' } };
+                try {
+                    return { jsonrpc: '2.0', id, result: handler(data) };
+                } catch (e) {
+                    return { jsonrpc: '2.0', id, error: { code: -32000, message: e.message } };
+                }
+            });
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(JSON.parse(body)) ? responses : responses[0]));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
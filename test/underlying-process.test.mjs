@@ -0,0 +1,43 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp } from './support/app.mjs';
+
+const DAY = 86400000;
+const START = Date.UTC(2025, 0, 1);
+
+// History shaped like buildHistory's output: stats from the readings, raw points with timestamps
+function historyOf(points) {
+    const values = points.map(p => p.underlyingApy * 100);
+    const avg = values.reduce((a, b) => a + b, 0) / values.length;
+    const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+    return {
+        underlyingApy: { all: { avg, stdDev, current: values[values.length - 1], values } },
+        rawData: points.map(p => ({ ...p, timestamp: new Date(p.time).toISOString() }))
+    };
+}
+
+let app;
+
+before(async () => {
+    app = await loadApp(['calibrateUnderlyingProcess']);
+});
+
+test('persistence comes from readings one day apart', () => {
+    // A slow daily cycle: neighbouring days are strongly correlated
+    const points = Array.from({ length: 60 }, (_, i) => ({ time: START + i * DAY, underlyingApy: 0.06 + 0.01 * Math.sin(i / 10) }));
+    const process = app.calibrateUnderlyingProcess(historyOf(points));
+    assert.ok(process.phi > 0.9, `phi ${process.phi}`);
+});
+
+test('readings with gaps between them are not treated as consecutive days', () => {
+    // Every other day, alternating: adjacent values look anti-correlated but are two days apart
+    const points = Array.from({ length: 30 }, (_, i) => ({ time: START + i * 2 * DAY, underlyingApy: i % 2 ? 0.07 : 0.05 }));
+    const process = app.calibrateUnderlyingProcess(historyOf(points));
+    assert.equal(process.phi, 0.95);
+});
+
+test('hourly points collapse to one reading per day', () => {
+    const points = Array.from({ length: 24 * 30 }, (_, i) => ({ time: START + i * 3600000, underlyingApy: 0.06 + 0.01 * Math.sin(i / 240) + (i % 2 ? 0.002 : -0.002) }));
+    const process = app.calibrateUnderlyingProcess(historyOf(points));
+    assert.ok(process.phi > 0.9, `phi ${process.phi}`);
+});
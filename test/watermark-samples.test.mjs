@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pg } from './support/db.mjs';
+import { ensureWatermarkTable, createBlockLocator, pendingSampleDates } from '../api/_lib/watermark.js';
+
+const DAY = 24 * 60 * 60;
+const GENESIS = Date.UTC(2024, 5, 1) / 1000 - 3 * DAY;
+const realFetch = globalThis.fetch;
+
+// One block every 12s from three days before 2024-06-01 until now
+const blockAt = (number) => ({ number: '0x' + number.toString(16), timestamp: '0x' + (GENESIS + number * 12).toString(16) });
+const LATEST = Math.floor((Date.now() / 1000 - GENESIS) / 12);
+
+before(async () => {
+    process.env.ARCHIVE_RPC_1 = 'http://archive.test';
+    globalThis.fetch = async (url, { body }) => {
+        const { method, params } = JSON.parse(body);
+        assert.equal(method, 'eth_getBlockByNumber');
+        const number = params[0] === 'latest' ? LATEST : parseInt(params[0], 16);
+        return { ok: true, json: async () => ({ result: blockAt(number) }) };
+    };
+    // Written by the old sampler: the 2024-06-01 row holds the last block before 06-01 00:00
+    await pg.exec(`
+        CREATE TABLE watermark_samples (
+            chain_id INTEGER NOT NULL,
+            market_address TEXT NOT NULL,
+            sample_date DATE NOT NULL,
+            block_number BIGINT NOT NULL,
+            block_time TIMESTAMPTZ NOT NULL,
+            exchange_rate NUMERIC,
+            py_index_stored NUMERIC,
+            sampled_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (chain_id, market_address, sample_date)
+        );
+        INSERT INTO watermark_samples (chain_id, market_address, sample_date, block_number, block_time, exchange_rate, py_index_stored)
+        VALUES (1, '0xmarket', '2024-06-01', 21600, '2024-06-01T00:00:00Z', 1, 1),
+               (1, '0xmarket', '2024-06-02', 28800, '2024-06-02T00:00:00Z', 2, 2);
+    `);
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.ARCHIVE_RPC_1;
+});
+
+test('a day is sampled at its last block', async () => {
+    const blockForDate = createBlockLocator(1);
+    const block = await blockForDate('2024-06-01');
+    const nextDay = Date.UTC(2024, 5, 2) / 1000;
+    assert.ok(block.timestamp < nextDay);
+    assert.ok(block.timestamp + 12 >= nextDay);
+});
+
+test('rows read at the previous day\'s last block are relabelled to that day', async () => {
+    await ensureWatermarkTable();
+    const rows = (await pg.query(`SELECT sample_date::text AS date, block_number FROM watermark_samples ORDER BY sample_date`)).rows;
+    assert.deepEqual(rows, [{ date: '2024-05-31', block_number: 21600 }, { date: '2024-06-01', block_number: 28800 }]);
+});
+
+test('today is not sampled until it has ended', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const yesterday = new Date(Date.now() - DAY * 1000).toISOString().split('T')[0];
+    const dates = await pendingSampleDates(1, '0xother', { days: 3 });
+    assert.equal(dates[0], yesterday);
+    assert.ok(!dates.includes(today));
+    assert.equal(dates.length, 3);
+});
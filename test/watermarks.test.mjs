@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { loadApp } from './support/app.mjs';
+import { startRpcStub } from './support/rpc-stub.mjs';
+
+const { ethers } = createRequire(import.meta.url)('ethers');
+
+const CHAIN_ID = 1;
+const MULTICALL3 = '0xca11bde05977b3631167028862be2a173976ca11';
+const address = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20);
+
+// 250 YTs: three batches of up to 100; every YT at or past index 100 and below 200 sits on a failing node
+const YTS = Array.from({ length: 250 }, (_, i) => address(0x10000 + i));
+const syOf = (yt) => address(parseInt(yt, 16) + 0x10000);
+const FAILING = new Set(YTS.slice(100, 200));
+const BELOW = YTS[3];
+
+let app;
+let stub;
+
+// aggregate3 answered call by call; the middle batch's first round trip errors as a whole
+function multicallHandler() {
+    const multicall = new ethers.utils.Interface(app.MULTICALL3_ABI);
+    const yt = new ethers.utils.Interface(app.YT_ABI);
+    const sy = new ethers.utils.Interface(app.SY_ABI);
+    const one = ethers.utils.parseUnits('1', 18);
+
+    return (data) => {
+        const [calls] = multicall.decodeFunctionData('aggregate3', data);
+        if (calls.some(call => FAILING.has(call.target.toLowerCase()))) throw new Error('header not found');
+
+        return multicall.encodeFunctionResult('aggregate3', [calls.map(({ target, callData }) => {
+            const owner = target.toLowerCase();
+            const selector = callData.slice(0, 10);
+            if (selector === yt.getSighash('SY')) return [true, yt.encodeFunctionResult('SY', [syOf(owner)])];
+            if (selector === yt.getSighash('pyIndexStored')) return [true, yt.encodeFunctionResult('pyIndexStored', [one])];
+            const rate = owner === syOf(BELOW) ? one.mul(99).div(100) : one.mul(101).div(100);
+            return [true, sy.encodeFunctionResult('exchangeRate', [rate])];
+        })]);
+    };
+}
+
+before(async () => {
+    app = await loadApp(['scanWatermarks', 'rpcManager', 'MULTICALL3_ABI', 'YT_ABI', 'SY_ABI']);
+    stub = await startRpcStub(CHAIN_ID, { [`${MULTICALL3}:${new ethers.utils.Interface(app.MULTICALL3_ABI).getSighash('aggregate3')}`]: multicallHandler() });
+    const provider = new ethers.providers.StaticJsonRpcProvider(stub.url, CHAIN_ID);
+    app.rpcManager.getProvider = () => provider;
+});
+
+after(() => stub?.close());
+
+test('a failed batch leaves only its own YTs unchecked', async () => {
+    const progress = [];
+    const { statuses, unchecked } = await app.scanWatermarks(YTS, CHAIN_ID, { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+    assert.deepEqual([...unchecked], [...FAILING]);
+    assert.equal(statuses.size, 150);
+    assert.ok(YTS.filter(yt => !FAILING.has(yt)).every(yt => statuses.has(yt)));
+    assert.equal(statuses.get(BELOW).belowWatermark, true);
+    assert.equal([...statuses.values()].filter(status => status.belowWatermark).length, 1);
+    assert.deepEqual(progress, ['100/250', '200/250', '250/250']);
+});
+
+test('cancelling still rejects the scan', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(app.scanWatermarks(YTS, CHAIN_ID, { signal: controller.signal }), { name: 'AbortError' });
+});